@@ -0,0 +1,75 @@
+/**
+ * Update the bundled MLE weight snapshots (public/data/weights/<categoryId>.json)
+ * Downloads every category's poedata.dev MLE weights; used when the weights cannot be fetched at runtime.
+ * A failed download keeps the category's previous snapshot; the script exits with an error when a category
+ * is left without any snapshot.
+ * Usage: npm run snapshot:weights
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { CATEGORIES } from '../src/js/config/categoryRegistry.js';
+import { createWeightsSnapshot, getWeightsSnapshotPath } from '../src/js/services/dataService.js';
+
+const PUBLIC_DIR = new URL('../public', import.meta.url);
+
+/**
+ * Get the file of a category's snapshot
+ * @param {string} categoryId
+ * @returns {URL}
+ */
+function getSnapshotFile(categoryId) {
+  return new URL(`.${getWeightsSnapshotPath(categoryId)}`, `${PUBLIC_DIR.href}/`);
+}
+
+/**
+ * Read when a category's existing snapshot was fetched
+ * @param {string} categoryId
+ * @returns {Promise<string|null>} fetchedAt of the snapshot, null when there is no readable snapshot
+ */
+async function getSnapshotFetchedAt(categoryId) {
+  try {
+    const data = JSON.parse(await readFile(getSnapshotFile(categoryId), 'utf8'));
+    return data.snapshot?.fetchedAt ?? 'unknown date';
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Download one category's MLE weights and write its snapshot
+ * @param {CategoryDescriptor} category
+ */
+async function updateSnapshot(category) {
+  const response = await fetch(category.weightsUrl);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  const data = await response.json();
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    throw new Error('MLE data has no items');
+  }
+
+  const file = getSnapshotFile(category.id);
+  await mkdir(new URL('.', file), { recursive: true });
+  await writeFile(file, `${JSON.stringify(createWeightsSnapshot(category.id, data), null, 2)}\n`);
+  console.log(`✓ ${category.id}: ${data.items.length} weights`);
+}
+
+let missing = 0;
+for (const category of CATEGORIES.filter(category => category.weightsUrl)) {
+  try {
+    await updateSnapshot(category);
+  } catch (error) {
+    const fetchedAt = await getSnapshotFetchedAt(category.id);
+    if (fetchedAt) {
+      console.warn(`⚠ ${category.id}: keeping the previous snapshot from ${fetchedAt} (${error.message})`);
+    } else {
+      missing++;
+      console.error(`✗ ${category.id}: no snapshot exists (${error.message})`);
+    }
+  }
+}
+if (missing > 0) {
+  console.error(`${missing} categor${missing === 1 ? 'y has' : 'ies have'} no MLE weight snapshot to fall back on`);
+  process.exitCode = 1;
+}
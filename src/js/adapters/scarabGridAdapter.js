@@ -152,6 +152,10 @@ export const scarabGridAdapter = {
     return item?.profitabilityStatus ?? 'unknown';
   },
 
+  isExcludedFromPool(item) {
+    return item?.excludedFromPool === true;
+  },
+
   options: {
     supportsYieldCounts: true,
     supportsFilteredIds: true,
@@ -0,0 +1,171 @@
+/**
+ * Cumulative Profit Chart Component
+ * Canvas line chart of a simulation result's cumulative profit/loss over its transactions, with markers for
+ * breakeven and rare scarab returns. Drawn on a canvas so million-trade runs stay cheap to render.
+ */
+
+import { downsampleCumulativeProfit } from '../utils/simulationUtils.js';
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 64 };
+
+/** Points drawn at most (about two per horizontal pixel) */
+const MAX_CHART_POINTS = 2 * (CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right);
+
+// Same palette as the SVG charts (see .price-history-* in main.css)
+const COLORS = {
+  axis: 'rgba(200, 170, 110, 0.3)',
+  line: '#c8aa6e',
+  zero: '#ff9800',
+  label: '#a09070',
+  breakeven: '#4caf50',
+  rare: '#ba68c8',
+};
+
+/**
+ * Format chaos for chart labels
+ * @param {number} value
+ * @returns {string}
+ */
+function formatChaos(value) {
+  const decimals = Math.abs(value) >= 100 ? 0 : 2;
+  return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}c`;
+}
+
+/**
+ * Render the cumulative profit chart of a simulation result
+ * @param {HTMLElement} container
+ * @param {SimulationResult} result
+ */
+export function renderCumulativeProfitChart(container, result) {
+  if (!container) return;
+  const transactions = result?.transactions || [];
+
+  if (transactions.length < 2) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const events = result.significantEvents || [];
+  const breakevenEvents = events.filter(e => e.type === 'breakeven_achieved');
+  const rareEvents = events.filter(e => e.type === 'rare_scarab_return');
+
+  container.innerHTML = `
+    <h4>Cumulative Profit/Loss</h4>
+    <canvas class="profit-chart-canvas" role="img" aria-label="Cumulative profit over transactions"></canvas>
+    <div class="profit-chart-legend">
+      <span><i class="profit-chart-key" style="background: ${COLORS.line};"></i>Cumulative P/L</span>
+      ${breakevenEvents.length > 0 ? `<span><i class="profit-chart-key" style="background: ${COLORS.breakeven};"></i>Breakeven</span>` : ''}
+      ${rareEvents.length > 0 ? `<span><i class="profit-chart-key" style="background: ${COLORS.rare};"></i>Rare returns (${rareEvents.length.toLocaleString()})</span>` : ''}
+    </div>
+  `;
+
+  drawChart(container.querySelector('.profit-chart-canvas'), transactions, breakevenEvents, rareEvents);
+}
+
+/**
+ * Draw the chart onto its canvas
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<SimulationTransaction>} transactions
+ * @param {Array<SignificantEvent>} breakevenEvents
+ * @param {Array<SignificantEvent>} rareEvents
+ */
+function drawChart(canvas, transactions, breakevenEvents, rareEvents) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  // Sharp lines on high-density screens; CSS scales the canvas to its container
+  const scale = window.devicePixelRatio || 1;
+  canvas.width = CHART_WIDTH * scale;
+  canvas.height = CHART_HEIGHT * scale;
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+  const points = [{ transactionNumber: 0, cumulativeProfitLoss: 0 }, ...downsampleCumulativeProfit(transactions, MAX_CHART_POINTS)];
+  const values = points.map(point => point.cumulativeProfitLoss);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const lastTrade = points[points.length - 1].transactionNumber;
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+  const right = CHART_WIDTH - CHART_PADDING.right;
+  const toX = tradeNumber => CHART_PADDING.left + (tradeNumber / lastTrade) * plotWidth;
+  const toY = value => CHART_PADDING.top + plotHeight - ((value - min) / range) * plotHeight;
+  const valueAt = tradeNumber => transactions[tradeNumber - 1]?.cumulativeProfitLoss ?? 0;
+
+  ctx.clearRect(0, 0, CHART_WIDTH, CHART_HEIGHT);
+
+  // Axes and labels
+  ctx.strokeStyle = COLORS.axis;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(CHART_PADDING.left, CHART_PADDING.top);
+  ctx.lineTo(CHART_PADDING.left, bottom);
+  ctx.lineTo(right, bottom);
+  ctx.stroke();
+
+  ctx.fillStyle = COLORS.label;
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'end';
+  ctx.fillText(formatChaos(max), CHART_PADDING.left - 6, CHART_PADDING.top + 4);
+  ctx.fillText(formatChaos(min), CHART_PADDING.left - 6, bottom);
+  ctx.fillText(`Trade ${lastTrade.toLocaleString()}`, right, CHART_HEIGHT - 8);
+  ctx.textAlign = 'start';
+  ctx.fillText('Trade 0', CHART_PADDING.left, CHART_HEIGHT - 8);
+
+  // Zero line
+  ctx.save();
+  ctx.strokeStyle = COLORS.zero;
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(CHART_PADDING.left, toY(0));
+  ctx.lineTo(right, toY(0));
+  ctx.stroke();
+  ctx.restore();
+
+  // Cumulative P/L
+  ctx.strokeStyle = COLORS.line;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  points.forEach((point, i) => {
+    const x = toX(point.transactionNumber);
+    const y = toY(point.cumulativeProfitLoss);
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  ctx.stroke();
+
+  // Rare returns: one marker per pixel column, so long runs don't draw thousands of overlapping dots
+  ctx.fillStyle = COLORS.rare;
+  let lastColumn = -1;
+  for (const event of rareEvents) {
+    const x = toX(event.transactionNumber);
+    if (Math.round(x) === lastColumn) continue;
+    lastColumn = Math.round(x);
+    ctx.beginPath();
+    ctx.arc(x, toY(valueAt(event.transactionNumber)), 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // Breakeven
+  for (const event of breakevenEvents) {
+    const x = toX(event.transactionNumber);
+    ctx.save();
+    ctx.strokeStyle = COLORS.breakeven;
+    ctx.setLineDash([2, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, CHART_PADDING.top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.restore();
+    ctx.fillStyle = COLORS.breakeven;
+    ctx.beginPath();
+    ctx.arc(x, toY(event.cumulativeProfitLoss ?? valueAt(event.transactionNumber)), 4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
@@ -4,13 +4,24 @@
  */
 
 import { getCacheInfo } from '../utils/dataFetcher.js';
-import { loadItemTypePrices } from '../services/dataService.js';
+import { loadItemTypePrices, getWeightsStatus, getWeightsFileName } from '../services/dataService.js';
+import { CATEGORIES } from '../config/categoryRegistry.js';
 import { priceUpdateService } from '../services/priceUpdateService.js';
 import { 
   getSelectedLeague, 
   getPriceFileName,
   ITEM_TYPES
 } from '../services/leagueService.js';
+import {
+  PRICE_PROVIDERS,
+  PRICE_PROVIDER_IDS,
+  URL_TEMPLATE_PLACEHOLDERS,
+  getPriceProvider,
+  getPriceProviderSelection,
+  setPriceProviderSelection,
+  getUploadedPrices,
+  saveUploadedPrices,
+} from '../services/priceProviders.js';
 
 let onRefreshCallback = null;
 
@@ -47,11 +58,31 @@ function formatAge(age) {
   }
 }
 
+/**
+ * Escape a value for an HTML attribute
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeAttr(s) {
+  if (!s) return '';
+  return s.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 /**
  * Get status information for price data
+ * @param {object} cacheInfo - Cache info of the price file
+ * @param {boolean} [isUploaded=false] - Whether the prices come from an uploaded file
  * @returns {object} Status info with text, color, and class
  */
-function getStatusInfo(cacheInfo) {
+function getStatusInfo(cacheInfo, isUploaded = false) {
+  if (isUploaded) {
+    return {
+      text: 'Uploaded File',
+      color: 'info',
+      class: 'status-info',
+    };
+  }
+
   if (!cacheInfo.hasCache) {
     return {
       text: 'Not Loaded',
@@ -68,8 +99,16 @@ function getStatusInfo(cacheInfo) {
     };
   }
 
+  if (cacheInfo.isRevalidating) {
+    return {
+      text: 'Updating',
+      color: 'info',
+      class: 'status-info',
+    };
+  }
+
   const ageHours = cacheInfo.age / 1000 / 60 / 60;
-  if (ageHours < 1) {
+  if (!cacheInfo.isExpired) {
     return {
       text: 'Up to Date',
       color: 'success',
@@ -92,23 +131,96 @@ function getStatusInfo(cacheInfo) {
 
 /**
  * Get cache info for all item types
- * @returns {Array} Array of objects with itemType, cacheInfo, and statusInfo
+ * @returns {Array} Array of objects with itemType, cacheInfo, statusInfo and the price provider selection
  */
 function getAllItemTypeStatuses() {
   const activeItemTypes = ITEM_TYPES.filter(t => t.isActive);
   return activeItemTypes.map(itemType => {
     const priceFileName = getPriceFileName(itemType.id);
     const cacheInfo = getCacheInfo(priceFileName);
-    const statusInfo = getStatusInfo(cacheInfo);
+    const selection = getPriceProviderSelection(itemType.id);
+    const isUploaded = selection.providerId === PRICE_PROVIDER_IDS.LOCAL_FILE && !!getUploadedPrices(itemType.id);
+    const statusInfo = getStatusInfo(cacheInfo, isUploaded);
     return {
       itemType,
       cacheInfo,
       statusInfo,
+      selection,
       fileName: priceFileName
     };
   });
 }
 
+/**
+ * Render the price provider controls of an item type (provider, URL template or file, apply)
+ * @param {object} itemType - Item type config
+ * @param {{ providerId: string, url: string|null }} selection - Current selection
+ * @returns {string} HTML
+ */
+function renderProviderControls(itemType, selection) {
+  const provider = getPriceProvider(selection.providerId);
+  const options = Object.values(PRICE_PROVIDERS).map(p => `
+    <option value="${p.id}" title="${escapeAttr(p.description)}" ${p.id === provider.id ? 'selected' : ''}>${p.label}</option>
+  `).join('');
+  const placeholder = `http://localhost:8080/${itemType.id}Prices_{leagueSlug}.json`;
+
+  return `
+    <div class="price-provider-controls" data-item-type="${itemType.id}">
+      <select class="price-provider-select" aria-label="${escapeAttr(itemType.displayName)} price source">
+        ${options}
+      </select>
+      <input type="text" class="price-provider-url" aria-label="${escapeAttr(itemType.displayName)} price URL"
+        placeholder="${escapeAttr(placeholder)}" title="Placeholders: ${URL_TEMPLATE_PLACEHOLDERS.join(', ')}"
+        value="${escapeAttr(selection.url)}" ${provider.requiresUrl ? '' : 'hidden'}>
+      <input type="file" class="price-provider-file" accept=".json,application/json"
+        aria-label="${escapeAttr(itemType.displayName)} price file" ${provider.id === PRICE_PROVIDER_IDS.LOCAL_FILE ? '' : 'hidden'}>
+      <button type="button" class="btn btn-outline price-provider-apply">Apply</button>
+    </div>
+  `;
+}
+
+/**
+ * Get status information for a category's MLE weights
+ * @param {WeightsStatus|null} weightsStatus - From getWeightsStatus
+ * @param {object} cacheInfo - Cache info of the weights file
+ * @returns {object} Status info with text, color, and class
+ */
+function getWeightsStatusInfo(weightsStatus, cacheInfo) {
+  if (!weightsStatus) {
+    return cacheInfo.hasCache ? getStatusInfo(cacheInfo) : { text: 'Not Loaded', color: 'grey', class: 'status-grey' };
+  }
+  if (weightsStatus.source === 'unavailable') {
+    return { text: 'Unavailable', color: 'warning', class: 'status-warning' };
+  }
+  if (weightsStatus.source === 'local') {
+    return { text: 'Bundled Snapshot', color: 'warning', class: 'status-warning' };
+  }
+  if (weightsStatus.source === 'stale_cache') {
+    return { text: 'Outdated', color: 'warning', class: 'status-warning' };
+  }
+  if (weightsStatus.source === 'revalidating') {
+    return getStatusInfo(cacheInfo);
+  }
+  return { text: 'Up to Date', color: 'success', class: 'status-success' };
+}
+
+/**
+ * Get MLE weight status for all categories with drop weights
+ * @returns {Array} Array of objects with category, age and statusInfo
+ */
+function getAllWeightsStatuses() {
+  return CATEGORIES.filter(category => category.weightsUrl).map(category => {
+    const weightsStatus = getWeightsStatus(category.id);
+    const cacheInfo = getCacheInfo(getWeightsFileName(category.id));
+    const timestamp = weightsStatus ? weightsStatus.timestamp : cacheInfo.timestamp;
+    return {
+      category,
+      age: timestamp ? Date.now() - timestamp : null,
+      statusInfo: getWeightsStatusInfo(weightsStatus, cacheInfo),
+    };
+  });
+}
+
 /**
  * Get aggregate status summary
  * @param {Array} statuses - Array of item type statuses
@@ -120,15 +232,17 @@ function getAggregateStatus(statuses) {
   let outdated = 0;
   let notLoaded = 0;
   let localFallback = 0;
+  let updating = 0;
   let oldestTimestamp = null;
   let newestTimestamp = null;
 
   statuses.forEach(({ cacheInfo, statusInfo }) => {
-    if (statusInfo.text === 'Up to Date') upToDate++;
+    if (statusInfo.text === 'Up to Date' || statusInfo.text === 'Uploaded File') upToDate++;
     else if (statusInfo.text === 'Recent') recent++;
     else if (statusInfo.text === 'Outdated') outdated++;
     else if (statusInfo.text === 'Not Loaded') notLoaded++;
     else if (statusInfo.text === 'Local Fallback') localFallback++;
+    else if (statusInfo.text === 'Updating') updating++;
 
     if (cacheInfo.timestamp) {
       if (!oldestTimestamp || cacheInfo.timestamp < oldestTimestamp) {
@@ -153,6 +267,7 @@ function getAggregateStatus(statuses) {
     outdated,
     notLoaded,
     localFallback,
+    updating,
     oldestTimestamp,
     newestTimestamp,
     overallStatus
@@ -185,14 +300,16 @@ export function renderDataStatusOverlay(container) {
   } else if (aggregate.localFallback > 0) {
     overallStatusText = `${aggregate.localFallback} Using Local Fallback`;
     overallStatusClass = 'status-info';
+  } else if (aggregate.updating > 0) {
+    overallStatusText = `${aggregate.updating} Updating`;
+    overallStatusClass = 'status-info';
   } else if (aggregate.recent > 0) {
     overallStatusText = 'All Recent';
     overallStatusClass = 'status-info';
   }
 
   // Build item type status list
-  const itemTypeList = allStatuses.map(({ itemType, cacheInfo, statusInfo, fileName }) => {
-    const ageHours = cacheInfo.age ? cacheInfo.age / 1000 / 60 / 60 : null;
+  const itemTypeList = allStatuses.map(({ itemType, cacheInfo, statusInfo, selection }) => {
     return `
       <div class="item-type-status-row">
         <div class="item-type-name">
@@ -204,11 +321,26 @@ export function renderDataStatusOverlay(container) {
             <span class="item-type-age">${formatAge(cacheInfo.age)}</span>
             ${cacheInfo.isLocal ? '<span class="item-type-source">(Local)</span>' : ''}
           ` : '<span class="item-type-age">Not loaded</span>'}
+          <span class="item-type-provider">${getPriceProvider(selection.providerId).label}</span>
         </div>
+        ${renderProviderControls(itemType, selection)}
       </div>
     `;
   }).join('');
 
+  // Build MLE weights status list (age is the time since the weights were fetched from poedata.dev)
+  const weightsList = getAllWeightsStatuses().map(({ category, age, statusInfo }) => `
+      <div class="item-type-status-row">
+        <div class="item-type-name">
+          <span class="status-badge ${statusInfo.class}">${statusInfo.text}</span>
+          <span class="item-type-label">${category.itemNamePlural}</span>
+        </div>
+        <div class="item-type-details">
+          <span class="item-type-age">${age !== null ? formatAge(age) : 'Not loaded'}</span>
+        </div>
+      </div>
+    `).join('');
+
   container.innerHTML = `
     <div class="data-status-content">
       <div class="data-status-section">
@@ -246,6 +378,13 @@ export function renderDataStatusOverlay(container) {
         </div>
       </div>
 
+      <div class="data-status-section">
+        <h4>Drop Weight Details</h4>
+        <div class="item-type-status-list">
+          ${weightsList}
+        </div>
+      </div>
+
       <div class="data-status-actions">
         <button id="check-updates-btn" class="btn btn-outline">
           Check for Updates
@@ -266,7 +405,11 @@ export function renderDataStatusOverlay(container) {
           <strong>Source:</strong> Price data from 
           <a href="https://data.poeatlas.app/" target="_blank" rel="noopener noreferrer">
             data.poeatlas.app
-          </a>
+          </a> unless another price source is applied per item type
+          (URL placeholders: ${URL_TEMPLATE_PLACEHOLDERS.join(', ')}), drop weights from
+          <a href="https://poedata.dev/" target="_blank" rel="noopener noreferrer">
+            poedata.dev
+          </a> (checked daily, bundled snapshot when offline)
         </p>
       </div>
     </div>
@@ -285,6 +428,10 @@ function setupEventListeners(container) {
   const refreshBtn = container.querySelector('#force-refresh-btn');
   const messageDiv = container.querySelector('#data-status-message');
 
+  container.querySelectorAll('.price-provider-controls').forEach(controls => {
+    setupProviderControls(container, controls);
+  });
+
   if (checkBtn) {
     checkBtn.addEventListener('click', async () => {
       checkBtn.disabled = true;
@@ -390,6 +537,54 @@ function setupEventListeners(container) {
   }
 }
 
+/**
+ * Setup the price provider controls of one item type
+ * @param {HTMLElement} container - Overlay content (re-rendered after a provider is applied)
+ * @param {HTMLElement} controls - .price-provider-controls element
+ */
+function setupProviderControls(container, controls) {
+  const itemType = controls.dataset.itemType;
+  const select = controls.querySelector('.price-provider-select');
+  const urlInput = controls.querySelector('.price-provider-url');
+  const fileInput = controls.querySelector('.price-provider-file');
+  const applyBtn = controls.querySelector('.price-provider-apply');
+  const displayName = ITEM_TYPES.find(t => t.id === itemType)?.displayName || itemType;
+
+  select.addEventListener('change', () => {
+    const provider = getPriceProvider(select.value);
+    urlInput.hidden = !provider.requiresUrl;
+    fileInput.hidden = provider.id !== PRICE_PROVIDER_IDS.LOCAL_FILE;
+  });
+
+  applyBtn.addEventListener('click', async () => {
+    applyBtn.disabled = true;
+    applyBtn.textContent = 'Applying...';
+    const messageDiv = container.querySelector('#data-status-message');
+
+    try {
+      const file = fileInput.files?.[0];
+      if (select.value === PRICE_PROVIDER_IDS.LOCAL_FILE && file) {
+        saveUploadedPrices(itemType, JSON.parse(await file.text()), file.name);
+      }
+      setPriceProviderSelection(itemType, { providerId: select.value, url: urlInput.value });
+      const prices = await priceUpdateService.forceRefreshPrices(itemType);
+
+      renderDataStatusOverlay(container);
+      showMessage(
+        container.querySelector('#data-status-message'),
+        `${displayName} prices now come from ${getPriceProvider(select.value).label} (${prices.length} entries).`,
+        'success'
+      );
+    } catch (error) {
+      console.error(`Error applying ${itemType} price source:`, error);
+      const reason = error instanceof SyntaxError ? 'the file is not valid JSON' : error.message;
+      showMessage(messageDiv, `Could not apply the ${displayName} price source: ${reason}`, 'error');
+      applyBtn.disabled = false;
+      applyBtn.textContent = 'Apply';
+    }
+  });
+}
+
 /**
  * Show a message in the overlay
  * @param {HTMLElement} messageDiv - Message container
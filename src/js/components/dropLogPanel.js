@@ -0,0 +1,120 @@
+/**
+ * Drop Log Panel Component
+ * Manual entry and JSON/CSV import of personal vendor results, plus the drop weight source selector
+ */
+
+import {
+  WEIGHT_SOURCES,
+  loadDropLog,
+  recordDrop,
+  importDropLog,
+  clearDropLog,
+  getDropLogTotal,
+} from '../services/dropLogService.js';
+import { showErrorToast, showSuccessToast } from '../utils/toast.js';
+
+/** Weight source options (values match WEIGHT_SOURCES in dropLogService) */
+const WEIGHT_SOURCE_OPTIONS = [
+  { value: WEIGHT_SOURCES.MLE, label: 'poedata.dev MLE', description: 'Community maximum-likelihood weights' },
+  { value: WEIGHT_SOURCES.PERSONAL, label: 'Personal', description: 'Your drop log, with the MLE weights as a weak prior' },
+  { value: WEIGHT_SOURCES.BLENDED, label: 'Blended', description: 'Your drop log pooled with the MLE data at its own sample size' },
+];
+
+function escapeHtml(s) {
+  if (!s) return '';
+  const div = document.createElement('div');
+  div.textContent = s;
+  return div.innerHTML;
+}
+
+/**
+ * Render the drop log panel
+ * @param {HTMLElement} container - Container element
+ * @param {string} categoryId - Category the log belongs to ('scarabs', 'catalysts', 'tattoos')
+ * @param {Array<Object>} items - Items that can be returned (id, name)
+ * @param {string} weightSource - Current weight source (one of WEIGHT_SOURCES)
+ * @param {Function} onChange - Called with { weightSource } after the source or the log changes
+ */
+export function renderDropLogPanel(container, categoryId, items, weightSource = WEIGHT_SOURCES.MLE, onChange = null) {
+  if (!container) {
+    console.error('Drop log panel: missing container');
+    return;
+  }
+
+  const counts = loadDropLog(categoryId);
+  const total = getDropLogTotal(counts);
+  const sortedItems = [...items].sort((a, b) => a.name.localeCompare(b.name));
+
+  container.innerHTML = `
+    <div class="drop-log-panel">
+      <h3>Drop Log</h3>
+      <div class="trade-mode-selector">
+        <label for="weight-source">Drop Weights:</label>
+        <select id="weight-source" class="trade-mode-select">
+          ${WEIGHT_SOURCE_OPTIONS.map(opt =>
+            `<option value="${opt.value}" ${weightSource === opt.value ? 'selected' : ''} title="${opt.description}">${opt.label}</option>`
+          ).join('')}
+        </select>
+        <div class="trade-mode-description">
+          ${WEIGHT_SOURCE_OPTIONS.find(opt => opt.value === weightSource)?.description || ''}
+        </div>
+      </div>
+      <div class="drop-log-entry">
+        <select id="drop-log-item" class="trade-mode-select" aria-label="Returned item">
+          ${sortedItems.map(item => `<option value="${escapeHtml(item.id)}">${escapeHtml(item.name)}</option>`).join('')}
+        </select>
+        <input type="number" id="drop-log-count" class="trade-mode-select" min="1" step="1" value="1" aria-label="Times returned">
+        <button id="drop-log-record" class="drop-log-btn">Record</button>
+      </div>
+      <div class="drop-log-actions">
+        <label class="drop-log-btn drop-log-import">
+          Import JSON/CSV
+          <input type="file" id="drop-log-file" accept=".json,.csv,application/json,text/csv" hidden>
+        </label>
+        <button id="drop-log-clear" class="drop-log-btn" ${total === 0 ? 'disabled' : ''}>Clear</button>
+      </div>
+      <div class="threshold-meta">
+        <span>${total.toLocaleString()} drops logged</span>
+        <span>•</span>
+        <span>${counts.size} of ${items.length} items seen</span>
+      </div>
+    </div>
+  `;
+
+  const currentSource = () => container.querySelector('#weight-source')?.value || weightSource;
+  const refresh = () => {
+    if (onChange) onChange({ weightSource: currentSource() });
+  };
+
+  container.querySelector('#weight-source')?.addEventListener('change', refresh);
+
+  container.querySelector('#drop-log-record')?.addEventListener('click', () => {
+    const itemId = container.querySelector('#drop-log-item')?.value;
+    const count = parseInt(container.querySelector('#drop-log-count')?.value, 10);
+    try {
+      recordDrop(categoryId, itemId, count);
+      refresh();
+    } catch (error) {
+      showErrorToast(error.message);
+    }
+  });
+
+  container.querySelector('#drop-log-file')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const { imported, skipped } = importDropLog(categoryId, await file.text(), new Set(items.map(item => item.id)));
+      showSuccessToast(`Imported ${imported} drops${skipped > 0 ? ` (${skipped} for unknown items skipped)` : ''}`);
+      refresh();
+    } catch (error) {
+      console.error('Error importing drop log:', error);
+      showErrorToast(error.message);
+    }
+  });
+
+  container.querySelector('#drop-log-clear')?.addEventListener('click', () => {
+    if (!confirm(`Clear all ${total} logged drops for this category?`)) return;
+    clearDropLog(categoryId);
+    refresh();
+  });
+}
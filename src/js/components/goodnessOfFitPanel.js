@@ -0,0 +1,201 @@
+/**
+ * Goodness-of-Fit Panel Component
+ * Tests observed vendor results (personal drop log or the last simulation) against the weight model
+ */
+
+import { testGoodnessOfFit, evaluateSessionProfit } from '../services/statisticsService.js';
+import { loadDropLog, getDropLogTotal } from '../services/dropLogService.js';
+import { filterReturnPool, DEFAULT_POOL_OPTIONS } from '../services/calculationService.js';
+import { getProfitLossColor } from '../utils/colorUtils.js';
+
+/** Where the observed results come from */
+const OBSERVATION_SOURCES = [
+  { value: 'drop_log', label: 'Drop Log (your results)' },
+  { value: 'simulation', label: 'Last Simulation' },
+];
+
+let currentSource = 'drop_log';
+let currentInputCostPerTrade = null; // Chaos spent per trade for drop log sessions (null = not entered)
+
+/**
+ * Format a p-value for display
+ * @param {number|null} pValue
+ * @returns {string}
+ */
+function formatPValue(pValue) {
+  if (pValue === null) return 'n/a';
+  return pValue < 0.0001 ? '< 0.0001' : pValue.toFixed(4);
+}
+
+/**
+ * Collect observed counts and session totals for the selected source
+ * @param {Array<Scarab>} scarabs
+ * @param {ExpectedValueThreshold|null} threshold
+ * @param {SimulationResult|null} simulationResult
+ * @returns {Object|null} { counts, pool, weightField, weightLabel, session } or null if nothing is observed
+ */
+function getObservations(scarabs, threshold, simulationResult) {
+  if (currentSource === 'simulation') {
+    if (!simulationResult) return null;
+    const config = simulationResult.configuration || {};
+    return {
+      counts: simulationResult.yieldCounts,
+      pool: filterReturnPool(scarabs, { respectDropEligibility: config.respectDropEligibility ?? true, areaLevel: config.areaLevel ?? null }),
+      // Simulations draw from the weights in use
+      weightField: 'dropWeight',
+      weightLabel: 'simulated weights',
+      session: {
+        tradeCount: simulationResult.totalTransactions,
+        returnValue: simulationResult.totalOutputValue,
+        inputCost: simulationResult.totalInputValue,
+      },
+    };
+  }
+
+  const counts = loadDropLog('scarabs');
+  const tradeCount = getDropLogTotal(counts);
+  if (tradeCount === 0) return null;
+  const returnValue = scarabs.reduce(
+    (sum, scarab) => sum + (counts.get(scarab.id) || 0) * (scarab.hasPriceData() ? scarab.chaosValue : 0),
+    0
+  );
+  return {
+    counts,
+    pool: filterReturnPool(scarabs, threshold?.poolOptions || DEFAULT_POOL_OPTIONS),
+    // Personal weights are fit to the drop log, so test against the independent MLE weights
+    weightField: 'mleDropWeight',
+    weightLabel: 'poedata.dev MLE weights',
+    session: currentInputCostPerTrade === null ? null : {
+      tradeCount,
+      returnValue,
+      inputCost: currentInputCostPerTrade * tradeCount,
+    },
+  };
+}
+
+/**
+ * Render the goodness-of-fit panel
+ * @param {HTMLElement} container - Container element
+ * @param {Array<Scarab>} scarabs - All Scarabs
+ * @param {ExpectedValueThreshold|null} threshold - Current threshold (per-trade EV and standard deviation)
+ * @param {SimulationResult|null} simulationResult - Last simulation result, if any
+ */
+export function renderGoodnessOfFitPanel(container, scarabs, threshold, simulationResult = null) {
+  if (!container) {
+    console.error('Goodness-of-fit panel: missing container');
+    return;
+  }
+
+  if (currentSource === 'simulation' && !simulationResult) {
+    currentSource = 'drop_log';
+  }
+  if (currentInputCostPerTrade === null && threshold?.inputMix) {
+    currentInputCostPerTrade = threshold.inputMix.inputCost;
+  }
+
+  const observations = getObservations(scarabs, threshold, simulationResult);
+  let body;
+  if (!observations) {
+    body = currentSource === 'drop_log'
+      ? '<p class="loading-text">No drops logged yet. Record results in the drop log (Economic Threshold settings).</p>'
+      : '<p class="loading-text">Run a simulation to test its yields.</p>';
+  } else {
+    try {
+      body = renderResults(observations, scarabs, threshold);
+    } catch (error) {
+      console.warn('Goodness-of-fit test failed:', error);
+      body = `<p class="loading-text">${error.message}</p>`;
+    }
+  }
+
+  container.innerHTML = `
+    <div class="simulation-results goodness-of-fit">
+      <h3>Goodness of Fit</h3>
+      <div class="goodness-of-fit-controls">
+        <select id="fit-source" aria-label="Observed results">
+          ${OBSERVATION_SOURCES.map(opt =>
+            `<option value="${opt.value}" ${currentSource === opt.value ? 'selected' : ''} ${opt.value === 'simulation' && !simulationResult ? 'disabled' : ''}>${opt.label}</option>`
+          ).join('')}
+        </select>
+        ${currentSource === 'drop_log' ? `
+          <label for="fit-input-cost">Input cost per trade (c):</label>
+          <input type="number" id="fit-input-cost" min="0" step="any" value="${currentInputCostPerTrade ?? ''}" placeholder="e.g. 3 × input price">
+        ` : ''}
+      </div>
+      ${body}
+    </div>
+  `;
+
+  container.querySelector('#fit-source')?.addEventListener('change', (e) => {
+    currentSource = e.target.value;
+    renderGoodnessOfFitPanel(container, scarabs, threshold, simulationResult);
+  });
+  container.querySelector('#fit-input-cost')?.addEventListener('change', (e) => {
+    const cost = parseFloat(e.target.value);
+    currentInputCostPerTrade = Number.isFinite(cost) && cost >= 0 ? cost : null;
+    renderGoodnessOfFitPanel(container, scarabs, threshold, simulationResult);
+  });
+}
+
+/**
+ * Render test results
+ * @param {Object} observations - From getObservations
+ * @param {Array<Scarab>} scarabs
+ * @param {ExpectedValueThreshold|null} threshold
+ * @returns {string} HTML
+ */
+function renderResults(observations, scarabs, threshold) {
+  const fit = testGoodnessOfFit(observations.counts, observations.pool, { weightField: observations.weightField });
+  const nameOf = id => scarabs.find(s => s.id === id)?.name || id;
+  const profitCheck = observations.session && threshold
+    ? evaluateSessionProfit(observations.session, threshold)
+    : null;
+
+  return `
+    <div class="results-summary">
+      <div class="result-item highlight">
+        <span class="result-label">Verdict:</span>
+        <span class="result-value ${fit.consistent ? 'fit-consistent' : 'fit-inconsistent'}">
+          ${fit.consistent ? 'Consistent with' : 'Unlikely under'} ${observations.weightLabel}
+        </span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">Results Tested:</span>
+        <span class="result-value">${fit.totalObserved.toLocaleString()}${fit.pooledItemCount > 0 ? ` <span class="value-change">(${fit.pooledItemCount} sparse Scarabs pooled)</span>` : ''}</span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">Chi-square:</span>
+        <span class="result-value">χ² = ${fit.chiSquare.statistic.toFixed(2)} (df ${fit.chiSquare.degreesOfFreedom}), p = ${formatPValue(fit.chiSquare.pValue)}</span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">G-test:</span>
+        <span class="result-value">G = ${fit.gTest.statistic.toFixed(2)} (df ${fit.gTest.degreesOfFreedom}), p = ${formatPValue(fit.gTest.pValue)}</span>
+      </div>
+      ${profitCheck ? `
+      <div class="result-item">
+        <span class="result-label">Session Profit:</span>
+        <span class="result-value" style="color: ${getProfitLossColor(profitCheck.profit)};">
+          ${profitCheck.profit >= 0 ? '+' : ''}${profitCheck.profit.toFixed(2)} chaos
+          <span class="value-change">(${(profitCheck.confidence * 100).toFixed(0)}% predicted: ${profitCheck.lower.toFixed(2)} to ${profitCheck.upper.toFixed(2)}, ${profitCheck.withinInterval ? 'within' : 'outside'}; percentile ${(profitCheck.percentile * 100).toFixed(1)}%)</span>
+        </span>
+      </div>
+      ` : ''}
+    </div>
+    ${fit.flagged.length > 0 ? `
+    <div class="event-group fit-flagged">
+      <strong>Implausible Frequencies (${fit.flagged.length}, p &lt; ${(fit.alpha / fit.rows.length).toExponential(1)}):</strong>
+      <ul>
+        ${fit.flagged.map(row => `<li>${row.item.name}: ${row.observed} observed vs ${row.expected.toFixed(1)} expected (${row.direction === 'high' ? 'too often' : 'too rarely'}, p = ${formatPValue(row.pValue)})</li>`).join('')}
+      </ul>
+    </div>
+    ` : ''}
+    ${fit.unexpected.length > 0 ? `
+    <div class="event-group fit-flagged">
+      <strong>Outside the Return Pool (${fit.unexpected.length}):</strong>
+      <ul>
+        ${fit.unexpected.map(({ id, observed }) => `<li>${nameOf(id)}: ${observed} observed</li>`).join('')}
+      </ul>
+    </div>
+    ` : ''}
+  `;
+}
@@ -0,0 +1,103 @@
+/**
+ * Liquidity Panel Component
+ * Volume haircut settings of the threshold settings: on/off, the haircut curve and the default market depth
+ */
+
+import {
+  getLiquidityModel,
+  setLiquidityModel,
+  resetLiquidityModel,
+} from '../services/liquidityService.js';
+import { showErrorToast } from '../utils/toast.js';
+
+/**
+ * Format a fraction as a percentage input value
+ * @param {number} fraction
+ * @returns {string}
+ */
+function toPercent(fraction) {
+  return String(Math.round(fraction * 10000) / 100);
+}
+
+/**
+ * Render the volume haircut panel. Changes are saved right away; the liquidity model notifies its
+ * listeners (see onLiquidityModelChanged), which recalculate the current category.
+ * @param {HTMLElement} container
+ */
+export function renderLiquidityPanel(container) {
+  if (!container) return;
+  const model = getLiquidityModel();
+
+  container.innerHTML = `
+    <div class="drop-log-panel liquidity-panel">
+      <h3>Volume Haircuts</h3>
+      <label class="price-spread-toggle">
+        <input type="checkbox" id="liquidity-enabled" ${model.enabled ? 'checked' : ''}>
+        Value outputs at the price a session's quantity can actually be sold for
+      </label>
+      <p class="price-override-help">
+        The haircut is the average discount when selling a quantity relative to the item's market depth
+        (daily volume, else listing count). Thresholds use the outputs expected over the session's trades;
+        simulations use the scarabs held at the end.
+      </p>
+      <table class="price-override-table price-spread-table liquidity-curve-table">
+        <thead>
+          <tr><th>Quantity ÷ depth</th><th>Haircut (%)</th></tr>
+        </thead>
+        <tbody>
+          ${model.curve.map((point, index) => `
+            <tr data-point-index="${index}">
+              <td><input type="number" class="price-override-input liquidity-ratio-input" min="0" step="any" value="${point.ratio}" aria-label="Quantity relative to market depth"></td>
+              <td><input type="number" class="price-override-input liquidity-haircut-input" min="0" max="100" step="any" value="${toPercent(point.haircut)}" aria-label="Haircut at ${point.ratio} × market depth"></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div class="drop-log-entry">
+        <label for="liquidity-unknown-depth">Depth without volume or listings</label>
+        <input type="number" class="price-override-input" id="liquidity-unknown-depth" min="1" step="1" value="${model.unknownDepth}">
+      </div>
+      <div class="drop-log-actions">
+        <button type="button" class="drop-log-btn" id="liquidity-reset">Reset to defaults</button>
+      </div>
+    </div>
+  `;
+
+  const save = (changes) => {
+    try {
+      setLiquidityModel(changes);
+    } catch (error) {
+      showErrorToast(error.message);
+    }
+    renderLiquidityPanel(container);
+  };
+
+  container.querySelector('#liquidity-enabled')?.addEventListener('change', (e) => {
+    save({ enabled: e.target.checked });
+  });
+
+  container.querySelectorAll('.liquidity-curve-table tbody tr').forEach(row => {
+    const index = Number(row.dataset.pointIndex);
+    const updatePoint = (changes) => {
+      save({ curve: model.curve.map((point, i) => (i === index ? { ...point, ...changes } : point)) });
+    };
+    row.querySelector('.liquidity-ratio-input')?.addEventListener('change', (e) => {
+      if (e.target.value.trim() === '') return renderLiquidityPanel(container);
+      updatePoint({ ratio: Number(e.target.value) });
+    });
+    row.querySelector('.liquidity-haircut-input')?.addEventListener('change', (e) => {
+      if (e.target.value.trim() === '') return renderLiquidityPanel(container);
+      updatePoint({ haircut: Number(e.target.value) / 100 });
+    });
+  });
+
+  container.querySelector('#liquidity-unknown-depth')?.addEventListener('change', (e) => {
+    if (e.target.value.trim() === '') return renderLiquidityPanel(container);
+    save({ unknownDepth: Number(e.target.value) });
+  });
+
+  container.querySelector('#liquidity-reset')?.addEventListener('click', () => {
+    resetLiquidityModel();
+    renderLiquidityPanel(container);
+  });
+}
@@ -0,0 +1,245 @@
+/**
+ * Monte Carlo Panel Component
+ * Batch mode of the simulation page: runs the configured scenario many times and shows the distribution
+ * of final profit as a histogram and the cumulative P/L percentiles over the session as a fan chart
+ */
+
+import { simulationWorkerPool } from '../services/simulationWorkerPool.js';
+import { SIMULATION_CANCELLED_MESSAGE } from '../services/simulationService.js';
+import { validateBatch, getBreakevenProbability, MIN_BATCH_RUNS, MAX_BATCH_RUNS } from '../services/monteCarloService.js';
+import { getProfitLossColor } from '../utils/colorUtils.js';
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 64 };
+
+let currentRunCount = 500;
+let currentBatchJob = null;
+let currentBatchResult = null;
+
+/**
+ * Format chaos for chart labels and results
+ * @param {number} value
+ * @returns {string}
+ */
+function formatChaos(value) {
+  const decimals = Math.abs(value) >= 100 ? 0 : 2;
+  return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}c`;
+}
+
+/**
+ * Format a probability
+ * @param {number} probability - 0-1
+ * @returns {string}
+ */
+function formatPercent(probability) {
+  return `${(probability * 100).toFixed(1)}%`;
+}
+
+/**
+ * Render the Monte Carlo panel
+ * @param {HTMLElement} container - Container element
+ * @param {Function} getScenario - Returns { config, scarabs, threshold } of the configured simulation,
+ *   or null when the configuration is invalid (the simulation panel shows why)
+ */
+export function renderMonteCarloPanel(container, getScenario) {
+  if (!container) {
+    console.error('Monte Carlo panel: missing container');
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="simulation-results monte-carlo-panel">
+      <h3>Monte Carlo Batch</h3>
+      <p class="input-hint">Runs the scenario configured above many times, each with its own seed drawn from the seed above.</p>
+      <div class="configuration-inputs risk-inputs">
+        <div class="input-group">
+          <label for="monte-carlo-runs">Runs:</label>
+          <input type="number" id="monte-carlo-runs" min="${MIN_BATCH_RUNS}" max="${MAX_BATCH_RUNS}" step="1" value="${currentRunCount}">
+          <span class="input-hint">${MIN_BATCH_RUNS} to ${MAX_BATCH_RUNS.toLocaleString()}</span>
+        </div>
+      </div>
+      <div class="simulation-actions-left">
+        <button id="monte-carlo-run" class="run-btn">Run Batch</button>
+        <button id="monte-carlo-cancel" class="cancel-btn" style="display: none;">Cancel</button>
+        <span id="monte-carlo-progress" class="input-hint"></span>
+      </div>
+      <div id="monte-carlo-results"></div>
+    </div>
+  `;
+
+  const runButton = container.querySelector('#monte-carlo-run');
+  const cancelButton = container.querySelector('#monte-carlo-cancel');
+  const progressText = container.querySelector('#monte-carlo-progress');
+  const resultsContainer = container.querySelector('#monte-carlo-results');
+
+  if (currentBatchResult) {
+    resultsContainer.innerHTML = renderBatchResults(currentBatchResult);
+  }
+
+  runButton.addEventListener('click', async () => {
+    if (currentBatchJob) return;
+    const scenario = getScenario();
+    if (!scenario) return;
+
+    currentRunCount = parseInt(container.querySelector('#monte-carlo-runs').value, 10);
+    const validation = validateBatch(scenario.config, currentRunCount);
+    if (!validation.valid) {
+      progressText.textContent = validation.error;
+      return;
+    }
+
+    runButton.disabled = true;
+    cancelButton.style.display = 'inline-block';
+    progressText.textContent = 'Starting…';
+    try {
+      currentBatchJob = simulationWorkerPool.runBatch(scenario.config, scenario.scarabs, currentRunCount, scenario.threshold, {
+        onProgress: (message) => {
+          progressText.textContent = `Run ${message.current.toLocaleString()} of ${message.total.toLocaleString()}`;
+        },
+      });
+      currentBatchResult = await currentBatchJob.promise;
+      progressText.textContent = `${currentBatchResult.runCount.toLocaleString()} runs in ${(currentBatchResult.executionTimeMs / 1000).toFixed(1)}s`;
+      resultsContainer.innerHTML = renderBatchResults(currentBatchResult);
+    } catch (error) {
+      if (error.message === SIMULATION_CANCELLED_MESSAGE) {
+        progressText.textContent = 'Batch cancelled';
+      } else {
+        console.error('Monte Carlo batch error:', error);
+        progressText.textContent = `Batch failed: ${error.message}`;
+      }
+    } finally {
+      currentBatchJob = null;
+      runButton.disabled = false;
+      cancelButton.style.display = 'none';
+    }
+  });
+
+  cancelButton.addEventListener('click', () => {
+    currentBatchJob?.cancel();
+  });
+}
+
+/**
+ * Render batch results: summary, histogram and fan chart
+ * @param {MonteCarloResult} batch
+ * @returns {string} HTML
+ */
+function renderBatchResults(batch) {
+  const transactionCount = batch.configuration.transactionCount;
+  const breakevenTrades = [0.25, 0.5, 0.75, 1].map(share => Math.max(1, Math.round(transactionCount * share)));
+  const percentileRows = batch.percentiles
+    .map(({ percentile, value }) => `<span>P${Math.round(percentile * 100)}: <strong style="color: ${getProfitLossColor(value)};">${formatChaos(value)}</strong></span>`)
+    .join('');
+
+  return `
+    <div class="results-summary">
+      <div class="result-item">
+        <span class="result-label">Runs:</span>
+        <span class="result-value">${batch.runCount.toLocaleString()} <span class="value-change">(batch seed ${batch.seed})</span></span>
+      </div>
+      <div class="result-item highlight">
+        <span class="result-label">Mean Net P/L:</span>
+        <span class="result-value" style="color: ${getProfitLossColor(batch.meanProfitLoss)};">
+          ${formatChaos(batch.meanProfitLoss)} <span class="value-change">(σ ${batch.standardDeviation.toFixed(2)}c)</span>
+        </span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">Probability of Loss:</span>
+        <span class="result-value">${formatPercent(batch.probabilityOfLoss)}</span>
+      </div>
+      ${breakevenTrades.map(tradeNumber => `
+      <div class="result-item">
+        <span class="result-label">Breakeven by Trade ${tradeNumber.toLocaleString()}:</span>
+        <span class="result-value">${formatPercent(getBreakevenProbability(batch, tradeNumber))}</span>
+      </div>
+      `).join('')}
+    </div>
+    <div class="price-history-stats monte-carlo-percentiles">${percentileRows}</div>
+    <h4>Final Net P/L</h4>
+    ${renderHistogram(batch.histogram)}
+    <h4>Cumulative P/L (P5–P95, P25–P75, median)</h4>
+    ${renderFanChart(batch.fan)}
+  `;
+}
+
+/**
+ * Render the final P/L histogram
+ * @param {Array<{ from: number, to: number, count: number }>} bins
+ * @returns {string} SVG
+ */
+function renderHistogram(bins) {
+  const min = bins[0].from;
+  const max = bins[bins.length - 1].to;
+  const range = max - min || 1;
+  const maxCount = Math.max(...bins.map(bin => bin.count));
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+  const toX = value => CHART_PADDING.left + (max === min ? plotWidth / 2 : ((value - min) / range) * plotWidth);
+  const barWidth = max === min ? plotWidth / 10 : plotWidth / bins.length;
+
+  const bars = bins.map(bin => {
+    const height = (bin.count / maxCount) * plotHeight;
+    const x = max === min ? toX(min) - barWidth / 2 : toX(bin.from);
+    const className = bin.to <= 0 ? 'loss' : bin.from >= 0 ? 'profit' : 'even';
+    return `<rect class="monte-carlo-bar ${className}" x="${x.toFixed(1)}" y="${(bottom - height).toFixed(1)}" width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${height.toFixed(1)}"><title>${formatChaos(bin.from)} to ${formatChaos(bin.to)}: ${bin.count} runs</title></rect>`;
+  }).join('');
+  const zeroLine = min < 0 && max > 0
+    ? `<line class="price-history-threshold" x1="${toX(0).toFixed(1)}" x2="${toX(0).toFixed(1)}" y1="${CHART_PADDING.top}" y2="${bottom}" />`
+    : '';
+
+  return `
+    <svg class="price-history-svg monte-carlo-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Histogram of final net profit">
+      <line class="price-history-axis" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${bottom}" y2="${bottom}" />
+      <text class="price-history-label" x="${CHART_PADDING.left - 6}" y="${CHART_PADDING.top + 4}" text-anchor="end">${maxCount} runs</text>
+      <text class="price-history-label" x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 8}" text-anchor="start">${formatChaos(min)}</text>
+      <text class="price-history-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 8}" text-anchor="end">${formatChaos(max)}</text>
+      ${bars}
+      ${zeroLine}
+    </svg>
+  `;
+}
+
+/**
+ * Render the cumulative P/L fan chart
+ * @param {Array<{ tradeNumber: number, values: Array<number> }>} fan - Values at BATCH_PERCENTILES (P5, P25, P50, P75, P95)
+ * @returns {string} SVG
+ */
+function renderFanChart(fan) {
+  const allValues = fan.flatMap(point => point.values).concat(0);
+  const min = Math.min(...allValues);
+  const max = Math.max(...allValues);
+  const range = max - min || 1;
+  const lastTrade = fan[fan.length - 1].tradeNumber;
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+  const points = [{ tradeNumber: 0, values: fan[0].values.map(() => 0) }, ...fan];
+  const toX = tradeNumber => CHART_PADDING.left + (tradeNumber / lastTrade) * plotWidth;
+  const toY = value => CHART_PADDING.top + plotHeight - ((value - min) / range) * plotHeight;
+
+  const band = (lowerIndex, upperIndex) => {
+    const upper = points.map(point => `${toX(point.tradeNumber).toFixed(1)},${toY(point.values[upperIndex]).toFixed(1)}`);
+    const lower = points.slice().reverse().map(point => `${toX(point.tradeNumber).toFixed(1)},${toY(point.values[lowerIndex]).toFixed(1)}`);
+    return `M${upper.join(' L')} L${lower.join(' L')} Z`;
+  };
+  const median = points
+    .map((point, i) => `${i === 0 ? 'M' : 'L'}${toX(point.tradeNumber).toFixed(1)},${toY(point.values[2]).toFixed(1)}`)
+    .join(' ');
+
+  return `
+    <svg class="price-history-svg monte-carlo-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Percentile fan chart of cumulative profit">
+      <line class="price-history-axis" x1="${CHART_PADDING.left}" x2="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" y2="${bottom}" />
+      <line class="price-history-axis" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${bottom}" y2="${bottom}" />
+      <text class="price-history-label" x="${CHART_PADDING.left - 6}" y="${CHART_PADDING.top + 4}" text-anchor="end">${formatChaos(max)}</text>
+      <text class="price-history-label" x="${CHART_PADDING.left - 6}" y="${bottom}" text-anchor="end">${formatChaos(min)}</text>
+      <text class="price-history-label" x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 8}" text-anchor="start">Trade 0</text>
+      <text class="price-history-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 8}" text-anchor="end">Trade ${lastTrade.toLocaleString()}</text>
+      <line class="price-history-threshold" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${toY(0).toFixed(1)}" y2="${toY(0).toFixed(1)}" />
+      <path class="monte-carlo-band outer" d="${band(0, 4)}" />
+      <path class="monte-carlo-band inner" d="${band(1, 3)}" />
+      <path class="price-history-line" d="${median}" />
+    </svg>
+  `;
+}
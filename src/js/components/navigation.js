@@ -4,28 +4,9 @@
  */
 
 import { getRouteUrl } from '../services/router.js';
+import { CATEGORIES } from '../config/categoryRegistry.js';
 import { openDataStatusOverlay } from './dataStatusOverlay.js';
 
-/**
- * Get icon image path for a category
- * @param {string} categoryId - Category ID
- * @returns {string} Image path
- */
-function getCategoryIconPath(categoryId) {
-  const iconMap = {
-    'scarabs': '/assets/images/scarabs/abyss-scarab.png',
-    'essences': '/assets/images/essences/muttering-essence-of-anger.png',
-    'tattoos': '/assets/images/tattoos/journey-tattoo-of-the-body.png',
-    'catalysts': '/assets/images/catalysts/abrasive-catalyst.png',
-    'temple': '/assets/images/Chronicle_of_Atzoatl.png',
-    'fossils': '/assets/images/fossils/aberrant-fossil.png',
-    'oils': '/assets/images/oils/clear-oil.png',
-    'delirium-orbs': '/assets/images/deliriumOrbs/abyssal-delirium-orb.png',
-    'emblems': '/assets/images/legionEmblems/timeless-eternal-emblem.png'
-  };
-  return iconMap[categoryId] || '';
-}
-
 /**
  * Render horizontal navigation bar
  * @param {HTMLElement} container - Container element
@@ -50,26 +31,13 @@ export function renderNavigation(container, currentCategory = 'scarabs', current
     </a>
   `;
 
-  // Generate URLs for each category using the current page
-  const categories = [
-    { id: 'scarabs', label: 'Scarabs' },
-    { id: 'fossils', label: 'Fossils' },
-    { id: 'catalysts', label: 'Catalysts' },
-    { id: 'essences', label: 'Essences' },
-    { id: 'delirium-orbs', label: 'Delirium Orbs' },
-    { id: 'emblems', label: 'Emblems' },
-    { id: 'tattoos', label: 'Tattoos' },
-    { id: 'oils', label: 'Oils' },
-    { id: 'temple', label: 'Temple' }
-  ];
-
-  const navLinks = categories.map(cat => {
+  // Generate URLs for each registered category using the current page
+  const navLinks = CATEGORIES.map(cat => {
     const url = getRouteUrl(cat.id, currentPage);
     const isActive = currentCategory === cat.id;
-    const iconPath = getCategoryIconPath(cat.id);
     return `<a href="${url}" class="nav-link ${isActive ? 'active' : ''}" 
            aria-label="${cat.label}">
-          <img src="${iconPath}" alt="${cat.label}" class="nav-link-icon" onerror="this.style.display='none'">
+          <img src="${cat.icon}" alt="${cat.label}" class="nav-link-icon" onerror="this.style.display='none'">
           ${cat.label}
         </a>`;
   }).join('');
@@ -0,0 +1,144 @@
+/**
+ * Price History Chart Component
+ * Line chart of an item's recorded prices, shown in the price history overlay
+ */
+
+import { getItemPriceHistory, getPriceChange } from '../services/priceHistoryService.js';
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 56 };
+
+/**
+ * Format a price for chart labels
+ * @param {number} value
+ * @param {string} currency - 'chaos' or 'divine'
+ * @returns {string}
+ */
+function formatChartPrice(value, currency) {
+  const suffix = currency === 'divine' ? 'div' : 'c';
+  const decimals = Math.abs(value) >= 100 ? 0 : Math.abs(value) >= 1 ? 2 : 4;
+  return `${value.toFixed(decimals)}${suffix}`;
+}
+
+/**
+ * Format a timestamp for chart labels
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatChartDate(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} ${date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+/**
+ * Render a price history chart
+ * @param {HTMLElement} container
+ * @param {Array<{ timestamp: number, chaosValue: number|null, divineValue: number|null }>} series
+ * @param {Object} [options] - { currency = 'chaos', threshold = null } (threshold in the chart currency)
+ */
+export function renderPriceHistoryChart(container, series, options = {}) {
+  if (!container) return;
+  const { currency = 'chaos', threshold = null } = options;
+  const field = currency === 'divine' ? 'divineValue' : 'chaosValue';
+  const points = (series || []).filter(point => typeof point[field] === 'number');
+
+  if (points.length < 2) {
+    container.innerHTML = `
+      <div class="price-history-empty">
+        Not enough price history yet (${points.length} recorded price${points.length === 1 ? '' : 's'}).
+        Prices are recorded each time they are refreshed.
+      </div>
+    `;
+    return;
+  }
+
+  const values = points.map(point => point[field]);
+  const hasThreshold = typeof threshold === 'number' && Number.isFinite(threshold);
+  const min = Math.min(...values, ...(hasThreshold ? [threshold] : []));
+  const max = Math.max(...values, ...(hasThreshold ? [threshold] : []));
+  const range = max - min || 1;
+  const start = points[0].timestamp;
+  const span = points[points.length - 1].timestamp - start || 1;
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const toX = timestamp => CHART_PADDING.left + ((timestamp - start) / span) * plotWidth;
+  const toY = value => CHART_PADDING.top + (max === min ? plotHeight / 2 : plotHeight - ((value - min) / range) * plotHeight);
+
+  const path = points
+    .map((point, i) => `${i === 0 ? 'M' : 'L'}${toX(point.timestamp).toFixed(1)},${toY(point[field]).toFixed(1)}`)
+    .join(' ');
+  const dots = points
+    .map(point => `<circle cx="${toX(point.timestamp).toFixed(1)}" cy="${toY(point[field]).toFixed(1)}" r="2.5"><title>${formatChartDate(point.timestamp)}: ${formatChartPrice(point[field], currency)}</title></circle>`)
+    .join('');
+  const thresholdLine = hasThreshold
+    ? `<line class="price-history-threshold" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${toY(threshold).toFixed(1)}" y2="${toY(threshold).toFixed(1)}" /><text class="price-history-threshold-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${(toY(threshold) - 4).toFixed(1)}" text-anchor="end">Threshold ${formatChartPrice(threshold, currency)}</text>`
+    : '';
+  const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+
+  const change = getPriceChange(points, field);
+  const percent = change.changePercent === null ? '' : ` (${change.changePercent >= 0 ? '+' : ''}${(change.changePercent * 100).toFixed(1)}%)`;
+
+  container.innerHTML = `
+    <svg class="price-history-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Price history chart">
+      <line class="price-history-axis" x1="${CHART_PADDING.left}" x2="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" y2="${bottom}" />
+      <line class="price-history-axis" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${bottom}" y2="${bottom}" />
+      <text class="price-history-label" x="${CHART_PADDING.left - 6}" y="${CHART_PADDING.top + 4}" text-anchor="end">${formatChartPrice(max, currency)}</text>
+      <text class="price-history-label" x="${CHART_PADDING.left - 6}" y="${bottom}" text-anchor="end">${formatChartPrice(min, currency)}</text>
+      <text class="price-history-label" x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 8}" text-anchor="start">${formatChartDate(start)}</text>
+      <text class="price-history-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 8}" text-anchor="end">${formatChartDate(points[points.length - 1].timestamp)}</text>
+      ${thresholdLine}
+      <path class="price-history-line" d="${path}" />
+      <g class="price-history-points">${dots}</g>
+    </svg>
+    <div class="price-history-stats">
+      <span>Now: <strong>${formatChartPrice(change.last, currency)}</strong></span>
+      <span>Change: <strong class="trend-${change.change > 0 ? 'up' : change.change < 0 ? 'down' : 'flat'}">${change.change >= 0 ? '+' : ''}${formatChartPrice(change.change, currency)}${percent}</strong></span>
+      <span>Low: <strong>${formatChartPrice(change.min, currency)}</strong></span>
+      <span>High: <strong>${formatChartPrice(change.max, currency)}</strong></span>
+      <span>Points: <strong>${points.length}</strong></span>
+    </div>
+  `;
+}
+
+/**
+ * Close the price history overlay
+ */
+export function closePriceHistoryChart() {
+  const overlay = document.getElementById('price-history-overlay');
+  if (overlay) {
+    overlay.classList.remove('active');
+    document.body.style.overflow = '';
+  }
+}
+
+/**
+ * Open the price history overlay for an item
+ * @param {Object} item - Item with id (or detailsId), name and optionally threshold (chaos)
+ * @param {string} itemType - Price type id
+ * @param {string} currency - 'chaos' or 'divine'
+ */
+export function openPriceHistoryChart(item, itemType, currency = 'chaos') {
+  const overlay = document.getElementById('price-history-overlay');
+  const chart = document.getElementById('price-history-chart');
+  const title = document.getElementById('price-history-title');
+  if (!overlay || !chart) return;
+
+  if (title) title.textContent = `${item.name} — Price History`;
+  const threshold = currency === 'chaos' && typeof item.threshold === 'number' ? item.threshold : null;
+  renderPriceHistoryChart(chart, getItemPriceHistory(itemType, item.id || item.detailsId), { currency, threshold });
+
+  if (!overlay.dataset.listenersAttached) {
+    overlay.dataset.listenersAttached = 'true';
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closePriceHistoryChart();
+    });
+    document.getElementById('close-price-history-overlay')?.addEventListener('click', closePriceHistoryChart);
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && overlay.classList.contains('active')) closePriceHistoryChart();
+    });
+  }
+
+  overlay.classList.add('active');
+  document.body.style.overflow = 'hidden';
+}
@@ -0,0 +1,139 @@
+/**
+ * Price History Panel Component
+ * Recalculates the current category's threshold at a recorded price snapshot and lists the items
+ * whose profitability changed since then
+ */
+
+import { getPriceSnapshots } from '../services/priceHistoryService.js';
+import { calculateThresholdAtSnapshot } from '../services/historicalThresholdService.js';
+import { getCategory } from '../config/categoryRegistry.js';
+
+function escapeHtml(s) {
+  if (!s) return '';
+  const div = document.createElement('div');
+  div.textContent = s;
+  return div.innerHTML;
+}
+
+/**
+ * Format a chaos threshold
+ * @param {number|null|undefined} value
+ * @returns {string}
+ */
+function formatThreshold(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? `${value.toFixed(2)}c` : 'N/A';
+}
+
+/**
+ * Render the threshold comparison of a historical result
+ * @param {Object} result - From calculateThresholdAtSnapshot
+ * @param {Object|Map|null} currentThreshold - Current threshold (a reroll group's for single-group markets), or
+ *   Map of reroll group -> threshold
+ * @returns {string} HTML
+ */
+function renderThresholdComparison(result, currentThreshold) {
+  if (result.threshold) {
+    return `
+      <div class="price-history-compare-row">
+        <span>Threshold then: <strong>${formatThreshold(result.threshold.value)}</strong></span>
+        <span>Now: <strong>${formatThreshold(currentThreshold?.value)}</strong></span>
+      </div>
+    `;
+  }
+
+  const rows = [...result.thresholds.values()].map(then => {
+    const now = currentThreshold instanceof Map
+      ? currentThreshold.get(then.rerollGroup)
+      : currentThreshold?.rerollGroup === then.rerollGroup ? currentThreshold : null;
+    return `
+      <div class="price-history-compare-row">
+        <span class="price-history-group">${escapeHtml(then.rerollGroup)}</span>
+        <span>Then: <strong>${formatThreshold(then.value)}</strong></span>
+        <span>Now: <strong>${formatThreshold(now?.value)}</strong></span>
+      </div>
+    `;
+  });
+  return rows.join('');
+}
+
+/**
+ * Render the items whose profitability status changed
+ * @param {Array<{ name: string, then: string, now: string }>} statusChanges
+ * @returns {string} HTML
+ */
+function renderStatusChanges(statusChanges) {
+  const becameProfitable = statusChanges.filter(change => change.now === 'profitable');
+  const stoppedProfitable = statusChanges.filter(change => change.then === 'profitable');
+  if (becameProfitable.length === 0 && stoppedProfitable.length === 0) {
+    return '<div class="threshold-meta"><span>No item changed between profitable and not profitable</span></div>';
+  }
+
+  const renderList = (title, changes, className) => changes.length === 0 ? '' : `
+    <div class="price-history-changes ${className}">
+      <div class="price-history-changes-title">${title} (${changes.length})</div>
+      <ul>${changes.map(change => `<li>${escapeHtml(change.name)}</li>`).join('')}</ul>
+    </div>
+  `;
+  return renderList('Now profitable', becameProfitable, 'trend-up') +
+    renderList('No longer profitable', stoppedProfitable, 'trend-down');
+}
+
+/**
+ * Render the price history panel
+ * @param {HTMLElement} container - Container element
+ * @param {string} categoryId - Category with a reroll rule
+ * @param {Array<Object>} items - Current items of the category (with profitabilityStatus)
+ * @param {Object|Map|null} currentThreshold - Current threshold (a reroll group's for single-group markets), or
+ *   Map of reroll group -> threshold
+ * @param {Object} [thresholdOptions] - Options for calculateRerollThreshold (pooled markets)
+ */
+export function renderPriceHistoryPanel(container, categoryId, items, currentThreshold, thresholdOptions = {}) {
+  if (!container) {
+    console.error('Price history panel: missing container');
+    return;
+  }
+
+  const category = getCategory(categoryId);
+  const snapshots = getPriceSnapshots(category.priceTypes[0].id);
+  if (snapshots.length === 0 || items.length === 0) {
+    container.innerHTML = `
+      <div class="price-history-panel">
+        <h3>Price History</h3>
+        <div class="threshold-meta"><span>No price snapshots recorded for this league yet</span></div>
+      </div>
+    `;
+    return;
+  }
+
+  const options = [...snapshots].reverse().map(snapshot =>
+    `<option value="${snapshot.timestamp}">${new Date(snapshot.timestamp).toLocaleString()}</option>`
+  );
+  container.innerHTML = `
+    <div class="price-history-panel">
+      <h3>Price History</h3>
+      <div class="trade-mode-selector">
+        <label for="price-history-snapshot">Threshold at:</label>
+        <select id="price-history-snapshot" class="trade-mode-select">${options.join('')}</select>
+        <div class="trade-mode-description">
+          ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'} recorded; ${escapeHtml(category.label)}
+          are recalculated with the prices of the selected snapshot
+        </div>
+      </div>
+      <div id="price-history-result"></div>
+    </div>
+  `;
+
+  const select = container.querySelector('#price-history-snapshot');
+  const resultContainer = container.querySelector('#price-history-result');
+  const update = () => {
+    try {
+      const result = calculateThresholdAtSnapshot(categoryId, items, Number(select.value), { thresholdOptions });
+      resultContainer.innerHTML = renderThresholdComparison(result, currentThreshold) + renderStatusChanges(result.statusChanges);
+    } catch (error) {
+      console.warn('Unable to calculate historical threshold:', error);
+      resultContainer.innerHTML = `<div class="threshold-meta"><span>${escapeHtml(error.message)}</span></div>`;
+    }
+  };
+  select.addEventListener('change', update);
+  update();
+}
@@ -0,0 +1,277 @@
+/**
+ * Price Override Editor Component
+ * Override buttons and badges for list rows, the override table of a category (price override overlay)
+ * and export/import of all overrides
+ */
+
+import { getCategory } from '../config/categoryRegistry.js';
+import { REROLL_RULES } from '../services/rerollRules.js';
+import { getRerollCurrencyId } from '../services/historicalThresholdService.js';
+import { loadItemTypePrices } from '../services/dataService.js';
+import {
+  getPriceOverrides,
+  setPriceOverride,
+  clearPriceOverride,
+  clearPriceOverrides,
+  countPriceOverrides,
+  exportPriceOverrides,
+  importPriceOverrides,
+} from '../services/priceOverrideService.js';
+import { showErrorToast, showSuccessToast } from '../utils/toast.js';
+
+/**
+ * Escape HTML special characters
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+/**
+ * Format a chaos price for the override table
+ * @param {number|null} value
+ * @returns {string}
+ */
+function formatChaos(value) {
+  if (value === null || value === undefined) return '—';
+  return `${value.toFixed(value >= 100 ? 0 : 2)}c`;
+}
+
+/**
+ * Render the override button of a list row, with a badge when the item's price is overridden
+ * @param {Object} item - Item with id and priceOverride (see applyPriceOverrides)
+ * @returns {string} HTML
+ */
+export function renderPriceOverrideButton(item) {
+  if (!item?.id) return '';
+  const override = item.priceOverride;
+  const badge = override
+    ? `<span class="price-override-badge" title="Manual price override (feed: ${formatChaos(override.feedChaosValue)})">override</span>`
+    : '';
+  const label = override ? 'Edit price override' : 'Override price';
+  return `${badge}<button type="button" class="price-override-btn" data-item-id="${escapeHtml(item.id)}" title="${label}" aria-label="${label}">✎</button>`;
+}
+
+/**
+ * Open the override table when an override button in a container is clicked
+ * @param {HTMLElement} container
+ * @param {string} categoryId - Category of the listed items
+ * @param {Function} getItems - () => current items of the category
+ */
+export function setupPriceOverrideListeners(container, categoryId, getItems) {
+  container.querySelectorAll('.price-override-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openPriceOverrideEditor(categoryId, getItems(), button.dataset.itemId);
+    });
+  });
+}
+
+/**
+ * Get the reroll currency row of a category's override table (e.g. Primal Crystallised Lifeforce)
+ * @param {string} categoryId
+ * @returns {Promise<Object|null>} Row { itemType, id, name, feedChaosValue }
+ */
+async function getRerollCurrencyRow(categoryId) {
+  const rule = REROLL_RULES[categoryId];
+  const currencyId = rule ? getRerollCurrencyId(rule) : null;
+  if (!currencyId) return null;
+
+  const prices = await loadItemTypePrices('lifeforce').catch(() => []);
+  const price = prices.find(entry => entry.detailsId === currencyId);
+  return { itemType: 'lifeforce', id: currencyId, name: rule.rerollCost.itemName, feedChaosValue: price?.chaosValue ?? null };
+}
+
+/**
+ * Render the override table of a category
+ * @param {HTMLElement} container
+ * @param {string} categoryId
+ * @param {Array<Object>} items - Items of the category (id, name, chaosValue, priceOverride)
+ * @param {Array<Object>} [extraRows] - Rows of other price types { itemType, id, name, feedChaosValue }
+ *   (e.g. the reroll currency)
+ * @param {string|null} [focusItemId] - Item whose input gets the focus
+ */
+export function renderPriceOverrideTable(container, categoryId, items, extraRows = [], focusItemId = null) {
+  if (!container) return;
+  const category = getCategory(categoryId);
+  const itemType = category.priceTypes[0].id;
+  const rows = [
+    ...extraRows,
+    ...[...items]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(item => ({
+        itemType,
+        id: item.id,
+        name: item.name,
+        feedChaosValue: item.priceOverride ? item.priceOverride.feedChaosValue : (item.chaosValue ?? null),
+      })),
+  ];
+  const itemTypes = [...new Set(rows.map(row => row.itemType))];
+  const overridesByType = new Map(itemTypes.map(type => [type, getPriceOverrides(type)]));
+  const activeCount = itemTypes.reduce((count, type) => count + Object.keys(overridesByType.get(type)).length, 0);
+
+  container.innerHTML = `
+    <div class="price-override-panel">
+      <p class="price-override-help">
+        Overrides replace the feed price (in chaos) in every calculation for the selected league.
+        Leave a field empty to use the feed price again.
+      </p>
+      <div class="drop-log-actions">
+        <button type="button" class="drop-log-btn" id="price-override-export">Export</button>
+        <label class="drop-log-btn drop-log-import">
+          Import
+          <input type="file" id="price-override-file" accept=".json,application/json" hidden>
+        </label>
+        <button type="button" class="drop-log-btn" id="price-override-clear" ${activeCount === 0 ? 'disabled' : ''}>Clear ${category.label}</button>
+      </div>
+      <table class="price-override-table">
+        <thead>
+          <tr><th>Item</th><th>Feed</th><th>Override (c)</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => {
+            const override = overridesByType.get(row.itemType)[row.id];
+            return `
+              <tr class="${override ? 'is-overridden' : ''}" data-item-type="${row.itemType}" data-item-id="${escapeHtml(row.id)}">
+                <td>${escapeHtml(row.name)}</td>
+                <td>${formatChaos(row.feedChaosValue)}</td>
+                <td><input type="number" class="price-override-input" min="0" step="any" value="${override ? override.chaosValue : ''}" aria-label="${escapeHtml(row.name)} override price"></td>
+                <td><button type="button" class="price-override-reset" title="Use the feed price" ${override ? '' : 'disabled'}>×</button></td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  const rerender = () => renderPriceOverrideTable(container, categoryId, items, extraRows);
+
+  container.querySelectorAll('.price-override-table tbody tr').forEach(row => {
+    const { itemType: rowType, itemId } = row.dataset;
+    const name = row.cells[0].textContent;
+    row.querySelector('.price-override-input')?.addEventListener('change', (e) => {
+      const value = e.target.value.trim();
+      try {
+        if (value === '') {
+          clearPriceOverride(rowType, itemId);
+        } else {
+          setPriceOverride(rowType, itemId, Number(value), { name });
+        }
+        rerender();
+      } catch (error) {
+        showErrorToast(error.message);
+      }
+    });
+    row.querySelector('.price-override-reset')?.addEventListener('click', () => {
+      clearPriceOverride(rowType, itemId);
+      rerender();
+    });
+  });
+
+  container.querySelector('#price-override-export')?.addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify(exportPriceOverrides(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'price-overrides.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  container.querySelector('#price-override-file')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const imported = importPriceOverrides(JSON.parse(await file.text()));
+      showSuccessToast(`Imported ${imported} price overrides`);
+      rerender();
+    } catch (error) {
+      console.error('Error importing price overrides:', error);
+      showErrorToast(error instanceof SyntaxError ? 'The file is not valid JSON' : error.message);
+    }
+  });
+
+  container.querySelector('#price-override-clear')?.addEventListener('click', () => {
+    if (!confirm(`Clear all ${activeCount} price overrides of ${category.label} in this league?`)) return;
+    clearPriceOverrides(itemTypes);
+    rerender();
+  });
+
+  if (focusItemId) {
+    const input = [...container.querySelectorAll('.price-override-table tbody tr')]
+      .find(row => row.dataset.itemId === focusItemId)
+      ?.querySelector('.price-override-input');
+    input?.scrollIntoView?.({ block: 'center' });
+    input?.focus();
+  }
+}
+
+/**
+ * Close the price override overlay
+ */
+export function closePriceOverrideEditor() {
+  const overlay = document.getElementById('price-override-overlay');
+  if (overlay) {
+    overlay.classList.remove('active');
+    document.body.style.overflow = '';
+  }
+}
+
+/**
+ * Open the price override overlay for a category
+ * @param {string} categoryId
+ * @param {Array<Object>} items - Items of the category
+ * @param {string|null} [focusItemId] - Item whose input gets the focus
+ */
+export async function openPriceOverrideEditor(categoryId, items, focusItemId = null) {
+  const overlay = document.getElementById('price-override-overlay');
+  const content = document.getElementById('price-override-content');
+  const title = document.getElementById('price-override-title');
+  if (!overlay || !content) return;
+
+  if (title) title.textContent = `${getCategory(categoryId).label} — Price Overrides`;
+  const currencyRow = await getRerollCurrencyRow(categoryId);
+  renderPriceOverrideTable(content, categoryId, items, currencyRow ? [currencyRow] : [], focusItemId);
+
+  if (!overlay.dataset.listenersAttached) {
+    overlay.dataset.listenersAttached = 'true';
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closePriceOverrideEditor();
+    });
+    document.getElementById('close-price-override-overlay')?.addEventListener('click', closePriceOverrideEditor);
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && overlay.classList.contains('active')) closePriceOverrideEditor();
+    });
+  }
+
+  overlay.classList.add('active');
+  document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Render the override summary of the threshold settings (count and a button opening the table)
+ * @param {HTMLElement} container
+ * @param {string} categoryId
+ * @param {Array<Object>} items - Items of the category
+ */
+export function renderPriceOverrideSummary(container, categoryId, items) {
+  if (!container) return;
+  const count = countPriceOverrides();
+  container.innerHTML = `
+    <div class="drop-log-panel price-override-summary">
+      <h3>Price Overrides</h3>
+      <div class="threshold-meta">
+        <span>${count} override${count === 1 ? '' : 's'} active in this league</span>
+      </div>
+      <div class="drop-log-actions">
+        <button type="button" class="drop-log-btn" id="open-price-overrides">Edit price overrides</button>
+      </div>
+    </div>
+  `;
+  container.querySelector('#open-price-overrides')?.addEventListener('click', () => {
+    openPriceOverrideEditor(categoryId, items);
+  });
+}
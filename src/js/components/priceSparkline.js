@@ -0,0 +1,112 @@
+/**
+ * Price Sparkline Component
+ * Inline trend line of an item's recorded prices for list rows and tooltips
+ */
+
+import { getItemPriceHistory, getPriceChange } from '../services/priceHistoryService.js';
+import { openPriceHistoryChart } from './priceHistoryChart.js';
+
+const SPARKLINE_WIDTH = 60;
+const SPARKLINE_HEIGHT = 16;
+
+/**
+ * Changes smaller than this (relative) are shown as flat
+ */
+const FLAT_CHANGE = 0.02;
+
+/**
+ * Build the SVG path of a series scaled into a box
+ * @param {Array<number>} values
+ * @param {number} width
+ * @param {number} height
+ * @returns {string} Path data ('' with fewer than two values)
+ */
+export function buildSparklinePath(values, width, height) {
+  if (!values || values.length < 2) return '';
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const step = width / (values.length - 1);
+  return values
+    .map((value, i) => {
+      const x = i * step;
+      const y = max === min ? height / 2 : height - ((value - min) / range) * height;
+      return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Get the trend class of a price change
+ * @param {Object|null} change - From getPriceChange
+ * @returns {'up'|'down'|'flat'}
+ */
+export function getTrendDirection(change) {
+  if (!change || change.changePercent === null || Math.abs(change.changePercent) < FLAT_CHANGE) return 'flat';
+  return change.change > 0 ? 'up' : 'down';
+}
+
+/**
+ * Format a relative price change
+ * @param {Object|null} change - From getPriceChange
+ * @returns {string} e.g. '+12.5%' ('' without a change)
+ */
+export function formatPriceChange(change) {
+  if (!change || change.changePercent === null) return '';
+  const percent = change.changePercent * 100;
+  return `${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+/**
+ * Render the sparkline of an item's recorded prices
+ * @param {string} itemType - Price type id (e.g. 'scarab')
+ * @param {string} itemId - Item id
+ * @param {string} currency - 'chaos' or 'divine'
+ * @returns {string} SVG HTML, or '' with fewer than two recorded prices
+ */
+export function renderPriceSparkline(itemType, itemId, currency = 'chaos') {
+  if (!itemId) return '';
+  const field = currency === 'divine' ? 'divineValue' : 'chaosValue';
+  const series = getItemPriceHistory(itemType, itemId);
+  const values = series.map(point => point[field]).filter(value => typeof value === 'number');
+  const path = buildSparklinePath(values, SPARKLINE_WIDTH, SPARKLINE_HEIGHT);
+  if (!path) return '';
+
+  const change = getPriceChange(series, field);
+  const direction = getTrendDirection(change);
+  const title = `${values.length} recorded prices, ${formatPriceChange(change)} — click for history`;
+  return `<svg class="price-sparkline trend-${direction}" data-item-id="${itemId}" width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}" viewBox="-1 -1 ${SPARKLINE_WIDTH + 2} ${SPARKLINE_HEIGHT + 2}" role="img" aria-label="${title}"><title>${title}</title><path d="${path}" /></svg>`;
+}
+
+/**
+ * Render an item's price trend for a tooltip (sparkline plus change)
+ * @param {string} itemType - Price type id
+ * @param {string} itemId - Item id
+ * @returns {string} HTML, or '' without enough history
+ */
+export function renderTooltipTrend(itemType, itemId) {
+  const sparkline = renderPriceSparkline(itemType, itemId, 'chaos');
+  if (!sparkline) return '';
+  const change = getPriceChange(getItemPriceHistory(itemType, itemId));
+  return `<div class="tooltip-trend">${sparkline}<span class="tooltip-trend-change trend-${getTrendDirection(change)}">${formatPriceChange(change)}</span></div>`;
+}
+
+/**
+ * Open the history chart when a sparkline in a container is clicked
+ * @param {HTMLElement} container
+ * @param {Function} getItem - itemId => item (with name)
+ * @param {string} itemType - Price type id
+ * @param {string} currency - 'chaos' or 'divine'
+ */
+export function setupSparklineListeners(container, getItem, itemType, currency) {
+  container.querySelectorAll('.price-sparkline').forEach(sparkline => {
+    sparkline.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const item = getItem(sparkline.dataset.itemId);
+      if (item) {
+        openPriceHistoryChart(item, itemType, currency);
+      }
+    });
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Price Spread Panel Component
+ * Bid/ask pricing settings of the threshold settings: on/off and the spread per listing count tier
+ */
+
+import {
+  getSpreadModel,
+  setSpreadModel,
+  resetSpreadModel,
+} from '../services/priceSpreadService.js';
+import { showErrorToast } from '../utils/toast.js';
+
+/**
+ * Format a spread fraction as a percentage input value
+ * @param {number} spread
+ * @returns {string}
+ */
+function toPercent(spread) {
+  return String(Math.round(spread * 10000) / 100);
+}
+
+/**
+ * Render the bid/ask pricing panel. Changes are saved right away; the spread model notifies its
+ * listeners (see onSpreadModelChanged), which recalculate the current category.
+ * @param {HTMLElement} container
+ */
+export function renderPriceSpreadPanel(container) {
+  if (!container) return;
+  const model = getSpreadModel();
+
+  container.innerHTML = `
+    <div class="drop-log-panel price-spread-panel">
+      <h3>Bid/Ask Pricing</h3>
+      <label class="price-spread-toggle">
+        <input type="checkbox" id="price-spread-enabled" ${model.enabled ? 'checked' : ''}>
+        Buy inputs at the ask and sell returns at the bid
+      </label>
+      <p class="price-override-help">
+        Buy and sell prices quoted by the price source are used as is. Otherwise they are derived from the
+        price with the spread of the item's listing count: buy = price × (1 + spread / 2), sell = price × (1 − spread / 2).
+      </p>
+      <table class="price-override-table price-spread-table">
+        <thead>
+          <tr><th>Listings</th><th>Spread (%)</th></tr>
+        </thead>
+        <tbody>
+          ${model.tiers.map((tier, index) => `
+            <tr data-tier-index="${index}">
+              <td>≥ ${tier.minListings}</td>
+              <td><input type="number" class="price-override-input price-spread-input" min="0" max="199" step="any" value="${toPercent(tier.spread)}" aria-label="Spread at ${tier.minListings} or more listings"></td>
+            </tr>
+          `).join('')}
+          <tr data-tier-index="unknown">
+            <td>Unknown</td>
+            <td><input type="number" class="price-override-input price-spread-input" min="0" max="199" step="any" value="${toPercent(model.unknownListingsSpread)}" aria-label="Spread without a listing count"></td>
+          </tr>
+        </tbody>
+      </table>
+      <div class="drop-log-actions">
+        <button type="button" class="drop-log-btn" id="price-spread-reset">Reset to defaults</button>
+      </div>
+    </div>
+  `;
+
+  const save = (changes) => {
+    try {
+      setSpreadModel(changes);
+    } catch (error) {
+      showErrorToast(error.message);
+    }
+    renderPriceSpreadPanel(container);
+  };
+
+  container.querySelector('#price-spread-enabled')?.addEventListener('change', (e) => {
+    save({ enabled: e.target.checked });
+  });
+
+  container.querySelectorAll('.price-spread-table tbody tr').forEach(row => {
+    row.querySelector('.price-spread-input')?.addEventListener('change', (e) => {
+      if (e.target.value.trim() === '') {
+        renderPriceSpreadPanel(container);
+        return;
+      }
+      const spread = Number(e.target.value) / 100;
+      const { tierIndex } = row.dataset;
+      if (tierIndex === 'unknown') {
+        save({ unknownListingsSpread: spread });
+        return;
+      }
+      const tiers = model.tiers.map((tier, index) => (index === Number(tierIndex) ? { ...tier, spread } : tier));
+      save({ tiers });
+    });
+  });
+
+  container.querySelector('#price-spread-reset')?.addEventListener('click', () => {
+    resetSpreadModel();
+    renderPriceSpreadPanel(container);
+  });
+}
@@ -0,0 +1,175 @@
+/**
+ * Risk Panel Component
+ * Bankroll and risk-of-ruin calculator for vendor sessions
+ */
+
+import { calculateThreshold, CALCULATION_METHODS } from '../services/calculationService.js';
+import { getTradeOutcomes, calculateRiskOfRuin, DEFAULT_RUIN_PROBABILITY } from '../services/riskService.js';
+import { getProfitLossColor } from '../utils/colorUtils.js';
+
+/** Input strategies (values match the threshold trade modes) */
+const INPUT_STRATEGIES = [
+  { value: 'returnable', label: 'Buy Inputs', description: 'Inputs bought at the cost below (default: 3 × threshold); any Scarab can be returned' },
+  { value: 'lowest_value', label: 'Lowest Value', description: 'Three of the lowest value Scarab, excluded from the return pool' },
+  { value: 'optimal_combination', label: 'Optimal Combination', description: 'Three of the best value-to-weight Scarab, excluded from the return pool' },
+  { value: 'optimal_mix', label: 'Optimal Input Mix', description: 'Most profitable mix of up to three distinct inputs, each excluded from the return pool' },
+];
+
+let currentSettings = {
+  budget: 1000,
+  tradeCount: 1000,
+  inputStrategy: 'returnable',
+  inputCost: null, // null = strategy default
+  targetRuinPercent: DEFAULT_RUIN_PROBABILITY * 100,
+};
+
+/**
+ * Get the threshold whose trade mode matches the input strategy
+ * @param {Array<Scarab>} scarabs
+ * @param {ExpectedValueThreshold} threshold - Current threshold
+ * @param {string} inputStrategy
+ * @returns {ExpectedValueThreshold}
+ */
+function getStrategyThreshold(scarabs, threshold, inputStrategy) {
+  if (threshold.tradeMode === inputStrategy) return threshold;
+  // Only the return pool and input cost are used, so the cheap normal approximation is enough
+  return calculateThreshold(
+    scarabs,
+    threshold.confidencePercentile ?? 0.9,
+    threshold.numberOfTrades ?? 10000,
+    inputStrategy,
+    CALCULATION_METHODS.NORMAL,
+    threshold.poolOptions ?? undefined
+  );
+}
+
+/**
+ * Render the risk panel
+ * @param {HTMLElement} container - Container element
+ * @param {Array<Scarab>} scarabs - All Scarabs
+ * @param {ExpectedValueThreshold|null} threshold - Current threshold (pool options and confidence)
+ */
+export function renderRiskPanel(container, scarabs, threshold) {
+  if (!container) {
+    console.error('Risk panel: missing container');
+    return;
+  }
+
+  if (!threshold) {
+    container.innerHTML = '<div class="simulation-results risk-panel"><h3>Bankroll &amp; Risk of Ruin</h3><p class="loading-text">Threshold not available yet.</p></div>';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="simulation-results risk-panel">
+      <h3>Bankroll &amp; Risk of Ruin</h3>
+      <div class="configuration-inputs risk-inputs">
+        <div class="input-group">
+          <label for="risk-budget">Starting Budget (c):</label>
+          <input type="number" id="risk-budget" min="0" step="any" value="${currentSettings.budget}">
+        </div>
+        <div class="input-group">
+          <label for="risk-trade-count">Trades:</label>
+          <input type="number" id="risk-trade-count" min="1" max="1000000" step="1" value="${currentSettings.tradeCount}">
+        </div>
+        <div class="input-group">
+          <label for="risk-input-strategy">Input Strategy:</label>
+          <select id="risk-input-strategy">
+            ${INPUT_STRATEGIES.map(opt =>
+              `<option value="${opt.value}" ${currentSettings.inputStrategy === opt.value ? 'selected' : ''} title="${opt.description}">${opt.label}</option>`
+            ).join('')}
+          </select>
+          <span class="input-hint">${INPUT_STRATEGIES.find(opt => opt.value === currentSettings.inputStrategy)?.description || ''}</span>
+        </div>
+        <div class="input-group">
+          <label for="risk-input-cost">Input Cost per Trade (c):</label>
+          <input type="number" id="risk-input-cost" min="0" step="any" value="${currentSettings.inputCost ?? ''}" placeholder="Strategy default">
+        </div>
+        <div class="input-group">
+          <label for="risk-target">Target Ruin (%):</label>
+          <input type="number" id="risk-target" min="0.01" max="99.99" step="any" value="${currentSettings.targetRuinPercent}">
+        </div>
+      </div>
+      <div class="simulation-actions-left">
+        <button id="risk-calculate" class="run-btn">Calculate Risk</button>
+      </div>
+      <div id="risk-results"></div>
+    </div>
+  `;
+
+  const readSettings = () => {
+    const budget = parseFloat(container.querySelector('#risk-budget').value);
+    const tradeCount = parseInt(container.querySelector('#risk-trade-count').value, 10);
+    const inputCost = parseFloat(container.querySelector('#risk-input-cost').value);
+    const targetRuinPercent = parseFloat(container.querySelector('#risk-target').value);
+    currentSettings = {
+      budget: Number.isFinite(budget) ? budget : currentSettings.budget,
+      tradeCount: Number.isFinite(tradeCount) ? tradeCount : currentSettings.tradeCount,
+      inputStrategy: container.querySelector('#risk-input-strategy').value,
+      inputCost: Number.isFinite(inputCost) && inputCost >= 0 ? inputCost : null,
+      targetRuinPercent: Number.isFinite(targetRuinPercent) ? targetRuinPercent : currentSettings.targetRuinPercent,
+    };
+  };
+
+  container.querySelector('#risk-input-strategy')?.addEventListener('change', () => {
+    readSettings();
+    renderRiskPanel(container, scarabs, threshold);
+  });
+
+  container.querySelector('#risk-calculate')?.addEventListener('click', () => {
+    readSettings();
+    const resultsContainer = container.querySelector('#risk-results');
+    try {
+      const strategyThreshold = getStrategyThreshold(scarabs, threshold, currentSettings.inputStrategy);
+      const outcomes = getTradeOutcomes(scarabs, strategyThreshold, currentSettings.inputCost);
+      const risk = calculateRiskOfRuin(outcomes, {
+        budget: currentSettings.budget,
+        tradeCount: currentSettings.tradeCount,
+        targetRuinProbability: currentSettings.targetRuinPercent / 100,
+      });
+      resultsContainer.innerHTML = renderRiskResults(risk);
+    } catch (error) {
+      console.warn('Risk calculation failed:', error);
+      resultsContainer.innerHTML = `<p class="loading-text">${error.message}</p>`;
+    }
+  });
+}
+
+/**
+ * Render risk results
+ * @param {Object} risk - From calculateRiskOfRuin
+ * @returns {string} HTML
+ */
+function renderRiskResults(risk) {
+  const formatPercent = probability => `${(probability * 100).toFixed(probability < 0.001 && probability > 0 ? 3 : 1)}%`;
+  return `
+    <div class="results-summary">
+      <div class="result-item">
+        <span class="result-label">Input Cost per Trade:</span>
+        <span class="result-value">${risk.inputCost.toFixed(2)} chaos</span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">Expected Profit:</span>
+        <span class="result-value" style="color: ${getProfitLossColor(risk.expectedProfit)};">
+          ${risk.expectedProfit >= 0 ? '+' : ''}${risk.expectedProfit.toFixed(2)} chaos over ${risk.tradeCount.toLocaleString()} trades
+        </span>
+      </div>
+      <div class="result-item highlight">
+        <span class="result-label">Ends Below Zero:</span>
+        <span class="result-value">${formatPercent(risk.ruinProbability)}</span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">Dips Below Zero:</span>
+        <span class="result-value">${formatPercent(risk.pathRuinProbability)} <span class="value-change">(${risk.simulatedPaths.toLocaleString()} simulated sessions)</span></span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">Expected Max Drawdown:</span>
+        <span class="result-value">${risk.expectedMaxDrawdown.toFixed(2)} chaos</span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">Budget for ${formatPercent(risk.targetRuinProbability)} Ruin:</span>
+        <span class="result-value">${risk.requiredBudget.toFixed(2)} chaos</span>
+      </div>
+    </div>
+  `;
+}
@@ -7,13 +7,19 @@ import { SimulationConfiguration } from '../models/scarab.js';
 import {
   createConfiguration,
   validateConfiguration,
-  runSimulation,
-  cancelSimulation,
+  SIMULATION_CANCELLED_MESSAGE,
   getTransactionHistory,
   getSignificantEvents,
   getYieldCounts,
 } from '../services/simulationService.js';
+import { MAX_SEED, LEGACY_SEED_SCHEME } from '../utils/simulationUtils.js';
+import { simulationWorkerPool } from '../services/simulationWorkerPool.js';
 import { renderTransactionHistory, setupTransactionHistoryListeners } from './transactionHistory.js';
+import { renderGoodnessOfFitPanel } from './goodnessOfFitPanel.js';
+import { renderRiskPanel } from './riskPanel.js';
+import { renderMonteCarloPanel } from './monteCarloPanel.js';
+import { renderStrategyComparisonPanel } from './strategyComparisonPanel.js';
+import { renderCumulativeProfitChart } from './cumulativeProfitChart.js';
 import { getProfitLossColor } from '../utils/colorUtils.js';
 import { initGridView, clearYieldCounts as clearGridViewYieldCounts, setYieldCounts as setGridViewYieldCounts, setShowCellBackgrounds, getShowCellBackgrounds } from '../views/gridView.js';
 import { clearYieldCounts as clearListViewYieldCounts, renderListView } from '../views/listView.js';
@@ -21,9 +27,13 @@ import { clearYieldCounts as clearListViewYieldCounts, renderListView } from '..
 let currentScarabs = [];
 let currentThreshold = null;
 let currentSimulationResult = null;
+let currentSimulationJob = null; // Running simulationWorkerPool job, cancelled by the cancel button
 let simulationGridCanvas = null; // Reference to simulation grid canvas
 let allScarabCheckboxes = []; // Store all scarab checkbox data for filtering
 
+/** Input strategies offered in the panel (see runSimulation) */
+const INPUT_STRATEGIES = ['user_selected', 'lowest_value', 'optimal_combination', 'optimal_mix'];
+
 /**
  * Initialize simulation panel with data
  * @param {Array<Scarab>} scarabs
@@ -98,6 +108,16 @@ export function renderSimulationPanel(container) {
               <span class="input-hint">1 to 1,000,000</span>
             </div>
 
+            <div class="input-group">
+              <label for="input-strategy">Input Strategy:</label>
+              <select id="input-strategy" aria-label="Input scarab strategy">
+                ${INPUT_STRATEGIES.map(strategy => 
+                  `<option value="${strategy}" ${(savedConfig?.inputScarabStrategy ?? 'user_selected') === strategy ? 'selected' : ''}>${getStrategyLabel(strategy)}</option>`
+                ).join('')}
+              </select>
+              <span class="input-hint">How the 3 inputs are chosen from the selection</span>
+            </div>
+
             <div class="input-group">
               <label class="checkbox-label">
                 <input 
@@ -110,6 +130,27 @@ export function renderSimulationPanel(container) {
               </label>
               <span class="input-hint">Continue trading with returned scarabs below threshold</span>
             </div>
+
+            <div class="input-group">
+              <label for="simulation-seed">Seed:</label>
+              <input 
+                type="number" 
+                id="simulation-seed" 
+                min="0" 
+                max="${MAX_SEED}" 
+                step="1"
+                placeholder="Random"
+                value="${savedConfig?.seed ?? ''}"
+                aria-label="Random number seed"
+              />
+              <span class="input-hint">Blank for a new seed each run</span>
+            </div>
+
+            <div class="input-group">
+              <label for="saved-simulations">Saved Run:</label>
+              <select id="saved-simulations" aria-label="Saved simulation runs"></select>
+              <span class="input-hint">Replayed with its settings and seed at current prices</span>
+            </div>
           </div>
         </div>
 
@@ -118,6 +159,7 @@ export function renderSimulationPanel(container) {
         <div class="simulation-actions">
           <div class="simulation-actions-left">
             <button id="run-simulation" class="run-btn">Run Simulation</button>
+            <button id="replay-simulation" class="run-btn">Replay Saved Run</button>
             <button id="cancel-simulation" class="cancel-btn" style="display: none;">Cancel</button>
           </div>
           <div id="simulation-progress-container" class="simulation-progress-container">
@@ -156,12 +198,28 @@ export function renderSimulationPanel(container) {
       </div>
 
       <div id="simulation-results" class="simulation-results" style="display: none;"></div>
+      <div id="monte-carlo-container" class="monte-carlo-container"></div>
+      <div id="strategy-comparison-container" class="strategy-comparison-container"></div>
+      <div id="goodness-of-fit-container" class="goodness-of-fit-container"></div>
+      <div id="risk-container" class="risk-container"></div>
       <div id="transaction-history-container" class="transaction-history-container" style="display: none;"></div>
     </div>
   `;
 
   // Attach event listeners
   setupEventListeners(container);
+  renderGoodnessOfFit(container);
+  renderRiskPanel(container.querySelector('#risk-container'), currentScarabs, currentThreshold);
+  const getScenario = () => {
+    if (!validateConfigurationUI(container)) return null;
+    return { config: createConfiguration(getConfigurationFromUI(container)), scarabs: currentScarabs, threshold: currentThreshold };
+  };
+  renderMonteCarloPanel(container.querySelector('#monte-carlo-container'), getScenario);
+  renderStrategyComparisonPanel(
+    container.querySelector('#strategy-comparison-container'),
+    getScenario,
+    INPUT_STRATEGIES.map(strategy => ({ value: strategy, label: getStrategyLabel(strategy) }))
+  );
   
   // Initialize grid view if scarabs are available (async, but don't await)
   // Always initialize the views, not just when simulation runs
@@ -199,16 +257,26 @@ function setupEventListeners(container) {
 
   // Render scarab checkboxes
   renderScarabCheckboxes(scarabCheckboxes);
+  renderSavedRunOptions(container);
 
   // Handle run simulation
   runButton.addEventListener('click', () => {
     runNewSimulation(container);
   });
 
+  // Handle replay of a saved run
+  container.querySelector('#replay-simulation')?.addEventListener('click', () => {
+    const simulationId = container.querySelector('#saved-simulations')?.value;
+    const savedRun = loadSavedSimulationResults().find(run => run.simulationId === simulationId);
+    if (savedRun) {
+      runNewSimulation(container, getReplayConfiguration(savedRun));
+    }
+  });
+
   // Handle cancel simulation
   if (cancelButton) {
     cancelButton.addEventListener('click', () => {
-      cancelSimulation();
+      currentSimulationJob?.cancel();
       cancelButton.style.display = 'none';
       runButton.disabled = false;
       const progressContainer = container.querySelector('#simulation-progress-container');
@@ -444,32 +512,57 @@ function getConfigurationFromUI(container) {
   }
 
   const continueMode = container.querySelector('#continue-mode')?.checked || false;
+  const seedValue = container.querySelector('#simulation-seed')?.value.trim() ?? '';
+  const inputScarabStrategy = container.querySelector('#input-strategy')?.value || 'user_selected';
+  // Use the same return pool as the threshold settings
+  const poolOptions = currentThreshold?.poolOptions || {};
 
   return {
     selectedScarabIds: selectedIds,
     transactionCount,
     breakevenPoint,
     rareScarabThreshold,
-    inputScarabStrategy: 'user_selected',
+    inputScarabStrategy,
     continueMode,
+    respectDropEligibility: poolOptions.respectDropEligibility ?? true,
+    areaLevel: poolOptions.areaLevel ?? null,
+    weightSource: currentThreshold?.weightSource || 'mle',
+    seed: seedValue === '' ? null : Number(seedValue),
   };
 }
 
+/**
+ * Get the configuration that replays a saved or current result
+ * Results saved before seed schemes replay with the single-stream scheme they were drawn with.
+ * @param {SimulationResult|Object} result - Result with its configuration and seed
+ * @returns {SimulationConfiguration}
+ */
+function getReplayConfiguration(result) {
+  return createConfiguration({ ...result.configuration, seed: result.seed, seedScheme: result.seedScheme ?? LEGACY_SEED_SCHEME });
+}
+
 /**
  * Run new simulation using simulationService
  * @param {HTMLElement} container
+ * @param {SimulationConfiguration|null} replayConfig - Configuration of a run to replay instead of the UI inputs
  */
-async function runNewSimulation(container) {
-  // Validate configuration
-  if (!validateConfigurationUI(container)) {
+async function runNewSimulation(container, replayConfig = null) {
+  // One simulation at a time
+  if (currentSimulationJob) {
     return;
   }
 
-  const configData = getConfigurationFromUI(container);
-  const config = createConfiguration(configData);
-  
-  // Save configuration
-  saveConfiguration(config);
+  let config = replayConfig;
+  if (!config) {
+    // Validate configuration
+    if (!validateConfigurationUI(container)) {
+      return;
+    }
+    config = createConfiguration(getConfigurationFromUI(container));
+    
+    // Save configuration
+    saveConfiguration(config);
+  }
 
   const runButton = container.querySelector('#run-simulation');
   const cancelButton = container.querySelector('#cancel-simulation');
@@ -507,17 +600,20 @@ async function runNewSimulation(container) {
   }, 100);
 
   try {
-    // Run simulation with progress updates
-    const result = await runSimulation(config, currentScarabs, (progress, current, total, yieldCounts, phase, remainingBelowThreshold) => {
-      updateProgress(container, progress, current, total, phase, remainingBelowThreshold);
-      // Update views in real-time (only simulation views, not main views)
-      if (yieldCounts) {
-        updateSimulationScarabList(container, yieldCounts);
-        // Update simulation grid view with yield counts
-        // The simulation grid canvas sets currentCanvas when initialized, so this will update it
-        setGridViewYieldCounts(yieldCounts);
-      }
-    }, currentThreshold);
+    // Run simulation in a worker with progress updates
+    currentSimulationJob = simulationWorkerPool.run(config, currentScarabs, currentThreshold, {
+      onProgress: (message) => {
+        updateProgress(container, message.progress, message.current, message.total, message.phase, message.remainingBelowThreshold);
+        // Update views in real-time (only simulation views, not main views)
+        if (message.yieldCounts) {
+          updateSimulationScarabList(container, message.yieldCounts);
+          // Update simulation grid view with yield counts
+          // The simulation grid canvas sets currentCanvas when initialized, so this will update it
+          setGridViewYieldCounts(message.yieldCounts);
+        }
+      },
+    });
+    const result = await currentSimulationJob.promise;
 
     currentSimulationResult = result;
 
@@ -540,12 +636,13 @@ async function runNewSimulation(container) {
     
     // Save results
     saveSimulationResult(result);
+    renderSavedRunOptions(container);
 
   } catch (error) {
     console.error('Simulation error:', error);
     
     // Show user-friendly error message
-    const errorMessage = error.message === 'Simulation cancelled by user' 
+    const errorMessage = error.message === SIMULATION_CANCELLED_MESSAGE 
       ? 'Simulation was cancelled'
       : `Simulation failed: ${error.message}`;
     
@@ -567,6 +664,8 @@ async function runNewSimulation(container) {
     }
     clearListViewYieldCounts();
     clearGridViewYieldCounts();
+  } finally {
+    currentSimulationJob = null;
   }
 }
 
@@ -751,6 +850,19 @@ function displayResults(container, result) {
           ${hasContinueMode ? ` <span class="value-change">(Initial: ${result.initialPhaseTransactions.toLocaleString()}, +${continueModeChanges.transactions.toLocaleString()})</span>` : ''}
         </span>
       </div>
+      <div class="result-item">
+        <span class="result-label">Input Strategy:</span>
+        <span class="result-value">${getStrategyLabel(result.configuration?.inputScarabStrategy ?? 'user_selected')}</span>
+      </div>
+      ${result.seed !== null && result.seed !== undefined ? `
+      <div class="result-item">
+        <span class="result-label">Seed:</span>
+        <span class="result-value">
+          ${result.seed}
+          ${(result.seedScheme ?? LEGACY_SEED_SCHEME) === LEGACY_SEED_SCHEME ? ' <span class="value-change" title="Replays use the single-stream seeding this run was drawn with">(legacy seeding)</span>' : ''}
+        </span>
+      </div>
+      ` : ''}
       <div class="result-item highlight">
         <span class="result-label">Net Profit/Loss:</span>
         <span class="result-value" style="color: ${profitLossColor}; font-weight: bold;">
@@ -778,6 +890,15 @@ function displayResults(container, result) {
           ${hasContinueMode ? ` <span class="value-change">(Initial: ${result.initialPhaseTotalOutputValue.toFixed(2)}, +${continueModeChanges.outputValue.toFixed(2)})</span>` : ''}
         </span>
       </div>
+      ${result.realizableNetProfitLoss !== null && result.realizableNetProfitLoss !== undefined ? `
+      <div class="result-item">
+        <span class="result-label">Realizable Net P/L:</span>
+        <span class="result-value" style="color: ${getProfitLossColor(result.realizableNetProfitLoss)};" title="Held outputs sold together, less the volume haircut">
+          ${result.realizableNetProfitLoss >= 0 ? '+' : ''}${result.realizableNetProfitLoss.toFixed(2)} chaos
+          <span class="value-change">(Output ${result.realizableOutputValue.toFixed(2)}, haircut −${result.liquidityLoss.toFixed(2)})</span>
+        </span>
+      </div>
+      ` : ''}
       <div class="result-item">
         <span class="result-label">Final Cumulative:</span>
         <span class="result-value" style="color: ${getProfitLossColor(result.finalCumulativeProfitLoss)};">
@@ -785,12 +906,34 @@ function displayResults(container, result) {
           ${hasContinueMode ? ` <span class="value-change" style="color: ${getProfitLossColor(continueModeChanges.cumulativeChange)};">(Initial: ${result.initialPhaseCumulativeProfitLoss >= 0 ? '+' : ''}${result.initialPhaseCumulativeProfitLoss.toFixed(2)}, Change: ${continueModeChanges.cumulativeChange >= 0 ? '+' : ''}${continueModeChanges.cumulativeChange.toFixed(2)})</span>` : ''}
         </span>
       </div>
+      ${result.maxDrawdown !== null && result.maxDrawdown !== undefined ? `
+      <div class="result-item">
+        <span class="result-label">Max Drawdown:</span>
+        <span class="result-value" style="color: ${getProfitLossColor(-result.maxDrawdown)};">
+          ${result.maxDrawdown > 0 ? '−' : ''}${result.maxDrawdown.toFixed(2)} chaos
+          <span class="value-change">(${getRecoveryLabel(result)})</span>
+        </span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">Longest Losing Streak:</span>
+        <span class="result-value">${result.longestLosingStreak.toLocaleString()} trades</span>
+      </div>
+      <div class="result-item">
+        <span class="result-label">Time Under Water:</span>
+        <span class="result-value" title="Trades spent below the previous peak of cumulative P/L">
+          ${result.tradesUnderWater.toLocaleString()} trades
+          <span class="value-change">(${result.totalTransactions > 0 ? ((result.tradesUnderWater / result.totalTransactions) * 100).toFixed(1) : '0.0'}%)</span>
+        </span>
+      </div>
+      ` : ''}
       <div class="result-item">
         <span class="result-label">Execution Time:</span>
         <span class="result-value">${(result.executionTimeMs / 1000).toFixed(2)}s</span>
       </div>
     </div>
 
+    <div id="cumulative-profit-chart" class="profit-chart"></div>
+
     ${events.length > 0 ? `
     <div class="significant-events">
       <h4 class="collapsible-header" data-target="significant-events-content">
@@ -837,9 +980,13 @@ function displayResults(container, result) {
 
     <div class="results-actions">
       <button id="view-transaction-history" class="view-history-btn">View Transaction History</button>
+      ${result.seed !== null && result.seed !== undefined ? '<button id="replay-result" class="view-history-btn">Replay This Run</button>' : ''}
     </div>
   `;
 
+  renderCumulativeProfitChart(resultsContainer.querySelector('#cumulative-profit-chart'), result);
+  renderGoodnessOfFit(container);
+
   // Setup transaction history button
   const historyButton = resultsContainer.querySelector('#view-transaction-history');
   if (historyButton) {
@@ -847,6 +994,10 @@ function displayResults(container, result) {
       showTransactionHistory(container, result);
     });
   }
+
+  resultsContainer.querySelector('#replay-result')?.addEventListener('click', () => {
+    runNewSimulation(container, getReplayConfiguration(result));
+  });
   
   // Setup collapsible significant events
   const collapsibleHeader = resultsContainer.querySelector('.collapsible-header');
@@ -865,6 +1016,14 @@ function displayResults(container, result) {
   }
 }
 
+/**
+ * Render the goodness-of-fit panel for the drop log or the current simulation result
+ * @param {HTMLElement} container
+ */
+function renderGoodnessOfFit(container) {
+  renderGoodnessOfFitPanel(container.querySelector('#goodness-of-fit-container'), currentScarabs, currentThreshold, currentSimulationResult);
+}
+
 /**
  * Show transaction history
  * @param {HTMLElement} container
@@ -980,6 +1139,7 @@ function saveConfiguration(config) {
       transactionCount: config.transactionCount,
       inputScarabStrategy: config.inputScarabStrategy,
       continueMode: config.continueMode,
+      seed: config.seed,
       createdAt: config.createdAt,
     };
     localStorage.setItem('scarabHub_simulationConfig', JSON.stringify(configData));
@@ -1004,6 +1164,41 @@ function loadConfiguration() {
   return null;
 }
 
+/**
+ * Load the saved simulation results (oldest first)
+ * @returns {Array<Object>}
+ */
+function loadSavedSimulationResults() {
+  try {
+    return JSON.parse(localStorage.getItem('scarabHub_simulationResults') || '[]');
+  } catch (error) {
+    console.error('Failed to load saved simulation results:', error);
+    return [];
+  }
+}
+
+/**
+ * Fill the saved run picker with the saved results that recorded their seed (newest first)
+ * @param {HTMLElement} container
+ */
+function renderSavedRunOptions(container) {
+  const select = container.querySelector('#saved-simulations');
+  const replayButton = container.querySelector('#replay-simulation');
+  if (!select) return;
+
+  const savedRuns = loadSavedSimulationResults()
+    .filter(run => run.configuration && run.seed !== null && run.seed !== undefined)
+    .reverse();
+  select.innerHTML = savedRuns.length > 0
+    ? savedRuns.map(run => {
+      const completedAt = run.completedAt ? new Date(run.completedAt).toLocaleString() : run.simulationId;
+      return `<option value="${run.simulationId}">${completedAt} · ${run.configuration.transactionCount.toLocaleString()} trades · seed ${run.seed}</option>`;
+    }).join('')
+    : '<option value="">No saved runs</option>';
+  select.disabled = savedRuns.length === 0;
+  if (replayButton) replayButton.disabled = savedRuns.length === 0;
+}
+
 /**
  * Save simulation result to LocalStorage
  * @param {SimulationResult} result
@@ -1018,8 +1213,16 @@ function saveSimulationResult(result) {
         rareScarabThreshold: result.configuration.rareScarabThreshold,
         transactionCount: result.configuration.transactionCount,
         inputScarabStrategy: result.configuration.inputScarabStrategy,
+        continueMode: result.configuration.continueMode,
+        respectDropEligibility: result.configuration.respectDropEligibility,
+        areaLevel: result.configuration.areaLevel,
+        weightSource: result.configuration.weightSource,
+        seed: result.configuration.seed,
+        seedScheme: result.configuration.seedScheme ?? null,
         createdAt: result.configuration.createdAt,
       },
+      seed: result.seed,
+      seedScheme: result.seedScheme,
       yieldCounts: Object.fromEntries(result.yieldCounts),
       totalTransactions: result.totalTransactions,
       totalInputValue: result.totalInputValue,
@@ -1027,6 +1230,13 @@ function saveSimulationResult(result) {
       netProfitLoss: result.netProfitLoss,
       averageProfitLossPerTransaction: result.averageProfitLossPerTransaction,
       finalCumulativeProfitLoss: result.finalCumulativeProfitLoss,
+      maxDrawdown: result.maxDrawdown ?? null,
+      longestLosingStreak: result.longestLosingStreak ?? null,
+      tradesUnderWater: result.tradesUnderWater ?? null,
+      recoveryTrades: result.recoveryTrades ?? null,
+      liquidityLoss: result.liquidityLoss ?? null,
+      realizableOutputValue: result.realizableOutputValue ?? null,
+      realizableNetProfitLoss: result.realizableNetProfitLoss ?? null,
       significantEvents: result.significantEvents.map(e => ({
         type: e.type,
         transactionNumber: e.transactionNumber,
@@ -1165,6 +1375,20 @@ function restoreSimulationResults(container) {
   displayResults(container, currentSimulationResult);
 }
 
+/**
+ * Describe how a result recovered from its max drawdown
+ * @param {SimulationResult} result
+ * @returns {string}
+ */
+function getRecoveryLabel(result) {
+  if (result.maxDrawdown === 0) {
+    return 'never below its peak';
+  }
+  return result.recoveryTrades === null
+    ? 'not recovered'
+    : `recovered in ${result.recoveryTrades.toLocaleString()} trades`;
+}
+
 /**
  * Get human-readable strategy label
  * @param {string} strategyType
@@ -1178,6 +1402,14 @@ function getStrategyLabel(strategyType) {
       return 'User-Chosen';
     case 'random':
       return 'Random';
+    case 'user_selected':
+      return 'Random from Selection';
+    case 'lowest_value':
+      return 'Lowest Value (3×)';
+    case 'optimal_combination':
+      return 'Best Value/Weight (Top 3)';
+    case 'optimal_mix':
+      return 'Optimal Input Mix';
     default:
       return strategyType;
   }
@@ -0,0 +1,257 @@
+/**
+ * Strategy Comparison Panel Component
+ * Compare mode of the simulation page: input strategies and selection sets run on the same seed,
+ * side by side in a table and as overlaid cumulative P/L lines
+ */
+
+import { simulationWorkerPool } from '../services/simulationWorkerPool.js';
+import { SIMULATION_CANCELLED_MESSAGE } from '../services/simulationService.js';
+import {
+  createComparisonConfigurations,
+  summarizeComparison,
+  MAX_COMPARISON_VARIANTS,
+} from '../services/strategyComparisonService.js';
+import { getProfitLossColor } from '../utils/colorUtils.js';
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 64 };
+
+/** Line colors of the variants, in order */
+const VARIANT_COLORS = ['#c8aa6e', '#4fc3f7', '#ab47bc', '#66bb6a', '#ff7043', '#ec407a'];
+
+/** @type {Array<import('../services/strategyComparisonService.js').ComparisonVariant>} */
+let comparisonVariants = [];
+let currentComparisonJob = null;
+let currentComparison = null; // { labels, rows, seed }
+
+/**
+ * Format chaos for the table and chart labels
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatChaos(value, decimals = 2) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}c`;
+}
+
+/**
+ * Render the strategy comparison panel
+ * @param {HTMLElement} container - Container element
+ * @param {Function} getScenario - Returns { config, scarabs, threshold } of the configured simulation,
+ *   or null when the configuration is invalid (the simulation panel shows why)
+ * @param {Array<{ value: string, label: string }>} strategies - Input strategies offered
+ */
+export function renderStrategyComparisonPanel(container, getScenario, strategies) {
+  if (!container) {
+    console.error('Strategy comparison panel: missing container');
+    return;
+  }
+
+  const getStrategyLabel = value => strategies.find(strategy => strategy.value === value)?.label ?? value;
+  const getVariantLabel = (variant, index) =>
+    `#${index + 1} ${getStrategyLabel(variant.inputScarabStrategy)} (${variant.selectedScarabIds.length} scarab${variant.selectedScarabIds.length === 1 ? '' : 's'})`;
+  const isFull = comparisonVariants.length >= MAX_COMPARISON_VARIANTS;
+
+  container.innerHTML = `
+    <div class="simulation-results strategy-comparison-panel">
+      <h3>Strategy Comparison</h3>
+      <p class="input-hint">
+        Variants share the transactions, continue mode and seed configured above, and draw the same returns.
+        Add the current selection once per strategy, or change the selection and add it again.
+      </p>
+      ${comparisonVariants.length > 0 ? `
+      <table class="price-override-table comparison-variants-table">
+        <thead>
+          <tr><th>Variant</th><th>Strategy</th><th>Selection</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${comparisonVariants.map((variant, index) => `
+            <tr data-variant-index="${index}">
+              <td><span class="comparison-swatch" style="background: ${VARIANT_COLORS[index]};"></span>#${index + 1}</td>
+              <td>
+                <select class="comparison-strategy" aria-label="Strategy of variant ${index + 1}">
+                  ${strategies.map(strategy => `<option value="${strategy.value}" ${variant.inputScarabStrategy === strategy.value ? 'selected' : ''}>${strategy.label}</option>`).join('')}
+                </select>
+              </td>
+              <td>${variant.selectedScarabIds.length} scarab${variant.selectedScarabIds.length === 1 ? '' : 's'}</td>
+              <td><button type="button" class="drop-log-btn comparison-remove">Remove</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ` : '<p class="loading-text">No variants yet.</p>'}
+      <div class="simulation-actions-left">
+        <button id="comparison-add-current" class="run-btn" ${isFull ? 'disabled' : ''}>Add Current Setup</button>
+        <button id="comparison-add-strategies" class="run-btn" ${isFull ? 'disabled' : ''}>Add All Strategies</button>
+        <button id="comparison-run" class="run-btn" ${comparisonVariants.length < 2 ? 'disabled' : ''}>Compare</button>
+        <button id="comparison-cancel" class="cancel-btn" style="display: none;">Cancel</button>
+        <span id="comparison-progress" class="input-hint"></span>
+      </div>
+      <div id="comparison-results"></div>
+    </div>
+  `;
+
+  const rerender = () => renderStrategyComparisonPanel(container, getScenario, strategies);
+  const resultsContainer = container.querySelector('#comparison-results');
+  const progressText = container.querySelector('#comparison-progress');
+  if (currentComparison) {
+    resultsContainer.innerHTML = renderComparisonResults(currentComparison);
+  }
+
+  const addVariants = (strategyValues) => {
+    const scenario = getScenario();
+    if (!scenario) return;
+    strategyValues.forEach(inputScarabStrategy => {
+      if (comparisonVariants.length >= MAX_COMPARISON_VARIANTS) return;
+      comparisonVariants.push({ inputScarabStrategy, selectedScarabIds: [...scenario.config.selectedScarabIds] });
+    });
+    rerender();
+  };
+
+  container.querySelector('#comparison-add-current')?.addEventListener('click', () => {
+    const scenario = getScenario();
+    if (scenario) addVariants([scenario.config.inputScarabStrategy]);
+  });
+  container.querySelector('#comparison-add-strategies')?.addEventListener('click', () => {
+    addVariants(strategies.map(strategy => strategy.value));
+  });
+
+  container.querySelectorAll('.comparison-variants-table tbody tr').forEach(row => {
+    const index = Number(row.dataset.variantIndex);
+    row.querySelector('.comparison-strategy')?.addEventListener('change', (e) => {
+      comparisonVariants[index] = { ...comparisonVariants[index], inputScarabStrategy: e.target.value };
+    });
+    row.querySelector('.comparison-remove')?.addEventListener('click', () => {
+      comparisonVariants.splice(index, 1);
+      rerender();
+    });
+  });
+
+  container.querySelector('#comparison-run')?.addEventListener('click', async () => {
+    if (currentComparisonJob) return;
+    const scenario = getScenario();
+    if (!scenario) return;
+
+    let configs;
+    try {
+      configs = createComparisonConfigurations(scenario.config, comparisonVariants, scenario.scarabs);
+    } catch (error) {
+      progressText.textContent = error.message;
+      return;
+    }
+
+    const runButton = container.querySelector('#comparison-run');
+    const cancelButton = container.querySelector('#comparison-cancel');
+    const progressByRun = configs.map(() => 0);
+    runButton.disabled = true;
+    cancelButton.style.display = 'inline-block';
+    progressText.textContent = 'Starting…';
+
+    try {
+      currentComparisonJob = simulationWorkerPool.runMany(
+        configs.map(config => ({ config, threshold: scenario.threshold })),
+        scenario.scarabs,
+        {
+          onProgress: (message) => {
+            progressByRun[message.runIndex] = message.progress;
+            const progress = progressByRun.reduce((sum, value) => sum + value, 0) / progressByRun.length;
+            progressText.textContent = `${Math.round(progress)}%`;
+          },
+        }
+      );
+      const results = await currentComparisonJob.promise;
+      currentComparison = {
+        labels: comparisonVariants.map(getVariantLabel),
+        rows: summarizeComparison(results),
+        seed: configs[0].seed,
+        scarabNames: new Map(scenario.scarabs.map(scarab => [scarab.id, scarab.name])),
+      };
+      progressText.textContent = `Seed ${currentComparison.seed}`;
+      resultsContainer.innerHTML = renderComparisonResults(currentComparison);
+    } catch (error) {
+      if (error.message === SIMULATION_CANCELLED_MESSAGE) {
+        progressText.textContent = 'Comparison cancelled';
+      } else {
+        console.error('Strategy comparison error:', error);
+        progressText.textContent = `Comparison failed: ${error.message}`;
+      }
+    } finally {
+      currentComparisonJob = null;
+      runButton.disabled = false;
+      cancelButton.style.display = 'none';
+    }
+  });
+
+  container.querySelector('#comparison-cancel')?.addEventListener('click', () => {
+    currentComparisonJob?.cancel();
+  });
+}
+
+/**
+ * Render the comparison table and chart
+ * @param {{ labels: Array<string>, rows: Array<Object>, scarabNames: Map<string, string> }} comparison
+ * @returns {string} HTML
+ */
+function renderComparisonResults(comparison) {
+  const { labels, rows, scarabNames } = comparison;
+  return `
+    <table class="price-override-table comparison-results-table">
+      <thead>
+        <tr><th>Variant</th><th>Net P/L</th><th>Per Trade</th><th>Trades</th><th>Max Drawdown</th><th>Top Yields</th></tr>
+      </thead>
+      <tbody>
+        ${rows.map((row, index) => `
+          <tr>
+            <td><span class="comparison-swatch" style="background: ${VARIANT_COLORS[index]};"></span>${labels[index]}</td>
+            <td style="color: ${getProfitLossColor(row.netProfitLoss)};">${formatChaos(row.netProfitLoss)}</td>
+            <td style="color: ${getProfitLossColor(row.averageProfitLossPerTransaction)};">${formatChaos(row.averageProfitLossPerTransaction, 4)}</td>
+            <td>${row.totalTransactions.toLocaleString()}</td>
+            <td>${row.maxDrawdown.toFixed(2)}c</td>
+            <td>${row.topYields.map(({ id, count }) => `${scarabNames.get(id) ?? id} ×${count.toLocaleString()}`).join(', ')}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <h4>Cumulative P/L</h4>
+    ${renderComparisonChart(rows)}
+  `;
+}
+
+/**
+ * Render the overlaid cumulative P/L lines
+ * @param {Array<Object>} rows - From summarizeComparison
+ * @returns {string} SVG
+ */
+function renderComparisonChart(rows) {
+  const values = rows.flatMap(row => row.curve.map(point => point.cumulativeProfitLoss)).concat(0);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const lastTrade = Math.max(1, ...rows.map(row => row.curve[row.curve.length - 1]?.tradeNumber ?? 0));
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+  const toX = tradeNumber => CHART_PADDING.left + (tradeNumber / lastTrade) * plotWidth;
+  const toY = value => CHART_PADDING.top + plotHeight - ((value - min) / range) * plotHeight;
+
+  const lines = rows.map((row, index) => {
+    const path = [{ tradeNumber: 0, cumulativeProfitLoss: 0 }, ...row.curve]
+      .map((point, i) => `${i === 0 ? 'M' : 'L'}${toX(point.tradeNumber).toFixed(1)},${toY(point.cumulativeProfitLoss).toFixed(1)}`)
+      .join(' ');
+    return `<path class="comparison-line" d="${path}" style="stroke: ${VARIANT_COLORS[index]};" />`;
+  }).join('');
+
+  return `
+    <svg class="price-history-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Cumulative profit of the compared variants">
+      <line class="price-history-axis" x1="${CHART_PADDING.left}" x2="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" y2="${bottom}" />
+      <line class="price-history-axis" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${bottom}" y2="${bottom}" />
+      <text class="price-history-label" x="${CHART_PADDING.left - 6}" y="${CHART_PADDING.top + 4}" text-anchor="end">${formatChaos(max, 0)}</text>
+      <text class="price-history-label" x="${CHART_PADDING.left - 6}" y="${bottom}" text-anchor="end">${formatChaos(min, 0)}</text>
+      <text class="price-history-label" x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 8}" text-anchor="start">Trade 0</text>
+      <text class="price-history-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${CHART_HEIGHT - 8}" text-anchor="end">Trade ${lastTrade.toLocaleString()}</text>
+      <line class="price-history-threshold" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${toY(0).toFixed(1)}" y2="${toY(0).toFixed(1)}" />
+      ${lines}
+    </svg>
+  `;
+}
@@ -3,6 +3,56 @@
  * Displays the calculated expected value threshold
  */
 
+const MIN_CONFIDENCE_PERCENT = 50;
+const MAX_CONFIDENCE_PERCENT = 99.99;
+
+/**
+ * Format a confidence percentile (0-1) as a percentage without trailing zeros
+ * @param {number} percentile
+ * @returns {string} e.g. '90' or '97.5'
+ */
+function formatConfidencePercent(percentile) {
+  return String(parseFloat((percentile * 100).toFixed(2)));
+}
+
+/**
+ * Render the threshold range implied by drop-weight uncertainty (MLE standard errors)
+ * @param {{ lower: number, upper: number, level: number }|null} weightBand
+ * @param {string} currency - 'chaos' or 'divine'
+ * @returns {string} HTML, empty without a band
+ */
+export function renderWeightBand(weightBand, currency) {
+  if (!weightBand) return '';
+  const currencySymbol = currency === 'divine' ? 'Div' : 'c';
+  const formatAmount = (chaos) => currency === 'divine' ? (chaos / 150).toFixed(4) : chaos.toFixed(2);
+  return `
+      <div class="threshold-band" title="Range of the threshold when drop weights are redrawn within their MLE uncertainty">
+        Weight uncertainty: ${formatAmount(weightBand.lower)} – ${formatAmount(weightBand.upper)} ${currencySymbol}
+        (${formatConfidencePercent(weightBand.level)}% band)
+      </div>
+  `;
+}
+
+/**
+ * Render where the MLE drop weights behind a calculation came from (see getWeightsStatus in dataService)
+ * @param {WeightsStatus|null} status
+ * @returns {string} HTML, empty when the weights were never requested
+ */
+export function renderWeightsOrigin(status) {
+  if (!status) return '';
+  const date = status.timestamp ? new Date(status.timestamp) : null;
+  const origins = {
+    remote: { text: 'fetched from poedata.dev', warning: false },
+    cache: { text: `cached from poedata.dev${date ? ` (${date.toLocaleString()})` : ''}`, warning: false },
+    revalidating: { text: `cached from poedata.dev${date ? ` (${date.toLocaleString()})` : ''}, updating in the background`, warning: false },
+    stale_cache: { text: `outdated cache${date ? ` from ${date.toLocaleString()}` : ''} (poedata.dev unreachable)`, warning: true },
+    local: { text: `bundled snapshot${date ? ` from ${date.toLocaleDateString()}` : ''} (poedata.dev unreachable)`, warning: true },
+    unavailable: { text: 'unavailable, equal weighting used', warning: true },
+  };
+  const origin = origins[status.source] || { text: status.source, warning: true };
+  return `<div class="weights-origin${origin.warning ? ' weights-origin-warning' : ''}">MLE Weights: ${origin.text}</div>`;
+}
+
 /**
  * Create and render threshold display
  * @param {HTMLElement} container - Container element
@@ -10,10 +60,11 @@
  * @param {string} currency - 'chaos' or 'divine'
  * @param {number} currentConfidencePercentile - Current confidence percentile (0-1)
  * @param {Function} onConfidenceChange - Callback when confidence percentile changes
- * @param {string} currentTradeMode - Current trade mode ('returnable', 'lowest_value', 'optimal_combination')
+ * @param {string} currentTradeMode - Current trade mode ('returnable', 'lowest_value', 'optimal_combination', 'optimal_mix')
  * @param {Function} onTradeModeChange - Callback when trade mode changes
+ * @param {Function} onCalculationSettingsChange - Callback with { calculationMethod, numberOfTrades } when either changes
  */
-export function renderThresholdDisplay(container, threshold, currency = 'chaos', currentConfidencePercentile = 0.9, onConfidenceChange = null, currentTradeMode = 'returnable', onTradeModeChange = null) {
+export function renderThresholdDisplay(container, threshold, currency = 'chaos', currentConfidencePercentile = 0.9, onConfidenceChange = null, currentTradeMode = 'returnable', onTradeModeChange = null, onCalculationSettingsChange = null) {
   if (!container || !threshold) {
     console.error('Threshold display: missing container or threshold');
     return;
@@ -27,7 +78,7 @@ export function renderThresholdDisplay(container, threshold, currency = 'chaos',
   
   // Calculate and display additional statistics
   const confidencePercent = threshold.confidencePercentile 
-    ? (threshold.confidencePercentile * 100).toFixed(0) 
+    ? formatConfidencePercent(threshold.confidencePercentile) 
     : '90';
   const expectedValueDisplay = currency === 'divine'
     ? (threshold.expectedValue / 150).toFixed(4)
@@ -36,21 +87,98 @@ export function renderThresholdDisplay(container, threshold, currency = 'chaos',
     ? (threshold.standardDeviation / 150).toFixed(4)
     : threshold.standardDeviation.toFixed(2);
 
-  // Confidence percentile options
-  const confidenceOptions = [
-    { value: 0.80, label: '80%' },
-    { value: 0.85, label: '85%' },
-    { value: 0.90, label: '90%' },
-    { value: 0.95, label: '95%' },
-    { value: 0.99, label: '99%' },
-  ];
+  // Suggested confidence levels (any value in range can be typed)
+  const confidencePresets = [80, 85, 90, 95, 97.5, 99, 99.9];
 
   // Trade mode options
   const tradeModeOptions = [
     { value: 'returnable', label: 'Returnable (Current)', description: 'Input scarabs can be returned from vendor' },
     { value: 'lowest_value', label: 'Lowest Value', description: 'Three of the same lowest value scarab are used' },
     { value: 'optimal_combination', label: 'Optimal Combination', description: 'Optimal combination (low value, high weighting)' },
+    { value: 'optimal_mix', label: 'Optimal Input Mix', description: 'Most profitable mix of up to three distinct inputs, each excluded from the return pool' },
+  ];
+
+  // Input mix breakdown (optimal_mix trade mode)
+  const formatAmount = (chaos) => currency === 'divine' ? (chaos / 150).toFixed(4) : chaos.toFixed(2);
+  const inputMix = threshold.inputMix;
+  const inputMixHtml = inputMix ? `
+      <div class="input-mix-breakdown">
+        <h4>Optimal Input Mix</h4>
+        <ul class="input-mix-list">
+          ${inputMix.inputs.map(({ scarab, count }) => 
+            `<li>${count}× ${scarab.name} <span class="input-mix-price">(${formatAmount(scarab.chaosValue)} ${currencySymbol})</span></li>`
+          ).join('')}
+        </ul>
+        <div>Input Cost: ${formatAmount(inputMix.inputCost)} ${currencySymbol}</div>
+        <div>Return EV: ${formatAmount(inputMix.expectedValue)} ${currencySymbol} (${inputMix.returnableCount} Scarabs in pool)</div>
+        <div class="input-mix-profit ${inputMix.expectedProfit > 0 ? 'positive' : 'negative'}">
+          Expected Profit: ${inputMix.expectedProfit >= 0 ? '+' : ''}${formatAmount(inputMix.expectedProfit)} ${currencySymbol} per trade
+        </div>
+      </div>
+  ` : '';
+
+  // Calculation method options (values match CALCULATION_METHODS in calculationService)
+  const calculationMethodOptions = [
+    { value: 'discretized_convolution', label: 'Exact (n-trade distribution)', description: 'Exact quantile of the average return over the session; reliable for short sessions' },
+    { value: 'weighted_average_with_confidence_interval', label: 'Normal Approximation', description: 'Mean minus z × standard error; optimistic for skewed returns and few trades' },
   ];
+  const currentCalculationMethod = threshold.calculationMethod;
+  const currentNumberOfTrades = threshold.numberOfTrades ?? 10000;
+  const calculationMethodLabel = calculationMethodOptions.find(opt => opt.value === currentCalculationMethod)?.label || currentCalculationMethod;
+
+  // Return pool settings (drop eligibility and area level)
+  const poolOptions = threshold.poolOptions || { respectDropEligibility: true, areaLevel: null };
+  const comparison = threshold.poolComparison;
+  const poolComparisonHtml = comparison ? `
+      <div class="pool-comparison">
+        <h4>Pool Comparison</h4>
+        <div>${poolOptions.respectDropEligibility ? 'Drop-eligible' : 'All weighted'} pool: ${value} ${currencySymbol} (${threshold.scarabCount} Scarabs)</div>
+        <div>${comparison.poolOptions?.respectDropEligibility ? 'Drop-eligible' : 'All weighted'} pool: ${formatAmount(comparison.value)} ${currencySymbol} (${comparison.scarabCount} Scarabs)</div>
+      </div>
+  ` : '';
+
+  // Realizable values after volume haircuts over the session (see liquidityService)
+  const liquidity = threshold.liquidity;
+  const liquidityHtml = liquidity ? `
+      <div class="threshold-band" title="Outputs of a ${currentNumberOfTrades.toLocaleString()}-trade session sold together, less the volume haircut">
+        Realizable EV: ${formatAmount(liquidity.realizableExpectedValue)} ${currencySymbol}
+        (haircut −${formatAmount(liquidity.liquidityLoss)}) • Realizable threshold: ${formatAmount(liquidity.realizableValue)} ${currencySymbol}
+      </div>
+  ` : '';
+
+  // Drop weight source (see dropLogService)
+  const weightSourceLabels = { mle: 'poedata.dev MLE', personal: 'Personal drop log', blended: 'Blended (MLE + drop log)', mixed: 'Mixed' };
+
+  // Threshold range from drop-weight uncertainty (MLE standard errors)
+  const weightBandHtml = renderWeightBand(threshold.weightBand, currency);
+
+  // Tornado chart: threshold shift when each high-weight output moves by ±priceChange (see sensitivityService)
+  const sensitivity = threshold.sensitivity || [];
+  const maxDelta = Math.max(0, ...sensitivity.map(entry => Math.max(Math.abs(entry.downDelta), Math.abs(entry.upDelta))));
+  const tornadoBar = (delta, side, direction) => {
+    if ((side === 'negative') !== (delta < 0) || maxDelta === 0) return '';
+    return `<div class="tornado-bar ${direction}" style="width: ${(Math.abs(delta) / maxDelta) * 100}%;"></div>`;
+  };
+  const formatDelta = (delta) => `${delta >= 0 ? '+' : ''}${formatAmount(delta)}`;
+  const sensitivityHtml = sensitivity.length > 0 ? `
+      <div class="tornado-chart">
+        <h4>Threshold Sensitivity (±${Math.round(sensitivity[0].priceChange * 100)}% price)</h4>
+        ${sensitivity.map(entry => `
+          <div class="tornado-row" title="${entry.item.name}: ${(entry.weightShare * 100).toFixed(1)}% of the return pool">
+            <span class="tornado-label">${entry.item.name}</span>
+            <div class="tornado-bars">
+              <div class="tornado-half negative">
+                ${tornadoBar(entry.downDelta, 'negative', 'price-down')}${tornadoBar(entry.upDelta, 'negative', 'price-up')}
+              </div>
+              <div class="tornado-half positive">
+                ${tornadoBar(entry.downDelta, 'positive', 'price-down')}${tornadoBar(entry.upDelta, 'positive', 'price-up')}
+              </div>
+            </div>
+            <span class="tornado-value">${formatDelta(entry.downDelta)} / ${formatDelta(entry.upDelta)} ${currencySymbol}</span>
+          </div>
+        `).join('')}
+      </div>
+  ` : '';
 
   container.innerHTML = `
     <div class="threshold-display">
@@ -58,12 +186,13 @@ export function renderThresholdDisplay(container, threshold, currency = 'chaos',
         <h2>Economic Threshold</h2>
         <div class="threshold-controls">
           <div class="confidence-selector">
-            <label for="confidence-percentile">Certainty:</label>
-            <select id="confidence-percentile" class="confidence-select">
-              ${confidenceOptions.map(opt => 
-                `<option value="${opt.value}" ${Math.abs(currentConfidencePercentile - opt.value) < 0.01 ? 'selected' : ''}>${opt.label}</option>`
-              ).join('')}
-            </select>
+            <label for="confidence-percentile">Certainty (%):</label>
+            <input type="number" id="confidence-percentile" class="confidence-select" list="confidence-presets"
+              min="${MIN_CONFIDENCE_PERCENT}" max="${MAX_CONFIDENCE_PERCENT}" step="any"
+              value="${formatConfidencePercent(currentConfidencePercentile)}">
+            <datalist id="confidence-presets">
+              ${confidencePresets.map(preset => `<option value="${preset}"></option>`).join('')}
+            </datalist>
           </div>
         </div>
       </div>
@@ -78,33 +207,76 @@ export function renderThresholdDisplay(container, threshold, currency = 'chaos',
           ${tradeModeOptions.find(opt => opt.value === currentTradeMode)?.description || ''}
         </div>
       </div>
+      ${onCalculationSettingsChange ? `
+        <div class="trade-mode-selector calculation-method-selector">
+          <label for="calculation-method">Calculation Method:</label>
+          <select id="calculation-method" class="trade-mode-select">
+            ${calculationMethodOptions.map(opt => 
+              `<option value="${opt.value}" ${currentCalculationMethod === opt.value ? 'selected' : ''} title="${opt.description}">${opt.label}</option>`
+            ).join('')}
+          </select>
+          <div class="trade-mode-description">
+            ${calculationMethodOptions.find(opt => opt.value === currentCalculationMethod)?.description || ''}
+          </div>
+          <label for="number-of-trades" class="number-of-trades-label">Session Size (trades):</label>
+          <input type="number" id="number-of-trades" class="trade-mode-select" min="1" max="100000" step="1" value="${currentNumberOfTrades}">
+        </div>
+        <div class="trade-mode-selector pool-selector">
+          <label class="pool-option-label">
+            <input type="checkbox" id="respect-drop-eligibility" ${poolOptions.respectDropEligibility ? 'checked' : ''}>
+            Drop-eligible Scarabs only
+          </label>
+          <label for="area-level" class="number-of-trades-label">Area Level:</label>
+          <input type="number" id="area-level" class="trade-mode-select" min="1" max="100" step="1" placeholder="Any" value="${poolOptions.areaLevel ?? ''}" ${poolOptions.respectDropEligibility ? '' : 'disabled'}>
+          <label class="pool-option-label">
+            <input type="checkbox" id="compare-pools" ${comparison ? 'checked' : ''}>
+            Compare with ${poolOptions.respectDropEligibility ? 'unfiltered' : 'drop-eligible'} pool
+          </label>
+        </div>
+      ` : ''}
       <div class="threshold-value">
         <span class="value">${value}</span>
         <span class="currency">${currencySymbol}</span>
       </div>
+      ${weightBandHtml}
       <p class="threshold-description">
         Scarabs below this value are profitable to vendor using the 3-to-1 recipe with ${confidencePercent}% certainty.
+        Each item's own threshold (list column) excludes it from its return pool.
       </p>
       <div class="threshold-meta">
         <span>Based on ${threshold.scarabCount} Scarabs</span>
         <span>•</span>
         <span>Total Weight: ${threshold.totalWeight.toFixed(0)}</span>
+        ${threshold.excludedScarabCount > 0 ? `<span>•</span><span>${threshold.excludedScarabCount} excluded (not drop-eligible)</span>` : ''}
       </div>
       <div class="threshold-details" style="margin-top: 10px; font-size: 0.85em; color: #666;">
         <div>Expected Value: ${expectedValueDisplay} ${currencySymbol}</div>
         <div>Std Deviation: ${stdDevDisplay} ${currencySymbol}</div>
         <div>Confidence: ${confidencePercent}%</div>
+        <div>Method: ${calculationMethodLabel} over ${currentNumberOfTrades.toLocaleString()} trades</div>
+        <div>Drop Weights: ${weightSourceLabels[threshold.weightSource] || threshold.weightSource || 'poedata.dev MLE'}</div>
+        <div>Prices: ${threshold.bidAsk ? 'Returns at sell (bid), inputs at buy (ask)' : 'Single price (chaosValue)'}</div>
+        ${liquidityHtml}
+        ${renderWeightsOrigin(threshold.weightsOrigin)}
       </div>
+      ${inputMixHtml}
+      ${poolComparisonHtml}
+      ${sensitivityHtml}
     </div>
   `;
 
   // Attach event listener for confidence percentile change
   if (onConfidenceChange) {
-    const select = container.querySelector('#confidence-percentile');
-    if (select) {
-      select.addEventListener('change', (e) => {
-        const newPercentile = parseFloat(e.target.value);
-        onConfidenceChange(newPercentile);
+    const input = container.querySelector('#confidence-percentile');
+    if (input) {
+      input.addEventListener('change', (e) => {
+        const percent = parseFloat(e.target.value);
+        if (!Number.isFinite(percent)) {
+          e.target.value = formatConfidencePercent(currentConfidencePercentile);
+          return;
+        }
+        const clampedPercent = Math.min(MAX_CONFIDENCE_PERCENT, Math.max(MIN_CONFIDENCE_PERCENT, percent));
+        onConfidenceChange(clampedPercent / 100);
       });
     }
   }
@@ -128,6 +300,29 @@ export function renderThresholdDisplay(container, threshold, currency = 'chaos',
       });
     }
   }
+
+  // Attach event listeners for calculation method, session size and return pool changes
+  if (onCalculationSettingsChange) {
+    const methodSelect = container.querySelector('#calculation-method');
+    const tradesInput = container.querySelector('#number-of-trades');
+    const eligibilityCheckbox = container.querySelector('#respect-drop-eligibility');
+    const areaLevelInput = container.querySelector('#area-level');
+    const compareCheckbox = container.querySelector('#compare-pools');
+    const emitChange = () => {
+      const numberOfTrades = Math.min(100000, Math.max(1, Math.floor(parseFloat(tradesInput.value) || currentNumberOfTrades)));
+      const parsedAreaLevel = parseInt(areaLevelInput.value, 10);
+      onCalculationSettingsChange({
+        calculationMethod: methodSelect.value,
+        numberOfTrades,
+        respectDropEligibility: eligibilityCheckbox.checked,
+        areaLevel: Number.isFinite(parsedAreaLevel) ? Math.min(100, Math.max(1, parsedAreaLevel)) : null,
+        comparePools: compareCheckbox.checked,
+      });
+    };
+    [methodSelect, tradesInput, eligibilityCheckbox, areaLevelInput, compareCheckbox].forEach(control => {
+      if (control) control.addEventListener('change', emitChange);
+    });
+  }
 }
 
 /**
@@ -139,8 +334,9 @@ export function renderThresholdDisplay(container, threshold, currency = 'chaos',
  * @param {Function} onConfidenceChange
  * @param {string} currentTradeMode
  * @param {Function} onTradeModeChange
+ * @param {Function} onCalculationSettingsChange
  */
-export function updateThresholdDisplay(container, threshold, currency = 'chaos', currentConfidencePercentile = 0.9, onConfidenceChange = null, currentTradeMode = 'returnable', onTradeModeChange = null) {
-  renderThresholdDisplay(container, threshold, currency, currentConfidencePercentile, onConfidenceChange, currentTradeMode, onTradeModeChange);
+export function updateThresholdDisplay(container, threshold, currency = 'chaos', currentConfidencePercentile = 0.9, onConfidenceChange = null, currentTradeMode = 'returnable', onTradeModeChange = null, onCalculationSettingsChange = null) {
+  renderThresholdDisplay(container, threshold, currency, currentConfidencePercentile, onConfidenceChange, currentTradeMode, onTradeModeChange, onCalculationSettingsChange);
 }
 
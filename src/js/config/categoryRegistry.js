@@ -0,0 +1,337 @@
+/**
+ * Category Registry
+ * One descriptor per item category. Routing, navigation, price files, data status, data loading and
+ * rendering all read from here, so adding a category starts with a descriptor instead of edits across modules.
+ */
+
+import { scarabGridAdapter } from '../adapters/scarabGridAdapter.js';
+import { essenceGridAdapter } from '../adapters/essenceGridAdapter.js';
+import { catalystGridAdapter } from '../adapters/catalystGridAdapter.js';
+import { fossilGridAdapter } from '../adapters/fossilGridAdapter.js';
+import { oilGridAdapter } from '../adapters/oilGridAdapter.js';
+import { deliriumOrbGridAdapter } from '../adapters/deliriumOrbGridAdapter.js';
+import { emblemGridAdapter } from '../adapters/emblemGridAdapter.js';
+import {
+  ESSENCE_GRID_CONFIG,
+  CATALYSTS_GRID_CONFIG,
+  FOSSILS_GRID_CONFIG,
+  OILS_GRID_CONFIG,
+  DELIRIUM_ORBS_GRID_CONFIG,
+  EMBLEMS_GRID_CONFIG
+} from './gridConfig.js';
+import {
+  showTooltip,
+  showEssenceTooltip,
+  showCatalystTooltip,
+  showFossilTooltip,
+  showOilTooltip,
+  showDeliriumOrbTooltip,
+  showEmblemTooltip,
+  showUniqueTooltip
+} from '../utils/tooltip.js';
+import { SCARAB_RULE, ESSENCE_RULE, CATALYST_RULE, TATTOO_RULE, FOSSIL_RULE, DELIRIUM_ORB_RULE } from '../services/rerollRules.js';
+import { getFragility } from '../services/sensitivityService.js';
+
+/**
+ * @typedef {Object} CategoryDescriptor
+ * @property {string} id - Route id (e.g. 'delirium-orbs')
+ * @property {string} label - Navigation label
+ * @property {string} itemName - Singular item name used in messages (e.g. 'Delirium Orb')
+ * @property {string} itemNamePlural - Plural item name used in messages
+ * @property {string} icon - Navigation icon path
+ * @property {Array<{ id: string, displayName: string }>} priceTypes - Price files owned by the category
+ * @property {Object<string, string>} dataFiles - Static data files (details is the item definitions file)
+ * @property {string|null} weightsUrl - poedata.dev MLE drop weights (null = no drop weights)
+ * @property {string|null} susFile - Regex search token file id (null = no regex search)
+ * @property {{ tabImagePath: string, imageDirectory: string, config: Object|null }|null} grid - Stash tab grid
+ * @property {Object|null} adapter - Generic grid view adapter (see genericGridView.js)
+ * @property {Function|null} tooltip - (item, x, y) => void
+ * @property {Object<string, Function>|null} sortFields - List sort field -> (item, currency) => sort key
+ *   (null = the category's list view sorts itself)
+ * @property {{ field: string, direction: 'asc'|'desc' }} defaultSort - Initial list sort
+ * @property {RerollRule|null} rule - Reroll rule (see rerollRules.js); null for price-only categories
+ * @property {CategoryView|null} view - Loader and render hooks, registered by the app on start (see registerCategoryViews)
+ */
+
+/**
+ * @typedef {Object} CategoryView
+ * @property {Function} load - async () => load the category's data and render its UI
+ * @property {Function} [reload] - async () => reload the data and re-render an already shown category (defaults to load)
+ * @property {Function} renderList - container => re-render the list view after a selection change
+ * @property {Function|null} renderCurrency - currency => re-render prices in a new currency (null = the category's
+ *   views re-render from their own app state subscriptions)
+ * @property {Function} [showLoading] - container => custom list loading state (default: a generic loading message)
+ */
+
+/**
+ * Price files that no single category owns (reroll currencies)
+ */
+const SHARED_PRICE_TYPES = [
+  { id: 'lifeforce', displayName: 'Lifeforce' },
+];
+
+const byName = item => (item.name || '').toLowerCase();
+const byValue = (item, currency) => (currency === 'divine' ? (item.divineValue ?? -Infinity) : (item.chaosValue ?? -Infinity));
+const byDropWeight = missing => item => item.dropWeight ?? missing;
+const byThreshold = item => (item.profitabilityStatus !== 'unknown' ? item.threshold : -Infinity);
+const byFragility = item => getFragility(item);
+
+/** Sort fields of price-only lists */
+const PRICE_LIST_SORT_FIELDS = {
+  name: byName,
+  dropWeight: byDropWeight(Infinity),
+  value: byValue,
+};
+
+const DEFAULT_SORT = { field: 'name', direction: 'asc' };
+
+/**
+ * All categories, in navigation order
+ * @type {Array<CategoryDescriptor>}
+ */
+export const CATEGORIES = [
+  {
+    id: 'scarabs',
+    label: 'Scarabs',
+    itemName: 'Scarab',
+    itemNamePlural: 'Scarabs',
+    icon: '/assets/images/scarabs/abyss-scarab.png',
+    priceTypes: [{ id: 'scarab', displayName: 'Scarab' }],
+    dataFiles: { details: '/data/items/scarabs.json' },
+    weightsUrl: 'https://poedata.dev/data/scarabs/calculations/mle.json',
+    susFile: 'scarabs',
+    grid: { tabImagePath: '/assets/images/stashTabs/scarab-tab.png', imageDirectory: '/assets/images/scarabs/', config: null },
+    adapter: scarabGridAdapter,
+    tooltip: showTooltip,
+    sortFields: null,
+    defaultSort: DEFAULT_SORT,
+    rule: SCARAB_RULE,
+    view: null,
+  },
+  {
+    id: 'fossils',
+    label: 'Fossils',
+    itemName: 'Fossil',
+    itemNamePlural: 'Fossils',
+    icon: '/assets/images/fossils/aberrant-fossil.png',
+    priceTypes: [{ id: 'fossil', displayName: 'Fossil' }],
+    dataFiles: { details: '/data/items/fossils.json' },
+    weightsUrl: 'https://poedata.dev/data/fossils/calculations/mle.json',
+    susFile: 'fossils',
+    grid: { tabImagePath: FOSSILS_GRID_CONFIG.tabImagePath, imageDirectory: '/assets/images/fossils/', config: FOSSILS_GRID_CONFIG },
+    adapter: fossilGridAdapter,
+    tooltip: showFossilTooltip,
+    sortFields: null,
+    defaultSort: DEFAULT_SORT,
+    rule: FOSSIL_RULE,
+    view: null,
+  },
+  {
+    id: 'catalysts',
+    label: 'Catalysts',
+    itemName: 'Catalyst',
+    itemNamePlural: 'Catalysts',
+    icon: '/assets/images/catalysts/abrasive-catalyst.png',
+    priceTypes: [{ id: 'catalyst', displayName: 'Catalyst' }],
+    dataFiles: { details: '/data/items/catalysts.json' },
+    weightsUrl: 'https://poedata.dev/data/catalysts/calculations/mle.json',
+    susFile: 'catalysts',
+    grid: { tabImagePath: CATALYSTS_GRID_CONFIG.tabImagePath, imageDirectory: '/assets/images/catalysts/', config: CATALYSTS_GRID_CONFIG },
+    adapter: catalystGridAdapter,
+    tooltip: showCatalystTooltip,
+    sortFields: {
+      name: byName,
+      weight: byDropWeight(-1),
+      value: byValue,
+      threshold: byThreshold,
+      fragility: byFragility,
+    },
+    defaultSort: DEFAULT_SORT,
+    rule: CATALYST_RULE,
+    view: null,
+  },
+  {
+    id: 'essences',
+    label: 'Essences',
+    itemName: 'Essence',
+    itemNamePlural: 'Essences',
+    icon: '/assets/images/essences/muttering-essence-of-anger.png',
+    priceTypes: [{ id: 'essence', displayName: 'Essence' }],
+    dataFiles: { details: '/data/items/essences.json' },
+    weightsUrl: 'https://poedata.dev/data/essences/calculations/mle.json',
+    susFile: 'essences',
+    grid: { tabImagePath: ESSENCE_GRID_CONFIG.tabImagePath, imageDirectory: '/assets/images/essences/', config: ESSENCE_GRID_CONFIG },
+    adapter: essenceGridAdapter,
+    tooltip: showEssenceTooltip,
+    sortFields: null,
+    defaultSort: DEFAULT_SORT,
+    rule: ESSENCE_RULE,
+    view: null,
+  },
+  {
+    id: 'delirium-orbs',
+    label: 'Delirium Orbs',
+    itemName: 'Delirium Orb',
+    itemNamePlural: 'Delirium Orbs',
+    icon: '/assets/images/deliriumOrbs/abyssal-delirium-orb.png',
+    priceTypes: [{ id: 'deliriumOrb', displayName: 'Delirium Orb' }],
+    dataFiles: { details: '/data/items/deliriumOrbs.json' },
+    weightsUrl: 'https://poedata.dev/data/deliriumOrbs/calculations/mle.json',
+    susFile: 'deliriumOrbs',
+    grid: { tabImagePath: DELIRIUM_ORBS_GRID_CONFIG.tabImagePath, imageDirectory: '/assets/images/deliriumOrbs/', config: DELIRIUM_ORBS_GRID_CONFIG },
+    adapter: deliriumOrbGridAdapter,
+    tooltip: showDeliriumOrbTooltip,
+    sortFields: PRICE_LIST_SORT_FIELDS,
+    defaultSort: DEFAULT_SORT,
+    rule: DELIRIUM_ORB_RULE,
+    view: null,
+  },
+  {
+    id: 'emblems',
+    label: 'Emblems',
+    itemName: 'Emblem',
+    itemNamePlural: 'Emblems',
+    icon: '/assets/images/legionEmblems/timeless-eternal-emblem.png',
+    priceTypes: [{ id: 'emblem', displayName: 'Emblem' }],
+    dataFiles: { details: '/data/items/legionEmblems.json' },
+    weightsUrl: null,
+    susFile: 'legionEmblems',
+    grid: { tabImagePath: EMBLEMS_GRID_CONFIG.tabImagePath, imageDirectory: '/assets/images/legionEmblems/', config: EMBLEMS_GRID_CONFIG },
+    adapter: emblemGridAdapter,
+    tooltip: showEmblemTooltip,
+    sortFields: PRICE_LIST_SORT_FIELDS,
+    defaultSort: DEFAULT_SORT,
+    rule: null,
+    view: null,
+  },
+  {
+    id: 'tattoos',
+    label: 'Tattoos',
+    itemName: 'Tattoo',
+    itemNamePlural: 'Tattoos',
+    icon: '/assets/images/tattoos/journey-tattoo-of-the-body.png',
+    priceTypes: [{ id: 'tattoo', displayName: 'Tattoo' }],
+    dataFiles: { details: '/data/items/tattoos.json' },
+    weightsUrl: 'https://poedata.dev/data/tattoos/calculations/mle.json',
+    susFile: 'tattoos',
+    grid: null,
+    adapter: null,
+    tooltip: null,
+    sortFields: {
+      name: byName,
+      dropWeight: byDropWeight(Infinity),
+      value: byValue,
+      threshold: byThreshold,
+      fragility: byFragility,
+    },
+    defaultSort: DEFAULT_SORT,
+    rule: TATTOO_RULE,
+    view: null,
+  },
+  {
+    id: 'oils',
+    label: 'Oils',
+    itemName: 'Oil',
+    itemNamePlural: 'Oils',
+    icon: '/assets/images/oils/clear-oil.png',
+    priceTypes: [{ id: 'oil', displayName: 'Oil' }],
+    dataFiles: { details: '/data/items/oils.json' },
+    weightsUrl: null,
+    susFile: 'oils',
+    grid: { tabImagePath: OILS_GRID_CONFIG.tabImagePath, imageDirectory: '/assets/images/oils/', config: OILS_GRID_CONFIG },
+    adapter: oilGridAdapter,
+    tooltip: showOilTooltip,
+    sortFields: PRICE_LIST_SORT_FIELDS,
+    defaultSort: DEFAULT_SORT,
+    rule: null,
+    view: null,
+  },
+  {
+    id: 'temple',
+    label: 'Temple',
+    itemName: 'Temple upgrade',
+    itemNamePlural: 'Temple upgrades',
+    icon: '/assets/images/Chronicle_of_Atzoatl.png',
+    priceTypes: [
+      { id: 'templeUnique', displayName: 'Temple Unique' },
+      { id: 'vial', displayName: 'Vial' },
+    ],
+    dataFiles: { uniques: '/data/items/uniques.json', vials: '/data/items/vials.json' },
+    weightsUrl: null,
+    susFile: null,
+    grid: null,
+    adapter: null,
+    tooltip: showUniqueTooltip,
+    sortFields: null,
+    defaultSort: DEFAULT_SORT,
+    rule: null,
+    view: null,
+  },
+];
+
+const CATEGORIES_BY_ID = new Map(CATEGORIES.map(category => [category.id, category]));
+
+/**
+ * Get a category descriptor
+ * @param {string|null} categoryId - Route id
+ * @returns {CategoryDescriptor|null}
+ */
+export function getCategory(categoryId) {
+  return CATEGORIES_BY_ID.get(categoryId) || null;
+}
+
+/**
+ * Attach the app's loader and render hooks to the descriptors. The hooks live in main.js, which imports this
+ * module, so they are registered on start rather than declared in CATEGORIES.
+ * @param {Object<string, CategoryView>} viewsById - Category id -> hooks
+ */
+export function registerCategoryViews(viewsById) {
+  Object.entries(viewsById).forEach(([categoryId, view]) => {
+    const category = getCategory(categoryId);
+    if (!category) {
+      throw new Error(`Unknown category: ${categoryId}`);
+    }
+    category.view = view;
+  });
+}
+
+/**
+ * Check whether a route id is a registered category
+ * @param {string} categoryId
+ * @returns {boolean}
+ */
+export function isCategory(categoryId) {
+  return CATEGORIES_BY_ID.has(categoryId);
+}
+
+/**
+ * Get every price file type: those owned by categories (navigation order), then shared ones
+ * @returns {Array<{ id: string, displayName: string }>}
+ */
+export function getPriceTypes() {
+  return [...CATEGORIES.flatMap(category => category.priceTypes), ...SHARED_PRICE_TYPES];
+}
+
+/**
+ * Sort a category's list items by one of its sort fields (unknown fields sort by value)
+ * @param {string} categoryId
+ * @param {Array<Object>} items
+ * @param {{ field: string, direction: 'asc'|'desc' }} sort
+ * @param {string} currency - 'chaos' or 'divine'
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortCategoryItems(categoryId, items, sort, currency) {
+  const sortFields = getCategory(categoryId)?.sortFields;
+  if (!sortFields) {
+    throw new Error(`Category ${categoryId} has no list sort fields`);
+  }
+  const sortKey = sortFields[sort.field] || sortFields.value || byValue;
+  const direction = sort.direction === 'asc' ? 1 : -1;
+  return [...items].sort((a, b) => {
+    const aVal = sortKey(a, currency);
+    const bVal = sortKey(b, currency);
+    if (aVal < bVal) return -direction;
+    if (aVal > bVal) return direction;
+    return 0;
+  });
+}
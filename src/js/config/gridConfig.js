@@ -825,83 +825,6 @@ export function createCellsFromGroupsForCategory(gridConfig) {
   return cells;
 }
 
-/**
- * Category-to-tab image and grid config mapping
- */
-export const CATEGORY_GRID_MAPPING = {
-  'breach': {
-    tabImagePath: '/assets/images/stashTabs/breach-tab.png',
-    gridConfigKey: 'breach',
-    imageDirectory: '/assets/images/breach/'
-  },
-  'legion': {
-    tabImagePath: '/assets/images/stashTabs/fragments-tab.png',
-    gridConfigKey: 'fragments',
-    imageDirectory: '/assets/images/legion/'
-  },
-  'delirium-orbs': {
-    tabImagePath: '/assets/images/stashTabs/delirium-orbs-tab.png',
-    gridConfigKey: 'delirium-orbs',
-    imageDirectory: '/assets/images/deliriumOrbs/'
-  },
-  'essences': {
-    tabImagePath: '/assets/images/stashTabs/essence-tab.png',
-    gridConfigKey: 'essence',
-    imageDirectory: '/assets/images/essences/'
-  },
-  'fossils': {
-    tabImagePath: '/assets/images/stashTabs/fossils-tab.png',
-    gridConfigKey: 'fossils',
-    imageDirectory: '/assets/images/fossils/'
-  },
-  'oils': {
-    tabImagePath: '/assets/images/stashTabs/oils-tab.png',
-    gridConfigKey: 'oils',
-    imageDirectory: '/assets/images/oils/'
-  },
-  'catalysts': {
-    tabImagePath: '/assets/images/stashTabs/catalysts-tab.png',
-    gridConfigKey: 'catalysts',
-    imageDirectory: '/assets/images/catalysts/'
-  },
-  'scarabs': {
-    tabImagePath: '/assets/images/stashTabs/scarab-tab.png',
-    gridConfigKey: 'scarab',
-    imageDirectory: '/assets/images/scarabs/'
-  }
-};
-
-export function getCategoryTabImage(categoryId) {
-  const mapping = CATEGORY_GRID_MAPPING[categoryId];
-  return mapping ? mapping.tabImagePath : null;
-}
-
-export function getCategoryImageDirectory(categoryId) {
-  const mapping = CATEGORY_GRID_MAPPING[categoryId];
-  return mapping ? mapping.imageDirectory : null;
-}
-
-export function getGridConfigKey(categoryId) {
-  const mapping = CATEGORY_GRID_MAPPING[categoryId];
-  return mapping ? mapping.gridConfigKey : null;
-}
-
-const GRID_CONFIGS = {
-  'breach': BREACH_GRID_CONFIG,
-  'fragments': FRAGMENTS_GRID_CONFIG,
-  'delirium-orbs': DELIRIUM_ORBS_GRID_CONFIG,
-  'essence': ESSENCE_GRID_CONFIG,
-  'fossils': FOSSILS_GRID_CONFIG,
-  'oils': OILS_GRID_CONFIG,
-  'catalysts': CATALYSTS_GRID_CONFIG
-};
-
-export function getGridConfig(categoryId) {
-  const configKey = getGridConfigKey(categoryId);
-  if (!configKey || configKey === 'scarab') return null;
-  return GRID_CONFIGS[configKey] || null;
-}
-
 /**
  * Create a simple grid layout for testing (legacy function)
  * @param {number} cols - Number of columns
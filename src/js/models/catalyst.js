@@ -9,16 +9,27 @@ export class Catalyst {
     this.name = data.name;
     this.description = data.description || '';
     this.dropWeight = data.dropWeight ?? null;
+    this.dropWeightStdError = data.dropWeightStdError ?? null; // Standard error of the weight in use (null if unknown)
+    // poedata.dev MLE weight, kept when dropWeight comes from another source (see dropLogService)
+    this.mleDropWeight = data.mleDropWeight !== undefined ? data.mleDropWeight : this.dropWeight;
+    this.mleDropWeightStdError = data.mleDropWeightStdError !== undefined ? data.mleDropWeightStdError : this.dropWeightStdError;
+    this.weightSource = data.weightSource || 'mle'; // 'mle', 'personal' or 'blended'
     this.stackSize = data.stackSize || 10;
     
     // Price data (may be null if unavailable)
     this.chaosValue = data.chaosValue ?? null;
     this.divineValue = data.divineValue ?? null;
+    this.priceOverride = data.priceOverride ?? null; // Manual override with the feed prices (see priceOverrideService)
+    this.buyChaosValue = data.buyChaosValue ?? null; // Ask quoted by the price source (see priceSpreadService)
+    this.sellChaosValue = data.sellChaosValue ?? null; // Bid quoted by the price source
+    this.listingCount = data.listingCount ?? null; // Market depth (see liquidityService)
+    this.volume = data.volume ?? null; // Units traded per day
     
     // Calculated fields (set after threshold calculation)
     this.expectedValue = data.expectedValue ?? 0;
     this.profitabilityStatus = data.profitabilityStatus || 'unknown';
     this.threshold = data.threshold ?? 0;
+    this.thresholdBand = null; // { lower, upper } threshold range from drop-weight uncertainty
   }
 
   /**
@@ -14,9 +14,15 @@ export class Essence {
     // Price data (may be null if unavailable)
     this.chaosValue = data.chaosValue ?? null;
     this.divineValue = data.divineValue ?? null;
+    this.priceOverride = data.priceOverride ?? null; // Manual override with the feed prices (see priceOverrideService)
+    this.buyChaosValue = data.buyChaosValue ?? null; // Ask quoted by the price source (see priceSpreadService)
+    this.sellChaosValue = data.sellChaosValue ?? null; // Bid quoted by the price source
+    this.listingCount = data.listingCount ?? null; // Market depth (see liquidityService)
+    this.volume = data.volume ?? null; // Units traded per day
 
     // Drop weight from MLE (poedata.dev); same for all tiers of this essence type; null for special essences
     this.dropWeight = data.dropWeight ?? null;
+    this.dropWeightStdError = data.dropWeightStdError ?? null; // Standard error of the MLE weight (null if unknown)
 
     // Classify reroll group automatically from name
     this.rerollGroup = data.rerollGroup ?? (this.name ? classifyRerollGroup(this.name) : null);
@@ -25,6 +31,7 @@ export class Essence {
     this.expectedValue = data.expectedValue ?? 0;
     this.profitabilityStatus = data.profitabilityStatus || 'unknown';
     this.threshold = data.threshold ?? 0;
+    this.thresholdBand = null; // { lower, upper } threshold range from drop-weight uncertainty
     this.selectedForReroll = data.selectedForReroll ?? false;
   }
 
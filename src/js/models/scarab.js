@@ -13,6 +13,11 @@ export class Scarab {
     else if (typeof data.flavourtext === 'string') this.flavourText = data.flavourtext;
     if (typeof data.helpText === 'string') this.helpText = data.helpText;
     this.dropWeight = data.dropWeight ?? null;
+    this.dropWeightStdError = data.dropWeightStdError ?? null; // Standard error of the weight in use (null if unknown)
+    // poedata.dev MLE weight, kept when dropWeight comes from another source (see dropLogService)
+    this.mleDropWeight = data.mleDropWeight !== undefined ? data.mleDropWeight : this.dropWeight;
+    this.mleDropWeightStdError = data.mleDropWeightStdError !== undefined ? data.mleDropWeightStdError : this.dropWeightStdError;
+    this.weightSource = data.weightSource || 'mle'; // 'mle', 'personal' or 'blended'
     this.dropLevel = data.dropLevel || 0;
     this.limit = data.limit || 1;
     this.dropEnabled = data.dropEnabledd ?? data.dropEnabled ?? true;
@@ -20,11 +25,18 @@ export class Scarab {
     // Price data (may be null if unavailable)
     this.chaosValue = data.chaosValue ?? null;
     this.divineValue = data.divineValue ?? null;
+    this.priceOverride = data.priceOverride ?? null; // Manual override with the feed prices (see priceOverrideService)
+    this.buyChaosValue = data.buyChaosValue ?? null; // Ask quoted by the price source (see priceSpreadService)
+    this.sellChaosValue = data.sellChaosValue ?? null; // Bid quoted by the price source
+    this.listingCount = data.listingCount ?? null; // Market depth (see liquidityService)
+    this.volume = data.volume ?? null; // Units traded per day
     
     // Calculated fields (set after threshold calculation)
     this.expectedValue = data.expectedValue ?? 0;
     this.profitabilityStatus = data.profitabilityStatus || 'unknown';
     this.threshold = data.threshold ?? 0;
+    this.thresholdBand = null; // { lower, upper } threshold range from drop-weight uncertainty
+    this.excludedFromPool = false; // True when drop eligibility keeps it out of the return pool
   }
 
   /**
@@ -56,6 +68,17 @@ export class Scarab {
   hasDropWeight() {
     return this.dropWeight !== null && this.dropWeight > 0;
   }
+
+  /**
+   * Check if Scarab can currently drop (and so be returned by the 3-to-1 recipe)
+   * Legacy Scarabs are drop-disabled. The limit (how many can be used on one map) does not affect drops.
+   * @param {number|null} areaLevel - Area level to compare dropLevel against (null = any level)
+   * @returns {boolean}
+   */
+  isDropEligible(areaLevel = null) {
+    if (!this.dropEnabled) return false;
+    return areaLevel === null || this.dropLevel <= areaLevel;
+  }
 }
 
 /**
@@ -63,9 +86,10 @@ export class Scarab {
  * Represents the calculated economic threshold that separates profitable from unprofitable vendoring
  */
 export class ExpectedValueThreshold {
-  constructor(value, totalWeight, scarabCount, expectedValue = null, variance = null, standardDeviation = null, confidencePercentile = null, numberOfTrades = null, standardError = null, tradeMode = 'returnable') {
+  constructor(value, totalWeight, scarabCount, expectedValue = null, variance = null, standardDeviation = null, confidencePercentile = null, numberOfTrades = null, standardError = null, tradeMode = 'returnable', calculationMethod = 'weighted_average_with_confidence_interval') {
     this.value = value;
-    this.calculationMethod = 'weighted_average_with_confidence_interval';
+    // 'weighted_average_with_confidence_interval' (normal approximation) or 'discretized_convolution' (exact n-trade quantile)
+    this.calculationMethod = calculationMethod;
     this.totalWeight = totalWeight;
     this.calculatedAt = new Date().toISOString();
     this.scarabCount = scarabCount;
@@ -77,7 +101,18 @@ export class ExpectedValueThreshold {
     this.confidencePercentile = confidencePercentile; // e.g., 0.9 for 90th percentile
     this.numberOfTrades = numberOfTrades; // Number of trades considered
     this.standardError = standardError; // Standard error of the mean (σ / √n)
-    this.tradeMode = tradeMode; // 'returnable', 'lowest_value', or 'optimal_combination'
+    this.tradeMode = tradeMode; // 'returnable', 'lowest_value', 'optimal_combination', or 'optimal_mix'
+    this.inputMix = null; // Input mix breakdown for 'optimal_mix' (see findOptimalInputMix)
+    this.lowerBoundExpectedValue = null; // Lower bound of the n-trade mean at confidencePercentile (3 × value before clamping)
+    this.poolOptions = null; // Return pool filter used (see filterReturnPool)
+    this.excludedScarabCount = 0; // Scarabs with weight and price left out of the pool by drop eligibility
+    this.poolComparison = null; // Threshold for the other pool, when comparing pools
+    this.weightBand = null; // { lower, upper, level } threshold range from drop-weight uncertainty
+    this.weightSource = 'mle'; // Drop weight source of the return pool: 'mle', 'personal', 'blended' or 'mixed'
+    this.returnPoolIds = null; // Ids of the items in the return pool
+    this.sensitivity = null; // Threshold moves for price changes of high-weight outputs (see calculateThresholdSensitivity)
+    this.inputCost = null; // Cost of the three inputs per trade when the trade mode picks them (null for 'returnable')
+    this.rerollCost = 0; // Currency paid per reroll on top of the inputs (see rerollRules)
   }
 
   /**
@@ -101,6 +136,11 @@ export class SimulationConfiguration {
     this.transactionCount = data.transactionCount || 100;
     this.inputScarabStrategy = data.inputScarabStrategy || 'user_selected';
     this.continueMode = data.continueMode ?? false;
+    this.respectDropEligibility = data.respectDropEligibility ?? true;
+    this.areaLevel = data.areaLevel ?? null;
+    this.weightSource = data.weightSource || 'mle'; // Drop weight source of the Scarabs simulated
+    this.seed = data.seed ?? null; // Random number seed; null picks a new one per run
+    this.seedScheme = data.seedScheme ?? null; // How draws derive from the seed (see createSimulationRandoms); null = current
     this.createdAt = data.createdAt || new Date().toISOString();
   }
 
@@ -121,6 +161,12 @@ export class SimulationConfiguration {
     if (this.rareScarabThreshold < 0 || this.rareScarabThreshold > 1) {
       return { valid: false, error: 'Rare scarab threshold must be between 0 and 1' };
     }
+    if (this.seed !== null && !(Number.isInteger(this.seed) && this.seed >= 0 && this.seed <= 0xFFFFFFFF)) {
+      return { valid: false, error: 'Seed must be a whole number between 0 and 4294967295' };
+    }
+    if (this.seedScheme !== null && ![1, 2].includes(this.seedScheme)) {
+      return { valid: false, error: `Unsupported seed scheme: ${this.seedScheme}` };
+    }
     return { valid: true };
   }
 }
@@ -163,6 +209,8 @@ export class SimulationResult {
   constructor(data) {
     this.simulationId = data.simulationId || `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     this.configuration = data.configuration;
+    this.seed = data.seed ?? null; // Seed the run used: replaying it with the same prices reproduces the result
+    this.seedScheme = data.seedScheme ?? null; // Seed scheme the run used; null on results saved before schemes (single stream)
     // Convert yieldCounts to Map if it's an object (from localStorage)
     this.yieldCounts = data.yieldCounts instanceof Map 
       ? data.yieldCounts 
@@ -173,6 +221,15 @@ export class SimulationResult {
     this.netProfitLoss = data.netProfitLoss ?? 0;
     this.averageProfitLossPerTransaction = data.averageProfitLossPerTransaction ?? 0;
     this.finalCumulativeProfitLoss = data.finalCumulativeProfitLoss ?? 0;
+    // Drawdown of the cumulative P/L path (see calculateDrawdownStatistics); null on results saved before they existed
+    this.maxDrawdown = data.maxDrawdown ?? null;
+    this.longestLosingStreak = data.longestLosingStreak ?? null;
+    this.tradesUnderWater = data.tradesUnderWater ?? null;
+    this.recoveryTrades = data.recoveryTrades ?? null; // null also when the run ended before recovering
+    // Volume haircut on the held outputs (see liquidityService); null when haircuts are disabled
+    this.liquidityLoss = data.liquidityLoss ?? null;
+    this.realizableOutputValue = data.realizableOutputValue ?? null;
+    this.realizableNetProfitLoss = data.realizableNetProfitLoss ?? null;
     this.significantEvents = data.significantEvents || [];
     this.transactions = data.transactions || [];
     this.completedAt = data.completedAt || null;
@@ -193,6 +250,28 @@ export class SimulationResult {
   }
 }
 
+/**
+ * Monte Carlo Result Model
+ * Outcome distribution of a batch of simulation runs with independent seeds (see monteCarloService)
+ */
+export class MonteCarloResult {
+  constructor(data) {
+    this.batchId = data.batchId || `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.configuration = data.configuration;
+    this.seed = data.seed ?? null; // Batch seed the run seeds are drawn from
+    this.runCount = data.runCount ?? 0;
+    this.runs = data.runs || []; // Per run: { seed, finalProfitLoss, breakevenTrade }
+    this.meanProfitLoss = data.meanProfitLoss ?? 0;
+    this.standardDeviation = data.standardDeviation ?? 0;
+    this.percentiles = data.percentiles || []; // Final P/L: [{ percentile, value }]
+    this.probabilityOfLoss = data.probabilityOfLoss ?? 0;
+    this.histogram = data.histogram || []; // Final P/L: [{ from, to, count }]
+    this.fan = data.fan || []; // Cumulative P/L: [{ tradeNumber, values (one per percentile), breakevenProbability }]
+    this.completedAt = data.completedAt || null;
+    this.executionTimeMs = data.executionTimeMs ?? 0;
+  }
+}
+
 /**
  * Simulation Model
  * Represents a vendoring simulation scenario with strategy and results
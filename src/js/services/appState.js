@@ -0,0 +1,303 @@
+/**
+ * Application State Store
+ * Single source of truth for the route, settings, view state, loaded category data and item selection.
+ * Every update replaces the changed slice, so subscribers with a selector are only notified when the
+ * value they select changes.
+ */
+
+import { CALCULATION_METHODS } from './rerollEngine.js';
+import { DEFAULT_POOL_OPTIONS } from './rerollRules.js';
+import { WEIGHT_SOURCES } from './dropLogService.js';
+import { getCategory } from '../config/categoryRegistry.js';
+
+/**
+ * Default threshold and display settings
+ */
+export const DEFAULT_SETTINGS = {
+  currency: 'chaos',
+  confidencePercentile: 0.9, // Default 90% confidence
+  tradeMode: 'returnable', // 'returnable', 'lowest_value', 'optimal_combination' or 'optimal_mix'
+  calculationMethod: CALCULATION_METHODS.CONVOLUTION, // Threshold calculation method (see CALCULATION_METHODS)
+  numberOfTrades: 10000, // Session size the threshold certainty applies to
+  poolOptions: DEFAULT_POOL_OPTIONS, // Scarab return pool filter (drop eligibility, area level)
+  comparePools: false, // Also calculate the threshold for the other return pool
+  weightSource: WEIGHT_SOURCES.MLE, // Drop weight source for Scarabs, Catalysts and Tattoos (see dropLogService)
+};
+
+/** Category data before anything is loaded */
+const EMPTY_CATEGORY_DATA = Object.freeze({ items: [], threshold: null });
+
+/**
+ * Create the initial state
+ * @returns {Object}
+ */
+function createInitialState() {
+  return {
+    route: { categoryId: 'scarabs', page: 'flipping' }, // Replaced by the router on start
+    settings: { ...DEFAULT_SETTINGS },
+    view: { filters: null, listSort: {} },
+    data: {},
+    selection: { categoryId: '', idsByCategory: {} },
+  };
+}
+
+let state = createInitialState();
+
+/** @type {Array<{ selector: Function, value: *, callback: Function }>} */
+const subscribers = [];
+
+/**
+ * Get the current state (treat as read-only; update through the setters)
+ * @returns {Object}
+ */
+export function getState() {
+  return state;
+}
+
+/**
+ * Subscribe to state changes. The callback runs when the selected value changes (Object.is);
+ * without a selector it runs on every update. Call the returned function to unsubscribe.
+ * @param {Function} selectorOrCallback - state => value, or the callback when no selector is given
+ * @param {Function} [callback] - (value, previousValue) => void
+ * @returns {() => void} unsubscribe
+ */
+export function subscribe(selectorOrCallback, callback) {
+  const selector = callback ? selectorOrCallback : current => current;
+  const listener = callback || selectorOrCallback;
+  if (typeof selector !== 'function' || typeof listener !== 'function') return () => {};
+
+  const subscriber = { selector, value: selector(state), callback: listener };
+  subscribers.push(subscriber);
+  return () => {
+    const i = subscribers.indexOf(subscriber);
+    if (i !== -1) subscribers.splice(i, 1);
+  };
+}
+
+/**
+ * Replace the state and notify subscribers whose selected value changed
+ * @param {Object} nextState
+ */
+function setState(nextState) {
+  state = nextState;
+  [...subscribers].forEach(subscriber => {
+    const value = subscriber.selector(state);
+    if (Object.is(value, subscriber.value)) return;
+    const previousValue = subscriber.value;
+    subscriber.value = value;
+    try {
+      subscriber.callback(value, previousValue);
+    } catch (e) {
+      console.warn('App state subscriber error:', e);
+    }
+  });
+}
+
+/**
+ * Set the current route (router-driven; null category and page mean the welcome page)
+ * @param {string|null} categoryId - Category id, or null for the welcome page
+ * @param {string|null} page - 'flipping', 'simulation', or null for the welcome page
+ */
+export function setRoute(categoryId, page) {
+  if (state.route.categoryId === categoryId && state.route.page === page) return;
+  setState({ ...state, route: { categoryId, page } });
+}
+
+/**
+ * Update settings (only the given keys change)
+ * @param {Object} changes - Subset of DEFAULT_SETTINGS keys
+ */
+export function updateSettings(changes) {
+  const changed = Object.keys(changes).some(key => !Object.is(state.settings[key], changes[key]));
+  if (!changed) return;
+  setState({ ...state, settings: { ...state.settings, ...changes } });
+}
+
+/**
+ * Read threshold settings from saved preferences (missing values use the defaults)
+ * @param {Object} preferences - From loadPreferences()
+ * @returns {Object} Settings changes for updateSettings
+ */
+export function getSettingsFromPreferences(preferences) {
+  return {
+    currency: preferences.currencyPreference || DEFAULT_SETTINGS.currency,
+    confidencePercentile: preferences.confidencePercentile || DEFAULT_SETTINGS.confidencePercentile,
+    tradeMode: preferences.tradeMode || DEFAULT_SETTINGS.tradeMode,
+    calculationMethod: preferences.calculationMethod || DEFAULT_SETTINGS.calculationMethod,
+    numberOfTrades: preferences.numberOfTrades || DEFAULT_SETTINGS.numberOfTrades,
+    poolOptions: { ...DEFAULT_POOL_OPTIONS, ...preferences.poolOptions },
+    comparePools: preferences.comparePools ?? DEFAULT_SETTINGS.comparePools,
+    weightSource: preferences.weightSource || DEFAULT_SETTINGS.weightSource,
+  };
+}
+
+/**
+ * Set the active Scarab filters
+ * @param {Object|null} filters
+ */
+export function setFilters(filters) {
+  setState({ ...state, view: { ...state.view, filters } });
+}
+
+/**
+ * Set the list sort of a category
+ * @param {string} categoryId
+ * @param {{ field: string, direction: 'asc'|'desc' }} sort
+ */
+export function setListSort(categoryId, sort) {
+  setState({ ...state, view: { ...state.view, listSort: { ...state.view.listSort, [categoryId]: { ...sort } } } });
+}
+
+/**
+ * Update the loaded data of a category (only the given keys change)
+ * @param {string} categoryId
+ * @param {Object} changes - { items?, threshold?, ... }; threshold is a Map of reroll group -> threshold for
+ *   grouped categories
+ */
+export function setCategoryData(categoryId, changes) {
+  const previous = state.data[categoryId] || EMPTY_CATEGORY_DATA;
+  setState({ ...state, data: { ...state.data, [categoryId]: { ...previous, ...changes } } });
+}
+
+/**
+ * Set the selection slice (see selectionState.js)
+ * @param {{ categoryId: string, idsByCategory: Object<string, Set<string>> }} selection
+ */
+export function setSelection(selection) {
+  setState({ ...state, selection });
+}
+
+/** Selectors (state => value), stable per argument so they can be passed to subscribe */
+export const selectRoute = current => current.route;
+export const selectSettings = current => current.settings;
+export const selectCurrency = current => current.settings.currency;
+export const selectFilters = current => current.view.filters;
+export const selectSelection = current => current.selection;
+
+const selectorCache = new Map();
+
+/**
+ * Get a cached selector for a key, so repeated calls return the same function
+ * @param {string} name - Selector family
+ * @param {string} key - Argument (e.g. category id)
+ * @param {Function} create - key => selector
+ * @returns {Function}
+ */
+function cachedSelector(name, key, create) {
+  const cacheKey = `${name}:${key}`;
+  if (!selectorCache.has(cacheKey)) {
+    selectorCache.set(cacheKey, create(key));
+  }
+  return selectorCache.get(cacheKey);
+}
+
+/**
+ * Select a category's loaded data
+ * @param {string} categoryId
+ * @returns {Function} state => { items, threshold, ... }
+ */
+export function selectCategoryData(categoryId) {
+  return cachedSelector('data', categoryId, id => current => current.data[id] || EMPTY_CATEGORY_DATA);
+}
+
+/**
+ * Select a category's items
+ * @param {string} categoryId
+ * @returns {Function} state => Array
+ */
+export function selectItems(categoryId) {
+  return cachedSelector('items', categoryId, id => current => (current.data[id] || EMPTY_CATEGORY_DATA).items);
+}
+
+/**
+ * Select a category's threshold
+ * @param {string} categoryId
+ * @returns {Function} state => threshold (Map of reroll group -> threshold for grouped categories)
+ */
+export function selectThreshold(categoryId) {
+  return cachedSelector('threshold', categoryId, id => current => (current.data[id] || EMPTY_CATEGORY_DATA).threshold);
+}
+
+/**
+ * Select a category's list sort, falling back to the registry default
+ * @param {string} categoryId
+ * @returns {Function} state => { field, direction }
+ */
+export function selectListSort(categoryId) {
+  return cachedSelector('listSort', categoryId, id => {
+    const defaultSort = getCategory(id)?.defaultSort || { field: 'name', direction: 'asc' };
+    return current => current.view.listSort[id] || defaultSort;
+  });
+}
+
+/**
+ * Get the ids of a category's profitable items (derived from the items' profitabilityStatus)
+ * @param {Object} current - State
+ * @param {string} categoryId
+ * @returns {Array<string>}
+ */
+export function selectProfitableIds(current, categoryId) {
+  return selectItems(categoryId)(current)
+    .filter(item => item.profitabilityStatus === 'profitable')
+    .map(item => item.id || item.detailsId)
+    .filter(Boolean);
+}
+
+/**
+ * Get a category's items
+ * @param {string} categoryId
+ * @returns {Array}
+ */
+export function getCategoryItems(categoryId) {
+  return selectItems(categoryId)(state);
+}
+
+/**
+ * Get a category's threshold
+ * @param {string} categoryId
+ * @returns {*} Threshold, a Map of reroll group -> threshold for grouped categories, or null
+ */
+export function getCategoryThreshold(categoryId) {
+  return selectThreshold(categoryId)(state);
+}
+
+/**
+ * Get the current settings
+ * @returns {Object}
+ */
+export function getSettings() {
+  return state.settings;
+}
+
+/**
+ * Get the current route
+ * @returns {{ categoryId: string|null, page: string|null }}
+ */
+export function getRoute() {
+  return state.route;
+}
+
+/**
+ * Get the active Scarab filters
+ * @returns {Object|null}
+ */
+export function getFilters() {
+  return state.view.filters;
+}
+
+/**
+ * Get a category's list sort
+ * @param {string} categoryId
+ * @returns {{ field: string, direction: 'asc'|'desc' }}
+ */
+export function getListSort(categoryId) {
+  return selectListSort(categoryId)(state);
+}
+
+/**
+ * Reset the store to its initial state and drop all subscribers (tests)
+ */
+export function resetState() {
+  state = createInitialState();
+  subscribers.length = 0;
+}
@@ -3,154 +3,165 @@
  * Handles loading and merging JSON files, LocalStorage management
  */
 
-import { fetchDataWithFallback, forceRefreshData } from '../utils/dataFetcher.js';
-import { getPriceFileName, getPriceFileLocalPath } from './leagueService.js';
+import { fetchDataWithFallback, fetchDataWithSource, forceRefreshData, revalidateData, setCacheTtl, DATA_SOURCES } from '../utils/dataFetcher.js';
+import { getPriceFileName, getPriceFileLocalPath, getSelectedLeague } from './leagueService.js';
+import { getPriceProvider, getPriceProviderSelection } from './priceProviders.js';
+import { applyPriceOverrides } from './priceOverrideService.js';
+import { getCategory } from '../config/categoryRegistry.js';
 
-const MLE_WEIGHTS_URL = 'https://poedata.dev/data/scarabs/calculations/mle.json';
-const ESSENCE_MLE_WEIGHTS_URL = 'https://poedata.dev/data/essences/calculations/mle.json';
-const CATALYST_MLE_WEIGHTS_URL = 'https://poedata.dev/data/catalysts/calculations/mle.json';
-const FOSSIL_MLE_WEIGHTS_URL = 'https://poedata.dev/data/fossils/calculations/mle.json';
-const TATTOO_MLE_WEIGHTS_URL = 'https://poedata.dev/data/tattoos/calculations/mle.json';
-const DELIRIUM_ORB_MLE_WEIGHTS_URL = 'https://poedata.dev/data/deliriumOrbs/calculations/mle.json';
+/**
+ * @typedef {Object} MleWeight
+ * @property {number} weight - MLE drop weight (probability)
+ * @property {number|null} stdError - Standard error of the weight, when the MLE data allows one
+ */
+
+/** z-score of a two-sided 95% interval, used to turn published intervals into standard errors */
+const INTERVAL_95_Z = 1.959964;
 
 /**
- * Fetch scarab drop weights from poedata.dev MLE calculations
- * @returns {Promise<Map<string, number>>} Map of scarab id -> weight (probability)
+ * Parse poedata.dev MLE items into weights, keeping uncertainty information when present.
+ * The standard error is taken from (first match): an explicit standard error field, a 95% interval
+ * (ci: [lower, upper] or lower/upper bounds), or the binomial error sqrt(w(1 - w) / N) for a
+ * known total sample size N (top-level sampleSize/totalCount, or the sum of per-item counts).
+ * @param {Object} data - Parsed mle.json
+ * @returns {Map<string, MleWeight>} Map of item id -> { weight, stdError }
  */
-async function fetchScarabWeightsFromMle() {
-  const response = await fetch(MLE_WEIGHTS_URL);
-  if (!response.ok) {
-    throw new Error(`Failed to load Scarab weights from ${MLE_WEIGHTS_URL}`);
-  }
-  const data = await response.json();
+function parseMleWeights(data) {
   const weightMap = new Map();
-  if (data.items && Array.isArray(data.items)) {
-    data.items.forEach(item => {
-      if (item.id != null && typeof item.weight === 'number') {
-        weightMap.set(item.id, item.weight);
+  if (!data || !Array.isArray(data.items)) return weightMap;
+
+  const counts = data.items.map(item => item.count ?? item.sampleCount ?? null);
+  const countSum = counts.every(count => typeof count === 'number') ? counts.reduce((sum, count) => sum + count, 0) : null;
+  const totalSamples = data.sampleSize ?? data.totalCount ?? countSum;
+
+  data.items.forEach((item) => {
+    if (item.id == null || typeof item.weight !== 'number') return;
+
+    let stdError = item.stdError ?? item.standardError ?? item.se ?? null;
+    if (stdError == null) {
+      const lower = Array.isArray(item.ci) ? item.ci[0] : (item.ciLower ?? item.lower);
+      const upper = Array.isArray(item.ci) ? item.ci[1] : (item.ciUpper ?? item.upper);
+      if (typeof lower === 'number' && typeof upper === 'number' && upper >= lower) {
+        stdError = (upper - lower) / (2 * INTERVAL_95_Z);
       }
-    });
-  }
+    }
+    if (stdError == null && typeof totalSamples === 'number' && totalSamples > 0 && item.weight >= 0 && item.weight <= 1) {
+      stdError = Math.sqrt(item.weight * (1 - item.weight) / totalSamples);
+    }
+
+    weightMap.set(item.id, { weight: item.weight, stdError: typeof stdError === 'number' && stdError >= 0 ? stdError : null });
+  });
   return weightMap;
 }
 
 /**
- * Fetch essence drop weights from poedata.dev MLE calculations.
- * MLE data only includes Deafening tier; same weight is used for all tiers of each essence type.
- * @returns {Promise<Map<string, number>>} Map of deafening essence id -> weight (e.g. "deafening-essence-of-woe" -> weight)
+ * Version of the bundled MLE weight snapshot format (public/data/weights/<categoryId>.json).
+ * Snapshots of another version are ignored.
  */
-async function fetchEssenceWeightsFromMle() {
-  const response = await fetch(ESSENCE_MLE_WEIGHTS_URL);
-  if (!response.ok) {
-    throw new Error(`Failed to load Essence weights from ${ESSENCE_MLE_WEIGHTS_URL}`);
-  }
-  const data = await response.json();
-  const weightMap = new Map();
-  if (data.items && Array.isArray(data.items)) {
-    data.items.forEach(item => {
-      if (item.id != null && typeof item.weight === 'number') {
-        weightMap.set(item.id, item.weight);
-      }
-    });
-  }
-  return weightMap;
+export const WEIGHTS_SNAPSHOT_VERSION = 1;
+
+/** MLE weights change slowly, so cached weights are reused for a day */
+const WEIGHTS_CACHE_EXPIRATION_MS = 24 * 60 * 60 * 1000;
+setCacheTtl(/^mleWeights_/, WEIGHTS_CACHE_EXPIRATION_MS);
+
+/**
+ * @typedef {Object} WeightsStatus
+ * @property {string} source - One of DATA_SOURCES, or 'unavailable' when no weights could be loaded
+ * @property {number|null} timestamp - When the weights were fetched from poedata.dev (ms)
+ */
+
+/** @type {Map<string, WeightsStatus>} Where each category's last loaded MLE weights came from */
+const weightsStatusByCategory = new Map();
+
+/**
+ * Get the cache key (file name) of a category's MLE weights
+ * @param {string} categoryId
+ * @returns {string}
+ */
+export function getWeightsFileName(categoryId) {
+  return `mleWeights_${categoryId}.json`;
 }
 
 /**
- * Get the Deafening essence id for a given essence id (all tiers share the same MLE weight).
- * e.g. "muttering-essence-of-anger" -> "deafening-essence-of-anger"; "essence-of-horror" -> null.
- * @param {string} essenceId - Full essence id
- * @returns {string|null} Deafening id for lookup, or null for special essences
+ * Get the path of a category's bundled MLE weight snapshot
+ * @param {string} categoryId
+ * @returns {string}
  */
-function getDeafeningEssenceIdForWeight(essenceId) {
-  if (!essenceId || typeof essenceId !== 'string') return null;
-  if (essenceId.startsWith('essence-of-')) return null; // special essences not in MLE
-  const match = essenceId.match(/-essence-of-(.+)$/);
-  return match ? `deafening-essence-of-${match[1]}` : null;
+export function getWeightsSnapshotPath(categoryId) {
+  return `/data/weights/${categoryId}.json`;
 }
 
 /**
- * Fetch catalyst drop weights from poedata.dev MLE calculations
- * @returns {Promise<Map<string, number>>} Map of catalyst id -> weight (probability)
+ * Wrap poedata.dev MLE data as a bundled snapshot
+ * @param {string} categoryId
+ * @param {Object} data - Parsed mle.json
+ * @param {Date} [fetchedAt]
+ * @returns {Object} mle.json data with a snapshot header { version, categoryId, source, fetchedAt }
  */
-async function fetchCatalystWeightsFromMle() {
-  const response = await fetch(CATALYST_MLE_WEIGHTS_URL);
-  if (!response.ok) {
-    throw new Error(`Failed to load Catalyst weights from ${CATALYST_MLE_WEIGHTS_URL}`);
-  }
-  const data = await response.json();
-  const weightMap = new Map();
-  if (data.items && Array.isArray(data.items)) {
-    data.items.forEach((item) => {
-      if (item.id != null && typeof item.weight === 'number') {
-        weightMap.set(item.id, item.weight);
-      }
-    });
-  }
-  return weightMap;
+export function createWeightsSnapshot(categoryId, data, fetchedAt = new Date()) {
+  return {
+    ...data,
+    snapshot: {
+      version: WEIGHTS_SNAPSHOT_VERSION,
+      categoryId,
+      source: getCategory(categoryId)?.weightsUrl ?? null,
+      fetchedAt: fetchedAt.toISOString(),
+    },
+  };
 }
 
 /**
- * Fetch fossil drop weights from poedata.dev MLE calculations
- * @returns {Promise<Map<string, number>>} Map of fossil id -> weight (probability)
+ * Get where a category's last loaded MLE weights came from
+ * @param {string} categoryId
+ * @returns {WeightsStatus|null} null when the weights have not been requested yet
  */
-async function fetchFossilWeightsFromMle() {
-  const response = await fetch(FOSSIL_MLE_WEIGHTS_URL);
-  if (!response.ok) {
-    throw new Error(`Failed to load Fossil weights from ${FOSSIL_MLE_WEIGHTS_URL}`);
-  }
-  const data = await response.json();
-  const weightMap = new Map();
-  if (data.items && Array.isArray(data.items)) {
-    data.items.forEach((item) => {
-      if (item.id != null && typeof item.weight === 'number') {
-        weightMap.set(item.id, item.weight);
-      }
-    });
-  }
-  return weightMap;
+export function getWeightsStatus(categoryId) {
+  return weightsStatusByCategory.get(categoryId) || null;
 }
 
 /**
- * Fetch tattoo drop weights from poedata.dev MLE calculations
- * @returns {Promise<Map<string, number>>} Map of tattoo id -> weight (probability)
+ * Fetch a category's drop weights from its poedata.dev MLE calculations (the descriptor's weightsUrl).
+ * Weights are cached like price files, falling back to the bundled snapshot when offline; the source
+ * used is recorded for getWeightsStatus.
+ * Essence MLE data only includes the Deafening tier; the same weight is used for all tiers of each type
+ * (see getDeafeningEssenceIdForWeight).
+ * @param {string} categoryId - Category id from the registry
+ * @returns {Promise<Map<string, MleWeight>>} Map of item id -> { weight (probability), stdError }
  */
-async function fetchTattooWeightsFromMle() {
-  const response = await fetch(TATTOO_MLE_WEIGHTS_URL);
-  if (!response.ok) {
-    throw new Error(`Failed to load Tattoo weights from ${TATTOO_MLE_WEIGHTS_URL}`);
+async function fetchWeightsFromMle(categoryId) {
+  const category = getCategory(categoryId);
+  if (!category?.weightsUrl) {
+    throw new Error(`Category ${categoryId} has no MLE weights`);
   }
-  const data = await response.json();
-  const weightMap = new Map();
-  if (data.items && Array.isArray(data.items)) {
-    data.items.forEach((item) => {
-      if (item.id != null && typeof item.weight === 'number') {
-        weightMap.set(item.id, item.weight);
-      }
-    });
+  try {
+    const { data, source, timestamp } = await fetchDataWithSource(
+      getWeightsFileName(categoryId),
+      getWeightsSnapshotPath(categoryId),
+      { url: category.weightsUrl }
+    );
+    if (source === DATA_SOURCES.LOCAL && data?.snapshot?.version !== WEIGHTS_SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported ${category.itemName} weights snapshot version: ${data?.snapshot?.version}`);
+    }
+    const fetchedAt = source === DATA_SOURCES.LOCAL ? Date.parse(data.snapshot.fetchedAt) || null : timestamp;
+    weightsStatusByCategory.set(categoryId, { source, timestamp: fetchedAt });
+    return parseMleWeights(data);
+  } catch (error) {
+    weightsStatusByCategory.set(categoryId, { source: 'unavailable', timestamp: null });
+    throw new Error(`Failed to load ${category.itemName} weights: ${error.message}`);
   }
-  return weightMap;
 }
 
 /**
- * Fetch Delirium Orb drop weights from poedata.dev MLE calculations
- * @returns {Promise<Map<string, number>>} Map of delirium orb id -> weight (probability)
+ * Get the Deafening essence id for a given essence id (all tiers share the same MLE weight).
+ * e.g. "muttering-essence-of-anger" -> "deafening-essence-of-anger"; "essence-of-horror" -> null.
+ * @param {string} essenceId - Full essence id
+ * @returns {string|null} Deafening id for lookup, or null for special essences
  */
-async function fetchDeliriumOrbWeightsFromMle() {
-  const response = await fetch(DELIRIUM_ORB_MLE_WEIGHTS_URL);
-  if (!response.ok) {
-    throw new Error(`Failed to load Delirium Orb weights from ${DELIRIUM_ORB_MLE_WEIGHTS_URL}`);
-  }
-  const data = await response.json();
-  const weightMap = new Map();
-  if (data.items && Array.isArray(data.items)) {
-    data.items.forEach((item) => {
-      if (item.id != null && typeof item.weight === 'number') {
-        weightMap.set(item.id, item.weight);
-      }
-    });
-  }
-  return weightMap;
+function getDeafeningEssenceIdForWeight(essenceId) {
+  if (!essenceId || typeof essenceId !== 'string') return null;
+  if (essenceId.startsWith('essence-of-')) return null; // special essences not in MLE
+  const match = essenceId.match(/-essence-of-(.+)$/);
+  return match ? `deafening-essence-of-${match[1]}` : null;
 }
 
 /**
@@ -161,26 +172,21 @@ async function fetchDeliriumOrbWeightsFromMle() {
 export async function loadAndMergeScarabData(pricesOverride = null) {
   try {
     // Load details from local (static data) - scarabs.json has no weights
-    const detailsResponse = await fetch('/data/items/scarabs.json');
+    const detailsResponse = await fetch(getCategory('scarabs').dataFiles.details);
     if (!detailsResponse.ok) {
       throw new Error('Failed to load Scarab details file');
     }
     const details = await detailsResponse.json();
 
     // Fetch up-to-date weights from poedata.dev MLE
-    const weightMap = await fetchScarabWeightsFromMle();
+    const weightMap = await fetchWeightsFromMle('scarabs');
 
     // Load prices (use override if provided, e.g. after refresh)
     let prices;
     if (pricesOverride != null) {
-      prices = pricesOverride;
+      prices = applyPriceOverrides('scarab', pricesOverride);
     } else {
-      const priceFileName = getPriceFileName();
-      const priceFileLocalPath = getPriceFileLocalPath();
-      prices = await fetchDataWithFallback(
-        priceFileName,
-        priceFileLocalPath
-      );
+      prices = await loadPricesWithOverrides('scarab');
     }
 
     // Create a map of prices by detailsId for quick lookup
@@ -194,12 +200,18 @@ export async function loadAndMergeScarabData(pricesOverride = null) {
     // Merge details + weights + prices
     const merged = details.map(detail => {
       const price = priceMap.get(detail.id);
-      const dropWeight = weightMap.has(detail.id) ? weightMap.get(detail.id) : null;
+      const mleWeight = weightMap.get(detail.id);
       return {
         ...detail,
-        dropWeight,
+        dropWeight: mleWeight?.weight ?? null,
+        dropWeightStdError: mleWeight?.stdError ?? null,
         chaosValue: price?.chaosValue ?? null,
         divineValue: price?.divineValue ?? null,
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null,
       };
     });
 
@@ -315,13 +327,7 @@ export function getLastUpdate() {
  */
 export async function refreshPriceData() {
   try {
-    const priceFileName = getPriceFileName();
-    const priceFileLocalPath = getPriceFileLocalPath();
-    
-    const prices = await forceRefreshData(
-      priceFileName,
-      priceFileLocalPath
-    );
+    const prices = await refreshItemTypePrices('scarab');
     saveCachedPrices(prices);
     return prices;
   } catch (error) {
@@ -331,19 +337,39 @@ export async function refreshPriceData() {
 }
 
 /**
- * Load price data for a specific item type
+ * Resolve where an item type's prices come from, per its selected price provider
+ * @param {string} itemType - Item type identifier
+ * @returns {{ fileName: string, localPath: string, uploaded: Array|null, options: { url: string|null, transform: Function } }}
+ *   uploaded holds the prices of the local file provider
+ */
+function getPriceSource(itemType) {
+  const selection = getPriceProviderSelection(itemType);
+  const provider = getPriceProvider(selection.providerId);
+  return {
+    fileName: getPriceFileName(itemType),
+    localPath: getPriceFileLocalPath(itemType),
+    uploaded: provider.loadUploaded ? provider.loadUploaded(itemType) : null,
+    options: {
+      url: provider.getUrl(itemType, getSelectedLeague(), selection),
+      transform: provider.normalize,
+    },
+  };
+}
+
+/**
+ * Load price data for a specific item type from its price provider
  * @param {string} itemType - Item type identifier
  * @returns {Promise<Array>} Price data array
  */
 export async function loadItemTypePrices(itemType) {
   try {
-    const priceFileName = getPriceFileName(itemType);
-    const priceFileLocalPath = getPriceFileLocalPath(itemType);
-    
-    const prices = await fetchDataWithFallback(
-      priceFileName,
-      priceFileLocalPath
-    );
+    const { fileName, localPath, uploaded, options } = getPriceSource(itemType);
+    if (uploaded) {
+      console.log(`✓ Using uploaded ${itemType} prices (${uploaded.length} items)`);
+      return uploaded;
+    }
+
+    const prices = await fetchDataWithFallback(fileName, localPath, options);
     
     console.log(`✓ Loaded ${itemType} prices (${prices.length} items)`);
     return prices;
@@ -353,6 +379,16 @@ export async function loadItemTypePrices(itemType) {
   }
 }
 
+/**
+ * Load price data for a specific item type with the manual price overrides of the selected league
+ * applied (see priceOverrideService.js); used by every loader that feeds a calculation
+ * @param {string} itemType - Item type identifier
+ * @returns {Promise<Array>} Price data array
+ */
+async function loadPricesWithOverrides(itemType) {
+  return applyPriceOverrides(itemType, await loadItemTypePrices(itemType));
+}
+
 /**
  * Load price data for multiple item types in parallel
  * @param {Array<string>} itemTypes - Array of item type identifiers
@@ -401,13 +437,12 @@ export async function loadAllItemTypePrices(itemTypes) {
  */
 export async function refreshItemTypePrices(itemType) {
   try {
-    const priceFileName = getPriceFileName(itemType);
-    const priceFileLocalPath = getPriceFileLocalPath(itemType);
-    
-    const prices = await forceRefreshData(
-      priceFileName,
-      priceFileLocalPath
-    );
+    const { fileName, localPath, uploaded, options } = getPriceSource(itemType);
+    if (uploaded) {
+      return uploaded;
+    }
+
+    const prices = await forceRefreshData(fileName, localPath, options);
     
     console.log(`✓ Refreshed ${itemType} prices (${prices.length} items)`);
     return prices;
@@ -417,6 +452,20 @@ export async function refreshItemTypePrices(itemType) {
   }
 }
 
+/**
+ * Revalidate the price data of an item type against the remote (conditional request). When the data
+ * changed, onDataRevalidated listeners are notified.
+ * @param {string} itemType - Item type identifier
+ * @returns {Promise<{ data: Array, changed: boolean, timestamp: number }>}
+ */
+export async function revalidateItemTypePrices(itemType) {
+  const { fileName, uploaded, options } = getPriceSource(itemType);
+  if (uploaded) {
+    return { data: uploaded, changed: false, timestamp: Date.now() };
+  }
+  return await revalidateData(fileName, options);
+}
+
 /**
  * Load full Essence list from essences.json and merge with price data and MLE drop weights.
  * Every entry in the details file is returned; price never determines inclusion.
@@ -426,9 +475,9 @@ export async function refreshItemTypePrices(itemType) {
 export async function loadFullEssenceData() {
   try {
     const [definitionsRes, prices, essenceWeightMap] = await Promise.all([
-      fetch('/data/items/essences.json'),
-      loadItemTypePrices('essence').catch(() => []),
-      fetchEssenceWeightsFromMle().catch((err) => {
+      fetch(getCategory('essences').dataFiles.details),
+      loadPricesWithOverrides('essence').catch(() => []),
+      fetchWeightsFromMle('essences').catch((err) => {
         console.warn('Essence MLE weights unavailable, using equal weighting:', err.message);
         return new Map();
       })
@@ -446,7 +495,12 @@ export async function loadFullEssenceData() {
       if (id) {
         priceByDetailsId.set(id, {
           chaosValue: p.chaosValue ?? null,
-          divineValue: p.divineValue ?? null
+          divineValue: p.divineValue ?? null,
+          priceOverride: p.priceOverride ?? null,
+          buyChaosValue: p.buyChaosValue ?? null,
+          sellChaosValue: p.sellChaosValue ?? null,
+          listingCount: p.listingCount ?? null,
+          volume: p.volume ?? null
         });
       }
     });
@@ -454,16 +508,20 @@ export async function loadFullEssenceData() {
       const id = def.id || def.detailsId;
       const price = priceByDetailsId.get(id);
       const deafeningId = getDeafeningEssenceIdForWeight(id);
-      const dropWeight = deafeningId != null && essenceWeightMap.has(deafeningId)
-        ? essenceWeightMap.get(deafeningId)
-        : null;
+      const mleWeight = deafeningId != null ? essenceWeightMap.get(deafeningId) : undefined;
       return {
         ...def,
         id: id || def.id,
         name: def.name || '',
         chaosValue: price?.chaosValue ?? null,
         divineValue: price?.divineValue ?? null,
-        dropWeight
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null,
+        dropWeight: mleWeight?.weight ?? null,
+        dropWeightStdError: mleWeight?.stdError ?? null
       };
     });
     console.log(`✓ Loaded ${merged.length} Essences (${priceByDetailsId.size} with price data, MLE weights for ${essenceWeightMap.size} types)`);
@@ -481,7 +539,7 @@ export async function loadFullEssenceData() {
  */
 export async function loadAndMergeEssenceData() {
   try {
-    const prices = await loadItemTypePrices('essence');
+    const prices = await loadPricesWithOverrides('essence');
     const processedPrices = (prices || []).map((price) => ({
       ...price,
       id: price.detailsId || price.id,
@@ -502,7 +560,7 @@ export async function loadAndMergeEssenceData() {
 export async function getPrimalLifeforcePrice() {
   try {
     // Load lifeforce prices
-    const lifeforcePrices = await loadItemTypePrices('lifeforce');
+    const lifeforcePrices = await loadPricesWithOverrides('lifeforce');
     
     // Find Primal Crystallised Lifeforce
     const primalLifeforce = lifeforcePrices.find(
@@ -529,18 +587,18 @@ export async function getPrimalLifeforcePrice() {
  */
 export async function loadAndMergeFossilData() {
   try {
-    const detailsResponse = await fetch('/data/items/fossils.json');
+    const detailsResponse = await fetch(getCategory('fossils').dataFiles.details);
     if (!detailsResponse.ok) {
       throw new Error('Failed to load Fossil details file');
     }
     const details = await detailsResponse.json();
 
-    const weightMap = await fetchFossilWeightsFromMle().catch((err) => {
+    const weightMap = await fetchWeightsFromMle('fossils').catch((err) => {
       console.warn('Fossil MLE weights unavailable:', err.message);
       return new Map();
     });
 
-    const prices = await loadItemTypePrices('fossil').catch(() => []);
+    const prices = await loadPricesWithOverrides('fossil').catch(() => []);
 
     const priceMap = new Map();
     (prices || []).forEach((price) => {
@@ -552,12 +610,18 @@ export async function loadAndMergeFossilData() {
 
     const merged = details.map((detail) => {
       const price = priceMap.get(detail.id);
-      const dropWeight = weightMap.has(detail.id) ? weightMap.get(detail.id) : null;
+      const mleWeight = weightMap.get(detail.id);
       return {
         ...detail,
-        dropWeight,
+        dropWeight: mleWeight?.weight ?? null,
+        dropWeightStdError: mleWeight?.stdError ?? null,
         chaosValue: price?.chaosValue ?? null,
-        divineValue: price?.divineValue ?? null
+        divineValue: price?.divineValue ?? null,
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null
       };
     });
 
@@ -582,7 +646,7 @@ export async function loadAndMergeFossilData() {
 export async function getWildLifeforcePrice() {
   try {
     // Load lifeforce prices
-    const lifeforcePrices = await loadItemTypePrices('lifeforce');
+    const lifeforcePrices = await loadPricesWithOverrides('lifeforce');
     
     // Find Wild Crystallised Lifeforce
     const wildLifeforce = lifeforcePrices.find(
@@ -608,18 +672,18 @@ export async function getWildLifeforcePrice() {
  */
 export async function loadAndMergeCatalystData() {
   try {
-    const detailsResponse = await fetch('/data/items/catalysts.json');
+    const detailsResponse = await fetch(getCategory('catalysts').dataFiles.details);
     if (!detailsResponse.ok) {
       throw new Error('Failed to load Catalyst details file');
     }
     const details = await detailsResponse.json();
 
-    const weightMap = await fetchCatalystWeightsFromMle().catch((err) => {
+    const weightMap = await fetchWeightsFromMle('catalysts').catch((err) => {
       console.warn('Catalyst MLE weights unavailable:', err.message);
       return new Map();
     });
 
-    const prices = await loadItemTypePrices('catalyst').catch(() => []);
+    const prices = await loadPricesWithOverrides('catalyst').catch(() => []);
 
     const priceMap = new Map();
     (prices || []).forEach((price) => {
@@ -631,12 +695,18 @@ export async function loadAndMergeCatalystData() {
 
     const merged = details.map((detail) => {
       const price = priceMap.get(detail.id);
-      const dropWeight = weightMap.has(detail.id) ? weightMap.get(detail.id) : null;
+      const mleWeight = weightMap.get(detail.id);
       return {
         ...detail,
-        dropWeight,
+        dropWeight: mleWeight?.weight ?? null,
+        dropWeightStdError: mleWeight?.stdError ?? null,
         chaosValue: price?.chaosValue ?? null,
-        divineValue: price?.divineValue ?? null
+        divineValue: price?.divineValue ?? null,
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null
       };
     });
 
@@ -655,18 +725,18 @@ export async function loadAndMergeCatalystData() {
  */
 export async function loadFullFossilData() {
   try {
-    const detailsResponse = await fetch('/data/items/fossils.json');
+    const detailsResponse = await fetch(getCategory('fossils').dataFiles.details);
     if (!detailsResponse.ok) {
       throw new Error('Failed to load Fossil details file');
     }
     const details = await detailsResponse.json();
 
-    const weightMap = await fetchFossilWeightsFromMle().catch((err) => {
+    const weightMap = await fetchWeightsFromMle('fossils').catch((err) => {
       console.warn('Fossil MLE weights unavailable:', err.message);
       return new Map();
     });
 
-    const prices = await loadItemTypePrices('fossil').catch(() => []);
+    const prices = await loadPricesWithOverrides('fossil').catch(() => []);
 
     const priceMap = new Map();
     (prices || []).forEach((price) => {
@@ -678,12 +748,18 @@ export async function loadFullFossilData() {
 
     const merged = details.map((detail) => {
       const price = priceMap.get(detail.id);
-      const dropWeight = weightMap.has(detail.id) ? weightMap.get(detail.id) : null;
+      const mleWeight = weightMap.get(detail.id);
       return {
         ...detail,
-        dropWeight,
+        dropWeight: mleWeight?.weight ?? null,
+        dropWeightStdError: mleWeight?.stdError ?? null,
         chaosValue: price?.chaosValue ?? null,
-        divineValue: price?.divineValue ?? null
+        divineValue: price?.divineValue ?? null,
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null
       };
     });
 
@@ -702,13 +778,13 @@ export async function loadFullFossilData() {
  */
 export async function loadFullOilData() {
   try {
-    const detailsResponse = await fetch('/data/items/oils.json');
+    const detailsResponse = await fetch(getCategory('oils').dataFiles.details);
     if (!detailsResponse.ok) {
       throw new Error('Failed to load Oil details file');
     }
     const details = await detailsResponse.json();
 
-    const prices = await loadItemTypePrices('oil').catch(() => []);
+    const prices = await loadPricesWithOverrides('oil').catch(() => []);
 
     const priceMap = new Map();
     (prices || []).forEach((price) => {
@@ -723,7 +799,12 @@ export async function loadFullOilData() {
       return {
         ...detail,
         chaosValue: price?.chaosValue ?? null,
-        divineValue: price?.divineValue ?? null
+        divineValue: price?.divineValue ?? null,
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null
       };
     });
 
@@ -742,18 +823,18 @@ export async function loadFullOilData() {
  */
 export async function loadAndMergeDeliriumOrbData() {
   try {
-    const detailsResponse = await fetch('/data/items/deliriumOrbs.json');
+    const detailsResponse = await fetch(getCategory('delirium-orbs').dataFiles.details);
     if (!detailsResponse.ok) {
       throw new Error('Failed to load Delirium Orb details file');
     }
     const details = await detailsResponse.json();
 
-    const weightMap = await fetchDeliriumOrbWeightsFromMle().catch((err) => {
+    const weightMap = await fetchWeightsFromMle('delirium-orbs').catch((err) => {
       console.warn('Delirium Orb MLE weights unavailable:', err.message);
       return new Map();
     });
 
-    const prices = await loadItemTypePrices('deliriumOrb').catch(() => []);
+    const prices = await loadPricesWithOverrides('deliriumOrb').catch(() => []);
 
     const priceMap = new Map();
     (prices || []).forEach((price) => {
@@ -765,12 +846,18 @@ export async function loadAndMergeDeliriumOrbData() {
 
     const merged = details.map((detail) => {
       const price = priceMap.get(detail.id);
-      const dropWeight = weightMap.has(detail.id) ? weightMap.get(detail.id) : null;
+      const mleWeight = weightMap.get(detail.id);
       return {
         ...detail,
-        dropWeight,
+        dropWeight: mleWeight?.weight ?? null,
+        dropWeightStdError: mleWeight?.stdError ?? null,
         chaosValue: price?.chaosValue ?? null,
-        divineValue: price?.divineValue ?? null
+        divineValue: price?.divineValue ?? null,
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null
       };
     });
 
@@ -795,18 +882,18 @@ export async function loadAndMergeDeliriumOrbData() {
  */
 export async function loadFullDeliriumOrbData() {
   try {
-    const detailsResponse = await fetch('/data/items/deliriumOrbs.json');
+    const detailsResponse = await fetch(getCategory('delirium-orbs').dataFiles.details);
     if (!detailsResponse.ok) {
       throw new Error('Failed to load Delirium Orb details file');
     }
     const details = await detailsResponse.json();
 
-    const weightMap = await fetchDeliriumOrbWeightsFromMle().catch((err) => {
+    const weightMap = await fetchWeightsFromMle('delirium-orbs').catch((err) => {
       console.warn('Delirium Orb MLE weights unavailable:', err.message);
       return new Map();
     });
 
-    const prices = await loadItemTypePrices('deliriumOrb').catch(() => []);
+    const prices = await loadPricesWithOverrides('deliriumOrb').catch(() => []);
 
     const priceMap = new Map();
     (prices || []).forEach((price) => {
@@ -818,12 +905,18 @@ export async function loadFullDeliriumOrbData() {
 
     const merged = details.map((detail) => {
       const price = priceMap.get(detail.id);
-      const dropWeight = weightMap.has(detail.id) ? weightMap.get(detail.id) : null;
+      const mleWeight = weightMap.get(detail.id);
       return {
         ...detail,
-        dropWeight,
+        dropWeight: mleWeight?.weight ?? null,
+        dropWeightStdError: mleWeight?.stdError ?? null,
         chaosValue: price?.chaosValue ?? null,
-        divineValue: price?.divineValue ?? null
+        divineValue: price?.divineValue ?? null,
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null
       };
     });
 
@@ -841,13 +934,13 @@ export async function loadFullDeliriumOrbData() {
  */
 export async function loadFullEmblemData() {
   try {
-    const detailsResponse = await fetch('/data/items/legionEmblems.json');
+    const detailsResponse = await fetch(getCategory('emblems').dataFiles.details);
     if (!detailsResponse.ok) {
       throw new Error('Failed to load Legion Emblem details file');
     }
     const details = await detailsResponse.json();
 
-    const prices = await loadItemTypePrices('emblem').catch(() => []);
+    const prices = await loadPricesWithOverrides('emblem').catch(() => []);
 
     const priceMap = new Map();
     (prices || []).forEach((price) => {
@@ -862,7 +955,12 @@ export async function loadFullEmblemData() {
       return {
         ...detail,
         chaosValue: price?.chaosValue ?? null,
-        divineValue: price?.divineValue ?? null
+        divineValue: price?.divineValue ?? null,
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null
       };
     });
 
@@ -880,18 +978,18 @@ export async function loadFullEmblemData() {
  */
 export async function loadFullTattooData() {
   try {
-    const detailsResponse = await fetch('/data/items/tattoos.json');
+    const detailsResponse = await fetch(getCategory('tattoos').dataFiles.details);
     if (!detailsResponse.ok) {
       throw new Error('Failed to load Tattoo details file');
     }
     const details = await detailsResponse.json();
 
-    const weightMap = await fetchTattooWeightsFromMle().catch((err) => {
+    const weightMap = await fetchWeightsFromMle('tattoos').catch((err) => {
       console.warn('Tattoo MLE weights unavailable:', err.message);
       return new Map();
     });
 
-    const prices = await loadItemTypePrices('tattoo').catch(() => []);
+    const prices = await loadPricesWithOverrides('tattoo').catch(() => []);
 
     const priceMap = new Map();
     (prices || []).forEach((price) => {
@@ -903,12 +1001,18 @@ export async function loadFullTattooData() {
 
     const merged = details.map((detail) => {
       const price = priceMap.get(detail.id);
-      const dropWeight = weightMap.has(detail.id) ? weightMap.get(detail.id) : null;
+      const mleWeight = weightMap.get(detail.id);
       return {
         ...detail,
-        dropWeight,
+        dropWeight: mleWeight?.weight ?? null,
+        dropWeightStdError: mleWeight?.stdError ?? null,
         chaosValue: price?.chaosValue ?? null,
-        divineValue: price?.divineValue ?? null
+        divineValue: price?.divineValue ?? null,
+        priceOverride: price?.priceOverride ?? null,
+        buyChaosValue: price?.buyChaosValue ?? null,
+        sellChaosValue: price?.sellChaosValue ?? null,
+        listingCount: price?.listingCount ?? null,
+        volume: price?.volume ?? null
       };
     });
 
@@ -928,8 +1032,8 @@ export async function loadTempleUpgradeData() {
   try {
     // Load JSON files
     const [uniquesResponse, vialsResponse, uniquePricesResponse, vialPricesResponse] = await Promise.all([
-      fetch('/data/items/uniques.json'),
-      fetch('/data/items/vials.json'),
+      fetch(getCategory('temple').dataFiles.uniques),
+      fetch(getCategory('temple').dataFiles.vials),
       fetch('/data/prices/templeUniquePrices.json').catch(() => ({ ok: false })),
       fetch('/data/prices/vialPrices.json').catch(() => ({ ok: false }))
     ]);
@@ -2,8 +2,18 @@
  * Delirium Orb Calculation Service
  * Handles expected value calculations, threshold calculations, and profitability analysis for Delirium Orbs.
  * Uses drop weights and excludes the input orb from possible outcomes.
+ * Evaluated by the reroll engine with DELIRIUM_ORB_RULE: outcomes at sell prices, rerolled orbs and lifeforce
+ * at buy prices (see priceSpreadService).
  */
 
+import {
+  calculatePoolExpectedValue,
+  calculateExpectedValueThreshold,
+  getProfitabilityStatus,
+  calculateExpectedOutcome,
+} from './rerollEngine.js';
+import { DELIRIUM_ORB_RULE } from './rerollRules.js';
+
 /**
  * Calculate expected value for a specific Delirium Orb when rerolling.
  * The returned orb cannot be the same as the input orb, so we exclude it from calculations.
@@ -19,35 +29,7 @@ export function calculateExpectedValueForOrb(inputOrb, allOrbs) {
   }
 
   // Exclude the input orb from possible outcomes (can't reroll into same orb)
-  const possibleOutcomes = allOrbs.filter(orb => orb.id !== inputOrb.id);
-  
-  if (possibleOutcomes.length === 0) {
-    return { expectedValue: 0, method: 'equal_weighted' };
-  }
-
-  // Filter to orbs with valid price data
-  const orbsWithPrices = possibleOutcomes.filter(orb => orb.hasPriceData());
-  if (orbsWithPrices.length === 0) {
-    return { expectedValue: 0, method: 'equal_weighted' };
-  }
-
-  // Use weighted expected value when all orbs with prices also have drop weights
-  const orbsWithWeight = orbsWithPrices.filter(orb => typeof orb.hasDropWeight === 'function' && orb.hasDropWeight());
-  const totalWeight = orbsWithWeight.reduce((sum, orb) => sum + (orb.dropWeight || 0), 0);
-
-  if (orbsWithWeight.length === orbsWithPrices.length && totalWeight > 0) {
-    // Calculate weighted average excluding input orb
-    const weightedSum = orbsWithWeight.reduce(
-      (sum, orb) => sum + ((orb.dropWeight / totalWeight) * orb.chaosValue),
-      0
-    );
-    return { expectedValue: weightedSum, method: 'weighted' };
-  }
-
-  // Fallback: equal weighting (simple average)
-  const sum = orbsWithPrices.reduce((total, orb) => total + orb.chaosValue, 0);
-  const avg = sum / orbsWithPrices.length;
-  return { expectedValue: avg, method: 'equal_weighted' };
+  return calculatePoolExpectedValue(DELIRIUM_ORB_RULE, allOrbs.filter(orb => orb.id !== inputOrb.id));
 }
 
 /**
@@ -57,31 +39,18 @@ export function calculateExpectedValueForOrb(inputOrb, allOrbs) {
  * @returns {Map<string, { expectedValue: number, method: string }>} Map of orb id to expected value and method
  */
 export function calculateExpectedValuesForGroup(deliriumOrbs) {
-  const expectedValues = new Map();
-  
-  deliriumOrbs.forEach(orb => {
-    const result = calculateExpectedValueForOrb(orb, deliriumOrbs);
-    expectedValues.set(orb.id, result);
-  });
-  
-  return expectedValues;
+  return new Map(deliriumOrbs.map(orb => [orb.id, calculateExpectedValueForOrb(orb, deliriumOrbs)]));
 }
 
 /**
  * Calculate threshold for a specific Delirium Orb
  * Threshold = Expected Value - Reroll Cost
  * @param {number} expectedValue - Expected value from calculateExpectedValueForOrb
- * @param {number} rerollCost - Cost of 30 Primal Lifeforce
+ * @param {number} rerollCost - Cost of 30 Primal Lifeforce at the buy price
  * @returns {number} Threshold value (can be negative if unprofitable)
  */
 export function calculateThresholdForOrb(expectedValue, rerollCost) {
-  if (expectedValue === null || expectedValue === undefined || isNaN(expectedValue)) {
-    return 0;
-  }
-  if (rerollCost === null || rerollCost === undefined || isNaN(rerollCost)) {
-    return expectedValue; // If cost unavailable, threshold equals expected value
-  }
-  return expectedValue - rerollCost;
+  return calculateExpectedValueThreshold(DELIRIUM_ORB_RULE, expectedValue, rerollCost);
 }
 
 /**
@@ -91,63 +60,19 @@ export function calculateThresholdForOrb(expectedValue, rerollCost) {
  * @returns {string} 'profitable' | 'not_profitable' | 'unknown'
  */
 export function calculateProfitabilityStatus(orb, threshold) {
-  if (!orb.hasPriceData()) {
-    return 'unknown';
-  }
-
-  if (threshold === null || threshold === undefined || isNaN(threshold)) {
-    return 'unknown';
-  }
-
-  // If Delirium Orb value is below threshold, it's profitable to reroll
-  if (orb.chaosValue < threshold) {
-    return 'profitable';
-  } else {
-    return 'not_profitable';
-  }
+  return getProfitabilityStatus(orb, threshold);
 }
 
 /**
  * Calculate expected outcome for selected Delirium Orbs
  * @param {Array<DeliriumOrb>} selectedOrbs - Delirium Orbs selected for rerolling
- * @param {Map<string, number>} expectedValuesByOrbId - Map of orb id to expected value
+ * @param {Map<string, { expectedValue: number }>} expectedValuesByOrbId - Map of orb id to expected value
  * @returns {object} Expected outcome data
  */
 export function calculateExpectedOutcomeForSelected(selectedOrbs, expectedValuesByOrbId) {
-  if (!Array.isArray(selectedOrbs) || selectedOrbs.length === 0) {
-    return {
-      totalInputValue: 0,
-      expectedOutputValue: 0,
-      netProfitLoss: 0,
-      averageProfitLossPerOrb: 0
-    };
-  }
-
-  let totalInputValue = 0;
-  let totalExpectedOutputValue = 0;
-
-  selectedOrbs.forEach(orb => {
-    if (orb.hasPriceData()) {
-      totalInputValue += orb.chaosValue;
-      
-      // Get expected value for this specific orb
-      const expectedValueData = expectedValuesByOrbId.get(orb.id);
-      const expectedValue = expectedValueData?.expectedValue;
-      if (expectedValue !== null && expectedValue !== undefined && !isNaN(expectedValue)) {
-        totalExpectedOutputValue += expectedValue;
-      }
-    }
-  });
-
-  const netProfitLoss = totalExpectedOutputValue - totalInputValue;
-  const averageProfitLossPerOrb = selectedOrbs.length > 0 
-    ? netProfitLoss / selectedOrbs.length 
-    : 0;
-
-  return {
-    totalInputValue,
-    expectedOutputValue: totalExpectedOutputValue,
-    netProfitLoss,
-    averageProfitLossPerOrb
-  };
+  const { averageProfitLoss, ...outcome } = calculateExpectedOutcome(
+    selectedOrbs,
+    orb => expectedValuesByOrbId.get(orb.id)?.expectedValue
+  );
+  return { ...outcome, averageProfitLossPerOrb: averageProfitLoss };
 }
@@ -0,0 +1,267 @@
+/**
+ * Drop Log Service
+ * Records personal vendor outcomes per category (LocalStorage) and combines them with the
+ * poedata.dev MLE weights, used as a Dirichlet prior, into personal or blended drop weights
+ */
+
+const STORAGE_KEY = 'scarabHub_dropLog';
+
+/**
+ * Drop weight sources (recorded as weightSource on items and thresholds)
+ */
+export const WEIGHT_SOURCES = {
+  MLE: 'mle', // poedata.dev MLE weights as published
+  PERSONAL: 'personal', // Own drop log with a weak MLE prior
+  BLENDED: 'blended', // Own drop log pooled with the MLE data at its own sample size
+};
+
+/**
+ * Prior pseudo-observations per item for personal weights: keeps unlogged items possible
+ * while letting the drop log dominate after a few hundred trades
+ */
+const PERSONAL_PRIOR_PER_ITEM = 1;
+
+/**
+ * Prior strength for blended weights when the MLE sample size cannot be recovered
+ */
+const DEFAULT_MLE_SAMPLE_SIZE = 1000;
+
+/**
+ * Read all drop logs from LocalStorage
+ * @returns {Object} categoryId -> { counts: { itemId: count }, updatedAt }
+ */
+function readDropLogs() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading drop log:', error);
+    return {};
+  }
+}
+
+/**
+ * Write one category's drop log to LocalStorage
+ * @param {string} categoryId
+ * @param {Map<string, number>} counts
+ */
+function writeDropLog(categoryId, counts) {
+  try {
+    const logs = readDropLogs();
+    logs[categoryId] = {
+      counts: Object.fromEntries(counts),
+      updatedAt: new Date().toISOString(),
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(logs));
+  } catch (error) {
+    console.error('Error saving drop log:', error);
+  }
+}
+
+/**
+ * Load the drop log for a category
+ * @param {string} categoryId - e.g. 'scarabs', 'catalysts', 'tattoos'
+ * @returns {Map<string, number>} Map of item id -> observed drop count
+ */
+export function loadDropLog(categoryId) {
+  const counts = readDropLogs()[categoryId]?.counts || {};
+  return new Map(
+    Object.entries(counts).filter(([, count]) => Number.isInteger(count) && count > 0)
+  );
+}
+
+/**
+ * Record observed drops (returned items) for a category
+ * @param {string} categoryId
+ * @param {string} itemId - Returned item id
+ * @param {number} count - Number of times it was returned (default: 1)
+ * @returns {Map<string, number>} Updated drop log
+ */
+export function recordDrop(categoryId, itemId, count = 1) {
+  if (!itemId) {
+    throw new Error('Drop log entry needs an item id');
+  }
+  if (!Number.isInteger(count) || count <= 0) {
+    throw new Error(`Drop count must be a positive integer, got ${count}`);
+  }
+
+  const counts = loadDropLog(categoryId);
+  counts.set(itemId, (counts.get(itemId) || 0) + count);
+  writeDropLog(categoryId, counts);
+  return counts;
+}
+
+/**
+ * Parse a drop log export. Accepted formats:
+ * - JSON array of item ids (one drop each), of { id | itemId, count } objects, or an { id: count } object
+ * - CSV with an id column and an optional count column (header row optional)
+ * @param {string} text - File contents
+ * @returns {Map<string, number>} Map of item id -> drop count
+ */
+export function parseDropLog(text) {
+  const counts = new Map();
+  const add = (id, count = 1) => {
+    const itemId = typeof id === 'string' ? id.trim() : '';
+    const drops = Number(count);
+    if (!itemId || !Number.isInteger(drops) || drops <= 0) return;
+    counts.set(itemId, (counts.get(itemId) || 0) + drops);
+  };
+
+  const trimmed = (text || '').trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Drop log is not valid JSON: ${error.message}`);
+    }
+    if (Array.isArray(data)) {
+      data.forEach(entry => {
+        if (typeof entry === 'string') add(entry);
+        else if (entry && typeof entry === 'object') add(entry.id ?? entry.itemId, entry.count ?? 1);
+      });
+    } else {
+      Object.entries(data).forEach(([id, count]) => add(id, count));
+    }
+  } else {
+    const rows = trimmed.split(/\r?\n/)
+      .map(line => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1')))
+      .filter(cells => cells[0]);
+    const header = rows[0]?.map(cell => cell.toLowerCase()) || [];
+    const hasHeader = header.includes('id') || header.includes('itemid');
+    const idColumn = hasHeader ? Math.max(header.indexOf('id'), header.indexOf('itemid')) : 0;
+    const countColumn = hasHeader ? header.indexOf('count') : 1;
+    rows.slice(hasHeader ? 1 : 0).forEach(cells => {
+      add(cells[idColumn], countColumn >= 0 && cells[countColumn] ? cells[countColumn] : 1);
+    });
+  }
+
+  if (counts.size === 0) {
+    throw new Error('Drop log contains no valid entries');
+  }
+  return counts;
+}
+
+/**
+ * Import a drop log export into a category, adding to the drops already logged
+ * @param {string} categoryId
+ * @param {string} text - JSON or CSV contents (see parseDropLog)
+ * @param {Set<string>|null} knownIds - Item ids of the category; other ids are skipped (null = keep all)
+ * @returns {{ imported: number, skipped: number }} Drops imported and drops skipped as unknown items
+ */
+export function importDropLog(categoryId, text, knownIds = null) {
+  const parsed = parseDropLog(text);
+  const counts = loadDropLog(categoryId);
+  let imported = 0;
+  let skipped = 0;
+
+  parsed.forEach((count, itemId) => {
+    if (knownIds && !knownIds.has(itemId)) {
+      skipped += count;
+      return;
+    }
+    counts.set(itemId, (counts.get(itemId) || 0) + count);
+    imported += count;
+  });
+
+  writeDropLog(categoryId, counts);
+  return { imported, skipped };
+}
+
+/**
+ * Clear the drop log for a category
+ * @param {string} categoryId
+ */
+export function clearDropLog(categoryId) {
+  writeDropLog(categoryId, new Map());
+}
+
+/**
+ * Get the total number of logged drops
+ * @param {Map<string, number>} counts
+ * @returns {number}
+ */
+export function getDropLogTotal(counts) {
+  let total = 0;
+  counts.forEach(count => {
+    total += count;
+  });
+  return total;
+}
+
+/**
+ * Estimate the sample size behind the MLE weights from their standard errors.
+ * Each item gives a binomial effective sample size w(1 - w) / se²; the median is used.
+ * @param {Array<Object>} items - Items with mleDropWeight and mleDropWeightStdError
+ * @returns {number|null} Effective sample size, or null if no item has a standard error
+ */
+export function estimateMleSampleSize(items) {
+  const sizes = items
+    .filter(item => item.mleDropWeightStdError > 0 && item.mleDropWeight > 0 && item.mleDropWeight < 1)
+    .map(item => item.mleDropWeight * (1 - item.mleDropWeight) / (item.mleDropWeightStdError ** 2))
+    .sort((a, b) => a - b);
+  if (sizes.length === 0) return null;
+  const middle = Math.floor(sizes.length / 2);
+  return sizes.length % 2 === 1 ? sizes[middle] : (sizes[middle - 1] + sizes[middle]) / 2;
+}
+
+/**
+ * Compute drop weights for a weight source.
+ * Personal and blended weights are Dirichlet posterior means: the normalized MLE weights scaled by a
+ * prior strength α act as pseudo-counts, so weight = (α·p + count) / (α + N) with standard error
+ * sqrt(weight(1 - weight) / (α + N + 1)). Personal uses one pseudo-count per item; blended uses the
+ * MLE's own effective sample size (see estimateMleSampleSize).
+ * @param {Array<Object>} items - Items with mleDropWeight (and optional mleDropWeightStdError)
+ * @param {Map<string, number>} counts - Drop log (item id -> count)
+ * @param {string} source - One of WEIGHT_SOURCES
+ * @returns {Map<string, { weight: number|null, stdError: number|null }>} Map of item id -> weight
+ */
+export function computeSourceWeights(items, counts, source) {
+  const weights = new Map();
+  if (source === WEIGHT_SOURCES.MLE) {
+    items.forEach(item => weights.set(item.id, { weight: item.mleDropWeight, stdError: item.mleDropWeightStdError }));
+    return weights;
+  }
+  if (source !== WEIGHT_SOURCES.PERSONAL && source !== WEIGHT_SOURCES.BLENDED) {
+    throw new Error(`Unknown weight source: ${source}`);
+  }
+
+  const priorItems = items.filter(item => item.mleDropWeight > 0);
+  const priorTotal = priorItems.reduce((sum, item) => sum + item.mleDropWeight, 0);
+  const priorStrength = source === WEIGHT_SOURCES.PERSONAL
+    ? PERSONAL_PRIOR_PER_ITEM * priorItems.length
+    : estimateMleSampleSize(items) ?? DEFAULT_MLE_SAMPLE_SIZE;
+  const observed = items.reduce((sum, item) => sum + (counts.get(item.id) || 0), 0);
+  const posteriorTotal = priorStrength + observed;
+
+  items.forEach(item => {
+    const prior = priorTotal > 0 && item.mleDropWeight > 0 ? item.mleDropWeight / priorTotal : 0;
+    const count = counts.get(item.id) || 0;
+    if (posteriorTotal <= 0 || (prior === 0 && count === 0)) {
+      weights.set(item.id, { weight: item.mleDropWeight, stdError: item.mleDropWeightStdError });
+      return;
+    }
+    const weight = (priorStrength * prior + count) / posteriorTotal;
+    weights.set(item.id, { weight, stdError: Math.sqrt(weight * (1 - weight) / (posteriorTotal + 1)) });
+  });
+  return weights;
+}
+
+/**
+ * Set dropWeight, dropWeightStdError and weightSource on items for a weight source.
+ * The MLE weights stay on mleDropWeight / mleDropWeightStdError so sources can be switched back.
+ * @param {Array<Object>} items - Scarab, Catalyst or Tattoo instances
+ * @param {Map<string, number>} counts - Drop log for the items' category
+ * @param {string} source - One of WEIGHT_SOURCES
+ * @returns {Array<Object>} The same items
+ */
+export function applyWeightSource(items, counts, source) {
+  const weights = computeSourceWeights(items, counts, source);
+  items.forEach(item => {
+    const { weight, stdError } = weights.get(item.id);
+    item.dropWeight = weight;
+    item.dropWeightStdError = stdError;
+    item.weightSource = source;
+  });
+  return items;
+}
@@ -2,8 +2,18 @@
  * Essence Calculation Service
  * Handles expected value calculations, threshold calculations, and profitability analysis for Essences.
  * Uses MLE drop weights from poedata.dev (Deafening tier); same weight applies to all tiers per type.
+ * Evaluated by the reroll engine with ESSENCE_RULE: outcomes at sell prices, rerolled Essences and lifeforce
+ * at buy prices (see priceSpreadService).
  */
 
+import {
+  calculatePoolExpectedValue,
+  calculateExpectedValueThreshold,
+  getProfitabilityStatus,
+  calculateExpectedOutcome,
+} from './rerollEngine.js';
+import { ESSENCE_RULE } from './rerollRules.js';
+
 /**
  * Calculate expected value for a reroll group using MLE weights from poedata.dev.
  * Essences without a weight (e.g. special essences) use weight 1 so they still contribute.
@@ -14,38 +24,18 @@ export function calculateExpectedValueForGroup(essences) {
   if (!Array.isArray(essences) || essences.length === 0) {
     return 0;
   }
-
-  const essencesWithPrices = essences.filter(e => e.hasPriceData());
-  if (essencesWithPrices.length === 0) {
-    return 0;
-  }
-
-  let weightedSum = 0;
-  let totalWeight = 0;
-  for (const essence of essencesWithPrices) {
-    const w = essence.dropWeight != null && essence.dropWeight > 0 ? essence.dropWeight : 1;
-    weightedSum += essence.chaosValue * w;
-    totalWeight += w;
-  }
-  if (totalWeight <= 0) return 0;
-  return weightedSum / totalWeight;
+  return calculatePoolExpectedValue(ESSENCE_RULE, essences).expectedValue;
 }
 
 /**
  * Calculate threshold for a reroll group
  * Threshold = Expected Value - Reroll Cost
  * @param {number} expectedValue - Expected value from calculateExpectedValueForGroup
- * @param {number} rerollCost - Cost of 30 Primal Crystallised Lifeforce
+ * @param {number} rerollCost - Cost of 30 Primal Crystallised Lifeforce at the buy price
  * @returns {number} Threshold value (can be negative if unprofitable)
  */
 export function calculateThresholdForGroup(expectedValue, rerollCost) {
-  if (expectedValue === null || expectedValue === undefined || isNaN(expectedValue)) {
-    return 0;
-  }
-  if (rerollCost === null || rerollCost === undefined || isNaN(rerollCost)) {
-    return expectedValue; // If cost unavailable, threshold equals expected value
-  }
-  return expectedValue - rerollCost;
+  return calculateExpectedValueThreshold(ESSENCE_RULE, expectedValue, rerollCost);
 }
 
 /**
@@ -55,20 +45,7 @@ export function calculateThresholdForGroup(expectedValue, rerollCost) {
  * @returns {string} 'profitable' | 'not_profitable' | 'unknown'
  */
 export function calculateProfitabilityStatus(essence, threshold) {
-  if (!essence.hasPriceData()) {
-    return 'unknown';
-  }
-
-  if (threshold === null || threshold === undefined || isNaN(threshold)) {
-    return 'unknown';
-  }
-
-  // If Essence value is below threshold, it's profitable to reroll
-  if (essence.chaosValue < threshold) {
-    return 'profitable';
-  } else {
-    return 'not_profitable';
-  }
+  return getProfitabilityStatus(essence, threshold);
 }
 
 /**
@@ -78,43 +55,10 @@ export function calculateProfitabilityStatus(essence, threshold) {
  * @returns {object} Expected outcome data
  */
 export function calculateExpectedOutcomeForSelected(selectedEssences, thresholdsByGroup) {
-  if (!Array.isArray(selectedEssences) || selectedEssences.length === 0) {
-    return {
-      totalInputValue: 0,
-      expectedOutputValue: 0,
-      netProfitLoss: 0,
-      averageProfitLossPerEssence: 0
-    };
-  }
-
-  let totalInputValue = 0;
-  let totalExpectedOutputValue = 0;
-
-  selectedEssences.forEach(essence => {
-    if (essence.hasPriceData()) {
-      totalInputValue += essence.chaosValue;
-      
-      // Get threshold for this Essence's reroll group
-      const threshold = thresholdsByGroup.get(essence.rerollGroup);
-      if (threshold !== null && threshold !== undefined && !isNaN(threshold)) {
-        // Expected output is the threshold value (average of group)
-        // We need to get the expected value, not threshold
-        // For now, use threshold + rerollCost approximation
-        // This should be improved to use actual expected value
-        totalExpectedOutputValue += threshold;
-      }
-    }
-  });
-
-  const netProfitLoss = totalExpectedOutputValue - totalInputValue;
-  const averageProfitLossPerEssence = selectedEssences.length > 0 
-    ? netProfitLoss / selectedEssences.length 
-    : 0;
-
-  return {
-    totalInputValue,
-    expectedOutputValue: totalExpectedOutputValue,
-    netProfitLoss,
-    averageProfitLossPerEssence
-  };
+  // Expected output is approximated by the group threshold (expected value minus reroll cost)
+  const { averageProfitLoss, ...outcome } = calculateExpectedOutcome(
+    selectedEssences,
+    essence => thresholdsByGroup.get(essence.rerollGroup)
+  );
+  return { ...outcome, averageProfitLossPerEssence: averageProfitLoss };
 }
@@ -0,0 +1,109 @@
+/**
+ * Historical Threshold Service
+ * Recalculates a category's thresholds with the prices of a recorded snapshot (see priceHistoryService.js),
+ * so the current profitability can be compared with what it was at that time
+ */
+
+import {
+  THRESHOLD_BASES,
+  calculateRerollThreshold,
+  calculateRerollItemThresholds,
+  calculateGroupThresholds,
+  getRerollCost,
+} from './rerollEngine.js';
+import { REROLL_RULES } from './rerollRules.js';
+import { getCategory } from '../config/categoryRegistry.js';
+import { getPriceSnapshotAt } from './priceHistoryService.js';
+
+/**
+ * Get the price detailsId of a rule's reroll currency
+ * @param {RerollRule} rule
+ * @returns {string|null} e.g. 'primal-crystallised-lifeforce', null for rules without a reroll cost
+ */
+export function getRerollCurrencyId(rule) {
+  if (!rule.rerollCost) return null;
+  return rule.rerollCost.itemName.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Copy items with the prices of a snapshot. The copies keep the item's prototype (model methods such as
+ * hasPriceData); items missing from the snapshot have no price. Snapshots only record chaos and divine
+ * values, so today's bid/ask quotes and listing counts are cleared: with bid/ask pricing enabled the
+ * spread model derives buy and sell prices from the snapshot price (see priceSpreadService).
+ * @param {Array<Object>} items
+ * @param {PriceSnapshot} snapshot
+ * @returns {Array<Object>}
+ */
+export function applySnapshotPrices(items, snapshot) {
+  return items.map(item => {
+    const [chaosValue, divineValue] = snapshot.prices[item.id] || [null, null];
+    const copy = Object.assign(Object.create(Object.getPrototypeOf(item)), item);
+    copy.chaosValue = chaosValue;
+    copy.divineValue = divineValue;
+    copy.buyChaosValue = null;
+    copy.sellChaosValue = null;
+    copy.listingCount = null;
+    return copy;
+  });
+}
+
+/**
+ * Get the ids whose profitability status differs between two item lists
+ * @param {Array<Object>} currentItems
+ * @param {Array<Object>} historicalItems
+ * @returns {Array<{ id: string, name: string, then: string, now: string }>}
+ */
+export function getStatusChanges(currentItems, historicalItems) {
+  const historicalById = new Map(historicalItems.map(item => [item.id, item]));
+  return currentItems
+    .map(item => ({
+      id: item.id,
+      name: item.name,
+      then: historicalById.get(item.id)?.profitabilityStatus || 'unknown',
+      now: item.profitabilityStatus || 'unknown',
+    }))
+    .filter(change => change.then !== change.now);
+}
+
+/**
+ * Calculate a category's thresholds at a recorded snapshot
+ * @param {string} categoryId - Category with a reroll rule
+ * @param {Array<Object>} items - Current items of the category (model instances with drop weights)
+ * @param {number} timestamp - Snapshot time; the latest snapshot at or before it is used
+ * @param {Object} [options] - { thresholdOptions } passed to calculateRerollThreshold for pooled markets
+ * @returns {{ timestamp: number, threshold: Object|null, thresholds: Map|null, items: Array<Object>,
+ *   statusChanges: Array<Object> }}
+ */
+export function calculateThresholdAtSnapshot(categoryId, items, timestamp, options = {}) {
+  const rule = REROLL_RULES[categoryId];
+  if (!rule) {
+    throw new Error(`${categoryId} has no reroll rule`);
+  }
+  const priceType = getCategory(categoryId).priceTypes[0].id;
+  const snapshot = getPriceSnapshotAt(priceType, timestamp);
+  if (!snapshot) {
+    throw new Error(`No ${rule.label} price snapshot recorded at or before ${new Date(timestamp).toLocaleString()}`);
+  }
+
+  const historicalItems = applySnapshotPrices(items, snapshot);
+  let threshold = null;
+  let thresholds = null;
+
+  if (rule.thresholdBasis === THRESHOLD_BASES.LOWER_BOUND) {
+    threshold = calculateRerollThreshold(rule, historicalItems, options.thresholdOptions || {});
+    calculateRerollItemThresholds(rule, historicalItems, threshold);
+  } else {
+    const currencyId = getRerollCurrencyId(rule);
+    const currencySnapshot = currencyId ? getPriceSnapshotAt('lifeforce', snapshot.timestamp) : null;
+    const unitPrice = currencySnapshot?.prices[currencyId]?.[0] ?? null;
+    thresholds = calculateGroupThresholds(rule, historicalItems, getRerollCost(rule, unitPrice));
+  }
+
+  return {
+    timestamp: snapshot.timestamp,
+    threshold,
+    thresholds,
+    items: historicalItems,
+    statusChanges: getStatusChanges(items, historicalItems),
+  };
+}
@@ -4,6 +4,8 @@
  */
 
 import { loadPreferences, savePreferences } from './dataService.js';
+import { getPriceTypes } from '../config/categoryRegistry.js';
+import { getPriceProviderCacheSuffix } from './priceProviders.js';
 
 const LEAGUES_URL = 'https://data.poeatlas.app/leagues.json';
 const STORAGE_KEY = 'scarabHub_selectedLeague';
@@ -13,21 +15,13 @@ let selectedLeague = null;
 
 /**
  * Item type configuration
- * Defines all supported item types and their file name patterns
+ * Price file types declared by the category registry, with their file name patterns
  */
-export const ITEM_TYPES = [
-  { id: 'scarab', displayName: 'Scarab', fileNamePattern: 'scarabPrices_{league}.json', isActive: true },
-  { id: 'catalyst', displayName: 'Catalyst', fileNamePattern: 'catalystPrices_{league}.json', isActive: true },
-  { id: 'deliriumOrb', displayName: 'Delirium Orb', fileNamePattern: 'deliriumOrbPrices_{league}.json', isActive: true },
-  { id: 'emblem', displayName: 'Emblem', fileNamePattern: 'emblemPrices_{league}.json', isActive: true },
-  { id: 'essence', displayName: 'Essence', fileNamePattern: 'essencePrices_{league}.json', isActive: true },
-  { id: 'fossil', displayName: 'Fossil', fileNamePattern: 'fossilPrices_{league}.json', isActive: true },
-  { id: 'lifeforce', displayName: 'Lifeforce', fileNamePattern: 'lifeforcePrices_{league}.json', isActive: true },
-  { id: 'oil', displayName: 'Oil', fileNamePattern: 'oilPrices_{league}.json', isActive: true },
-  { id: 'tattoo', displayName: 'Tattoo', fileNamePattern: 'tattooPrices_{league}.json', isActive: true },
-  { id: 'templeUnique', displayName: 'Temple Unique', fileNamePattern: 'templeUniquePrices_{league}.json', isActive: true },
-  { id: 'vial', displayName: 'Vial', fileNamePattern: 'vialPrices_{league}.json', isActive: true },
-];
+export const ITEM_TYPES = getPriceTypes().map(priceType => ({
+  ...priceType,
+  fileNamePattern: `${priceType.id}Prices_{league}.json`,
+  isActive: true,
+}));
 
 /**
  * Fetch available leagues from API
@@ -119,9 +113,10 @@ export function setSelectedLeague(leagueId) {
 }
 
 /**
- * Get price file name for selected league
+ * Get price file name for selected league, also the price cache key. Item types read from another
+ * price provider than poeatlas get the provider as suffix, so switching providers never mixes caches.
  * @param {string} [itemType='scarab'] - Item type identifier (defaults to 'scarab' for backward compatibility)
- * @returns {string} Price file name for remote fetch (e.g., 'scarabPrices_Keepers.json' or 'catalystPrices_Keepers.json')
+ * @returns {string} Price file name (e.g., 'scarabPrices_Keepers.json' or 'catalystPrices_Keepers.local_file.json')
  */
 export function getPriceFileName(itemType = 'scarab') {
   const league = getSelectedLeague();
@@ -130,10 +125,8 @@ export function getPriceFileName(itemType = 'scarab') {
     throw new Error(`Unknown item type: ${itemType}`);
   }
   
-  if (!league) {
-    return itemTypeConfig.fileNamePattern.replace('{league}', 'Keepers');
-  }
-  return itemTypeConfig.fileNamePattern.replace('{league}', league.slug);
+  const fileName = itemTypeConfig.fileNamePattern.replace('{league}', league ? league.slug : 'Keepers');
+  return fileName.replace(/\.json$/, `${getPriceProviderCacheSuffix(itemType)}.json`);
 }
 
 /**
@@ -143,9 +136,9 @@ export function getPriceFileName(itemType = 'scarab') {
  */
 export function getPriceFileLocalPath(itemType = 'scarab') {
   const fileName = getPriceFileName(itemType);
-  // Convert league-specific filename to prices folder filename (remove league suffix)
+  // Convert league-specific filename to prices folder filename (remove league and provider suffix)
   // e.g., 'scarabPrices_Keepers.json' -> 'scarabPrices.json'
-  const pricesFolderFileName = fileName.replace(/Prices_[^_]+\.json$/, 'Prices.json');
+  const pricesFolderFileName = fileName.replace(/Prices_.+\.json$/, 'Prices.json');
   return `/data/prices/${pricesFolderFileName}`;
 }
 
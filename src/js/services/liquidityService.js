@@ -0,0 +1,230 @@
+/**
+ * Liquidity Service
+ * Volume haircuts: selling many units of one item moves its price, so a session's outputs are worth less
+ * than count × sell price. The haircut curve maps the quantity sold, relative to the item's market depth
+ * (volume, else listing count), to the average discount on those units. The model is kept in LocalStorage;
+ * when it is disabled outputs are valued at their full sell price.
+ */
+
+import { getSellPrice } from './priceSpreadService.js';
+
+const STORAGE_KEY = 'scarabHub_liquidity';
+
+/**
+ * Default liquidity model (disabled). Haircuts are interpolated linearly between the curve points and
+ * stay at the last point's haircut beyond it; unknownDepth is used for items without volume or listings.
+ */
+export const DEFAULT_LIQUIDITY_MODEL = {
+  enabled: false,
+  curve: [
+    { ratio: 0, haircut: 0 },
+    { ratio: 0.25, haircut: 0.05 },
+    { ratio: 1, haircut: 0.2 },
+    { ratio: 4, haircut: 0.5 },
+  ],
+  unknownDepth: 50,
+};
+
+/**
+ * @typedef {Object} LiquidityModel
+ * @property {boolean} enabled - Apply volume haircuts to realizable values
+ * @property {Array<{ ratio: number, haircut: number }>} curve - Quantity sold / market depth -> average discount, sorted by ratio
+ * @property {number} unknownDepth - Market depth of items without volume or listing count
+ */
+
+/** @type {LiquidityModel|null} Stored model, read once */
+let cachedModel = null;
+
+/** @type {Set<Function>} Listeners for model changes */
+const changeListeners = new Set();
+
+/**
+ * Validate a liquidity model and sort its curve
+ * @param {Object} model
+ * @returns {LiquidityModel}
+ */
+function normalizeModel(model) {
+  const curve = Array.isArray(model.curve) ? model.curve : [];
+  if (curve.length === 0) {
+    throw new Error('The haircut curve needs at least one point');
+  }
+  curve.forEach(point => {
+    if (typeof point?.ratio !== 'number' || !Number.isFinite(point.ratio) || point.ratio < 0) {
+      throw new Error('Curve quantities must be non-negative numbers');
+    }
+    if (typeof point.haircut !== 'number' || !(point.haircut >= 0 && point.haircut <= 1)) {
+      throw new Error('Haircuts must be between 0% and 100%');
+    }
+  });
+  if (typeof model.unknownDepth !== 'number' || !(model.unknownDepth > 0)) {
+    throw new Error('The default market depth must be greater than 0');
+  }
+
+  return {
+    enabled: Boolean(model.enabled),
+    curve: curve
+      .map(point => ({ ratio: point.ratio, haircut: point.haircut }))
+      .sort((a, b) => a.ratio - b.ratio),
+    unknownDepth: model.unknownDepth,
+  };
+}
+
+/**
+ * Get the liquidity model
+ * @returns {LiquidityModel}
+ */
+export function getLiquidityModel() {
+  if (!cachedModel) {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      cachedModel = stored ? normalizeModel({ ...DEFAULT_LIQUIDITY_MODEL, ...JSON.parse(stored) }) : DEFAULT_LIQUIDITY_MODEL;
+    } catch (error) {
+      console.error('Error loading liquidity model:', error);
+      cachedModel = DEFAULT_LIQUIDITY_MODEL;
+    }
+  }
+  return cachedModel;
+}
+
+/**
+ * Update the liquidity model and notify listeners
+ * @param {Partial<LiquidityModel>} changes
+ * @returns {LiquidityModel}
+ */
+export function setLiquidityModel(changes) {
+  const model = normalizeModel({ ...getLiquidityModel(), ...changes });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(model));
+  cachedModel = model;
+  notifyListeners();
+  return model;
+}
+
+/**
+ * Use a liquidity model without storing it, e.g. the page's model inside a simulation worker
+ * @param {LiquidityModel} model
+ */
+export function loadLiquidityModel(model) {
+  cachedModel = normalizeModel(model);
+}
+
+/**
+ * Restore the default liquidity model (disabled) and notify listeners
+ */
+export function resetLiquidityModel() {
+  localStorage.removeItem(STORAGE_KEY);
+  cachedModel = null;
+  notifyListeners();
+}
+
+/**
+ * Notify the change listeners
+ */
+function notifyListeners() {
+  changeListeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Error in liquidity model listener:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to liquidity model changes
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export function onLiquidityModelChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Get the market depth of an item: the units its market absorbs around the quoted price
+ * @param {Object} item - Item or price entry with optional volume and listingCount
+ * @param {LiquidityModel} [model]
+ * @returns {number}
+ */
+export function getMarketDepth(item, model = getLiquidityModel()) {
+  const depth = item?.volume ?? item?.listingCount ?? null;
+  return depth > 0 ? depth : model.unknownDepth;
+}
+
+/**
+ * Get the average discount on selling a quantity into a market of a given depth
+ * @param {number} quantity - Units sold
+ * @param {number} depth - Market depth (see getMarketDepth)
+ * @param {LiquidityModel} [model]
+ * @returns {number} Haircut fraction (0-1)
+ */
+export function getHaircut(quantity, depth, model = getLiquidityModel()) {
+  if (!(quantity > 0)) return 0;
+  const ratio = quantity / depth;
+  const { curve } = model;
+  if (ratio <= curve[0].ratio) return curve[0].haircut;
+
+  for (let i = 1; i < curve.length; i++) {
+    const upper = curve[i];
+    if (ratio <= upper.ratio) {
+      const lower = curve[i - 1];
+      const t = upper.ratio > lower.ratio ? (ratio - lower.ratio) / (upper.ratio - lower.ratio) : 1;
+      return lower.haircut + t * (upper.haircut - lower.haircut);
+    }
+  }
+  return curve[curve.length - 1].haircut;
+}
+
+/**
+ * Get the value realized by selling a quantity of an item (sell price less the volume haircut)
+ * @param {Object} item
+ * @param {number} quantity - Units sold
+ * @returns {number} Chaos; quantity × sell price when the model is disabled
+ */
+export function getRealizableValue(item, quantity) {
+  const fullValue = quantity * (getSellPrice(item) ?? 0);
+  const model = getLiquidityModel();
+  if (!model.enabled) return fullValue;
+  return fullValue * (1 - getHaircut(quantity, getMarketDepth(item, model), model));
+}
+
+/**
+ * Calculate the realizable expected value of one reroll over a planned session. Each output is expected
+ * numberOfTrades × weight / total weight times, and all of a session's units of an output are sold together.
+ * @param {Array<Object>} returnPool - Possible outputs with dropWeight and price data
+ * @param {number} numberOfTrades - Planned session size
+ * @returns {{ expectedValue: number, realizableExpectedValue: number, liquidityLoss: number }} Per reroll
+ */
+export function calculateRealizableExpectedValue(returnPool, numberOfTrades) {
+  const totalWeight = returnPool.reduce((sum, item) => sum + item.dropWeight, 0);
+  if (!(totalWeight > 0) || !(numberOfTrades > 0)) {
+    return { expectedValue: 0, realizableExpectedValue: 0, liquidityLoss: 0 };
+  }
+
+  let expectedValue = 0;
+  let realizableExpectedValue = 0;
+  returnPool.forEach(item => {
+    const expectedCount = numberOfTrades * item.dropWeight / totalWeight;
+    expectedValue += expectedCount * (getSellPrice(item) ?? 0) / numberOfTrades;
+    realizableExpectedValue += getRealizableValue(item, expectedCount) / numberOfTrades;
+  });
+  return { expectedValue, realizableExpectedValue, liquidityLoss: expectedValue - realizableExpectedValue };
+}
+
+/**
+ * Calculate the realizable value of held outputs (e.g. a simulation's yield counts)
+ * @param {Map<string, number>} counts - Item id -> units held
+ * @param {Array<Object>} items - Items the ids refer to
+ * @returns {{ fullValue: number, realizableValue: number, liquidityLoss: number }}
+ */
+export function calculateRealizableValue(counts, items) {
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  let fullValue = 0;
+  let realizableValue = 0;
+  counts.forEach((count, id) => {
+    const item = itemsById.get(id);
+    if (!item || !(count > 0)) return;
+    fullValue += count * (getSellPrice(item) ?? 0);
+    realizableValue += getRealizableValue(item, count);
+  });
+  return { fullValue, realizableValue, liquidityLoss: fullValue - realizableValue };
+}
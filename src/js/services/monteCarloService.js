@@ -0,0 +1,205 @@
+/**
+ * Monte Carlo Service
+ * Batch mode: the configured simulation run many times with independent seeds, reduced to the
+ * distribution of final profit and percentile bands of cumulative P/L over the session.
+ * Batches run in the simulation workers (see simulationWorkerPool.runBatch).
+ */
+
+import { runSimulation } from './simulationService.js';
+import { createSeededRandom, MAX_SEED } from '../utils/simulationUtils.js';
+import { SimulationConfiguration, MonteCarloResult } from '../models/scarab.js';
+
+/** Smallest and largest batch */
+export const MIN_BATCH_RUNS = 10;
+export const MAX_BATCH_RUNS = 10000;
+
+/** Cap on trades across all runs of a batch */
+export const MAX_BATCH_TRADES = 10000000;
+
+/** Percentiles of final profit reported, and drawn as bands of the fan chart */
+export const BATCH_PERCENTILES = [0.05, 0.25, 0.5, 0.75, 0.95];
+
+/** Trade numbers sampled for the fan chart */
+const MAX_CHECKPOINTS = 100;
+
+/** Histogram bars of final profit */
+const HISTOGRAM_BINS = 30;
+
+/**
+ * Validate a batch of the configured simulation
+ * @param {SimulationConfiguration} config
+ * @param {number} runCount
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+export function validateBatch(config, runCount) {
+  if (!Number.isInteger(runCount) || runCount < MIN_BATCH_RUNS || runCount > MAX_BATCH_RUNS) {
+    return { valid: false, error: `Batch runs must be between ${MIN_BATCH_RUNS} and ${MAX_BATCH_RUNS.toLocaleString()}` };
+  }
+  if (runCount * config.transactionCount > MAX_BATCH_TRADES) {
+    return { valid: false, error: `Runs × transactions must not exceed ${MAX_BATCH_TRADES.toLocaleString()}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Draw the run seeds of a batch: the same batch seed gives the same runs
+ * @param {number} batchSeed
+ * @param {number} runCount
+ * @returns {Array<number>}
+ */
+export function getRunSeeds(batchSeed, runCount) {
+  const random = createSeededRandom(batchSeed);
+  return Array.from({ length: runCount }, () => Math.floor(random() * (MAX_SEED + 1)));
+}
+
+/**
+ * Get the trade numbers sampled for the fan chart (evenly spaced, ending at the last trade)
+ * @param {number} transactionCount
+ * @returns {Array<number>}
+ */
+export function getCheckpoints(transactionCount) {
+  const count = Math.min(MAX_CHECKPOINTS, transactionCount);
+  return Array.from({ length: count }, (_, i) => Math.round(((i + 1) * transactionCount) / count));
+}
+
+/**
+ * Reduce a simulation result to what a batch keeps of it
+ * @param {SimulationResult} result
+ * @param {Array<number>} checkpoints - Trade numbers (initial phase)
+ * @returns {{ seed: number, finalProfitLoss: number, breakevenTrade: number|null, checkpointValues: Array<number> }}
+ *   breakevenTrade is the first trade after which cumulative P/L is zero or more
+ */
+export function summarizeRun(result, checkpoints) {
+  const { transactions } = result;
+  const breakeven = transactions.find(transaction => transaction.cumulativeProfitLoss >= 0);
+  return {
+    seed: result.seed,
+    finalProfitLoss: result.netProfitLoss,
+    breakevenTrade: breakeven ? breakeven.transactionNumber : null,
+    checkpointValues: checkpoints.map(tradeNumber => transactions[tradeNumber - 1]?.cumulativeProfitLoss ?? 0),
+  };
+}
+
+/**
+ * Run the configured simulation once per seed
+ * @param {SimulationConfiguration} config
+ * @param {Array<Scarab>} allScarabs
+ * @param {Array<number>} seeds - One run per seed
+ * @param {Array<number>} checkpoints - See getCheckpoints
+ * @param {Object} [options]
+ * @param {ExpectedValueThreshold|null} [options.threshold] - Threshold for continue mode
+ * @param {Function} [options.onProgress] - Receives { type: 'progress', phase: 'batch', progress, current, total }
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<Object>>} Run summaries (see summarizeRun), in seed order
+ */
+export async function runMonteCarloRuns(config, allScarabs, seeds, checkpoints, options = {}) {
+  const { threshold = null, onProgress = null, signal } = options;
+  const reportEvery = Math.max(1, Math.ceil(seeds.length / 100));
+  const runs = [];
+
+  for (let i = 0; i < seeds.length; i++) {
+    const runConfig = new SimulationConfiguration({ ...config, seed: seeds[i] });
+    const result = await runSimulation(runConfig, allScarabs, null, threshold, { signal });
+    runs.push(summarizeRun(result, checkpoints));
+
+    if ((i + 1) % reportEvery === 0 || i + 1 === seeds.length) {
+      onProgress?.({
+        type: 'progress',
+        phase: 'batch',
+        progress: ((i + 1) / seeds.length) * 100,
+        current: i + 1,
+        total: seeds.length,
+      });
+      // Short runs never yield inside runSimulation: let cancel messages through
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  return runs;
+}
+
+/**
+ * Get a percentile of sorted values (linear interpolation)
+ * @param {Array<number>} sorted - Ascending
+ * @param {number} percentile - 0-1
+ * @returns {number}
+ */
+export function getPercentile(sorted, percentile) {
+  const position = (sorted.length - 1) * percentile;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Bin values into equal-width histogram bars
+ * @param {Array<number>} sorted - Ascending
+ * @returns {Array<{ from: number, to: number, count: number }>}
+ */
+function buildHistogram(sorted) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) {
+    return [{ from: min, to: max, count: sorted.length }];
+  }
+
+  const width = (max - min) / HISTOGRAM_BINS;
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  sorted.forEach(value => {
+    bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - min) / width))].count++;
+  });
+  return bins;
+}
+
+/**
+ * Reduce run summaries to the batch's outcome distribution
+ * @param {Array<Object>} runs - Run summaries (see summarizeRun)
+ * @param {Array<number>} checkpoints - Trade numbers the runs sampled
+ * @param {Object} details - { configuration, seed, executionTimeMs }
+ * @returns {MonteCarloResult}
+ */
+export function summarizeBatch(runs, checkpoints, details) {
+  if (runs.length === 0) {
+    throw new Error('A batch needs at least one run');
+  }
+
+  const finals = runs.map(run => run.finalProfitLoss).sort((a, b) => a - b);
+  const mean = finals.reduce((sum, value) => sum + value, 0) / finals.length;
+  const variance = finals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, finals.length - 1);
+
+  const fan = checkpoints.map((tradeNumber, i) => {
+    const sorted = runs.map(run => run.checkpointValues[i]).sort((a, b) => a - b);
+    const brokeEven = runs.filter(run => run.breakevenTrade !== null && run.breakevenTrade <= tradeNumber).length;
+    return {
+      tradeNumber,
+      values: BATCH_PERCENTILES.map(percentile => getPercentile(sorted, percentile)),
+      breakevenProbability: brokeEven / runs.length,
+    };
+  });
+
+  return new MonteCarloResult({
+    configuration: details.configuration,
+    seed: details.seed,
+    runCount: runs.length,
+    runs: runs.map(({ seed, finalProfitLoss, breakevenTrade }) => ({ seed, finalProfitLoss, breakevenTrade })),
+    meanProfitLoss: mean,
+    standardDeviation: Math.sqrt(variance),
+    percentiles: BATCH_PERCENTILES.map(percentile => ({ percentile, value: getPercentile(finals, percentile) })),
+    probabilityOfLoss: finals.filter(value => value < 0).length / finals.length,
+    histogram: buildHistogram(finals),
+    fan,
+    completedAt: new Date().toISOString(),
+    executionTimeMs: details.executionTimeMs ?? 0,
+  });
+}
+
+/**
+ * Get the share of a batch's runs that reached breakeven by a trade
+ * @param {MonteCarloResult} batch
+ * @param {number} tradeNumber
+ * @returns {number} 0-1
+ */
+export function getBreakevenProbability(batch, tradeNumber) {
+  if (batch.runs.length === 0) return 0;
+  const reached = batch.runs.filter(run => run.breakevenTrade !== null && run.breakevenTrade <= tradeNumber).length;
+  return reached / batch.runs.length;
+}
@@ -0,0 +1,278 @@
+/**
+ * Price History Service
+ * Records every price refresh as a snapshot per league and price type (IndexedDB) and serves the
+ * per-item time series for sparklines, history charts and thresholds at a past snapshot.
+ * Without IndexedDB (private browsing, tests) history is kept in memory for the session only.
+ */
+
+const DB_NAME = 'scarabHub_priceHistory';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+/**
+ * How long snapshots are kept before they are pruned
+ */
+export const HISTORY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Snapshots closer together than this replace the previous one, so repeated reloads do not flood the history
+ */
+export const MIN_SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * @typedef {Object} PriceSnapshot
+ * @property {string} league - League id
+ * @property {string} itemType - Price type id (e.g. 'scarab', 'lifeforce')
+ * @property {number} timestamp - Capture time (ms since epoch)
+ * @property {Object<string, [number|null, number|null]>} prices - Item id -> [chaosValue, divineValue]
+ */
+
+/** @type {Map<string, Array<PriceSnapshot>>} league|itemType -> snapshots sorted by timestamp */
+const snapshotCache = new Map();
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+
+/** League whose history is read and recorded by default (set on start and on league change) */
+let currentLeague = 'keepers';
+
+/**
+ * Get the cache key of a league and price type
+ * @param {string} league
+ * @param {string} itemType
+ * @returns {string}
+ */
+function getCacheKey(league, itemType) {
+  return `${league}|${itemType}`;
+}
+
+/**
+ * Set the league whose history is read and recorded by default
+ * @param {string} leagueId
+ */
+export function setHistoryLeague(leagueId) {
+  if (leagueId) currentLeague = leagueId;
+}
+
+/**
+ * Open the history database, or resolve to null when IndexedDB is unavailable
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise(resolve => {
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: ['league', 'itemType', 'timestamp'] });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('⚠ Price history database unavailable, keeping history in memory:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('⚠ Price history database unavailable, keeping history in memory:', error);
+      resolve(null);
+    }
+  });
+  return dbPromise;
+}
+
+/**
+ * Run a request against the snapshot store
+ * @param {'readonly'|'readwrite'} mode
+ * @param {Function} operation - store => IDBRequest|void
+ * @returns {Promise<*>} Request result (undefined without a database)
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get the key range covering every snapshot of a league and price type
+ * @param {string} league
+ * @param {string} itemType
+ * @returns {IDBKeyRange}
+ */
+function getSnapshotRange(league, itemType) {
+  return IDBKeyRange.bound([league, itemType, 0], [league, itemType, Number.MAX_SAFE_INTEGER]);
+}
+
+/**
+ * Convert price file entries into snapshot prices
+ * @param {Array<Object>} prices - Price entries (detailsId or id, chaosValue, divineValue)
+ * @returns {Object<string, [number|null, number|null]>}
+ */
+export function pricesToSnapshot(prices) {
+  const snapshotPrices = {};
+  (prices || []).forEach(price => {
+    const id = price.detailsId || price.id;
+    if (!id) return;
+    snapshotPrices[id] = [price.chaosValue ?? null, price.divineValue ?? null];
+  });
+  return snapshotPrices;
+}
+
+/**
+ * Convert a snapshot back into price entries
+ * @param {PriceSnapshot} snapshot
+ * @returns {Array<{ detailsId: string, chaosValue: number|null, divineValue: number|null }>}
+ */
+export function snapshotToPrices(snapshot) {
+  return Object.entries(snapshot?.prices || {}).map(([detailsId, [chaosValue, divineValue]]) => ({
+    detailsId,
+    chaosValue,
+    divineValue,
+  }));
+}
+
+/**
+ * Record a price refresh as a snapshot
+ * @param {string} itemType - Price type id
+ * @param {Array<Object>} prices - Price entries as loaded from the price file
+ * @param {Object} [options] - { league = history league, timestamp = now }
+ * @returns {Promise<PriceSnapshot|null>} Recorded snapshot, or null when there was nothing to record
+ */
+export async function recordPriceSnapshot(itemType, prices, options = {}) {
+  const { league = currentLeague, timestamp = Date.now() } = options;
+  if (!Array.isArray(prices) || prices.length === 0) return null;
+
+  const snapshot = { league, itemType, timestamp, prices: pricesToSnapshot(prices) };
+  const key = getCacheKey(league, itemType);
+  const snapshots = snapshotCache.get(key) || [];
+  const last = snapshots[snapshots.length - 1];
+  const replaced = last && timestamp >= last.timestamp && timestamp - last.timestamp < MIN_SNAPSHOT_INTERVAL_MS
+    ? last
+    : null;
+  const cutoff = timestamp - HISTORY_RETENTION_MS;
+  const next = snapshots
+    .filter(existing => existing !== replaced && existing.timestamp >= cutoff && existing.timestamp !== timestamp)
+    .concat(snapshot)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  snapshotCache.set(key, next);
+
+  try {
+    await withStore('readwrite', store => {
+      if (replaced) {
+        store.delete([league, itemType, replaced.timestamp]);
+      }
+      store.delete(IDBKeyRange.bound([league, itemType, 0], [league, itemType, cutoff], false, true));
+      return store.put(snapshot);
+    });
+  } catch (error) {
+    console.error(`Error saving ${itemType} price snapshot:`, error);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Load the stored snapshots of a price type into memory
+ * @param {string} itemType - Price type id
+ * @param {string} [league] - League id (default: history league)
+ * @returns {Promise<Array<PriceSnapshot>>} Snapshots sorted by timestamp
+ */
+export async function loadPriceHistory(itemType, league = currentLeague) {
+  const key = getCacheKey(league, itemType);
+  try {
+    const stored = await withStore('readonly', store => store.getAll(getSnapshotRange(league, itemType)));
+    if (Array.isArray(stored)) {
+      // Merge with snapshots recorded in memory before the load finished
+      const byTimestamp = new Map(stored.map(snapshot => [snapshot.timestamp, snapshot]));
+      (snapshotCache.get(key) || []).forEach(snapshot => byTimestamp.set(snapshot.timestamp, snapshot));
+      snapshotCache.set(key, [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp));
+    }
+  } catch (error) {
+    console.error(`Error loading ${itemType} price history:`, error);
+  }
+  return getPriceSnapshots(itemType, league);
+}
+
+/**
+ * Get the loaded snapshots of a price type
+ * @param {string} itemType - Price type id
+ * @param {string} [league] - League id (default: history league)
+ * @returns {Array<PriceSnapshot>} Snapshots sorted by timestamp
+ */
+export function getPriceSnapshots(itemType, league = currentLeague) {
+  return snapshotCache.get(getCacheKey(league, itemType)) || [];
+}
+
+/**
+ * Get the price series of one item
+ * @param {string} itemType - Price type id
+ * @param {string} itemId - Item id (price detailsId)
+ * @param {string} [league] - League id (default: history league)
+ * @returns {Array<{ timestamp: number, chaosValue: number|null, divineValue: number|null }>}
+ */
+export function getItemPriceHistory(itemType, itemId, league = currentLeague) {
+  return getPriceSnapshots(itemType, league)
+    .filter(snapshot => snapshot.prices[itemId])
+    .map(snapshot => {
+      const [chaosValue, divineValue] = snapshot.prices[itemId];
+      return { timestamp: snapshot.timestamp, chaosValue, divineValue };
+    });
+}
+
+/**
+ * Get the latest snapshot taken at or before a time
+ * @param {string} itemType - Price type id
+ * @param {number} timestamp
+ * @param {string} [league] - League id (default: history league)
+ * @returns {PriceSnapshot|null}
+ */
+export function getPriceSnapshotAt(itemType, timestamp, league = currentLeague) {
+  const snapshots = getPriceSnapshots(itemType, league);
+  for (let i = snapshots.length - 1; i >= 0; i--) {
+    if (snapshots[i].timestamp <= timestamp) return snapshots[i];
+  }
+  return null;
+}
+
+/**
+ * Summarize the change over a price series
+ * @param {Array<{ timestamp: number }>} series - From getItemPriceHistory
+ * @param {string} [field='chaosValue'] - 'chaosValue' or 'divineValue'
+ * @returns {{ first: number, last: number, min: number, max: number, change: number, changePercent: number|null }|null}
+ *   null with fewer than two priced points
+ */
+export function getPriceChange(series, field = 'chaosValue') {
+  const values = (series || []).map(point => point[field]).filter(value => typeof value === 'number');
+  if (values.length < 2) return null;
+
+  const first = values[0];
+  const last = values[values.length - 1];
+  return {
+    first,
+    last,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    change: last - first,
+    changePercent: first !== 0 ? (last - first) / first : null,
+  };
+}
+
+/**
+ * Drop the in-memory history (tests)
+ */
+export function resetPriceHistoryCache() {
+  snapshotCache.clear();
+}
@@ -0,0 +1,278 @@
+/**
+ * Price Override Service
+ * Manual chaos prices per league, item type and item (LocalStorage) that replace the feed price in every
+ * calculation, e.g. when a feed price is clearly wrong or the real bulk price is known
+ */
+
+const STORAGE_KEY = 'scarabHub_priceOverrides';
+
+/**
+ * Version of the overrides export format
+ */
+export const OVERRIDES_EXPORT_VERSION = 1;
+
+/**
+ * @typedef {Object} PriceOverride
+ * @property {number} chaosValue - Override price in chaos
+ * @property {string} [name] - Item name (for overrides of items missing from the feed)
+ * @property {string} updatedAt - ISO date of the last change
+ */
+
+/** League whose overrides are read and written by default (set on start and on league change) */
+let currentLeague = 'keepers';
+
+/** @type {Set<Function>} Listeners for override changes */
+const changeListeners = new Set();
+
+/**
+ * Set the league whose overrides are read and written by default
+ * @param {string} leagueId
+ */
+export function setOverrideLeague(leagueId) {
+  if (leagueId) currentLeague = leagueId;
+}
+
+/**
+ * Read all stored overrides
+ * @returns {Object} league -> itemType -> itemId -> PriceOverride
+ */
+function readOverrides() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading price overrides:', error);
+    return {};
+  }
+}
+
+/**
+ * Store all overrides and notify listeners
+ * @param {Object} overrides - league -> itemType -> itemId -> PriceOverride
+ */
+function writeOverrides(overrides) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  changeListeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Error in price override listener:', error);
+    }
+  });
+}
+
+/**
+ * Check an override price
+ * @param {*} chaosValue
+ * @returns {boolean}
+ */
+function isValidPrice(chaosValue) {
+  return typeof chaosValue === 'number' && Number.isFinite(chaosValue) && chaosValue >= 0;
+}
+
+/**
+ * Subscribe to override changes (set, clear, import)
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export function onPriceOverridesChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Get the overrides of an item type
+ * @param {string} itemType - Price type id (e.g. 'scarab', 'lifeforce')
+ * @param {string} [league] - League id (default: override league)
+ * @returns {Object<string, PriceOverride>} Item id -> override
+ */
+export function getPriceOverrides(itemType, league = currentLeague) {
+  return { ...(readOverrides()[league]?.[itemType] || {}) };
+}
+
+/**
+ * Get the override of one item
+ * @param {string} itemType - Price type id
+ * @param {string} itemId - Item id (price detailsId)
+ * @param {string} [league] - League id (default: override league)
+ * @returns {PriceOverride|null}
+ */
+export function getPriceOverride(itemType, itemId, league = currentLeague) {
+  return readOverrides()[league]?.[itemType]?.[itemId] || null;
+}
+
+/**
+ * Count the overrides of a league
+ * @param {string} [league] - League id (default: override league)
+ * @returns {number}
+ */
+export function countPriceOverrides(league = currentLeague) {
+  return Object.values(readOverrides()[league] || {})
+    .reduce((count, itemOverrides) => count + Object.keys(itemOverrides).length, 0);
+}
+
+/**
+ * Override the price of an item
+ * @param {string} itemType - Price type id
+ * @param {string} itemId - Item id (price detailsId)
+ * @param {number} chaosValue - Price in chaos
+ * @param {Object} [options] - { name, league = override league }
+ * @returns {PriceOverride}
+ */
+export function setPriceOverride(itemType, itemId, chaosValue, options = {}) {
+  const { name, league = currentLeague } = options;
+  if (!isValidPrice(chaosValue)) {
+    throw new Error('Override price must be a non-negative number');
+  }
+
+  const overrides = readOverrides();
+  overrides[league] = overrides[league] || {};
+  overrides[league][itemType] = overrides[league][itemType] || {};
+  const override = { chaosValue, updatedAt: new Date().toISOString() };
+  if (name) override.name = name;
+  overrides[league][itemType][itemId] = override;
+  writeOverrides(overrides);
+  return override;
+}
+
+/**
+ * Remove the override of an item
+ * @param {string} itemType - Price type id
+ * @param {string} itemId - Item id
+ * @param {string} [league] - League id (default: override league)
+ */
+export function clearPriceOverride(itemType, itemId, league = currentLeague) {
+  const overrides = readOverrides();
+  if (!overrides[league]?.[itemType]?.[itemId]) return;
+
+  delete overrides[league][itemType][itemId];
+  if (Object.keys(overrides[league][itemType]).length === 0) delete overrides[league][itemType];
+  if (Object.keys(overrides[league]).length === 0) delete overrides[league];
+  writeOverrides(overrides);
+}
+
+/**
+ * Remove every override of item types in a league
+ * @param {Array<string>} itemTypes - Price type ids
+ * @param {string} [league] - League id (default: override league)
+ */
+export function clearPriceOverrides(itemTypes, league = currentLeague) {
+  const overrides = readOverrides();
+  if (!overrides[league]) return;
+
+  itemTypes.forEach(itemType => delete overrides[league][itemType]);
+  if (Object.keys(overrides[league]).length === 0) delete overrides[league];
+  writeOverrides(overrides);
+}
+
+/**
+ * Get the chaos price of one divine from price entries (median of chaosValue / divineValue)
+ * @param {Array<Object>} prices - Price entries
+ * @returns {number|null}
+ */
+export function getDivineRate(prices) {
+  const rates = (prices || [])
+    .filter(price => price.chaosValue > 0 && price.divineValue > 0 && !price.priceOverride)
+    .map(price => price.chaosValue / price.divineValue)
+    .sort((a, b) => a - b);
+  if (rates.length === 0) return null;
+  const middle = Math.floor(rates.length / 2);
+  return rates.length % 2 ? rates[middle] : (rates[middle - 1] + rates[middle]) / 2;
+}
+
+/**
+ * Apply the overrides of an item type to its price entries. Overridden entries keep the feed prices in
+ * priceOverride and drop the feed's buy and sell quotes, so bid/ask pricing derives them from the override;
+ * overrides of items missing from the feed are added as entries.
+ * @param {string} itemType - Price type id
+ * @param {Array<Object>} prices - Price entries (detailsId or id, chaosValue, divineValue)
+ * @param {string} [league] - League id (default: override league)
+ * @returns {Array<Object>} New entries (the input is returned unchanged without overrides)
+ */
+export function applyPriceOverrides(itemType, prices, league = currentLeague) {
+  const overrides = getPriceOverrides(itemType, league);
+  if (Object.keys(overrides).length === 0) return prices;
+
+  const divineRate = getDivineRate(prices);
+  const applied = new Set();
+  const result = (prices || []).map(price => {
+    const id = price.detailsId || price.id;
+    const override = overrides[id];
+    if (!override) return price;
+
+    applied.add(id);
+    // Re-applying keeps the original feed prices
+    const feedChaosValue = price.priceOverride ? price.priceOverride.feedChaosValue : (price.chaosValue ?? null);
+    const feedDivineValue = price.priceOverride ? price.priceOverride.feedDivineValue : (price.divineValue ?? null);
+    const rate = divineRate || (feedChaosValue > 0 && feedDivineValue > 0 ? feedChaosValue / feedDivineValue : null);
+    return {
+      ...price,
+      chaosValue: override.chaosValue,
+      divineValue: rate ? override.chaosValue / rate : null,
+      buyChaosValue: null,
+      sellChaosValue: null,
+      priceOverride: { chaosValue: override.chaosValue, feedChaosValue, feedDivineValue, updatedAt: override.updatedAt },
+    };
+  });
+
+  Object.entries(overrides)
+    .filter(([id]) => !applied.has(id))
+    .forEach(([id, override]) => {
+      result.push({
+        name: override.name || id,
+        detailsId: id,
+        chaosValue: override.chaosValue,
+        divineValue: divineRate ? override.chaosValue / divineRate : null,
+        priceOverride: { chaosValue: override.chaosValue, feedChaosValue: null, feedDivineValue: null, updatedAt: override.updatedAt },
+      });
+    });
+  return result;
+}
+
+/**
+ * Export all overrides (every league)
+ * @returns {{ version: number, exportedAt: string, overrides: Object }}
+ */
+export function exportPriceOverrides() {
+  return {
+    version: OVERRIDES_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    overrides: readOverrides(),
+  };
+}
+
+/**
+ * Import exported overrides
+ * @param {Object} data - From exportPriceOverrides
+ * @param {Object} [options] - { replace = false }: replace all overrides instead of merging
+ * @returns {number} Number of imported overrides
+ */
+export function importPriceOverrides(data, options = {}) {
+  if (!data || data.version !== OVERRIDES_EXPORT_VERSION || typeof data.overrides !== 'object' || data.overrides === null) {
+    throw new Error('Not a price overrides export');
+  }
+
+  const overrides = options.replace ? {} : readOverrides();
+  let imported = 0;
+  Object.entries(data.overrides).forEach(([league, itemTypes]) => {
+    Object.entries(itemTypes || {}).forEach(([itemType, items]) => {
+      Object.entries(items || {}).forEach(([itemId, override]) => {
+        if (!isValidPrice(override?.chaosValue)) {
+          console.warn(`⚠ Skipping invalid price override ${league}/${itemType}/${itemId}`);
+          return;
+        }
+        overrides[league] = overrides[league] || {};
+        overrides[league][itemType] = overrides[league][itemType] || {};
+        overrides[league][itemType][itemId] = {
+          chaosValue: override.chaosValue,
+          ...(override.name ? { name: override.name } : {}),
+          updatedAt: override.updatedAt || new Date().toISOString(),
+        };
+        imported++;
+      });
+    });
+  });
+
+  writeOverrides(overrides);
+  return imported;
+}
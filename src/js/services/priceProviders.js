@@ -0,0 +1,343 @@
+/**
+ * Price Providers
+ * Price sources selectable per item type (LocalStorage). Every provider normalizes its data into
+ * price entries { name, chaosValue, divineValue, detailsId }, the shape of the poeatlas price files,
+ * plus buyChaosValue, sellChaosValue, listingCount and volume when the source provides them (see
+ * priceSpreadService and liquidityService).
+ */
+
+const STORAGE_KEY = 'scarabHub_priceProviders';
+const UPLOAD_STORAGE_KEY = 'scarabHub_uploadedPrices';
+
+/**
+ * Host of the default price files
+ */
+export const POEATLAS_BASE_URL = 'https://data.poeatlas.app/';
+
+/**
+ * Provider ids
+ */
+export const PRICE_PROVIDER_IDS = {
+  POEATLAS: 'poeatlas', // data.poeatlas.app price files (default)
+  POE_NINJA: 'poe_ninja', // poe.ninja-style currency/item overview JSON from a URL template
+  CUSTOM_URL: 'custom_url', // Price entries (or an overview) from a URL template
+  LOCAL_FILE: 'local_file', // Uploaded JSON file
+};
+
+/**
+ * Placeholders a URL template can use
+ */
+export const URL_TEMPLATE_PLACEHOLDERS = ['{itemType}', '{league}', '{leagueSlug}', '{leagueId}'];
+
+/**
+ * Derive a detailsId from an item name (poe.ninja style)
+ * @param {string} name
+ * @returns {string} e.g. 'Divine Orb' -> 'divine-orb'
+ */
+export function slugifyName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Read a price as a number
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toPrice(value) {
+  const number = typeof value === 'string' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Get the optional quote fields of a price entry; fields the source does not provide are left out
+ * @param {number|null} buyChaosValue - Ask
+ * @param {number|null} sellChaosValue - Bid
+ * @param {number|null} listingCount
+ * @param {number|null} volume - Units traded per day
+ * @returns {Object} { buyChaosValue?, sellChaosValue?, listingCount?, volume? }
+ */
+function getQuoteFields(buyChaosValue, sellChaosValue, listingCount, volume) {
+  const fields = {};
+  if (buyChaosValue !== null) fields.buyChaosValue = buyChaosValue;
+  if (sellChaosValue !== null) fields.sellChaosValue = sellChaosValue;
+  if (listingCount !== null) fields.listingCount = listingCount;
+  if (volume !== null) fields.volume = volume;
+  return fields;
+}
+
+/**
+ * Normalize a list of price entries (poeatlas format). Entries quoting only buy and sell prices are
+ * priced at their midpoint.
+ * @param {Array<Object>} entries - Entries with name and/or detailsId, chaosValue, divineValue and
+ *   optionally buyChaosValue, sellChaosValue, listingCount, volume
+ * @returns {Array<{ name: string, chaosValue: number|null, divineValue: number|null, detailsId: string }>}
+ */
+export function normalizePriceEntries(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('Price data must be an array of price entries');
+  }
+  return entries
+    .filter(entry => entry && (entry.name || entry.detailsId))
+    .map(entry => {
+      const buyChaosValue = toPrice(entry.buyChaosValue);
+      const sellChaosValue = toPrice(entry.sellChaosValue);
+      const midpoint = buyChaosValue !== null && sellChaosValue !== null ? (buyChaosValue + sellChaosValue) / 2 : null;
+      return {
+        name: entry.name || entry.detailsId,
+        chaosValue: toPrice(entry.chaosValue) ?? midpoint,
+        divineValue: toPrice(entry.divineValue),
+        detailsId: entry.detailsId || slugifyName(entry.name),
+        ...getQuoteFields(buyChaosValue, sellChaosValue, toPrice(entry.listingCount), toPrice(entry.volume)),
+      };
+    });
+}
+
+/**
+ * Normalize a poe.ninja-style overview. Currency overviews price lines by chaosEquivalent (divine values
+ * derived from the Divine Orb line); item overviews carry chaosValue and divineValue. Currency lines quote
+ * the ask in receive (chaos paid per item) and the bid in pay (items paid per chaos).
+ * @param {Object} overview - { lines: Array<Object> }
+ * @returns {Array<{ name: string, chaosValue: number|null, divineValue: number|null, detailsId: string }>}
+ */
+export function normalizePoeNinjaOverview(overview) {
+  if (!Array.isArray(overview?.lines)) {
+    throw new Error('Overview data must have a lines array');
+  }
+  const getName = line => line.name || line.currencyTypeName;
+  const getChaosValue = line => toPrice(line.chaosValue ?? line.chaosEquivalent ?? line.receive?.value);
+  const divineLine = overview.lines.find(line => getName(line) === 'Divine Orb');
+  const divinePrice = divineLine ? getChaosValue(divineLine) : null;
+
+  return overview.lines
+    .filter(line => getName(line))
+    .map(line => {
+      const chaosValue = getChaosValue(line);
+      const divineValue = toPrice(line.divineValue) ?? (divinePrice && chaosValue !== null ? chaosValue / divinePrice : null);
+      const payValue = toPrice(line.pay?.value);
+      return {
+        name: getName(line),
+        chaosValue,
+        divineValue,
+        detailsId: line.detailsId || slugifyName(getName(line)),
+        ...getQuoteFields(
+          toPrice(line.receive?.value),
+          payValue > 0 ? 1 / payValue : null,
+          toPrice(line.listingCount ?? line.receive?.listing_count),
+          toPrice(line.volume ?? line.receive?.volume)
+        ),
+      };
+    });
+}
+
+/**
+ * Normalize price data of either format (entry list or overview)
+ * @param {Array<Object>|Object} data
+ * @returns {Array<Object>} Price entries
+ */
+export function normalizePriceData(data) {
+  return Array.isArray(data) ? normalizePriceEntries(data) : normalizePoeNinjaOverview(data);
+}
+
+/**
+ * Fill the placeholders of a URL template
+ * @param {string} template - e.g. 'http://localhost:8080/{itemType}Prices_{leagueSlug}.json'
+ * @param {string} itemType - Price type id
+ * @param {{ id: string, name: string, slug: string }|null} league
+ * @returns {string}
+ */
+export function expandUrlTemplate(template, itemType, league) {
+  const values = {
+    '{itemType}': itemType,
+    '{league}': league?.name || 'Keepers of the Flame',
+    '{leagueSlug}': league?.slug || 'Keepers',
+    '{leagueId}': league?.id || 'keepers',
+  };
+  return URL_TEMPLATE_PLACEHOLDERS.reduce(
+    (url, placeholder) => url.split(placeholder).join(encodeURIComponent(values[placeholder])),
+    template
+  );
+}
+
+/**
+ * Read the uploaded price files
+ * @returns {Object} itemType -> { prices, fileName, uploadedAt }
+ */
+function readUploads() {
+  try {
+    const stored = localStorage.getItem(UPLOAD_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading uploaded prices:', error);
+    return {};
+  }
+}
+
+/**
+ * Store an uploaded price file for an item type
+ * @param {string} itemType - Price type id
+ * @param {Array<Object>|Object} data - Parsed JSON (entry list or overview)
+ * @param {string} [fileName] - Name of the uploaded file
+ * @returns {Array<Object>} Normalized price entries
+ */
+export function saveUploadedPrices(itemType, data, fileName = '') {
+  const prices = normalizePriceData(data);
+  if (prices.length === 0) {
+    throw new Error('The file has no price entries');
+  }
+  const uploads = readUploads();
+  uploads[itemType] = { prices, fileName, uploadedAt: new Date().toISOString() };
+  localStorage.setItem(UPLOAD_STORAGE_KEY, JSON.stringify(uploads));
+  return prices;
+}
+
+/**
+ * Get the uploaded prices of an item type
+ * @param {string} itemType - Price type id
+ * @returns {Array<Object>|null}
+ */
+export function getUploadedPrices(itemType) {
+  return readUploads()[itemType]?.prices || null;
+}
+
+/**
+ * @typedef {Object} PriceProvider
+ * @property {string} id - One of PRICE_PROVIDER_IDS
+ * @property {string} label
+ * @property {string} description
+ * @property {boolean} requiresUrl - Whether the selection needs a URL template
+ * @property {Function} getUrl - (itemType, league, selection) => remote URL, or null without one
+ * @property {Function} normalize - Raw JSON => price entries
+ * @property {Function} [loadUploaded] - itemType => uploaded price entries or null
+ */
+
+/** @type {Object<string, PriceProvider>} */
+export const PRICE_PROVIDERS = {
+  [PRICE_PROVIDER_IDS.POEATLAS]: {
+    id: PRICE_PROVIDER_IDS.POEATLAS,
+    label: 'poeatlas',
+    description: 'Price files from data.poeatlas.app',
+    requiresUrl: false,
+    getUrl: (itemType, league) => `${POEATLAS_BASE_URL}${itemType}Prices_${league?.slug || 'Keepers'}.json`,
+    normalize: normalizePriceEntries,
+  },
+  [PRICE_PROVIDER_IDS.POE_NINJA]: {
+    id: PRICE_PROVIDER_IDS.POE_NINJA,
+    label: 'poe.ninja overview',
+    description: 'Currency or item overview JSON (lines) from a URL, e.g. a proxy or mock server',
+    requiresUrl: true,
+    getUrl: (itemType, league, selection) => (selection?.url ? expandUrlTemplate(selection.url, itemType, league) : null),
+    normalize: normalizePoeNinjaOverview,
+  },
+  [PRICE_PROVIDER_IDS.CUSTOM_URL]: {
+    id: PRICE_PROVIDER_IDS.CUSTOM_URL,
+    label: 'Custom URL',
+    description: 'Price entries { name, chaosValue, divineValue, detailsId } or an overview from your own feed',
+    requiresUrl: true,
+    getUrl: (itemType, league, selection) => (selection?.url ? expandUrlTemplate(selection.url, itemType, league) : null),
+    normalize: normalizePriceData,
+  },
+  [PRICE_PROVIDER_IDS.LOCAL_FILE]: {
+    id: PRICE_PROVIDER_IDS.LOCAL_FILE,
+    label: 'Local file',
+    description: 'An uploaded JSON file (kept in this browser)',
+    requiresUrl: false,
+    getUrl: () => null,
+    normalize: normalizePriceData,
+    loadUploaded: getUploadedPrices,
+  },
+};
+
+/**
+ * Get a provider by id
+ * @param {string} providerId
+ * @returns {PriceProvider} The poeatlas provider for unknown ids
+ */
+export function getPriceProvider(providerId) {
+  return PRICE_PROVIDERS[providerId] || PRICE_PROVIDERS[PRICE_PROVIDER_IDS.POEATLAS];
+}
+
+/**
+ * Read the provider selections
+ * @returns {Object} itemType -> { providerId, url }
+ */
+function readSelections() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading price provider selection:', error);
+    return {};
+  }
+}
+
+/**
+ * Get the provider selected for an item type
+ * @param {string} itemType - Price type id
+ * @returns {{ providerId: string, url: string|null }} poeatlas when nothing is selected
+ */
+export function getPriceProviderSelection(itemType) {
+  const selection = readSelections()[itemType];
+  if (!selection || !PRICE_PROVIDERS[selection.providerId]) {
+    return { providerId: PRICE_PROVIDER_IDS.POEATLAS, url: null };
+  }
+  return { providerId: selection.providerId, url: selection.url || null };
+}
+
+/**
+ * Select the provider of an item type
+ * @param {string} itemType - Price type id
+ * @param {{ providerId: string, url?: string }} selection
+ */
+export function setPriceProviderSelection(itemType, selection) {
+  const provider = PRICE_PROVIDERS[selection.providerId];
+  if (!provider) {
+    throw new Error(`Unknown price provider: ${selection.providerId}`);
+  }
+  const url = selection.url?.trim() || null;
+  if (provider.requiresUrl && !url) {
+    throw new Error(`${provider.label} needs a URL`);
+  }
+  if (provider.id === PRICE_PROVIDER_IDS.LOCAL_FILE && !getUploadedPrices(itemType)) {
+    throw new Error('Upload a price file first');
+  }
+
+  const selections = readSelections();
+  if (provider.id === PRICE_PROVIDER_IDS.POEATLAS) {
+    delete selections[itemType];
+  } else {
+    selections[itemType] = { providerId: provider.id, url: provider.requiresUrl ? url : null };
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(selections));
+}
+
+/**
+ * Short hash of a string (32-bit FNV-1a, base 36)
+ * @param {string} value
+ * @returns {string}
+ */
+function hashString(value) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Get the cache file name suffix of an item type's provider, so each provider and feed caches separately.
+ * URL providers add a hash of their URL template: changing the URL starts a new cache instead of serving
+ * the old feed's prices (the league is already part of the file name, so the template decides the URL).
+ * @param {string} itemType - Price type id
+ * @returns {string} '' for poeatlas, '.<providerId>-<url hash>' for URL providers, otherwise '.<providerId>'
+ */
+export function getPriceProviderCacheSuffix(itemType) {
+  const { providerId, url } = getPriceProviderSelection(itemType);
+  if (providerId === PRICE_PROVIDER_IDS.POEATLAS) {
+    return '';
+  }
+  return url ? `.${providerId}-${hashString(url)}` : `.${providerId}`;
+}
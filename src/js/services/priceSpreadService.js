@@ -0,0 +1,218 @@
+/**
+ * Price Spread Service
+ * Bid/ask pricing: inputs are bought at the ask (buy price) and outputs sold at the bid (sell price).
+ * Buy and sell prices come from the price source when it quotes them (buyChaosValue, sellChaosValue);
+ * otherwise they are derived from chaosValue with a spread that depends on the item's listing count.
+ * The spread model is kept in LocalStorage; when it is disabled every price is the single chaosValue.
+ */
+
+const STORAGE_KEY = 'scarabHub_priceSpread';
+
+/**
+ * Default spread model (disabled). Spreads are (ask - bid) / chaosValue; the first tier whose
+ * minListings the item's listing count reaches applies, unknownListingsSpread when the source has no count.
+ */
+export const DEFAULT_SPREAD_MODEL = {
+  enabled: false,
+  tiers: [
+    { minListings: 100, spread: 0.02 },
+    { minListings: 20, spread: 0.06 },
+    { minListings: 0, spread: 0.15 },
+  ],
+  unknownListingsSpread: 0.05,
+};
+
+/**
+ * @typedef {Object} SpreadModel
+ * @property {boolean} enabled - Use buy and sell prices in calculations
+ * @property {Array<{ minListings: number, spread: number }>} tiers - Sorted by minListings, descending
+ * @property {number} unknownListingsSpread - Spread of items without a listing count
+ */
+
+/** @type {SpreadModel|null} Stored model, read once */
+let cachedModel = null;
+
+/** @type {Set<Function>} Listeners for model changes */
+const changeListeners = new Set();
+
+/**
+ * Check a spread fraction (a spread of 2 or more would make the sell price negative)
+ * @param {*} spread
+ * @returns {boolean}
+ */
+function isValidSpread(spread) {
+  return typeof spread === 'number' && Number.isFinite(spread) && spread >= 0 && spread < 2;
+}
+
+/**
+ * Validate a spread model and sort its tiers
+ * @param {Object} model
+ * @returns {SpreadModel}
+ */
+function normalizeModel(model) {
+  const tiers = Array.isArray(model.tiers) ? model.tiers : [];
+  if (tiers.length === 0) {
+    throw new Error('The spread model needs at least one tier');
+  }
+  tiers.forEach(tier => {
+    if (!Number.isInteger(tier?.minListings) || tier.minListings < 0) {
+      throw new Error('Tier listing counts must be non-negative whole numbers');
+    }
+    if (!isValidSpread(tier.spread)) {
+      throw new Error('Spreads must be between 0% and 200%');
+    }
+  });
+  if (!isValidSpread(model.unknownListingsSpread)) {
+    throw new Error('Spreads must be between 0% and 200%');
+  }
+
+  return {
+    enabled: Boolean(model.enabled),
+    tiers: tiers
+      .map(tier => ({ minListings: tier.minListings, spread: tier.spread }))
+      .sort((a, b) => b.minListings - a.minListings),
+    unknownListingsSpread: model.unknownListingsSpread,
+  };
+}
+
+/**
+ * Get the spread model
+ * @returns {SpreadModel}
+ */
+export function getSpreadModel() {
+  if (!cachedModel) {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      cachedModel = stored ? normalizeModel({ ...DEFAULT_SPREAD_MODEL, ...JSON.parse(stored) }) : DEFAULT_SPREAD_MODEL;
+    } catch (error) {
+      console.error('Error loading spread model:', error);
+      cachedModel = DEFAULT_SPREAD_MODEL;
+    }
+  }
+  return cachedModel;
+}
+
+/**
+ * Update the spread model and notify listeners
+ * @param {Partial<SpreadModel>} changes
+ * @returns {SpreadModel}
+ */
+export function setSpreadModel(changes) {
+  const model = normalizeModel({ ...getSpreadModel(), ...changes });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(model));
+  cachedModel = model;
+  notifyListeners();
+  return model;
+}
+
+/**
+ * Use a spread model without storing it, e.g. the page's model inside a simulation worker
+ * @param {SpreadModel} model
+ */
+export function loadSpreadModel(model) {
+  cachedModel = normalizeModel(model);
+}
+
+/**
+ * Restore the default spread model (disabled) and notify listeners
+ */
+export function resetSpreadModel() {
+  localStorage.removeItem(STORAGE_KEY);
+  cachedModel = null;
+  notifyListeners();
+}
+
+/**
+ * Notify the change listeners
+ */
+function notifyListeners() {
+  changeListeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Error in spread model listener:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to spread model changes
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export function onSpreadModelChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Check whether calculations use buy and sell prices
+ * @returns {boolean}
+ */
+export function isBidAskEnabled() {
+  return getSpreadModel().enabled;
+}
+
+/**
+ * Get the spread for a listing count
+ * @param {number|null} listingCount
+ * @param {SpreadModel} [model]
+ * @returns {number} Spread as a fraction of chaosValue
+ */
+export function getSpreadForListings(listingCount, model = getSpreadModel()) {
+  if (listingCount === null || listingCount === undefined || !Number.isFinite(listingCount)) {
+    return model.unknownListingsSpread;
+  }
+  const tier = model.tiers.find(candidate => listingCount >= candidate.minListings);
+  return tier ? tier.spread : model.tiers[model.tiers.length - 1].spread;
+}
+
+/**
+ * Get the buy and sell price of an item
+ * @param {Object} item - Item or price entry with chaosValue and optionally buyChaosValue, sellChaosValue, listingCount
+ * @returns {{ buy: number|null, sell: number|null, source: 'mid' | 'feed' | 'spread' }}
+ *   'feed' when the source quotes both sides, 'spread' when the model derived at least one
+ */
+export function getPriceQuote(item) {
+  const mid = item?.chaosValue ?? null;
+  const model = getSpreadModel();
+  if (!model.enabled) {
+    return { buy: mid, sell: mid, source: 'mid' };
+  }
+
+  const quotedBuy = item.buyChaosValue ?? null;
+  const quotedSell = item.sellChaosValue ?? null;
+  if (quotedBuy !== null && quotedSell !== null) {
+    return { buy: quotedBuy, sell: quotedSell, source: 'feed' };
+  }
+  if (mid === null) {
+    return { buy: quotedBuy, sell: quotedSell, source: 'feed' };
+  }
+
+  const halfSpread = getSpreadForListings(item.listingCount ?? null, model) / 2;
+  return {
+    buy: quotedBuy ?? mid * (1 + halfSpread),
+    sell: quotedSell ?? mid * (1 - halfSpread),
+    source: 'spread',
+  };
+}
+
+/**
+ * Get the price an item is bought at (inputs and reroll currency)
+ * @param {Object} item
+ * @returns {number|null} The ask, or chaosValue when bid/ask pricing is disabled
+ */
+export function getBuyPrice(item) {
+  if (!getSpreadModel().enabled) return item?.chaosValue ?? null;
+  return getPriceQuote(item).buy;
+}
+
+/**
+ * Get the price an item is sold at (reroll outputs)
+ * @param {Object} item
+ * @returns {number|null} The bid, or chaosValue when bid/ask pricing is disabled
+ */
+export function getSellPrice(item) {
+  if (!getSpreadModel().enabled) return item?.chaosValue ?? null;
+  return getPriceQuote(item).sell;
+}
@@ -1,18 +1,37 @@
 /**
  * Price Update Service
- * Handles automatic periodic refresh of scarab price data
+ * Handles automatic periodic refresh of scarab price data; every refresh that changed prices is
+ * recorded in the price history and reported through the price update callback
  */
 
-import { refreshPriceData, refreshItemTypePrices, loadItemTypePrices } from './dataService.js';
-import { getCacheInfo } from '../utils/dataFetcher.js';
+import { refreshItemTypePrices, revalidateItemTypePrices, loadItemTypePrices } from './dataService.js';
+import { getCacheInfo, onDataRevalidated } from '../utils/dataFetcher.js';
 import { getPriceFileName } from './leagueService.js';
 import { ITEM_TYPES } from './leagueService.js';
+import { recordPriceSnapshot } from './priceHistoryService.js';
 
 export class PriceUpdateService {
   constructor() {
     this.updateIntervalId = null;
     this.DEFAULT_UPDATE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
     this.onPriceUpdateCallback = null;
+    // Background revalidations (periodic checks and stale cache reads) report changed price files
+    onDataRevalidated((fileName, prices) => this.handleRevalidatedData(fileName, prices));
+  }
+
+  /**
+   * Record and report a price file that changed on background revalidation
+   * @param {string} fileName - Revalidated file
+   * @param {Array} prices - New data
+   */
+  async handleRevalidatedData(fileName, prices) {
+    const itemType = ITEM_TYPES.find(t => getPriceFileName(t.id) === fileName);
+    if (!itemType) return; // Not a price file of the selected league (e.g. MLE weights)
+
+    await recordPriceSnapshot(itemType.id, prices);
+    if (this.onPriceUpdateCallback) {
+      this.onPriceUpdateCallback(itemType.id, prices);
+    }
   }
 
   /**
@@ -70,8 +89,9 @@ export class PriceUpdateService {
   }
 
   /**
-   * Check and update prices for all active item types
-   * @returns {Promise<Map<string, object>>} Map of item type to update result
+   * Revalidate the prices of all active item types whose cache expired. Changed prices reach the price
+   * update callback through handleRevalidatedData.
+   * @returns {Promise<Map<string, object>>} Map of item type to update result (itemCount > 0 when changed)
    */
   async checkAndUpdateAllPrices() {
     const itemTypes = ITEM_TYPES.filter(t => t.isActive).map(t => t.id);
@@ -80,12 +100,12 @@ export class PriceUpdateService {
         const priceFileName = getPriceFileName(itemType);
         const cacheInfo = getCacheInfo(priceFileName);
         
-        if (!cacheInfo.hasCache || cacheInfo.age > this.DEFAULT_UPDATE_INTERVAL_MS) {
-          const prices = await refreshItemTypePrices(itemType);
+        if (cacheInfo.isExpired) {
+          const { data, changed } = await revalidateItemTypePrices(itemType);
           return {
             itemType,
             success: true,
-            itemCount: prices.length,
+            itemCount: changed ? data.length : 0,
             timestamp: Date.now()
           };
         }
@@ -116,22 +136,12 @@ export class PriceUpdateService {
         const updateResult = result.value;
         resultMap.set(updateResult.itemType, updateResult);
         
-        // Notify callback if set and update was successful with new data
-        if (this.onPriceUpdateCallback && updateResult.success && updateResult.itemCount > 0) {
-          // Load updated prices to pass to callback
-          loadItemTypePrices(updateResult.itemType).then(prices => {
-            this.onPriceUpdateCallback(updateResult.itemType, prices);
-          }).catch(err => {
-            console.error(`Error loading updated prices for callback:`, err);
-          });
-        }
-        
         // Log update result
         if (updateResult.success) {
           if (updateResult.itemCount > 0) {
             console.log(`✓ Updated ${updateResult.itemType} prices (${updateResult.itemCount} items)`);
           } else {
-            console.debug(`✓ ${updateResult.itemType} prices still valid (no update needed)`);
+            console.debug(`✓ ${updateResult.itemType} prices unchanged (no update needed)`);
           }
         } else {
           console.warn(`⚠ Failed to update ${updateResult.itemType} prices: ${updateResult.error}`);
@@ -167,6 +177,23 @@ export class PriceUpdateService {
     return [];
   }
 
+  /**
+   * Force refresh the prices of one item type immediately (e.g. after its price provider changed),
+   * recording and reporting them
+   * @param {string} itemType - Item type identifier
+   * @returns {Promise<Array>} Refreshed prices
+   */
+  async forceRefreshPrices(itemType) {
+    const prices = await refreshItemTypePrices(itemType);
+    await recordPriceSnapshot(itemType, prices);
+
+    // Notify callback if set
+    if (this.onPriceUpdateCallback) {
+      this.onPriceUpdateCallback(itemType, prices);
+    }
+    return prices;
+  }
+
   /**
    * Force refresh all item type prices immediately
    * @returns {Promise<Map<string, object>>} Map of item type to update result
@@ -175,13 +202,7 @@ export class PriceUpdateService {
     const itemTypes = ITEM_TYPES.filter(t => t.isActive).map(t => t.id);
     const updatePromises = itemTypes.map(async (itemType) => {
       try {
-        const prices = await refreshItemTypePrices(itemType);
-        
-        // Notify callback if set
-        if (this.onPriceUpdateCallback) {
-          this.onPriceUpdateCallback(itemType, prices);
-        }
-        
+        const prices = await this.forceRefreshPrices(itemType);
         return {
           itemType,
           success: true,
@@ -0,0 +1,900 @@
+/**
+ * Reroll Engine
+ * Expected value, threshold and profitability calculations shared by every reroll market.
+ * Markets are described by declarative reroll rules (see rerollRules.js); nothing here is category-specific.
+ */
+
+import { ExpectedValueThreshold } from '../models/scarab.js';
+import { computeMeanLowerBound, inverseNormalCdf, inverseStudentTCdf } from '../utils/distributionUtils.js';
+import { createSeededRandom } from '../utils/simulationUtils.js';
+import { getBuyPrice, getSellPrice, isBidAskEnabled } from './priceSpreadService.js';
+import { getLiquidityModel, calculateRealizableExpectedValue } from './liquidityService.js';
+
+/**
+ * Threshold calculation methods
+ * - NORMAL: CLT lower bound μ - z × σ/√n (fast, but optimistic for skewed returns and few trades)
+ * - CONVOLUTION: exact quantile of the n-trade mean from the discretized return distribution
+ */
+export const CALCULATION_METHODS = {
+  NORMAL: 'weighted_average_with_confidence_interval',
+  CONVOLUTION: 'discretized_convolution',
+};
+
+/**
+ * How a rule turns the return distribution into a threshold
+ * - LOWER_BOUND: lower confidence bound of the n-trade mean (vendor recipes, see calculateRerollThreshold)
+ * - EXPECTED_VALUE: plain expected value per reroll group (lifeforce rerolls, see calculateGroupThresholds)
+ */
+export const THRESHOLD_BASES = {
+  LOWER_BOUND: 'lower_bound',
+  EXPECTED_VALUE: 'expected_value',
+};
+
+/**
+ * How items without a drop weight are treated
+ * - REQUIRE: left out of the return pool
+ * - UNIT: counted with weight 1
+ * - EQUAL: the whole pool falls back to equal weighting unless every priced item has a weight
+ */
+export const MISSING_WEIGHT_POLICIES = {
+  REQUIRE: 'require',
+  UNIT: 'unit',
+  EQUAL: 'equal',
+};
+
+/**
+ * Sessions shorter than this use Student's t quantile instead of the normal one,
+ * widening the interval where the sample mean is least normal
+ */
+const STUDENT_T_MAX_TRADES = 30;
+
+/**
+ * Number of parametric bootstrap draws of the drop weights used for threshold bands
+ */
+const WEIGHT_BOOTSTRAP_SAMPLES = 200;
+
+/**
+ * Seed of the drop-weight bootstrap: every calculation redraws the same samples, so unchanged inputs
+ * give the same band
+ */
+const WEIGHT_BOOTSTRAP_SEED = 0x5CA7AB;
+
+/**
+ * Central coverage of the threshold band reported for drop-weight uncertainty
+ */
+const WEIGHT_BAND_LEVEL = 0.9;
+
+/**
+ * Calculate variance of expected value
+ * Formula: Variance = Σ(probability_i × (value_i - mean)²), valued at sell prices (see priceSpreadService)
+ *
+ * @param {Array<Object>} items - Valid items with dropWeight and price data
+ * @param {number} totalWeight - Total weight of all items
+ * @param {number} mu - Expected value (mean)
+ * @returns {number} Variance
+ */
+export function computeVariance(items, totalWeight, mu) {
+  let variance = 0;
+
+  for (const item of items) {
+    const probability = item.dropWeight / totalWeight;
+    const diff = getSellPrice(item) - mu;
+    variance += probability * diff * diff;
+  }
+
+  return variance;
+}
+
+/**
+ * Get z-score for a given confidence percentile (one-tailed lower bound)
+ * For 90th percentile: z ≈ 1.28155
+ * This represents the number of standard deviations to subtract from the mean
+ * to get the lower bound of the confidence interval.
+ *
+ * @param {number} percentile - Confidence percentile (0-1, exclusive), e.g., 0.9 for 90%
+ * @param {number} numberOfTrades - Number of trades; small sessions use Student's t with n - 1 degrees of freedom
+ * @returns {number} Z-score
+ */
+function getZScore(percentile, numberOfTrades = Infinity) {
+  if (!(percentile > 0 && percentile < 1)) {
+    throw new Error(`Confidence percentile must be between 0 and 1 (exclusive), got ${percentile}`);
+  }
+
+  if (numberOfTrades >= 2 && numberOfTrades < STUDENT_T_MAX_TRADES) {
+    return inverseStudentTCdf(percentile, numberOfTrades - 1);
+  }
+
+  return inverseNormalCdf(percentile);
+}
+
+/**
+ * Get the total cost of a rule's reroll currency
+ * @param {RerollRule} rule
+ * @param {number|null} unitPrice - Chaos price of one unit of the reroll currency (its buy price, see getBuyPrice)
+ * @returns {number|null} quantity × unitPrice, 0 for rules without a reroll cost, null when the price is unavailable
+ */
+export function getRerollCost(rule, unitPrice) {
+  if (!rule.rerollCost) return 0;
+  if (unitPrice === null || unitPrice === undefined || isNaN(unitPrice)) return null;
+  return rule.rerollCost.quantity * unitPrice;
+}
+
+/**
+ * Get the profitability status of an item against a threshold
+ * The item is an input, so its buy price is compared (chaosValue unless bid/ask pricing is enabled)
+ * @param {Object} item - Item with hasPriceData() and chaosValue
+ * @param {number|null} threshold - Threshold value
+ * @returns {string} 'profitable' | 'not_profitable' | 'unknown'
+ */
+export function getProfitabilityStatus(item, threshold) {
+  if (!item.hasPriceData()) {
+    return 'unknown';
+  }
+
+  if (threshold === null || threshold === undefined || isNaN(threshold)) {
+    return 'unknown';
+  }
+
+  // Items below the threshold are worth rerolling
+  return getBuyPrice(item) < threshold ? 'profitable' : 'not_profitable';
+}
+
+/**
+ * Set profitabilityStatus on every item against a pooled threshold
+ * @param {Array<Object>} items
+ * @param {ExpectedValueThreshold} threshold
+ */
+export function applyProfitabilityStatus(items, threshold) {
+  items.forEach(item => {
+    item.profitabilityStatus = getProfitabilityStatus(item, threshold.value);
+  });
+}
+
+/**
+ * Find the lowest value item (by buy price)
+ * @param {Array<Object>} items
+ * @returns {Object|null}
+ */
+function findLowestValueItem(items) {
+  if (items.length === 0) return null;
+
+  return items.reduce((lowest, item) => {
+    if (!lowest) return item;
+    if (getBuyPrice(item) < getBuyPrice(lowest)) return item;
+    return lowest;
+  }, null);
+}
+
+/**
+ * Find the item with the best input ratio (low value, high weighting)
+ * Returns the item that minimizes (value / weight) ratio
+ * @param {Array<Object>} items
+ * @returns {Object|null}
+ */
+function findOptimalInputItem(items) {
+  if (items.length === 0) return null;
+
+  return items.reduce((optimal, item) => {
+    if (!optimal) return item;
+
+    // Calculate value-to-weight ratio (lower is better)
+    const optimalRatio = getBuyPrice(optimal) / optimal.dropWeight;
+    const itemRatio = getBuyPrice(item) / item.dropWeight;
+
+    if (itemRatio < optimalRatio) return item;
+    return optimal;
+  }, null);
+}
+
+/**
+ * Find the 3-to-1 input mix that maximizes expected profit per trade.
+ *
+ * Searches every combination of up to three distinct input items. Each distinct input is
+ * excluded from the return pool (you cannot get back what you put in), so cheap, heavily
+ * weighted inputs both cost little and remove low-value outcomes. When fewer than three
+ * inputs are distinct, the spare slots are filled with the cheapest of them.
+ *
+ * Expected profit = EV(return pool without inputs) - total input cost
+ * Returns are valued at sell prices and inputs at buy prices (see priceSpreadService).
+ *
+ * @param {Array<Object>} scarabs - All items; the return pool is those with dropWeight and price data
+ * @param {Array<Object>|null} candidateInputs - Items allowed as input (default: all items with price data)
+ * @returns {Object|null} Best mix, or null if no combination leaves a return pool:
+ *   { inputs: [{ scarab, count }], inputScarabs (3 entries), inputCost, expectedValue, expectedProfit, totalWeight, returnableCount }
+ */
+export function findOptimalInputMix(scarabs, candidateInputs = null) {
+  const pool = scarabs.filter(s => s.hasDropWeight() && s.hasPriceData());
+  const poolIds = new Set(pool.map(s => s.id));
+  const poolWeight = pool.reduce((sum, s) => sum + s.dropWeight, 0);
+  const poolWeightedValue = pool.reduce((sum, s) => sum + s.dropWeight * getSellPrice(s), 0);
+
+  // Cheapest first, so ties resolve to the cheapest inputs deterministically
+  const candidates = (candidateInputs || scarabs)
+    .filter(s => s.hasPriceData())
+    .sort((a, b) => getBuyPrice(a) - getBuyPrice(b));
+  const weights = candidates.map(s => (poolIds.has(s.id) ? s.dropWeight : 0));
+  const weightedValues = candidates.map((s, i) => weights[i] * getSellPrice(s));
+  const prices = candidates.map(s => getBuyPrice(s));
+
+  let best = null;
+  const consider = (indices) => {
+    const excludedWeight = indices.reduce((sum, i) => sum + weights[i], 0);
+    const remainingWeight = poolWeight - excludedWeight;
+    if (remainingWeight <= 0) return;
+
+    const expectedValue = (poolWeightedValue - indices.reduce((sum, i) => sum + weightedValues[i], 0)) / remainingWeight;
+    // Candidates are sorted by price, so indices[0] is the cheapest input of the mix
+    const inputCost = indices.reduce((sum, i) => sum + prices[i], 0) + (3 - indices.length) * prices[indices[0]];
+    const expectedProfit = expectedValue - inputCost;
+
+    if (!best || expectedProfit > best.expectedProfit) {
+      best = { indices: [...indices], inputCost, expectedValue, expectedProfit, totalWeight: remainingWeight };
+    }
+  };
+
+  for (let a = 0; a < candidates.length; a++) {
+    consider([a]);
+    for (let b = a + 1; b < candidates.length; b++) {
+      consider([a, b]);
+      for (let c = b + 1; c < candidates.length; c++) {
+        consider([a, b, c]);
+      }
+    }
+  }
+
+  if (!best) return null;
+
+  const inputs = best.indices.map((index, position) => ({
+    scarab: candidates[index],
+    count: position === 0 ? 4 - best.indices.length : 1,
+  }));
+  const excludedIds = new Set(inputs.map(input => input.scarab.id));
+
+  return {
+    inputs,
+    inputScarabs: inputs.flatMap(input => Array(input.count).fill(input.scarab)),
+    inputCost: best.inputCost,
+    expectedValue: best.expectedValue,
+    expectedProfit: best.expectedProfit,
+    totalWeight: best.totalWeight,
+    returnableCount: pool.filter(s => !excludedIds.has(s.id)).length,
+  };
+}
+
+/**
+ * Pick the inputs of a trade mode
+ * @param {RerollRule} rule
+ * @param {string} tradeMode - One of rule.tradeModes
+ * @param {Array<Object>} candidates - Items the inputs may be chosen from (see rule.inputSource)
+ * @param {Array<Object>} poolItems - Return pool before excluding inputs
+ * @returns {{ inputItems: Array<Object>, inputMix: Object|null }} Distinct input items and the optimal mix, if any
+ */
+function selectInputs(rule, tradeMode, candidates, poolItems) {
+  if (!rule.tradeModes.includes(tradeMode)) {
+    throw new Error(`Trade mode '${tradeMode}' is not supported for ${rule.label}`);
+  }
+
+  if (tradeMode === 'lowest_value') {
+    const lowestItem = findLowestValueItem(candidates);
+    return { inputItems: lowestItem ? [lowestItem] : [], inputMix: null };
+  }
+  if (tradeMode === 'optimal_combination') {
+    const optimalItem = findOptimalInputItem(candidates);
+    return { inputItems: optimalItem ? [optimalItem] : [], inputMix: null };
+  }
+  if (tradeMode === 'optimal_mix') {
+    const inputMix = findOptimalInputMix(poolItems, candidates);
+    return { inputItems: inputMix ? inputMix.inputs.map(input => input.scarab) : [], inputMix };
+  }
+  // 'returnable': inputs are not specified and any item can be returned
+  return { inputItems: [], inputMix: null };
+}
+
+/**
+ * Draw a standard normal variate (Box-Muller)
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {number}
+ */
+function sampleStandardNormal(random) {
+  const u = 1 - random(); // (0, 1], keeps the log finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Parametric bootstrap of drop weights: each weight is redrawn from N(dropWeight, dropWeightStdError²), floored at 0.
+ * Items without a standard error keep their weight.
+ * @param {Array<Object>} items - Items with dropWeight and optional dropWeightStdError
+ * @param {Function} [random] - Uniform [0, 1) generator (defaults to a new one seeded with WEIGHT_BOOTSTRAP_SEED)
+ * @returns {Array<Array<number>>|null} Weight vectors aligned with items, or null if no item has a standard error
+ */
+function resampleDropWeights(items, random = createSeededRandom(WEIGHT_BOOTSTRAP_SEED)) {
+  if (!items.some(item => item.dropWeightStdError > 0)) {
+    return null;
+  }
+
+  const resamples = [];
+  for (let sample = 0; sample < WEIGHT_BOOTSTRAP_SAMPLES; sample++) {
+    resamples.push(items.map(item => (item.dropWeightStdError > 0
+      ? Math.max(0, item.dropWeight + item.dropWeightStdError * sampleStandardNormal(random))
+      : item.dropWeight)));
+  }
+  return resamples;
+}
+
+/**
+ * Get the central band of a list of values (nearest rank)
+ * @param {Array<number>} values - Finite values, any order
+ * @returns {{ low: number, high: number }|null} Lower and upper WEIGHT_BAND_LEVEL quantiles, or null if empty
+ */
+function centralBand(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const tail = (1 - WEIGHT_BAND_LEVEL) / 2;
+  const rank = p => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+  return { low: rank(tail), high: rank(1 - tail) };
+}
+
+/**
+ * Convert a lower bound of the per-reroll return into a per-input threshold
+ * @param {RerollRule} rule
+ * @param {number} lowerBound - Lower bound of the return of one reroll
+ * @param {number} rerollCost - Reroll currency cost per reroll
+ * @returns {number} Threshold, clamped at 0
+ */
+function toInputThreshold(rule, lowerBound, rerollCost) {
+  return Math.max(0, (lowerBound - rerollCost) / rule.inputCount);
+}
+
+/**
+ * Threshold range implied by uncertainty in the MLE drop weights
+ * Each bootstrap draw is scored with the normal lower bound; its shift from the lower bound at the
+ * point-estimate weights is applied to the method's own lower bound, so the band brackets the
+ * reported threshold for either calculation method without re-running the convolution per draw.
+ * @param {RerollRule} rule
+ * @param {Array<Object>} returnPool - Items that can be returned (with dropWeight and price data)
+ * @param {number} zScore - Z-score (or t quantile) for the confidence percentile
+ * @param {number} numberOfTrades - Number of trades considered
+ * @param {number} lowerBoundExpectedValue - Lower bound of the n-trade mean at the point-estimate weights
+ * @param {number} rerollCost - Reroll currency cost per reroll
+ * @returns {{ lower: number, upper: number, level: number }|null} Null when no weight has a standard error
+ */
+function computeWeightBand(rule, returnPool, zScore, numberOfTrades, lowerBoundExpectedValue, rerollCost) {
+  const resamples = resampleDropWeights(returnPool);
+  if (!resamples) {
+    return null;
+  }
+
+  const normalLowerBound = weights => {
+    let totalWeight = 0;
+    let weightedValue = 0;
+    let weightedSquare = 0;
+    weights.forEach((weight, index) => {
+      const value = getSellPrice(returnPool[index]);
+      totalWeight += weight;
+      weightedValue += weight * value;
+      weightedSquare += weight * value * value;
+    });
+    const mean = weightedValue / totalWeight;
+    const variance = Math.max(0, weightedSquare / totalWeight - mean * mean);
+    return mean - zScore * Math.sqrt(variance / numberOfTrades);
+  };
+
+  const baseLowerBound = normalLowerBound(returnPool.map(item => item.dropWeight));
+  const band = centralBand(
+    resamples.map(weights => normalLowerBound(weights) - baseLowerBound).filter(Number.isFinite)
+  );
+  if (!band) {
+    return null;
+  }
+
+  return {
+    lower: toInputThreshold(rule, lowerBoundExpectedValue + band.low, rerollCost),
+    upper: toInputThreshold(rule, lowerBoundExpectedValue + band.high, rerollCost),
+    level: WEIGHT_BAND_LEVEL
+  };
+}
+
+/**
+ * Get the drop weight source shared by a return pool (see dropLogService)
+ * @param {Array<Object>} items - Items with weightSource
+ * @returns {string} The common source, 'mixed' if the items differ, 'mle' for an empty pool
+ */
+function resolveWeightSource(items) {
+  const sources = new Set(items.map(item => item.weightSource || 'mle'));
+  if (sources.size === 0) return 'mle';
+  return sources.size === 1 ? [...sources][0] : 'mixed';
+}
+
+/**
+ * Calculate the pooled threshold of a lower-bound reroll market
+ * Formula: Expected Value = Σ(weight_i / total_weight × price_i)
+ * Threshold = (Lower Bound - Reroll Cost) / Input Count
+ * where the lower bound is the (1 - confidence) quantile of the mean return over n rerolls: either the
+ * normal approximation μ - z × σ/√n or the exact quantile of the discretized n-trade distribution.
+ * Returns are valued at sell prices and inputs at buy prices (equal to chaosValue unless bid/ask pricing
+ * is enabled, see priceSpreadService). With volume haircuts enabled (see liquidityService) the result also
+ * carries liquidity: the realizable expected value when the session's numberOfTrades outputs are sold, and
+ * the threshold whose lower bound is reduced by the haircut loss.
+ *
+ * Trade modes (rule.tradeModes lists the supported ones):
+ * - 'returnable': Inputs are not specified, every pool item can be returned
+ * - 'lowest_value': The lowest value item is used as every input, excluded from return pool
+ * - 'optimal_combination': The item with the best value-to-weight ratio is used, excluded from return pool
+ * - 'optimal_mix': Profit-maximizing mix of up to three distinct inputs (see findOptimalInputMix),
+ *   all excluded from return pool; the mix is attached to the result as inputMix
+ *
+ * @param {RerollRule} rule - Market rule (thresholdBasis LOWER_BOUND)
+ * @param {Array<Object>} items - All items of the market
+ * @param {object} options - { confidencePercentile = 0.9, numberOfTrades = 10000, tradeMode = 'returnable',
+ *   calculationMethod = rule.calculationMethods[0], poolOptions = rule.defaultPoolOptions, rerollCost = 0 }
+ * @returns {ExpectedValueThreshold}
+ */
+export function calculateRerollThreshold(rule, items, options = {}) {
+  const {
+    confidencePercentile = 0.9,
+    numberOfTrades = 10000,
+    tradeMode = 'returnable',
+    calculationMethod = rule.calculationMethods[0],
+    poolOptions = rule.defaultPoolOptions,
+    rerollCost = 0,
+  } = options;
+  if (rule.thresholdBasis !== THRESHOLD_BASES.LOWER_BOUND) {
+    throw new Error(`${rule.label} thresholds are calculated per reroll group (see calculateGroupThresholds)`);
+  }
+
+  // Filter items with valid dropWeight and price data
+  const validItems = items.filter(item => item.hasDropWeight() && item.hasPriceData());
+  if (validItems.length === 0) {
+    throw new Error(`No valid ${rule.label} with both dropWeight and price data`);
+  }
+
+  const poolItems = rule.returnPoolFilter(validItems, poolOptions);
+  const { inputItems, inputMix } = selectInputs(
+    rule,
+    tradeMode,
+    rule.inputSource === 'pool' ? poolItems : validItems,
+    poolItems
+  );
+
+  // Inputs can never be returned
+  const inputIds = new Set(inputItems.map(item => item.id));
+  const returnPool = rule.selfExclusion ? poolItems.filter(item => !inputIds.has(item.id)) : poolItems;
+  if (returnPool.length === 0) {
+    throw new Error(`No ${rule.label} available in return pool after excluding inputs`);
+  }
+
+  const totalWeight = returnPool.reduce((sum, item) => sum + item.dropWeight, 0);
+  if (totalWeight <= 0) {
+    throw new Error('Total weight must be greater than 0');
+  }
+
+  const expectedValue = returnPool.reduce((sum, item) => sum + (item.dropWeight / totalWeight) * getSellPrice(item), 0);
+
+  // Population parameters; the mean of n rerolls has standard error σ / √n
+  const variance = computeVariance(returnPool, totalWeight, expectedValue);
+  const populationStandardDeviation = Math.sqrt(variance);
+  const standardError = populationStandardDeviation / Math.sqrt(numberOfTrades);
+  const zScore = getZScore(confidencePercentile, numberOfTrades);
+  const coefficientOfVariation = expectedValue > 0 ? standardError / expectedValue : Infinity;
+
+  const lowerBoundExpectedValue = calculationMethod === CALCULATION_METHODS.CONVOLUTION
+    ? computeMeanLowerBound(
+      returnPool.map(item => getSellPrice(item)),
+      returnPool.map(item => item.dropWeight),
+      numberOfTrades,
+      confidencePercentile
+    )
+    : expectedValue - (zScore * standardError);
+
+  if (lowerBoundExpectedValue < 0) {
+    console.warn(`Lower bound is negative (${lowerBoundExpectedValue.toFixed(4)}). This suggests numberOfTrades (${numberOfTrades}) may be too small for the variance level. Consider increasing numberOfTrades.`);
+  }
+
+  const rawThreshold = (lowerBoundExpectedValue - rerollCost) / rule.inputCount;
+
+  // Log detailed calculation for debugging
+  console.log(`${rule.label} Threshold Calculation Details:`, {
+    tradeMode: tradeMode,
+    calculationMethod: calculationMethod,
+    inputs: inputItems.map(item => item.name).join(', ') || 'none (returnable)',
+    excludedFromPool: validItems.length - poolItems.length,
+    returnPoolCount: returnPool.length,
+    expectedValue: expectedValue.toFixed(4),
+    variance: variance.toFixed(4),
+    populationStandardDeviation: populationStandardDeviation.toFixed(4),
+    numberOfTrades: numberOfTrades,
+    standardError: standardError.toFixed(4),
+    coefficientOfVariation: coefficientOfVariation.toFixed(4),
+    zScore: zScore.toFixed(4),
+    confidencePercentile: confidencePercentile,
+    lowerBoundExpectedValue: lowerBoundExpectedValue.toFixed(4),
+    rerollCost: rerollCost,
+    rawThreshold: rawThreshold.toFixed(4)
+  });
+
+  if (rawThreshold < 0) {
+    console.warn(`Threshold calculation resulted in negative value (${rawThreshold.toFixed(4)}), clamped to 0. This indicates extremely high variance.`);
+  }
+
+  const result = new ExpectedValueThreshold(
+    Math.max(0, rawThreshold),
+    totalWeight,
+    returnPool.length,
+    expectedValue,
+    variance,
+    populationStandardDeviation,
+    confidencePercentile,
+    numberOfTrades,
+    standardError,
+    tradeMode,
+    calculationMethod
+  );
+  result.inputMix = inputMix;
+  if (inputMix) {
+    result.inputCost = inputMix.inputCost;
+  } else if (inputItems.length > 0) {
+    result.inputCost = rule.inputCount * getBuyPrice(inputItems[0]);
+  }
+  result.rerollCost = rerollCost;
+  result.bidAsk = isBidAskEnabled();
+  result.lowerBoundExpectedValue = lowerBoundExpectedValue;
+  if (rule.defaultPoolOptions) {
+    result.poolOptions = { ...rule.defaultPoolOptions, ...poolOptions };
+    // Fixed exclusions (e.g. Tainted Catalysts) belong to the rule; only option-driven ones are reported
+    result.excludedScarabCount = validItems.length - poolItems.length;
+  }
+  result.weightBand = computeWeightBand(rule, returnPool, zScore, numberOfTrades, lowerBoundExpectedValue, rerollCost);
+  result.weightSource = resolveWeightSource(returnPool);
+  result.returnPoolIds = returnPool.map(item => item.id);
+  result.liquidity = null;
+  if (getLiquidityModel().enabled) {
+    const { realizableExpectedValue, liquidityLoss } = calculateRealizableExpectedValue(returnPool, numberOfTrades);
+    result.liquidity = {
+      realizableExpectedValue,
+      liquidityLoss,
+      realizableValue: toInputThreshold(rule, lowerBoundExpectedValue - liquidityLoss, rerollCost),
+    };
+  }
+  return result;
+}
+
+/**
+ * Apply self-excluding expected values and thresholds to individual items
+ * Rerolling an item can never return that item (rule.selfExclusion), so its expected value is taken
+ * over the return pool without it. The pooled threshold's confidence margin (EV - lower bound) is
+ * rescaled by the item's own standard deviation, which is exact for the normal approximation.
+ * Sets expectedValue, threshold and profitabilityStatus on each item, and thresholdBand when the
+ * pool's drop weights carry standard errors (see computeWeightBand).
+ * @param {RerollRule} rule - Market rule (thresholdBasis LOWER_BOUND)
+ * @param {Array<Object>} items - Items to evaluate
+ * @param {ExpectedValueThreshold} threshold - Pooled threshold from calculateRerollThreshold
+ * @returns {Array<Object>} The return pool the items were evaluated against
+ */
+export function calculateRerollItemThresholds(rule, items, threshold) {
+  const validItems = items.filter(item => item.hasDropWeight() && item.hasPriceData());
+  const returnPool = rule.returnPoolFilter(validItems, threshold.poolOptions || rule.defaultPoolOptions);
+  const rerollCost = threshold.rerollCost || 0;
+
+  let poolWeight = 0;
+  let poolWeightedValue = 0;
+  let poolWeightedSquare = 0;
+  returnPool.forEach(item => {
+    poolWeight += item.dropWeight;
+    const value = getSellPrice(item);
+    poolWeightedValue += item.dropWeight * value;
+    poolWeightedSquare += item.dropWeight * value * value;
+  });
+  const poolIds = new Set(returnPool.map(item => item.id));
+
+  // Confidence margin per unit of standard deviation (z / √n for the normal approximation)
+  const margin = threshold.lowerBoundExpectedValue !== null && threshold.expectedValue !== null
+    ? threshold.expectedValue - threshold.lowerBoundExpectedValue
+    : 0;
+  const marginPerStdDev = threshold.standardDeviation > 0 ? margin / threshold.standardDeviation : 0;
+
+  items.forEach(item => {
+    if (!item.hasPriceData()) {
+      item.profitabilityStatus = 'unknown';
+      return;
+    }
+
+    const excluded = rule.selfExclusion && poolIds.has(item.id);
+    if (returnPool.length - (excluded ? 1 : 0) === 0) {
+      item.expectedValue = 0;
+      item.threshold = 0;
+      item.profitabilityStatus = 'unknown';
+      return;
+    }
+
+    const weight = excluded ? item.dropWeight : 0;
+    const remainingWeight = poolWeight - weight;
+    const sellPrice = getSellPrice(item);
+    const expectedValue = (poolWeightedValue - weight * sellPrice) / remainingWeight;
+    const secondMoment = (poolWeightedSquare - weight * sellPrice * sellPrice) / remainingWeight;
+    const standardDeviation = Math.sqrt(Math.max(0, secondMoment - expectedValue * expectedValue));
+    const lowerBound = expectedValue - marginPerStdDev * standardDeviation;
+
+    item.expectedValue = expectedValue;
+    item.threshold = toInputThreshold(rule, lowerBound, rerollCost);
+    item.profitabilityStatus = getBuyPrice(item) < item.threshold ? 'profitable' : 'not_profitable';
+  });
+
+  applySelfExcludingBands(rule, items, returnPool, marginPerStdDev, rerollCost);
+  return returnPool;
+}
+
+/**
+ * Set each item's thresholdBand from bootstrap draws of the return pool's drop weights,
+ * repeating the self-excluding threshold of calculateRerollItemThresholds per draw
+ * @param {RerollRule} rule
+ * @param {Array<Object>} items - Items to evaluate
+ * @param {Array<Object>} returnPool - Items that can be returned (with dropWeight and price data)
+ * @param {number} marginPerStdDev - Confidence margin per unit of standard deviation
+ * @param {number} rerollCost - Reroll currency cost per reroll
+ */
+function applySelfExcludingBands(rule, items, returnPool, marginPerStdDev, rerollCost) {
+  const resamples = resampleDropWeights(returnPool);
+  items.forEach(item => {
+    item.thresholdBand = null;
+  });
+  if (!resamples) {
+    return;
+  }
+
+  const poolIndex = new Map(returnPool.map((item, index) => [item.id, index]));
+  const drawThresholds = new Map();
+
+  resamples.forEach(weights => {
+    let poolWeight = 0;
+    let poolWeightedValue = 0;
+    let poolWeightedSquare = 0;
+    weights.forEach((weight, index) => {
+      const value = getSellPrice(returnPool[index]);
+      poolWeight += weight;
+      poolWeightedValue += weight * value;
+      poolWeightedSquare += weight * value * value;
+    });
+
+    items.forEach(item => {
+      if (!item.hasPriceData()) {
+        return;
+      }
+      const weight = rule.selfExclusion && poolIndex.has(item.id) ? weights[poolIndex.get(item.id)] : 0;
+      const remainingWeight = poolWeight - weight;
+      if (!(remainingWeight > 0)) {
+        return;
+      }
+      const sellPrice = getSellPrice(item);
+      const expectedValue = (poolWeightedValue - weight * sellPrice) / remainingWeight;
+      const secondMoment = (poolWeightedSquare - weight * sellPrice * sellPrice) / remainingWeight;
+      const standardDeviation = Math.sqrt(Math.max(0, secondMoment - expectedValue * expectedValue));
+      const threshold = toInputThreshold(rule, expectedValue - marginPerStdDev * standardDeviation, rerollCost);
+      if (!drawThresholds.has(item.id)) {
+        drawThresholds.set(item.id, []);
+      }
+      drawThresholds.get(item.id).push(threshold);
+    });
+  });
+
+  items.forEach(item => {
+    const band = centralBand(drawThresholds.get(item.id) || []);
+    if (band) {
+      item.thresholdBand = { lower: band.low, upper: band.high, level: WEIGHT_BAND_LEVEL };
+    }
+  });
+}
+
+/**
+ * Calculate the expected value of a reroll outcome pool, treating missing drop weights per
+ * rule.missingWeights, at sell prices. Items without price data are left out.
+ * @param {RerollRule} rule
+ * @param {Array<Object>} items - Possible outcomes
+ * @returns {{ expectedValue: number, method: 'weighted' | 'equal_weighted' }} Expected value and method used
+ */
+export function calculatePoolExpectedValue(rule, items) {
+  return poolExpectedValue(rule, items, item => item.dropWeight);
+}
+
+/**
+ * Expected value of a reroll outcome pool (see calculatePoolExpectedValue) with the drop weights taken from dropWeightOf
+ * @param {RerollRule} rule
+ * @param {Array<Object>} items - Possible outcomes
+ * @param {Function} dropWeightOf - item => drop weight (null/undefined = missing)
+ * @returns {{ expectedValue: number, method: 'weighted' | 'equal_weighted' }}
+ */
+function poolExpectedValue(rule, items, dropWeightOf) {
+  const pricedItems = items.filter(item => item.hasPriceData());
+  if (pricedItems.length === 0) {
+    return { expectedValue: 0, method: 'equal_weighted' };
+  }
+
+  const hasWeight = item => {
+    const weight = dropWeightOf(item);
+    return weight !== null && weight !== undefined && weight > 0;
+  };
+  let weightOf;
+  if (rule.missingWeights === MISSING_WEIGHT_POLICIES.UNIT) {
+    weightOf = item => (hasWeight(item) ? dropWeightOf(item) : 1);
+  } else if (rule.missingWeights === MISSING_WEIGHT_POLICIES.EQUAL) {
+    weightOf = pricedItems.every(hasWeight) ? dropWeightOf : null;
+  } else {
+    weightOf = item => (hasWeight(item) ? dropWeightOf(item) : 0);
+  }
+
+  if (weightOf) {
+    const totalWeight = pricedItems.reduce((sum, item) => sum + weightOf(item), 0);
+    if (totalWeight > 0) {
+      const expectedValue = pricedItems.reduce((sum, item) => sum + (weightOf(item) / totalWeight) * getSellPrice(item), 0);
+      return { expectedValue, method: 'weighted' };
+    }
+    if (rule.missingWeights !== MISSING_WEIGHT_POLICIES.EQUAL) {
+      return { expectedValue: 0, method: 'weighted' };
+    }
+  }
+
+  // Fallback: equal weighting (simple average)
+  const sum = pricedItems.reduce((total, item) => total + getSellPrice(item), 0);
+  return { expectedValue: sum / pricedItems.length, method: 'equal_weighted' };
+}
+
+/**
+ * Calculate an expected-value threshold
+ * Threshold = (Expected Value - Reroll Cost) / Input Count
+ * @param {RerollRule} rule
+ * @param {number} expectedValue - Expected value of one reroll
+ * @param {number|null} rerollCost - Reroll currency cost
+ * @returns {number} Threshold value (can be negative if unprofitable); the expected value per input when the cost is unavailable
+ */
+export function calculateExpectedValueThreshold(rule, expectedValue, rerollCost) {
+  if (expectedValue === null || expectedValue === undefined || isNaN(expectedValue)) {
+    return 0;
+  }
+  if (rerollCost === null || rerollCost === undefined || isNaN(rerollCost)) {
+    return expectedValue / rule.inputCount;
+  }
+  return (expectedValue - rerollCost) / rule.inputCount;
+}
+
+/**
+ * Calculate thresholds of an expected-value market per reroll group
+ * Items are partitioned by rule.groupBy (items without a group are marked 'unknown'); within each group the
+ * return pool is rule.returnPoolFilter of the group, and with rule.selfExclusion each item's expected value
+ * leaves the item itself out. Sets expectedValue, threshold and profitabilityStatus on every grouped item,
+ * and thresholdBand when the group's drop weights carry standard errors (see applyGroupBands).
+ * @param {RerollRule} rule - Market rule (thresholdBasis EXPECTED_VALUE)
+ * @param {Array<Object>} items - All items of the market
+ * @param {number|null} rerollCost - Reroll currency cost (see getRerollCost)
+ * @returns {Map<string, Object>} Group -> { rerollGroup, value, expectedValue, method, rerollCost, itemCount, weightBand }
+ */
+export function calculateGroupThresholds(rule, items, rerollCost) {
+  if (rule.thresholdBasis !== THRESHOLD_BASES.EXPECTED_VALUE) {
+    throw new Error(`${rule.label} thresholds are calculated from the pooled return distribution (see calculateRerollThreshold)`);
+  }
+
+  const groups = new Map();
+  items.forEach(item => {
+    const group = rule.groupBy ? rule.groupBy(item) : rule.id;
+    if (!group) {
+      item.profitabilityStatus = 'unknown';
+      return;
+    }
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(item);
+  });
+
+  const results = new Map();
+  groups.forEach((groupItems, group) => {
+    const returnPool = rule.returnPoolFilter(groupItems, null);
+    const pooled = calculatePoolExpectedValue(rule, returnPool);
+    const value = calculateExpectedValueThreshold(rule, pooled.expectedValue, rerollCost);
+
+    groupItems.forEach(item => {
+      const own = rule.selfExclusion
+        ? calculatePoolExpectedValue(rule, returnPool.filter(outcome => outcome.id !== item.id))
+        : pooled;
+      item.expectedValue = own.expectedValue;
+      item.threshold = calculateExpectedValueThreshold(rule, own.expectedValue, rerollCost);
+      item.profitabilityStatus = getProfitabilityStatus(item, item.threshold);
+    });
+
+    results.set(group, {
+      rerollGroup: group,
+      value,
+      expectedValue: pooled.expectedValue,
+      method: pooled.method,
+      rerollCost,
+      itemCount: groupItems.length,
+      weightBand: applyGroupBands(rule, groupItems, returnPool, rerollCost),
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Set each grouped item's thresholdBand from bootstrap draws of the return pool's drop weights,
+ * repeating the (self-excluding) expected-value threshold of calculateGroupThresholds per draw
+ * @param {RerollRule} rule
+ * @param {Array<Object>} groupItems - Items of one reroll group
+ * @param {Array<Object>} returnPool - Items the group can return
+ * @param {number|null} rerollCost - Reroll currency cost
+ * @returns {{ lower: number, upper: number, level: number }|null} Band of the pooled group threshold,
+ *   null when no weight has a standard error
+ */
+function applyGroupBands(rule, groupItems, returnPool, rerollCost) {
+  const resamples = resampleDropWeights(returnPool);
+  groupItems.forEach(item => {
+    item.thresholdBand = null;
+  });
+  if (!resamples) {
+    return null;
+  }
+
+  const groupThresholds = [];
+  const drawThresholds = new Map(groupItems.map(item => [item.id, []]));
+  resamples.forEach(weights => {
+    const weightById = new Map(returnPool.map((item, index) => [item.id, weights[index]]));
+    const dropWeightOf = item => weightById.get(item.id);
+    const pooled = poolExpectedValue(rule, returnPool, dropWeightOf);
+    groupThresholds.push(calculateExpectedValueThreshold(rule, pooled.expectedValue, rerollCost));
+
+    groupItems.forEach(item => {
+      const own = rule.selfExclusion
+        ? poolExpectedValue(rule, returnPool.filter(outcome => outcome.id !== item.id), dropWeightOf)
+        : pooled;
+      drawThresholds.get(item.id).push(calculateExpectedValueThreshold(rule, own.expectedValue, rerollCost));
+    });
+  });
+
+  groupItems.forEach(item => {
+    const band = centralBand(drawThresholds.get(item.id));
+    if (band && item.hasPriceData()) {
+      item.thresholdBand = { lower: band.low, upper: band.high, level: WEIGHT_BAND_LEVEL };
+    }
+  });
+  const band = centralBand(groupThresholds);
+  return band ? { lower: band.low, upper: band.high, level: WEIGHT_BAND_LEVEL } : null;
+}
+
+/**
+ * Calculate the expected outcome of rerolling a selection of items once each
+ * @param {Array<Object>} selectedItems - Items selected for rerolling
+ * @param {Function} expectedValueOf - item => expected return of rerolling it (null/NaN = unknown)
+ * @returns {{ totalInputValue: number, expectedOutputValue: number, netProfitLoss: number, averageProfitLoss: number }}
+ */
+export function calculateExpectedOutcome(selectedItems, expectedValueOf) {
+  if (!Array.isArray(selectedItems) || selectedItems.length === 0) {
+    return {
+      totalInputValue: 0,
+      expectedOutputValue: 0,
+      netProfitLoss: 0,
+      averageProfitLoss: 0
+    };
+  }
+
+  let totalInputValue = 0;
+  let expectedOutputValue = 0;
+
+  selectedItems.forEach(item => {
+    if (item.hasPriceData()) {
+      totalInputValue += getBuyPrice(item);
+      const expectedValue = expectedValueOf(item);
+      if (expectedValue !== null && expectedValue !== undefined && !isNaN(expectedValue)) {
+        expectedOutputValue += expectedValue;
+      }
+    }
+  });
+
+  const netProfitLoss = expectedOutputValue - totalInputValue;
+  return {
+    totalInputValue,
+    expectedOutputValue,
+    netProfitLoss,
+    averageProfitLoss: netProfitLoss / selectedItems.length
+  };
+}
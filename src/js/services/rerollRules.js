@@ -0,0 +1,158 @@
+/**
+ * Reroll Rules
+ * Declarative description of every reroll market, evaluated by rerollEngine.js.
+ * A new market needs a rule here (plus its data loading), not another calculation service.
+ */
+
+import { CALCULATION_METHODS, THRESHOLD_BASES, MISSING_WEIGHT_POLICIES } from './rerollEngine.js';
+
+/**
+ * @typedef {Object} RerollRule
+ * @property {string} id - Category id (matches the router categories)
+ * @property {string} label - Plural item name used in messages
+ * @property {number} inputCount - Items consumed per reroll (3 for the vendor recipe, 1 for lifeforce rerolls)
+ * @property {{ itemName: string, quantity: number }|null} rerollCost - Currency paid per reroll on top of the inputs
+ * @property {boolean} selfExclusion - Whether a reroll can never return its own input
+ * @property {Function|null} groupBy - item => reroll group (null/'' = not rerollable); null rule value = one group
+ * @property {Function} returnPoolFilter - (items, poolOptions) => items that can be returned
+ * @property {Object|null} defaultPoolOptions - Default options for returnPoolFilter (null = not configurable)
+ * @property {string} thresholdBasis - One of THRESHOLD_BASES
+ * @property {string} missingWeights - One of MISSING_WEIGHT_POLICIES
+ * @property {'valid'|'pool'} inputSource - Trade-mode inputs come from every valid item or only returnable ones
+ * @property {Array<string>} tradeModes - Supported trade modes ('returnable' first)
+ * @property {Array<string>} calculationMethods - Supported CALCULATION_METHODS (first is the default)
+ */
+
+/**
+ * Default return pool options: only drop-eligible Scarabs, at any area level
+ */
+export const DEFAULT_POOL_OPTIONS = {
+  respectDropEligibility: true,
+  areaLevel: null,
+};
+
+/**
+ * Filter Scarabs down to those the 3-to-1 recipe can return
+ * @param {Array<Scarab>} scarabs
+ * @param {Object} poolOptions - { respectDropEligibility: boolean, areaLevel: number|null }
+ * @returns {Array<Scarab>}
+ */
+export function filterReturnPool(scarabs, poolOptions = DEFAULT_POOL_OPTIONS) {
+  const { respectDropEligibility = true, areaLevel = null } = poolOptions || {};
+  if (!respectDropEligibility) return scarabs;
+  return scarabs.filter(scarab => scarab.isDropEligible(areaLevel));
+}
+
+/** Scarabs: 3-to-1 vendor recipe, only drop-eligible Scarabs are returned */
+export const SCARAB_RULE = {
+  id: 'scarabs',
+  label: 'Scarabs',
+  inputCount: 3,
+  rerollCost: null,
+  selfExclusion: true,
+  groupBy: null,
+  returnPoolFilter: (scarabs, poolOptions) => filterReturnPool(scarabs, poolOptions || DEFAULT_POOL_OPTIONS),
+  defaultPoolOptions: DEFAULT_POOL_OPTIONS,
+  thresholdBasis: THRESHOLD_BASES.LOWER_BOUND,
+  missingWeights: MISSING_WEIGHT_POLICIES.REQUIRE,
+  inputSource: 'valid',
+  tradeModes: ['returnable', 'lowest_value', 'optimal_combination', 'optimal_mix'],
+  calculationMethods: [CALCULATION_METHODS.CONVOLUTION, CALCULATION_METHODS.NORMAL],
+};
+
+/** Catalysts: 3-to-1 vendor recipe, Tainted Catalysts are never returned */
+export const CATALYST_RULE = {
+  id: 'catalysts',
+  label: 'Catalysts',
+  inputCount: 3,
+  rerollCost: null,
+  selfExclusion: true,
+  groupBy: null,
+  returnPoolFilter: catalysts => catalysts.filter(catalyst => !catalyst.isTainted()),
+  defaultPoolOptions: null,
+  thresholdBasis: THRESHOLD_BASES.LOWER_BOUND,
+  missingWeights: MISSING_WEIGHT_POLICIES.REQUIRE,
+  inputSource: 'pool',
+  tradeModes: ['returnable', 'lowest_value', 'optimal_combination'],
+  calculationMethods: [CALCULATION_METHODS.NORMAL],
+};
+
+/** Tattoos: 3-to-1 vendor recipe, Journey Tattoos are never returned */
+export const TATTOO_RULE = {
+  id: 'tattoos',
+  label: 'Tattoos',
+  inputCount: 3,
+  rerollCost: null,
+  selfExclusion: true,
+  groupBy: null,
+  returnPoolFilter: tattoos => tattoos.filter(tattoo => !tattoo.isJourneyTattoo()),
+  defaultPoolOptions: null,
+  thresholdBasis: THRESHOLD_BASES.LOWER_BOUND,
+  missingWeights: MISSING_WEIGHT_POLICIES.REQUIRE,
+  inputSource: 'pool',
+  tradeModes: ['returnable', 'lowest_value', 'optimal_combination'],
+  calculationMethods: [CALCULATION_METHODS.NORMAL],
+};
+
+/** Essences: Harvest reroll within the reroll group; MLE weights, unweighted Essences count once */
+export const ESSENCE_RULE = {
+  id: 'essences',
+  label: 'Essences',
+  inputCount: 1,
+  rerollCost: { itemName: 'Primal Crystallised Lifeforce', quantity: 30 },
+  selfExclusion: false,
+  groupBy: essence => essence.rerollGroup || null,
+  returnPoolFilter: essences => essences,
+  defaultPoolOptions: null,
+  thresholdBasis: THRESHOLD_BASES.EXPECTED_VALUE,
+  missingWeights: MISSING_WEIGHT_POLICIES.UNIT,
+  inputSource: 'pool',
+  tradeModes: ['returnable'],
+  calculationMethods: [],
+};
+
+/** Fossils: Harvest reroll; equal weighting unless every Fossil has a drop weight */
+export const FOSSIL_RULE = {
+  id: 'fossils',
+  label: 'Fossils',
+  inputCount: 1,
+  rerollCost: { itemName: 'Wild Crystallised Lifeforce', quantity: 30 },
+  selfExclusion: false,
+  groupBy: fossil => fossil.rerollGroup || null,
+  returnPoolFilter: fossils => fossils,
+  defaultPoolOptions: null,
+  thresholdBasis: THRESHOLD_BASES.EXPECTED_VALUE,
+  missingWeights: MISSING_WEIGHT_POLICIES.EQUAL,
+  inputSource: 'pool',
+  tradeModes: ['returnable'],
+  calculationMethods: [],
+};
+
+/** Delirium Orbs: Harvest reroll that never returns the input orb */
+export const DELIRIUM_ORB_RULE = {
+  id: 'delirium-orbs',
+  label: 'Delirium Orbs',
+  inputCount: 1,
+  rerollCost: { itemName: 'Primal Crystallised Lifeforce', quantity: 30 },
+  selfExclusion: true,
+  groupBy: orb => orb.rerollGroup || null,
+  returnPoolFilter: orbs => orbs,
+  defaultPoolOptions: null,
+  thresholdBasis: THRESHOLD_BASES.EXPECTED_VALUE,
+  missingWeights: MISSING_WEIGHT_POLICIES.EQUAL,
+  inputSource: 'pool',
+  tradeModes: ['returnable'],
+  calculationMethods: [],
+};
+
+/**
+ * All reroll rules by category id
+ */
+export const REROLL_RULES = {
+  [SCARAB_RULE.id]: SCARAB_RULE,
+  [CATALYST_RULE.id]: CATALYST_RULE,
+  [TATTOO_RULE.id]: TATTOO_RULE,
+  [ESSENCE_RULE.id]: ESSENCE_RULE,
+  [FOSSIL_RULE.id]: FOSSIL_RULE,
+  [DELIRIUM_ORB_RULE.id]: DELIRIUM_ORB_RULE,
+};
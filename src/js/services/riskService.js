@@ -0,0 +1,160 @@
+/**
+ * Risk Service
+ * Bankroll requirements for vendor sessions: probability of ending below zero, drawdowns and the budget
+ * needed for a target ruin probability, from the same return distribution as calculateThreshold
+ */
+
+import { computeMeanDistribution, getDistributionCdf, getDistributionQuantile } from '../utils/distributionUtils.js';
+import { getSellPrice } from './priceSpreadService.js';
+
+/**
+ * Default target probability of ending the session below zero
+ */
+export const DEFAULT_RUIN_PROBABILITY = 0.05;
+
+/**
+ * Maximum number of simulated paths for drawdown statistics
+ */
+const MAX_DRAWDOWN_PATHS = 1000;
+
+/**
+ * Cap on simulated trades across all paths, so long sessions stay responsive
+ */
+const MAX_SIMULATED_TRADES = 2000000;
+
+/**
+ * Get the single-trade outcomes of a threshold's return pool and the input cost per trade.
+ * Outcomes are valued at sell prices, like the threshold's return pool (the input cost is at buy prices).
+ * @param {Array<Object>} items - Items of the category (with id, dropWeight, chaosValue)
+ * @param {ExpectedValueThreshold} threshold - Threshold with returnPoolIds (its trade mode picks the inputs)
+ * @param {number|null} inputCost - Input cost per trade; defaults to threshold.inputCost, or three inputs
+ *   bought at the threshold value when the trade mode does not pick inputs
+ * @returns {{ values: Array<number>, weights: Array<number>, inputCost: number }}
+ */
+export function getTradeOutcomes(items, threshold, inputCost = null) {
+  if (!threshold?.returnPoolIds) {
+    throw new Error('Threshold has no return pool');
+  }
+
+  const poolIds = new Set(threshold.returnPoolIds);
+  const pool = items.filter(item => poolIds.has(item.id) && item.dropWeight > 0 && getSellPrice(item) !== null);
+  if (pool.length === 0) {
+    throw new Error('Return pool has no items with drop weight and price data');
+  }
+
+  return {
+    values: pool.map(item => getSellPrice(item)),
+    weights: pool.map(item => item.dropWeight),
+    inputCost: inputCost ?? threshold.inputCost ?? 3 * threshold.value,
+  };
+}
+
+/**
+ * Simulate balance paths to estimate drawdown statistics
+ * @param {Object} outcomes - From getTradeOutcomes
+ * @param {number} budget - Starting budget (chaos)
+ * @param {number} tradeCount - Trades per path
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {{ expectedMaxDrawdown: number, pathRuinProbability: number, paths: number }}
+ */
+function simulateDrawdowns(outcomes, budget, tradeCount, random) {
+  const { values, weights, inputCost } = outcomes;
+  const cumulativeWeights = [];
+  let totalWeight = 0;
+  weights.forEach(weight => {
+    totalWeight += weight;
+    cumulativeWeights.push(totalWeight);
+  });
+  const drawOutcome = () => {
+    const target = random() * totalWeight;
+    let low = 0;
+    let high = cumulativeWeights.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (cumulativeWeights[mid] > target) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return values[low];
+  };
+
+  const paths = Math.max(1, Math.min(MAX_DRAWDOWN_PATHS, Math.floor(MAX_SIMULATED_TRADES / tradeCount)));
+  let totalMaxDrawdown = 0;
+  let ruinedPaths = 0;
+  for (let path = 0; path < paths; path++) {
+    let balance = budget;
+    let peak = budget;
+    let maxDrawdown = 0;
+    let ruined = false;
+    for (let trade = 0; trade < tradeCount; trade++) {
+      balance += drawOutcome() - inputCost;
+      if (balance > peak) {
+        peak = balance;
+      } else if (peak - balance > maxDrawdown) {
+        maxDrawdown = peak - balance;
+      }
+      if (balance < 0) ruined = true;
+    }
+    totalMaxDrawdown += maxDrawdown;
+    if (ruined) ruinedPaths++;
+  }
+
+  return {
+    expectedMaxDrawdown: totalMaxDrawdown / paths,
+    pathRuinProbability: ruinedPaths / paths,
+    paths,
+  };
+}
+
+/**
+ * Calculate the risk of ruin for a vendor session.
+ * The probability of ending below zero and the required budget are exact (n-trade convolution of the
+ * return distribution, as for the threshold); the expected maximum drawdown and the probability of
+ * dipping below zero at any point during the session are estimated from simulated paths.
+ * @param {Object} outcomes - { values, weights, inputCost } from getTradeOutcomes
+ * @param {object} options - { budget, tradeCount, targetRuinProbability = DEFAULT_RUIN_PROBABILITY, random = Math.random }
+ * @returns {Object} { budget, tradeCount, inputCost, expectedProfit, ruinProbability, targetRuinProbability,
+ *   requiredBudget, expectedMaxDrawdown, pathRuinProbability, simulatedPaths }
+ */
+export function calculateRiskOfRuin(outcomes, options) {
+  const { budget, tradeCount, targetRuinProbability = DEFAULT_RUIN_PROBABILITY, random = Math.random } = options;
+  if (!(budget >= 0)) {
+    throw new Error(`Budget must be zero or more, got ${budget}`);
+  }
+  if (!(tradeCount >= 1) || !Number.isInteger(tradeCount)) {
+    throw new Error(`Trade count must be a positive integer, got ${tradeCount}`);
+  }
+  if (!(targetRuinProbability > 0 && targetRuinProbability < 1)) {
+    throw new Error(`Target ruin probability must be between 0 and 1 (exclusive), got ${targetRuinProbability}`);
+  }
+
+  const { values, weights, inputCost } = outcomes;
+  const meanDistribution = computeMeanDistribution(values, weights, tradeCount);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const expectedReturn = values.reduce((sum, value, i) => sum + value * weights[i], 0) / totalWeight;
+
+  // Final balance = budget + n × (mean return - input cost); it is below zero when the mean return is
+  // below inputCost - budget / n
+  const ruinProbability = getDistributionCdf(meanDistribution, inputCost - budget / tradeCount);
+  const requiredBudget = Math.max(
+    0,
+    tradeCount * (inputCost - getDistributionQuantile(meanDistribution, targetRuinProbability))
+  );
+
+  const drawdowns = simulateDrawdowns(outcomes, budget, tradeCount, random);
+
+  return {
+    budget,
+    tradeCount,
+    inputCost,
+    expectedProfit: tradeCount * (expectedReturn - inputCost),
+    ruinProbability,
+    targetRuinProbability,
+    requiredBudget,
+    expectedMaxDrawdown: drawdowns.expectedMaxDrawdown,
+    pathRuinProbability: drawdowns.pathRuinProbability,
+    simulatedPaths: drawdowns.paths,
+  };
+}
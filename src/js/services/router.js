@@ -3,17 +3,7 @@
  * Handles client-side routing using hash-based URLs
  */
 
-const VALID_CATEGORIES = [
-  'scarabs',
-  'essences',
-  'tattoos',
-  'catalysts',
-  'temple',
-  'fossils',
-  'oils',
-  'delirium-orbs',
-  'emblems'
-];
+import { isCategory } from '../config/categoryRegistry.js';
 
 const VALID_PAGES = ['flipping', 'simulation'];
 
@@ -34,7 +24,7 @@ export function parseRoute() {
   let page = 'flipping';
   
   // Parse category (first part)
-  if (parts.length > 0 && VALID_CATEGORIES.includes(parts[0])) {
+  if (parts.length > 0 && isCategory(parts[0])) {
     category = parts[0];
   }
   
@@ -52,7 +42,7 @@ export function parseRoute() {
  * @param {string} page - Page name (optional, defaults to 'flipping')
  */
 export function navigateTo(category, page = 'flipping') {
-  if (!VALID_CATEGORIES.includes(category)) {
+  if (!isCategory(category)) {
     console.warn(`Invalid category: ${category}`);
     return;
   }
@@ -73,7 +63,7 @@ export function navigateTo(category, page = 'flipping') {
  * @returns {string} URL hash
  */
 export function getRouteUrl(category, page = 'flipping') {
-  if (!VALID_CATEGORIES.includes(category)) {
+  if (!isCategory(category)) {
     return '#/scarabs';
   }
   
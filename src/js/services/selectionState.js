@@ -1,19 +1,31 @@
 /**
  * Selection state for regex search feature.
- * Single source of truth for which items are selected in the current category.
- * Shared between list view and grid view.
+ * Which items are selected in the current category, shared between list view and grid view.
+ * Backed by the selection slice of the app state store; every change replaces the slice.
  */
 
-const MAX_REGEX_LENGTH = 250;
+import { getState, setSelection, subscribe as subscribeState, selectSelection } from './appState.js';
 
-/** @type {Map<string, Set<string>>} per-category selected IDs */
-const selectionByCategory = new Map();
+const MAX_REGEX_LENGTH = 250;
 
-/** @type {string} current category id */
-let currentCategoryId = '';
+/**
+ * Replace the selected IDs of a category and make it current
+ * @param {string} categoryId
+ * @param {Set<string>} ids
+ */
+function updateSelection(categoryId, ids) {
+  const { idsByCategory } = getState().selection;
+  setSelection({ categoryId, idsByCategory: { ...idsByCategory, [categoryId]: ids } });
+}
 
-/** @type {Array<() => void>} subscribers notified on selection change */
-const subscribers = [];
+/**
+ * Get the selected IDs of a category without creating an entry
+ * @param {string} categoryId
+ * @returns {Set<string>|undefined}
+ */
+function getIds(categoryId) {
+  return getState().selection.idsByCategory[categoryId];
+}
 
 /**
  * Set the current category (e.g. when user switches tabs).
@@ -22,14 +34,9 @@ const subscribers = [];
  * @param {boolean} [clearSelection=true] - If true, clear selection when switching category
  */
 export function setCategory(categoryId, clearSelection = true) {
-  if (currentCategoryId === categoryId) return;
-  currentCategoryId = categoryId || '';
-  if (clearSelection) {
-    selectionByCategory.set(categoryId, new Set());
-  } else if (!selectionByCategory.has(categoryId)) {
-    selectionByCategory.set(categoryId, new Set());
-  }
-  notify();
+  if (getState().selection.categoryId === categoryId) return;
+  const existing = getIds(categoryId);
+  updateSelection(categoryId || '', clearSelection || !existing ? new Set() : existing);
 }
 
 /**
@@ -37,7 +44,7 @@ export function setCategory(categoryId, clearSelection = true) {
  * @returns {string}
  */
 export function getCategoryId() {
-  return currentCategoryId;
+  return getState().selection.categoryId;
 }
 
 /**
@@ -45,11 +52,9 @@ export function getCategoryId() {
  * @returns {Set<string>}
  */
 export function getSelectedIds() {
-  if (!currentCategoryId) return new Set();
-  if (!selectionByCategory.has(currentCategoryId)) {
-    selectionByCategory.set(currentCategoryId, new Set());
-  }
-  return selectionByCategory.get(currentCategoryId);
+  const { categoryId } = getState().selection;
+  if (!categoryId) return new Set();
+  return getIds(categoryId) || new Set();
 }
 
 /**
@@ -57,17 +62,15 @@ export function getSelectedIds() {
  * @param {string} id - Item id
  */
 export function toggle(id) {
-  if (!id || !currentCategoryId) return;
-  if (!selectionByCategory.has(currentCategoryId)) {
-    selectionByCategory.set(currentCategoryId, new Set());
-  }
-  const set = selectionByCategory.get(currentCategoryId);
+  const { categoryId } = getState().selection;
+  if (!id || !categoryId) return;
+  const set = new Set(getIds(categoryId));
   if (set.has(id)) {
     set.delete(id);
   } else {
     set.add(id);
   }
-  notify();
+  updateSelection(categoryId, set);
 }
 
 /**
@@ -75,12 +78,9 @@ export function toggle(id) {
  * @param {string} id
  */
 export function add(id) {
-  if (!id || !currentCategoryId) return;
-  if (!selectionByCategory.has(currentCategoryId)) {
-    selectionByCategory.set(currentCategoryId, new Set());
-  }
-  selectionByCategory.get(currentCategoryId).add(id);
-  notify();
+  const { categoryId } = getState().selection;
+  if (!id || !categoryId) return;
+  updateSelection(categoryId, new Set(getIds(categoryId)).add(id));
 }
 
 /**
@@ -88,20 +88,19 @@ export function add(id) {
  * @param {string} id
  */
 export function remove(id) {
-  if (!id || !currentCategoryId) return;
-  const set = selectionByCategory.get(currentCategoryId);
-  if (set) set.delete(id);
-  notify();
+  const { categoryId } = getState().selection;
+  if (!id || !categoryId) return;
+  const set = new Set(getIds(categoryId));
+  set.delete(id);
+  updateSelection(categoryId, set);
 }
 
 /**
  * Clear selection for the current category
  */
 export function clear() {
-  if (currentCategoryId && selectionByCategory.has(currentCategoryId)) {
-    selectionByCategory.get(currentCategoryId).clear();
-  }
-  notify();
+  const { categoryId } = getState().selection;
+  updateSelection(categoryId, new Set());
 }
 
 /**
@@ -109,10 +108,10 @@ export function clear() {
  * @param {string[]} ids
  */
 export function selectAll(ids) {
-  if (!currentCategoryId) return;
+  const { categoryId } = getState().selection;
+  if (!categoryId) return;
   if (!Array.isArray(ids)) return;
-  selectionByCategory.set(currentCategoryId, new Set(ids));
-  notify();
+  updateSelection(categoryId, new Set(ids));
 }
 
 /**
@@ -121,8 +120,9 @@ export function selectAll(ids) {
  * @returns {boolean}
  */
 export function has(id) {
-  if (!currentCategoryId) return false;
-  const set = selectionByCategory.get(currentCategoryId);
+  const { categoryId } = getState().selection;
+  if (!categoryId) return false;
+  const set = getIds(categoryId);
   return set ? set.has(id) : false;
 }
 
@@ -133,21 +133,7 @@ export function has(id) {
  */
 export function subscribe(callback) {
   if (typeof callback !== 'function') return () => {};
-  subscribers.push(callback);
-  return () => {
-    const i = subscribers.indexOf(callback);
-    if (i !== -1) subscribers.splice(i, 1);
-  };
-}
-
-function notify() {
-  subscribers.forEach(fn => {
-    try {
-      fn();
-    } catch (e) {
-      console.warn('Selection state subscriber error:', e);
-    }
-  });
+  return subscribeState(selectSelection, () => callback());
 }
 
 export { MAX_REGEX_LENGTH };
@@ -0,0 +1,113 @@
+/**
+ * Sensitivity Service
+ * How fragile the current classification is: the price move that flips each item's profitability
+ * status, and how much price moves of high-weight outputs shift the threshold.
+ * Like the thresholds, items are bought at their buy price and returned outputs valued at their sell
+ * price (see priceSpreadService).
+ */
+
+import { getBuyPrice, getSellPrice } from './priceSpreadService.js';
+
+/**
+ * Default relative price move for threshold sensitivity (±20%)
+ */
+export const DEFAULT_PRICE_CHANGE = 0.2;
+
+/**
+ * Default number of high-weight outputs analysed for threshold sensitivity
+ */
+export const DEFAULT_SENSITIVITY_ITEMS = 10;
+
+/**
+ * Get the price move that would flip an item's profitability status.
+ * An item's own threshold excludes it from its return pool (see calculateItemThresholds), so it does not
+ * depend on the item's price and the flip happens exactly when its buy price reaches the threshold.
+ * @param {Object} item - Item with chaosValue, threshold and profitabilityStatus
+ * @returns {{ flipPrice: number, priceChange: number, percentChange: number|null }|null} flipPrice is the
+ *   buy price at the flip, priceChange and percentChange the move of the buy price. Positive changes are
+ *   price rises (profitable items), negative are drops; null for unknown status
+ */
+export function getFlipMargin(item) {
+  const buyPrice = item ? getBuyPrice(item) : null;
+  if (!item || item.profitabilityStatus === 'unknown' || buyPrice === null || buyPrice === undefined) {
+    return null;
+  }
+  const priceChange = item.threshold - buyPrice;
+  return {
+    flipPrice: item.threshold,
+    priceChange,
+    percentChange: buyPrice > 0 ? (priceChange / buyPrice) * 100 : null,
+  };
+}
+
+/**
+ * Sort key for fragility: the absolute relative price move that flips the status (smaller = more fragile)
+ * @param {Object} item
+ * @returns {number} Infinity when the item has no flip margin
+ */
+export function getFragility(item) {
+  const margin = getFlipMargin(item);
+  if (!margin) return Infinity;
+  return margin.percentChange === null ? Infinity : Math.abs(margin.percentChange);
+}
+
+/**
+ * Calculate how much the threshold moves when the price of a high-weight output changes.
+ * The pooled mean and standard deviation are recomputed exactly with the changed price; the confidence
+ * margin is kept at the same multiple of the standard deviation, which is exact for the normal approximation
+ * and avoids re-running the n-trade convolution per item. A price move shifts the output's sell price
+ * by the same fraction.
+ * @param {Array<Object>} items - Items of the category (with id, name, dropWeight, chaosValue)
+ * @param {ExpectedValueThreshold} threshold - Threshold with returnPoolIds and lowerBoundExpectedValue
+ * @param {object} options - { priceChange = DEFAULT_PRICE_CHANGE, maxItems = DEFAULT_SENSITIVITY_ITEMS }
+ * @returns {Array<Object>} { item, weightShare, priceChange, downThreshold, upThreshold, downDelta, upDelta },
+ *   sorted by swing (largest first)
+ */
+export function calculateThresholdSensitivity(items, threshold, options = {}) {
+  const { priceChange = DEFAULT_PRICE_CHANGE, maxItems = DEFAULT_SENSITIVITY_ITEMS } = options;
+  if (!threshold?.returnPoolIds || threshold.lowerBoundExpectedValue === null || !(threshold.standardDeviation > 0)) {
+    return [];
+  }
+
+  const poolIds = new Set(threshold.returnPoolIds);
+  const pool = items.filter(item => poolIds.has(item.id) && item.dropWeight > 0 && getSellPrice(item) !== null);
+  let totalWeight = 0;
+  let weightedValue = 0;
+  let weightedSquare = 0;
+  pool.forEach(item => {
+    const sellPrice = getSellPrice(item);
+    totalWeight += item.dropWeight;
+    weightedValue += item.dropWeight * sellPrice;
+    weightedSquare += item.dropWeight * sellPrice * sellPrice;
+  });
+  if (!(totalWeight > 0)) return [];
+
+  const marginPerStdDev = (threshold.expectedValue - threshold.lowerBoundExpectedValue) / threshold.standardDeviation;
+  const thresholdWithPrice = (item, price) => {
+    const sellPrice = getSellPrice(item);
+    const value = weightedValue + item.dropWeight * (price - sellPrice);
+    const square = weightedSquare + item.dropWeight * (price * price - sellPrice * sellPrice);
+    const mean = value / totalWeight;
+    const standardDeviation = Math.sqrt(Math.max(0, square / totalWeight - mean * mean));
+    return Math.max(0, (mean - marginPerStdDev * standardDeviation) / 3);
+  };
+  const baseThreshold = Math.max(0, threshold.lowerBoundExpectedValue / 3);
+
+  return [...pool]
+    .sort((a, b) => b.dropWeight - a.dropWeight)
+    .slice(0, maxItems)
+    .map(item => {
+      const downThreshold = thresholdWithPrice(item, getSellPrice(item) * (1 - priceChange));
+      const upThreshold = thresholdWithPrice(item, getSellPrice(item) * (1 + priceChange));
+      return {
+        item,
+        weightShare: item.dropWeight / totalWeight,
+        priceChange,
+        downThreshold,
+        upThreshold,
+        downDelta: downThreshold - baseThreshold,
+        upDelta: upThreshold - baseThreshold,
+      };
+    })
+    .sort((a, b) => Math.abs(b.upDelta - b.downDelta) - Math.abs(a.upDelta - a.downDelta));
+}
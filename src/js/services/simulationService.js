@@ -4,7 +4,22 @@
  */
 
 import { SimulationConfiguration, SimulationTransaction, SimulationResult, SignificantEvent } from '../models/scarab.js';
-import { identifyRareScarabs, selectWeightedRandomScarab, checkBreakevenAchieved, selectRandomThree } from '../utils/simulationUtils.js';
+import {
+  identifyRareScarabs,
+  selectWeightedRandomScarab,
+  checkBreakevenAchieved,
+  selectRandomThree,
+  isValidSeed,
+  generateSeed,
+  createSimulationRandoms,
+  isValidSeedScheme,
+  calculateDrawdownStatistics,
+  MAX_SEED,
+  SEED_SCHEME_VERSION,
+} from '../utils/simulationUtils.js';
+import { findOptimalInputMix, filterReturnPool } from './calculationService.js';
+import { getBuyPrice, getSellPrice } from './priceSpreadService.js';
+import { getLiquidityModel, calculateRealizableValue } from './liquidityService.js';
 
 /**
  * Create and validate a simulation configuration
@@ -13,7 +28,11 @@ import { identifyRareScarabs, selectWeightedRandomScarab, checkBreakevenAchieved
  * @param {number} configData.breakevenPoint - Breakeven threshold (>= 0)
  * @param {number} configData.rareScarabThreshold - Drop weight percentile (0-1, default 0.1)
  * @param {number} configData.transactionCount - Number of trades (1 to 1,000,000)
- * @param {string} configData.inputScarabStrategy - Strategy type (optional)
+ * @param {string} configData.inputScarabStrategy - Strategy type (optional): 'user_selected', 'lowest_value', 'optimal_combination' or 'optimal_mix'
+ * @param {boolean} configData.respectDropEligibility - Only return drop-eligible scarabs (optional, default true)
+ * @param {number|null} configData.areaLevel - Area level for the drop-level check (optional, null = any)
+ * @param {number|null} configData.seed - Random number seed (optional, null = new seed per run)
+ * @param {number|null} configData.seedScheme - Seed scheme to replay a saved run with (optional, null = current)
  * @returns {SimulationConfiguration}
  */
 export function createConfiguration(configData) {
@@ -24,6 +43,11 @@ export function createConfiguration(configData) {
     transactionCount: configData.transactionCount || 100,
     inputScarabStrategy: configData.inputScarabStrategy || 'user_selected',
     continueMode: configData.continueMode ?? false,
+    respectDropEligibility: configData.respectDropEligibility ?? true,
+    areaLevel: configData.areaLevel ?? null,
+    weightSource: configData.weightSource || 'mle',
+    seed: configData.seed ?? null,
+    seedScheme: configData.seedScheme ?? null,
   });
   
   return config;
@@ -52,6 +76,14 @@ export function validateConfiguration(config, availableScarabs = []) {
     return { valid: false, error: 'Rare scarab threshold must be between 0 and 1' };
   }
   
+  if (config.seed !== null && config.seed !== undefined && !isValidSeed(config.seed)) {
+    return { valid: false, error: `Seed must be a whole number between 0 and ${MAX_SEED}` };
+  }
+  
+  if (config.seedScheme !== null && config.seedScheme !== undefined && !isValidSeedScheme(config.seedScheme)) {
+    return { valid: false, error: `Unsupported seed scheme: ${config.seedScheme}` };
+  }
+  
   // Validate all selected scarab IDs exist
   if (availableScarabs.length > 0) {
     const availableIds = new Set(availableScarabs.map(s => s.id));
@@ -64,26 +96,51 @@ export function validateConfiguration(config, availableScarabs = []) {
   return { valid: true };
 }
 
-let currentSimulationCancelled = false;
+/** Error message of a simulation stopped through its abort signal */
+export const SIMULATION_CANCELLED_MESSAGE = 'Simulation cancelled by user';
 
 /**
- * Cancel current simulation
+ * @typedef {Object} SimulationProgress
+ * @property {'progress'} type
+ * @property {'initial' | 'continue'} phase - Initial trades, or continue mode trading returns below the threshold
+ * @property {number} progress - Percentage of the initial trades done (100 in continue mode)
+ * @property {number} current - Transactions done
+ * @property {number} total - Initial transactions configured
+ * @property {Map<string, number>} yieldCounts - Scarabs held so far
+ * @property {number|null} remainingBelowThreshold - Continue mode: held scarabs below the threshold
  */
-export function cancelSimulation() {
-  currentSimulationCancelled = true;
+
+/**
+ * Throw the cancellation error if the run was aborted
+ * @param {AbortSignal|null} signal
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new Error(SIMULATION_CANCELLED_MESSAGE);
+  }
 }
 
 /**
  * Run simulation with transaction-by-transaction tracking
+ * Bought inputs are valued at buy prices and returns at sell prices (see priceSpreadService); in continue mode
+ * the returned scarabs traded again are valued at their sell price, the sale given up by trading them.
+ * With volume haircuts enabled (see liquidityService) the scarabs held at the end (yield counts) are also
+ * valued as if sold together: realizableOutputValue, realizableNetProfitLoss and liquidityLoss.
+ * Long runs belong in a worker (see simulationWorkerPool); the engine still yields between batches.
+ * All random draws come from generators seeded with config.seed (or a new seed, reported as result.seed),
+ * so the same configuration, seed, prices and drop weights reproduce a run exactly. Returns and random
+ * input picks use separate streams: runs of different strategies on one seed share their return draws.
+ * Runs saved under the single-stream scheme replay with config.seedScheme = LEGACY_SEED_SCHEME.
  * @param {SimulationConfiguration} config - Simulation configuration
  * @param {Array<Scarab>} allScarabs - All available scarabs
- * @param {Function} progressCallback - Optional callback for progress updates (progress: number, current: number, total: number, phase?: string)
+ * @param {Function|null} onProgress - Optional callback receiving SimulationProgress messages
  * @param {ExpectedValueThreshold|null} threshold - Profitability threshold for continue mode (optional)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting it rejects with SIMULATION_CANCELLED_MESSAGE
  * @returns {Promise<SimulationResult>}
  */
-export async function runSimulation(config, allScarabs, progressCallback = null, threshold = null) {
-  // Reset cancellation flag
-  currentSimulationCancelled = false;
+export async function runSimulation(config, allScarabs, onProgress = null, threshold = null, options = {}) {
+  const signal = options.signal ?? null;
   const startTime = Date.now();
   
   // Validate configuration
@@ -100,18 +157,35 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
     throw new Error('No valid scarabs with both drop weight and price data');
   }
   
-  // Return pool includes ALL scarabs with drop weights (not just selected ones)
+  // Return pool includes ALL drop-eligible scarabs with drop weights (not just selected ones)
   // The selection only determines which scarabs are used as INPUT
-  const allReturnableScarabs = allScarabs.filter(s => s.hasDropWeight() && s.hasPriceData());
+  const allReturnableScarabs = filterReturnPool(
+    allScarabs.filter(s => s.hasDropWeight() && s.hasPriceData()),
+    { respectDropEligibility: config.respectDropEligibility, areaLevel: config.areaLevel }
+  );
   
   if (allReturnableScarabs.length === 0) {
-    throw new Error('No scarabs available in return pool (need scarabs with drop weights)');
+    throw new Error('No scarabs available in return pool (need drop-eligible scarabs with drop weights)');
   }
   
+  // Optimal mix strategy: solve once for the profit-maximizing mix of the selected scarabs
+  const inputMix = config.inputScarabStrategy === 'optimal_mix'
+    ? findOptimalInputMix(allReturnableScarabs, validScarabs)
+    : null;
+  if (config.inputScarabStrategy === 'optimal_mix' && !inputMix) {
+    throw new Error('No input mix of the selected scarabs leaves scarabs in the return pool');
+  }
+  
+  const seed = config.seed ?? generateSeed();
+  const seedScheme = config.seedScheme ?? SEED_SCHEME_VERSION;
+  const { returnRandom, inputRandom } = createSimulationRandoms(seed, seedScheme);
+  
   // Initialize result
   const result = new SimulationResult({
     simulationId: `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     configuration: config,
+    seed,
+    seedScheme,
     yieldCounts: new Map(),
     totalTransactions: config.transactionCount,
     transactions: [],
@@ -126,22 +200,24 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
   let averageInputValuePerTransaction = 0;
   if (config.inputScarabStrategy === 'lowest_value') {
     const lowestScarab = validScarabs.reduce((lowest, s) => 
-      (!lowest || s.chaosValue < lowest.chaosValue) ? s : lowest, null
+      (!lowest || getBuyPrice(s) < getBuyPrice(lowest)) ? s : lowest, null
     );
-    averageInputValuePerTransaction = lowestScarab ? lowestScarab.chaosValue * 3 : 0;
+    averageInputValuePerTransaction = lowestScarab ? getBuyPrice(lowestScarab) * 3 : 0;
   } else if (config.inputScarabStrategy === 'optimal_combination') {
     const sortedByRatio = [...validScarabs].sort((a, b) => {
-      const ratioA = a.chaosValue / a.dropWeight;
-      const ratioB = b.chaosValue / b.dropWeight;
+      const ratioA = getBuyPrice(a) / a.dropWeight;
+      const ratioB = getBuyPrice(b) / b.dropWeight;
       return ratioA - ratioB;
     });
     const optimalThree = sortedByRatio.slice(0, 3);
-    averageInputValuePerTransaction = optimalThree.reduce((sum, s) => sum + s.chaosValue, 0);
+    averageInputValuePerTransaction = optimalThree.reduce((sum, s) => sum + getBuyPrice(s), 0);
+  } else if (inputMix) {
+    averageInputValuePerTransaction = inputMix.inputCost;
   } else {
     // user_selected: calculate average input value from all selected scarabs
     // Since we randomly select 3 each time, use the average value of all selected scarabs
     if (validScarabs.length >= 3) {
-      const totalValue = validScarabs.reduce((sum, s) => sum + s.chaosValue, 0);
+      const totalValue = validScarabs.reduce((sum, s) => sum + getBuyPrice(s), 0);
       const averageValue = totalValue / validScarabs.length;
       averageInputValuePerTransaction = averageValue * 3;
     } else {
@@ -150,7 +226,7 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
       while (firstThree.length < 3 && validScarabs.length > 0) {
         firstThree.push(validScarabs[0]);
       }
-      averageInputValuePerTransaction = firstThree.reduce((sum, s) => sum + s.chaosValue, 0);
+      averageInputValuePerTransaction = firstThree.reduce((sum, s) => sum + getBuyPrice(s), 0);
     }
   }
   
@@ -179,9 +255,7 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
     // Process batch
     for (let i = 0; i < batchSize; i++) {
       // Check for cancellation
-      if (currentSimulationCancelled) {
-        throw new Error('Simulation cancelled by user');
-      }
+      throwIfCancelled(signal);
       
       const transactionNumber = batchStart + i + 1;
       
@@ -190,23 +264,26 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
       if (config.inputScarabStrategy === 'lowest_value') {
         // Use 3 of the lowest value scarab
         const lowestScarab = validScarabs.reduce((lowest, s) => 
-          (!lowest || s.chaosValue < lowest.chaosValue) ? s : lowest, null
+          (!lowest || getBuyPrice(s) < getBuyPrice(lowest)) ? s : lowest, null
         );
         inputScarabs = [lowestScarab, lowestScarab, lowestScarab].filter(Boolean);
       } else if (config.inputScarabStrategy === 'optimal_combination') {
         // Use optimal combination (low value, high weight ratio)
         const sortedByRatio = [...validScarabs].sort((a, b) => {
-          const ratioA = a.chaosValue / a.dropWeight;
-          const ratioB = b.chaosValue / b.dropWeight;
+          const ratioA = getBuyPrice(a) / a.dropWeight;
+          const ratioB = getBuyPrice(b) / b.dropWeight;
           return ratioA - ratioB;
         });
         inputScarabs = sortedByRatio.slice(0, 3);
+      } else if (inputMix) {
+        // Use the profit-maximizing mix (may repeat its cheapest scarab)
+        inputScarabs = [...inputMix.inputScarabs];
       } else {
         // user_selected: randomly select 3 from all selected scarabs
         if (validScarabs.length === 3) {
           inputScarabs = [...validScarabs];
         } else if (validScarabs.length > 3) {
-          inputScarabs = selectRandomThree(validScarabs);
+          inputScarabs = selectRandomThree(validScarabs, inputRandom);
         } else {
           // Fallback: if less than 3, repeat the first one
           inputScarabs = [];
@@ -226,7 +303,7 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
       }
       
       const inputScarabIds = inputScarabs.map(s => s.id);
-      const inputValue = inputScarabs.reduce((sum, s) => sum + s.chaosValue, 0);
+      const inputValue = inputScarabs.reduce((sum, s) => sum + getBuyPrice(s), 0);
       
       // Determine return pool based on strategy
       // Input scarabs are ALWAYS excluded from return pool (cannot get back what you put in)
@@ -247,8 +324,8 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
       }
       
       // Select returned scarab using weighted random from returnable pool
-      const returnedScarab = selectWeightedRandomScarab(returnableScarabs, totalWeight);
-      const returnedValue = returnedScarab.chaosValue;
+      const returnedScarab = selectWeightedRandomScarab(returnableScarabs, totalWeight, returnRandom);
+      const returnedValue = getSellPrice(returnedScarab);
       
       // Calculate profit/loss
       const profitLoss = returnedValue - inputValue;
@@ -311,10 +388,17 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
     processedCount = batchEnd;
     
     // Update progress
-    if (progressCallback) {
-      const progress = (processedCount / config.transactionCount) * 100;
+    if (onProgress) {
       // Pass yield counts for real-time updates
-      progressCallback(progress, processedCount, config.transactionCount, new Map(result.yieldCounts), 'initial');
+      onProgress({
+        type: 'progress',
+        phase: 'initial',
+        progress: (processedCount / config.transactionCount) * 100,
+        current: processedCount,
+        total: config.transactionCount,
+        yieldCounts: new Map(result.yieldCounts),
+        remainingBelowThreshold: null,
+      });
     }
     
     // Yield control to browser for UI responsiveness
@@ -350,7 +434,7 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
     // Filter returned scarabs that are below profitability threshold
     const scarabsBelowThreshold = returnedScarabs
       .map(id => scarabMap.get(id))
-      .filter(scarab => scarab && scarab.hasPriceData() && scarab.chaosValue < threshold.value);
+      .filter(scarab => scarab && scarab.hasPriceData() && getSellPrice(scarab) < threshold.value);
     
     // Track how many times each scarab is used as input in continue mode
     // This will be used to reduce yield counts (since used scarabs are "consumed")
@@ -361,14 +445,12 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
     
     while (scarabsBelowThreshold.length >= 3) {
       // Check for cancellation
-      if (currentSimulationCancelled) {
-        throw new Error('Simulation cancelled by user');
-      }
+      throwIfCancelled(signal);
       
       continueTransactionNumber++;
       
       // Select 3 scarabs from those below threshold (random selection)
-      const selectedForTrade = selectRandomThree(scarabsBelowThreshold);
+      const selectedForTrade = selectRandomThree(scarabsBelowThreshold, inputRandom);
       
       // Remove selected scarabs from the pool (remove exactly 3 items, one for each selected)
       // We need to remove by reference/identity, not just by ID, since we can have duplicates
@@ -405,7 +487,7 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
           result.yieldCounts.set(inputScarabId, currentYield - 1);
         }
       }
-      const inputValue = selectedForTrade.reduce((sum, s) => sum + s.chaosValue, 0);
+      const inputValue = selectedForTrade.reduce((sum, s) => sum + getSellPrice(s), 0);
       
       // Determine return pool - exclude input scarabs
       const inputScarabIdSet = new Set(inputScarabIds);
@@ -424,8 +506,8 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
       }
       
       // Select returned scarab using weighted random from returnable pool
-      const returnedScarab = selectWeightedRandomScarab(returnableScarabs, totalWeight);
-      const returnedValue = returnedScarab.chaosValue;
+      const returnedScarab = selectWeightedRandomScarab(returnableScarabs, totalWeight, returnRandom);
+      const returnedValue = getSellPrice(returnedScarab);
       
       // Calculate profit/loss
       const profitLoss = returnedValue - inputValue;
@@ -449,7 +531,7 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
       result.yieldCounts.set(returnedScarab.id, currentCount + 1);
       
       // If returned scarab is below threshold, add it to the pool for further trading
-      if (returnedScarab.hasPriceData() && returnedScarab.chaosValue < threshold.value) {
+      if (returnedScarab.hasPriceData() && getSellPrice(returnedScarab) < threshold.value) {
         scarabsBelowThreshold.push(returnedScarab);
       }
       
@@ -486,11 +568,17 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
       // Update progress periodically (every 100 transactions or at end) for continue mode
       // This ensures UI updates in real-time as scarabs are consumed
       if (continueTransactionNumber % 100 === 0 || scarabsBelowThreshold.length < 3) {
-        if (progressCallback) {
-          const totalTransactions = continueTransactionNumber;
-          const progress = 100; // Initial phase is complete, continue phase is bonus
-          // Pass updated yield counts (with consumed scarabs already deducted)
-          progressCallback(progress, totalTransactions, config.transactionCount, new Map(result.yieldCounts), 'continue', scarabsBelowThreshold.length);
+        if (onProgress) {
+          // Initial phase is complete, continue phase is bonus; yield counts have consumed scarabs deducted
+          onProgress({
+            type: 'progress',
+            phase: 'continue',
+            progress: 100,
+            current: continueTransactionNumber,
+            total: config.transactionCount,
+            yieldCounts: new Map(result.yieldCounts),
+            remainingBelowThreshold: scarabsBelowThreshold.length,
+          });
         }
         // Yield control to browser for UI responsiveness
         await new Promise(resolve => setTimeout(resolve, 0));
@@ -509,6 +597,13 @@ export async function runSimulation(config, allScarabs, progressCallback = null,
     ? result.netProfitLoss / result.totalTransactions 
     : 0;
   result.finalCumulativeProfitLoss = cumulativeProfitLoss;
+  Object.assign(result, calculateDrawdownStatistics(result.transactions));
+  if (getLiquidityModel().enabled) {
+    const { liquidityLoss } = calculateRealizableValue(result.yieldCounts, allScarabs);
+    result.liquidityLoss = liquidityLoss;
+    result.realizableOutputValue = result.totalOutputValue - liquidityLoss;
+    result.realizableNetProfitLoss = result.netProfitLoss - liquidityLoss;
+  }
   result.completedAt = new Date().toISOString();
   result.executionTimeMs = Date.now() - startTime;
   
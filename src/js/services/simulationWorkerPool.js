@@ -0,0 +1,327 @@
+/**
+ * Simulation Worker Pool
+ * Runs simulations in Web Workers so long runs keep the page responsive. Each worker runs one
+ * task at a time and further tasks wait in a queue; multi-run jobs (runMany, runBatch) are split across
+ * the workers. Where Worker is unavailable (e.g. tests) simulations run on the main thread instead.
+ */
+
+import { runSimulation, SIMULATION_CANCELLED_MESSAGE } from './simulationService.js';
+import { validateBatch, getRunSeeds, getCheckpoints, runMonteCarloRuns, summarizeBatch } from './monteCarloService.js';
+import { generateSeed } from '../utils/simulationUtils.js';
+import { getSpreadModel } from './priceSpreadService.js';
+import { getLiquidityModel } from './liquidityService.js';
+import { SimulationConfiguration, SimulationResult } from '../models/scarab.js';
+
+/** Workers started at most: one core is left to the page */
+const DEFAULT_POOL_SIZE = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency ?? 2) - 1));
+
+/**
+ * @typedef {Object} SimulationJob
+ * @property {number} taskId
+ * @property {Promise<SimulationResult>} promise - Rejects with SIMULATION_CANCELLED_MESSAGE when cancelled
+ * @property {Function} cancel - Stop the simulation (or drop it from the queue)
+ */
+
+/**
+ * Rebuild a SimulationResult posted by a worker (structured clones lose their classes)
+ * @param {Object} data
+ * @returns {SimulationResult}
+ */
+function toSimulationResult(data) {
+  return new SimulationResult({ ...data, configuration: new SimulationConfiguration(data.configuration) });
+}
+
+/**
+ * Get the part of a threshold the engine uses, to post to a worker
+ * @param {ExpectedValueThreshold|null} threshold
+ * @returns {{ value: number }|null}
+ */
+function toThresholdData(threshold) {
+  return threshold ? { value: threshold.value } : null;
+}
+
+export class SimulationWorkerPool {
+  /**
+   * @param {number} size - Maximum number of workers
+   */
+  constructor(size = DEFAULT_POOL_SIZE) {
+    this.size = size;
+    this.slots = []; // { worker: Worker, task: Object|null }
+    this.queue = [];
+    this.nextTaskId = 1;
+  }
+
+  /**
+   * Check whether simulations can run in workers
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Run a simulation
+   * Progress arrives as SimulationProgress messages (see simulationService) with the job's taskId.
+   * The result's configuration carries the breakeven point calculated by the run.
+   * @param {SimulationConfiguration} config
+   * @param {Array<Scarab>} scarabs - All available scarabs
+   * @param {ExpectedValueThreshold|null} threshold - Profitability threshold for continue mode
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with each progress message
+   * @returns {SimulationJob}
+   */
+  run(config, scarabs, threshold = null, { onProgress = null } = {}) {
+    return this.submit(
+      { type: 'run', config: { ...config }, scarabs, threshold: toThresholdData(threshold) },
+      {
+        onProgress,
+        toResult: toSimulationResult,
+        runInThread: (taskProgress, signal) => runSimulation(config, scarabs, taskProgress, threshold, { signal }),
+      }
+    );
+  }
+
+  /**
+   * Run a Monte Carlo batch of the configured simulation (see monteCarloService)
+   * The run seeds are drawn from config.seed (a new seed when null) and split across the workers.
+   * @param {SimulationConfiguration} config
+   * @param {Array<Scarab>} scarabs - All available scarabs
+   * @param {number} runCount
+   * @param {ExpectedValueThreshold|null} threshold - Profitability threshold for continue mode
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with { type: 'progress', phase: 'batch', progress, current, total }
+   * @returns {{ promise: Promise<MonteCarloResult>, cancel: Function }}
+   */
+  runBatch(config, scarabs, runCount, threshold = null, { onProgress = null } = {}) {
+    const validation = validateBatch(config, runCount);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const startTime = Date.now();
+    const seed = config.seed ?? generateSeed();
+    const seeds = getRunSeeds(seed, runCount);
+    const checkpoints = getCheckpoints(config.transactionCount);
+    const chunkSize = Math.ceil(runCount / (this.isSupported() ? this.size : 1));
+    const chunks = [];
+    for (let start = 0; start < runCount; start += chunkSize) {
+      chunks.push(seeds.slice(start, start + chunkSize));
+    }
+
+    const doneByChunk = chunks.map(() => 0);
+    const jobs = chunks.map((chunkSeeds, chunkIndex) => this.submit(
+      { type: 'batch', config: { ...config }, scarabs, threshold: toThresholdData(threshold), seeds: chunkSeeds, checkpoints },
+      {
+        onProgress: onProgress ? (message) => {
+          doneByChunk[chunkIndex] = message.current;
+          const current = doneByChunk.reduce((sum, done) => sum + done, 0);
+          onProgress({ type: 'progress', phase: 'batch', progress: (current / runCount) * 100, current, total: runCount });
+        } : null,
+        toResult: runs => runs,
+        runInThread: (taskProgress, signal) => runMonteCarloRuns(config, scarabs, chunkSeeds, checkpoints, {
+          threshold,
+          onProgress: taskProgress,
+          signal,
+        }),
+      }
+    ));
+
+    const cancel = () => jobs.forEach(job => job.cancel());
+    const promise = Promise.all(jobs.map(job => job.promise))
+      .then(chunkRuns => summarizeBatch(chunkRuns.flat(), checkpoints, {
+        configuration: config,
+        seed,
+        executionTimeMs: Date.now() - startTime,
+      }))
+      .catch((error) => {
+        cancel();
+        throw error;
+      });
+    return { promise, cancel };
+  }
+
+  /**
+   * Queue a task for the workers, or run it on the main thread without Worker support
+   * @param {Object} message - Task message for the worker (see simulationWorker)
+   * @param {Object} handlers
+   * @param {Function|null} handlers.onProgress - Called with each progress message
+   * @param {Function} handlers.toResult - Rebuilds the result a worker posted
+   * @param {Function} handlers.runInThread - (onProgress, signal) => Promise of the result
+   * @returns {SimulationJob}
+   */
+  submit(message, { onProgress, toResult, runInThread }) {
+    const task = { id: this.nextTaskId++, message, onProgress, toResult, runInThread, settled: false, abort: null };
+    task.promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+
+    if (this.isSupported()) {
+      this.queue.push(task);
+      this.dispatch();
+    } else {
+      this.runInThread(task);
+    }
+
+    return { taskId: task.id, promise: task.promise, cancel: () => this.cancel(task) };
+  }
+
+  /**
+   * Run several simulations across the workers
+   * Progress messages carry the runIndex of their run. If one run fails the others are cancelled.
+   * @param {Array<{ config: SimulationConfiguration, threshold?: ExpectedValueThreshold|null }>} runs
+   * @param {Array<Scarab>} scarabs - All available scarabs
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with each progress message
+   * @returns {{ promise: Promise<Array<SimulationResult>>, cancel: Function }} Results in run order
+   */
+  runMany(runs, scarabs, { onProgress = null } = {}) {
+    const jobs = runs.map(({ config, threshold = null }, runIndex) => this.run(config, scarabs, threshold, {
+      onProgress: onProgress ? message => onProgress({ ...message, runIndex }) : null,
+    }));
+    const cancel = () => jobs.forEach(job => job.cancel());
+    const promise = Promise.all(jobs.map(job => job.promise)).catch((error) => {
+      cancel();
+      throw error;
+    });
+    return { promise, cancel };
+  }
+
+  /**
+   * Cancel a task: queued tasks are dropped, running ones aborted
+   * The task rejects right away; its worker takes new tasks once the engine has stopped.
+   * @param {Object} task
+   */
+  cancel(task) {
+    if (task.settled) return;
+    const queuedIndex = this.queue.indexOf(task);
+    if (queuedIndex !== -1) {
+      this.queue.splice(queuedIndex, 1);
+    }
+    task.abort?.();
+    this.settle(task, null, new Error(SIMULATION_CANCELLED_MESSAGE));
+  }
+
+  /**
+   * Stop all workers and reject their tasks and the queued ones
+   */
+  terminate() {
+    [...this.queue, ...this.slots.map(slot => slot.task).filter(Boolean)].forEach(task => {
+      this.settle(task, null, new Error(SIMULATION_CANCELLED_MESSAGE));
+    });
+    this.queue = [];
+    this.slots.forEach(slot => slot.worker.terminate());
+    this.slots = [];
+  }
+
+  /**
+   * Start queued tasks on idle workers
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const slot = this.getIdleSlot();
+      if (!slot) return;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      task.abort = () => slot.worker.postMessage({ type: 'cancel', taskId: task.id });
+      slot.worker.postMessage({
+        ...task.message,
+        taskId: task.id,
+        spreadModel: getSpreadModel(),
+        liquidityModel: getLiquidityModel(),
+      });
+    }
+  }
+
+  /**
+   * Get an idle worker, starting one while the pool is below its size
+   * @returns {{ worker: Worker, task: Object|null }|null}
+   */
+  getIdleSlot() {
+    const idle = this.slots.find(slot => !slot.task);
+    if (idle) return idle;
+    if (this.slots.length >= this.size) return null;
+
+    const slot = {
+      worker: new Worker(new URL('../workers/simulationWorker.js', import.meta.url), { type: 'module' }),
+      task: null,
+    };
+    slot.worker.onmessage = event => this.handleMessage(slot, event.data);
+    slot.worker.onerror = event => this.handleWorkerError(slot, event);
+    this.slots.push(slot);
+    return slot;
+  }
+
+  /**
+   * Handle a message from a worker
+   * @param {{ worker: Worker, task: Object|null }} slot
+   * @param {Object} message
+   */
+  handleMessage(slot, message) {
+    const task = slot.task;
+    if (!task || message.taskId !== task.id) return;
+
+    if (message.type === 'progress') {
+      if (!task.settled) task.onProgress?.(message);
+      return;
+    }
+
+    slot.task = null;
+    if (message.type === 'result') {
+      this.settle(task, task.toResult(message.result));
+    } else {
+      this.settle(task, null, new Error(message.message));
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Handle an uncaught worker error: replace the worker and fail its task
+   * @param {{ worker: Worker, task: Object|null }} slot
+   * @param {ErrorEvent} event
+   */
+  handleWorkerError(slot, event) {
+    event.preventDefault();
+    console.error('Simulation worker error:', event.message);
+    slot.worker.terminate();
+    this.slots = this.slots.filter(candidate => candidate !== slot);
+    if (slot.task) {
+      this.settle(slot.task, null, new Error(event.message || 'Simulation worker failed'));
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Run a task on the main thread (no Worker support)
+   * @param {Object} task
+   */
+  runInThread(task) {
+    const controller = new AbortController();
+    task.abort = () => controller.abort();
+    const onProgress = task.onProgress
+      ? progress => task.onProgress({ ...progress, taskId: task.id })
+      : null;
+    task.runInThread(onProgress, controller.signal)
+      .then(result => this.settle(task, result), error => this.settle(task, null, error));
+  }
+
+  /**
+   * Resolve or reject a task once
+   * @param {Object} task
+   * @param {SimulationResult|null} result
+   * @param {Error|null} error
+   */
+  settle(task, result, error = null) {
+    if (task.settled) return;
+    task.settled = true;
+    if (error) {
+      task.reject(error);
+    } else {
+      task.resolve(result);
+    }
+  }
+}
+
+// Export singleton instance
+export const simulationWorkerPool = new SimulationWorkerPool();
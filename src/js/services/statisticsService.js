@@ -0,0 +1,140 @@
+/**
+ * Statistics Service
+ * Goodness-of-fit checks of observed vendor results (drop log or simulated yields) against the weight model
+ */
+
+import { binomialCdf, chiSquareSurvival, inverseNormalCdf, normalCdf } from '../utils/distributionUtils.js';
+
+/**
+ * Cells with a smaller expected count are pooled so the chi-square approximation holds
+ */
+const MIN_EXPECTED_COUNT = 5;
+
+/**
+ * Default significance level for the overall tests
+ */
+export const DEFAULT_SIGNIFICANCE = 0.05;
+
+/**
+ * Test observed return counts against the expected drop weights.
+ * Runs Pearson's chi-square and the G-test (likelihood ratio) over the return pool, pooling items with
+ * fewer than MIN_EXPECTED_COUNT expected returns into one cell. Each item also gets an exact two-sided
+ * binomial p-value; items below alpha / (number of items) (Bonferroni) are flagged as implausible.
+ * @param {Map<string, number>} observedCounts - Item id -> times returned (e.g. drop log or getYieldCounts)
+ * @param {Array<Object>} items - Return pool items (with id, name and weightField)
+ * @param {object} options - { alpha = DEFAULT_SIGNIFICANCE, weightField = 'dropWeight' }
+ * @returns {Object} { totalObserved, alpha, chiSquare, gTest, consistent, rows, flagged, unexpected, pooledItemCount }
+ */
+export function testGoodnessOfFit(observedCounts, items, options = {}) {
+  const { alpha = DEFAULT_SIGNIFICANCE, weightField = 'dropWeight' } = options;
+  if (!(alpha > 0 && alpha < 1)) {
+    throw new Error(`Significance level must be between 0 and 1 (exclusive), got ${alpha}`);
+  }
+
+  const poolItems = items.filter(item => item[weightField] > 0);
+  if (poolItems.length < 2) {
+    throw new Error('Goodness-of-fit test needs at least 2 items with drop weights');
+  }
+
+  const poolIds = new Set(poolItems.map(item => item.id));
+  const unexpected = [...observedCounts]
+    .filter(([id, count]) => count > 0 && !poolIds.has(id))
+    .map(([id, observed]) => ({ id, observed }));
+
+  const totalWeight = poolItems.reduce((sum, item) => sum + item[weightField], 0);
+  const totalObserved = poolItems.reduce((sum, item) => sum + (observedCounts.get(item.id) || 0), 0);
+  if (totalObserved === 0) {
+    throw new Error('No observed results for items in the return pool');
+  }
+
+  const rows = poolItems.map(item => {
+    const probability = item[weightField] / totalWeight;
+    const observed = observedCounts.get(item.id) || 0;
+    const expected = totalObserved * probability;
+    const lowerTail = binomialCdf(observed, totalObserved, probability);
+    const upperTail = 1 - binomialCdf(observed - 1, totalObserved, probability);
+    return {
+      item,
+      observed,
+      expected,
+      probability,
+      pValue: Math.min(1, 2 * Math.min(lowerTail, upperTail)),
+      direction: observed >= expected ? 'high' : 'low',
+    };
+  });
+
+  // Pool sparse cells
+  const cells = rows.filter(row => row.expected >= MIN_EXPECTED_COUNT);
+  const sparseRows = rows.filter(row => row.expected < MIN_EXPECTED_COUNT);
+  if (sparseRows.length > 0) {
+    cells.push({
+      observed: sparseRows.reduce((sum, row) => sum + row.observed, 0),
+      expected: sparseRows.reduce((sum, row) => sum + row.expected, 0),
+    });
+  }
+
+  let chiSquareStatistic = 0;
+  let gStatistic = 0;
+  cells.forEach(({ observed, expected }) => {
+    chiSquareStatistic += (observed - expected) ** 2 / expected;
+    if (observed > 0) {
+      gStatistic += 2 * observed * Math.log(observed / expected);
+    }
+  });
+  const degreesOfFreedom = cells.length - 1;
+  const pValueOf = statistic => (degreesOfFreedom > 0 ? chiSquareSurvival(statistic, degreesOfFreedom) : null);
+  const chiSquare = { statistic: chiSquareStatistic, degreesOfFreedom, pValue: pValueOf(chiSquareStatistic) };
+  const gTest = { statistic: gStatistic, degreesOfFreedom, pValue: pValueOf(gStatistic) };
+
+  const flagThreshold = alpha / poolItems.length;
+  const flagged = rows
+    .filter(row => row.pValue < flagThreshold)
+    .sort((a, b) => a.pValue - b.pValue);
+
+  return {
+    totalObserved,
+    alpha,
+    chiSquare,
+    gTest,
+    consistent: chiSquare.pValue === null || chiSquare.pValue >= alpha,
+    rows,
+    flagged,
+    unexpected,
+    pooledItemCount: sparseRows.length,
+  };
+}
+
+/**
+ * Check whether a session's profit lies within the model's predicted interval.
+ * The total return of n trades is treated as normal with mean n·μ and standard deviation σ·√n.
+ * @param {object} session - { tradeCount, returnValue, inputCost } (totals in chaos)
+ * @param {object} model - Per-trade { expectedValue, standardDeviation } (e.g. ExpectedValueThreshold)
+ * @param {number} confidence - Two-sided coverage of the predicted interval (default: 0.95)
+ * @returns {Object} { profit, expectedProfit, lower, upper, zScore, percentile, withinInterval, confidence }
+ */
+export function evaluateSessionProfit(session, model, confidence = 0.95) {
+  const { tradeCount, returnValue, inputCost } = session;
+  if (!(tradeCount > 0)) {
+    throw new Error('Session needs at least one trade');
+  }
+  if (!(confidence > 0 && confidence < 1)) {
+    throw new Error(`Confidence must be between 0 and 1 (exclusive), got ${confidence}`);
+  }
+
+  const profit = returnValue - inputCost;
+  const expectedProfit = tradeCount * model.expectedValue - inputCost;
+  const standardDeviation = model.standardDeviation * Math.sqrt(tradeCount);
+  const halfWidth = inverseNormalCdf(0.5 + confidence / 2) * standardDeviation;
+  const zScore = standardDeviation > 0 ? (profit - expectedProfit) / standardDeviation : 0;
+
+  return {
+    profit,
+    expectedProfit,
+    lower: expectedProfit - halfWidth,
+    upper: expectedProfit + halfWidth,
+    zScore,
+    percentile: normalCdf(zScore),
+    withinInterval: Math.abs(profit - expectedProfit) <= halfWidth,
+    confidence,
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Strategy Comparison Service
+ * Compare mode: several input strategies and selection sets simulated on one seed. Returns are drawn from
+ * their own random stream (see runSimulation), so every variant sees the same sequence of return draws and
+ * the differences between them come from the strategies rather than from luck.
+ */
+
+import { createConfiguration, validateConfiguration } from './simulationService.js';
+import { getCheckpoints } from './monteCarloService.js';
+import { generateSeed, calculateMaxDrawdown, SEED_SCHEME_VERSION } from '../utils/simulationUtils.js';
+
+/** Variants compared at most */
+export const MAX_COMPARISON_VARIANTS = 6;
+
+/** Yield counts listed per variant */
+const TOP_YIELDS = 3;
+
+/**
+ * @typedef {Object} ComparisonVariant
+ * @property {string} inputScarabStrategy - See runSimulation
+ * @property {Array<string>} selectedScarabIds - Selection set the inputs are chosen from
+ */
+
+/**
+ * Create the configurations of a comparison: the shared settings with each variant's strategy and
+ * selection, all on the same seed
+ * @param {SimulationConfiguration} baseConfig - Shared settings (transactions, continue mode, pool, seed)
+ * @param {Array<ComparisonVariant>} variants
+ * @param {Array<Scarab>} availableScarabs - For validation of the selections
+ * @returns {Array<SimulationConfiguration>}
+ */
+export function createComparisonConfigurations(baseConfig, variants, availableScarabs = []) {
+  if (variants.length < 2) {
+    throw new Error('Add at least two strategies or selections to compare');
+  }
+  if (variants.length > MAX_COMPARISON_VARIANTS) {
+    throw new Error(`At most ${MAX_COMPARISON_VARIANTS} variants can be compared`);
+  }
+
+  const seed = baseConfig.seed ?? generateSeed();
+  return variants.map((variant, index) => {
+    const config = createConfiguration({
+      ...baseConfig,
+      selectedScarabIds: variant.selectedScarabIds,
+      inputScarabStrategy: variant.inputScarabStrategy,
+      seed,
+      // Shared return draws need separate return and input streams
+      seedScheme: SEED_SCHEME_VERSION,
+    });
+    const validation = validateConfiguration(config, availableScarabs);
+    if (!validation.valid) {
+      throw new Error(`Variant ${index + 1}: ${validation.error}`);
+    }
+    return config;
+  });
+}
+
+/**
+ * Summarize the results of a comparison, one row per variant
+ * @param {Array<SimulationResult>} results - In variant order
+ * @returns {Array<Object>} { netProfitLoss, averageProfitLossPerTransaction, totalTransactions, maxDrawdown,
+ *   topYields: [{ id, count }], curve: [{ tradeNumber, cumulativeProfitLoss }] } per variant
+ */
+export function summarizeComparison(results) {
+  return results.map(result => {
+    const { transactions } = result;
+    const curve = transactions.length > 0
+      ? getCheckpoints(transactions.length).map(tradeNumber => ({
+        tradeNumber,
+        cumulativeProfitLoss: transactions[tradeNumber - 1].cumulativeProfitLoss,
+      }))
+      : [];
+    return {
+      seed: result.seed,
+      netProfitLoss: result.netProfitLoss,
+      averageProfitLossPerTransaction: result.averageProfitLossPerTransaction,
+      totalTransactions: result.totalTransactions,
+      maxDrawdown: result.maxDrawdown ?? calculateMaxDrawdown(transactions),
+      topYields: Array.from(result.yieldCounts.entries())
+        .map(([id, count]) => ({ id, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_YIELDS),
+      curve,
+    };
+  });
+}
@@ -64,6 +64,27 @@ export function drawCellBorder(ctx, x, y, width, height, color, lineWidth = 2) {
   ctx.restore();
 }
 
+/**
+ * Draw a diagonal strike-through across a cell (marks items left out of a pool)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} width - Cell width
+ * @param {number} height - Cell height
+ * @param {string} color - Line color
+ * @param {number} lineWidth - Line width
+ */
+export function drawCellStrike(ctx, x, y, width, height, color, lineWidth = 2) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+  ctx.moveTo(x + 4, y + height - 4);
+  ctx.lineTo(x + width - 4, y + 4);
+  ctx.stroke();
+  ctx.restore();
+}
+
 /**
  * Load an image from a URL
  * @param {string} url - Image URL
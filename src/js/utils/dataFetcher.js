@@ -1,10 +1,36 @@
 /**
  * Utility to fetch JSON data from remote URL with fallback to local
- * Includes caching and automatic refresh capabilities
+ * Includes caching with per-file TTLs, conditional (ETag/Last-Modified) revalidation and
+ * stale-while-revalidate: expired cached data is returned immediately and refreshed in the background
  */
 
 const DATA_BASE_URL = 'https://data.poeatlas.app/';
-const CACHE_EXPIRATION_MS = 60 * 60 * 1000; // 1 hour
+const CACHE_EXPIRATION_MS = 60 * 60 * 1000; // 1 hour, for files without a TTL rule
+
+/** @type {Array<{ match: string|RegExp, maxAge: number }>} Per-file cache TTLs (first match wins) */
+const cacheTtlRules = [];
+
+/** @type {Map<string, Promise<{ data: any, changed: boolean, timestamp: number }>>} Revalidations in flight */
+const pendingRevalidations = new Map();
+
+/** @type {Set<Function>} Listeners for background revalidations that changed data */
+const revalidationListeners = new Set();
+
+/** @type {Set<string>} Hosts that refused the CORS preflight of conditional requests (this session) */
+const hostsWithoutConditionalRequests = new Set();
+
+/**
+ * Get the host of a URL
+ * @param {string} url - Absolute, or relative to the page
+ * @returns {string}
+ */
+function getUrlHost(url) {
+  try {
+    return new URL(url, globalThis.location?.href).host;
+  } catch {
+    return url;
+  }
+}
 
 /**
  * Get cache key for a file
@@ -32,30 +58,178 @@ function getCacheEntry(fileName) {
 
 /**
  * Save cache entry to localStorage
+ * @param {string} fileName
+ * @param {any} data
+ * @param {object} [validators] - { etag, lastModified } response validators for conditional requests
+ * @returns {object} The saved cache entry
  */
-function saveCacheEntry(fileName, data) {
+function saveCacheEntry(fileName, data, validators = {}) {
+  const cacheEntry = {
+    data,
+    timestamp: Date.now(),
+    isLocal: false,
+    etag: validators.etag || null,
+    lastModified: validators.lastModified || null,
+  };
   try {
-    const cacheKey = getCacheKey(fileName);
-    const cacheEntry = {
-      data,
-      timestamp: Date.now(),
-      isLocal: false,
-    };
-    localStorage.setItem(cacheKey, JSON.stringify(cacheEntry));
+    localStorage.setItem(getCacheKey(fileName), JSON.stringify(cacheEntry));
   } catch (error) {
     console.error(`Error saving cache for ${fileName}:`, error);
   }
+  return cacheEntry;
+}
+
+/**
+ * Set the cache TTL of matching files
+ * @param {string|RegExp} match - Exact file name or pattern
+ * @param {number} maxAge - Maximum cache age in milliseconds
+ */
+export function setCacheTtl(match, maxAge) {
+  if (!(maxAge >= 0)) {
+    throw new Error(`Cache TTL must be zero or more, got ${maxAge}`);
+  }
+  const existing = cacheTtlRules.findIndex(rule => String(rule.match) === String(match));
+  if (existing !== -1) cacheTtlRules.splice(existing, 1);
+  cacheTtlRules.push({ match, maxAge });
+}
+
+/**
+ * Get the cache TTL of a file
+ * @param {string} fileName
+ * @returns {number} Maximum cache age in milliseconds
+ */
+export function getCacheTtl(fileName) {
+  const rule = cacheTtlRules.find(({ match }) =>
+    typeof match === 'string' ? match === fileName : match.test(fileName)
+  );
+  return rule ? rule.maxAge : CACHE_EXPIRATION_MS;
 }
 
 /**
  * Check if cache is expired
+ * @param {object|null} cacheEntry
+ * @param {number} [maxAge=CACHE_EXPIRATION_MS] - Maximum cache age in milliseconds
  */
-function isCacheExpired(cacheEntry) {
+function isCacheExpired(cacheEntry, maxAge = CACHE_EXPIRATION_MS) {
   if (!cacheEntry || cacheEntry.isLocal) {
     return true; // Always refresh local fallback data
   }
   const age = Date.now() - cacheEntry.timestamp;
-  return age > CACHE_EXPIRATION_MS;
+  return age > maxAge;
+}
+
+/**
+ * Data sources reported by fetchDataWithSource
+ */
+export const DATA_SOURCES = {
+  CACHE: 'cache', // Cached remote data within its maximum age
+  REMOTE: 'remote', // Fetched from the remote URL
+  STALE_CACHE: 'stale_cache', // Expired cached remote data (remote fetch failed)
+  REVALIDATING: 'revalidating', // Expired cached remote data, being revalidated in the background
+  LOCAL: 'local', // Bundled local fallback file
+};
+
+/**
+ * Subscribe to background revalidations that changed a file's data
+ * @param {Function} listener - (fileName, data) => void
+ * @returns {() => void} unsubscribe
+ */
+export function onDataRevalidated(listener) {
+  revalidationListeners.add(listener);
+  return () => revalidationListeners.delete(listener);
+}
+
+/**
+ * Fetch a file from its remote URL, as a conditional request when the cache has validators.
+ * A 304 response renews the cached entry; a 200 response replaces it.
+ * @param {string} fileName
+ * @param {string} url
+ * @param {object|null} cacheEntry - Current cache entry
+ * @param {Function} [transform] - Applied to the downloaded JSON before it is compared and cached
+ * @returns {Promise<{ data: any, changed: boolean, timestamp: number }>} changed is false for 304 responses
+ *   and unchanged content
+ */
+async function fetchRemote(fileName, url, cacheEntry, transform) {
+  if (!url) {
+    throw new Error(`No remote URL for ${fileName}`);
+  }
+
+  const host = getUrlHost(url);
+  const headers = {};
+  if (!hostsWithoutConditionalRequests.has(host)) {
+    if (cacheEntry?.etag) headers['If-None-Match'] = cacheEntry.etag;
+    if (cacheEntry?.lastModified) headers['If-Modified-Since'] = cacheEntry.lastModified;
+  }
+  const isConditional = Object.keys(headers).length > 0;
+
+  let response;
+  try {
+    response = await fetch(url, isConditional ? { cache: 'no-cache', headers } : { cache: 'no-cache' });
+  } catch (error) {
+    // Validator headers need a CORS preflight; retry as a plain request if the host refused it
+    if (!isConditional) throw error;
+    response = await fetch(url, { cache: 'no-cache' });
+    // The plain request went through, so the preflight was the problem: stop sending validators there
+    hostsWithoutConditionalRequests.add(host);
+    console.warn(`⚠ ${host} refused conditional requests; revalidating without validators`);
+  }
+
+  if (response.status === 304 && cacheEntry) {
+    const renewed = saveCacheEntry(fileName, cacheEntry.data, cacheEntry);
+    console.log(`✓ ${fileName} not modified`);
+    return { data: cacheEntry.data, changed: false, timestamp: renewed.timestamp };
+  }
+
+  if (!response.ok) {
+    // Check if it's a 404 (file not found)
+    if (response.status === 404) {
+      throw new Error(`Price data file not found: ${fileName} (404 Not Found)`);
+    }
+    throw new Error(`Failed to fetch ${fileName}: ${response.status} ${response.statusText}`);
+  }
+
+  const json = await response.json();
+  const data = transform ? transform(json) : json;
+  const changed = !cacheEntry || JSON.stringify(cacheEntry.data) !== JSON.stringify(data);
+  const saved = saveCacheEntry(fileName, data, {
+    etag: response.headers?.get('ETag'),
+    lastModified: response.headers?.get('Last-Modified'),
+  });
+  return { data, changed, timestamp: saved.timestamp };
+}
+
+/**
+ * Revalidate a file against its remote URL in the background; concurrent calls for the same file share
+ * one request. Listeners (see onDataRevalidated) are notified when the data changed.
+ * @param {string} fileName - The JSON file name, also the cache key
+ * @param {object} [options]
+ * @param {string} [options.url] - Remote URL (defaults to fileName on the data host)
+ * @param {Function} [options.transform] - Applied to the downloaded JSON (e.g. a price provider's normalizer)
+ * @returns {Promise<{ data: any, changed: boolean, timestamp: number }>}
+ */
+export function revalidateData(fileName, options = {}) {
+  if (pendingRevalidations.has(fileName)) {
+    return pendingRevalidations.get(fileName);
+  }
+
+  const url = options.url === undefined ? `${DATA_BASE_URL}${fileName}` : options.url;
+  const revalidation = fetchRemote(fileName, url, getCacheEntry(fileName), options.transform)
+    .then(result => {
+      if (result.changed) {
+        console.log(`✓ ${fileName} changed on revalidation`);
+        revalidationListeners.forEach(listener => {
+          try {
+            listener(fileName, result.data);
+          } catch (error) {
+            console.error(`Error in revalidation listener for ${fileName}:`, error);
+          }
+        });
+      }
+      return result;
+    })
+    .finally(() => pendingRevalidations.delete(fileName));
+  pendingRevalidations.set(fileName, revalidation);
+  return revalidation;
 }
 
 
@@ -63,40 +237,53 @@ function isCacheExpired(cacheEntry) {
  * Fetch data from remote URL with fallback to local
  * @param {string} fileName - The JSON file name (e.g., 'scarabPrices_Keepers.json')
  * @param {string} localPath - Local path to fallback file (e.g., '/data/prices/scarabPrices.json')
+ * @param {object} [options] - See fetchDataWithSource
  * @returns {Promise<any>} The JSON data
  */
-export async function fetchDataWithFallback(fileName, localPath) {
-  const url = `${DATA_BASE_URL}${fileName}`;
+export async function fetchDataWithFallback(fileName, localPath, options = {}) {
+  const { data } = await fetchDataWithSource(fileName, localPath, options);
+  return data;
+}
+
+/**
+ * Fetch data from remote URL with fallback to local, reporting where the data came from
+ * @param {string} fileName - The JSON file name, also the cache key
+ * @param {string} localPath - Local path to fallback file
+ * @param {object} [options]
+ * @param {string|null} [options.url] - Remote URL (defaults to fileName on the data host; null for none)
+ * @param {Function} [options.transform] - Applied to the downloaded JSON before it is cached
+ * @param {number} [options.maxAge] - Maximum cache age in milliseconds (defaults to the file's TTL, see setCacheTtl)
+ * @param {boolean} [options.staleWhileRevalidate=true] - Return expired cached data immediately and
+ *   revalidate it in the background instead of waiting for the remote
+ * @returns {Promise<{ data: any, source: string, timestamp: number|null }>} Data, one of DATA_SOURCES and
+ *   the cache timestamp (null for local fallback data)
+ */
+export async function fetchDataWithSource(fileName, localPath, options = {}) {
+  const { url, transform, maxAge = getCacheTtl(fileName), staleWhileRevalidate = true } = options;
   const cacheEntry = getCacheEntry(fileName);
 
   // If we have valid cached data, return it immediately
-  if (cacheEntry && !isCacheExpired(cacheEntry)) {
+  if (cacheEntry && !isCacheExpired(cacheEntry, maxAge)) {
     console.log(`✓ Using cached ${fileName}`);
-    return cacheEntry.data;
+    return { data: cacheEntry.data, source: DATA_SOURCES.CACHE, timestamp: cacheEntry.timestamp };
   }
 
-  // Try to fetch from remote
-  try {
-    console.log(`Fetching ${fileName} from ${url}...`);
-    const response = await fetch(url, {
-      cache: 'no-cache',
+  // Serve expired remote data now and refresh it in the background
+  if (cacheEntry && !cacheEntry.isLocal && staleWhileRevalidate) {
+    revalidateData(fileName, { url, transform }).catch(error => {
+      console.warn(`⚠ Background revalidation of ${fileName} failed, keeping cached data:`, error);
     });
+    console.log(`✓ Using cached ${fileName} while revalidating`);
+    return { data: cacheEntry.data, source: DATA_SOURCES.REVALIDATING, timestamp: cacheEntry.timestamp };
+  }
 
-    if (!response.ok) {
-      // Check if it's a 404 (file not found)
-      if (response.status === 404) {
-        throw new Error(`Price data file not found: ${fileName} (404 Not Found)`);
-      }
-      throw new Error(`Failed to fetch ${fileName}: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    
-    // Save to cache
-    saveCacheEntry(fileName, data);
-    
+  // Try to fetch from remote
+  try {
+    const remoteUrl = url === undefined ? `${DATA_BASE_URL}${fileName}` : url;
+    console.log(`Fetching ${fileName} from ${remoteUrl}...`);
+    const { data, timestamp } = await fetchRemote(fileName, remoteUrl, cacheEntry, transform);
     console.log(`✓ Successfully loaded ${fileName} from remote`);
-    return data;
+    return { data, source: DATA_SOURCES.REMOTE, timestamp };
   } catch (error) {
     console.warn(`⚠ Failed to fetch ${fileName} from remote, trying local fallback:`, error);
 
@@ -112,16 +299,16 @@ export async function fetchDataWithFallback(fileName, localPath) {
       // If we have stale cache, prefer it over local fallback
       if (cacheEntry && !cacheEntry.isLocal) {
         console.log(`✓ Using stale cached ${fileName} (local fallback available but cache is preferred)`);
-        return cacheEntry.data;
+        return { data: cacheEntry.data, source: DATA_SOURCES.STALE_CACHE, timestamp: cacheEntry.timestamp };
       }
 
       console.log(`✓ Loaded ${fileName} from local fallback (${localPath})`);
-      return data;
+      return { data, source: DATA_SOURCES.LOCAL, timestamp: null };
     } catch (localError) {
       // If we have any cached data (even expired), use it
       if (cacheEntry) {
         console.warn(`⚠ Using expired cache for ${fileName} (all fetch attempts failed)`);
-        return cacheEntry.data;
+        return { data: cacheEntry.data, source: DATA_SOURCES.STALE_CACHE, timestamp: cacheEntry.timestamp };
       }
 
       console.error(`✗ Failed to load ${fileName} from all sources:`, localError);
@@ -142,37 +329,36 @@ export async function fetchDataWithFallback(fileName, localPath) {
 }
 
 /**
- * Force refresh data from remote, bypassing cache
+ * Force refresh data from remote, ignoring the cache age and waiting for the result.
+ * The request is conditional, so unchanged files are not downloaded again.
  * @param {string} fileName - The JSON file name
  * @param {string} localPath - Local path to fallback file
+ * @param {object} [options] - See fetchDataWithSource
  * @returns {Promise<any>} Fresh data
  */
-export async function forceRefreshData(fileName, localPath) {
-  // Clear cache
-  try {
-    const cacheKey = getCacheKey(fileName);
-    localStorage.removeItem(cacheKey);
-  } catch (error) {
-    console.error(`Error clearing cache for ${fileName}:`, error);
-  }
-
-  // Fetch fresh data
-  return await fetchDataWithFallback(fileName, localPath);
+export async function forceRefreshData(fileName, localPath, options = {}) {
+  return await fetchDataWithFallback(fileName, localPath, { ...options, maxAge: 0, staleWhileRevalidate: false });
 }
 
 /**
  * Get cache information for a file
  * @param {string} fileName - The file name
- * @returns {object} Cache info with timestamp and age
+ * @returns {object} Cache info with timestamp, age, the file's TTL (maxAge), whether it is expired and
+ *   whether a revalidation is in flight
  */
 export function getCacheInfo(fileName) {
   const cacheEntry = getCacheEntry(fileName);
+  const maxAge = getCacheTtl(fileName);
+  const isRevalidating = pendingRevalidations.has(fileName);
   if (!cacheEntry) {
     return {
       hasCache: false,
       timestamp: null,
       age: null,
       isLocal: false,
+      maxAge,
+      isExpired: true,
+      isRevalidating,
     };
   }
 
@@ -181,6 +367,9 @@ export function getCacheInfo(fileName) {
     timestamp: cacheEntry.timestamp,
     age: Date.now() - cacheEntry.timestamp,
     isLocal: cacheEntry.isLocal,
+    maxAge,
+    isExpired: isCacheExpired(cacheEntry, maxAge),
+    isRevalidating,
   };
 }
 
@@ -0,0 +1,506 @@
+/**
+ * Distribution Utilities
+ * Helpers for working with the discrete return distribution of a reroll trade
+ */
+
+const LATTICE_RESOLUTION = 2048; // Lattice steps between the lowest and highest outcome
+const MAX_LATTICE_POINTS = 1 << 14; // Coarsen the lattice once a distribution outgrows this
+const TAIL_EPSILON = 1e-12;
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ * @param {boolean} inverse - Compute the inverse transform (unscaled)
+ */
+function fft(re, im, inverse) {
+  const size = re.length;
+
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / length;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    const half = length >> 1;
+    for (let start = 0; start < size; start += length) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Drop negligible tail mass, folding it into the new edge points so the
+ * support stays as small as the distribution allows
+ * @param {object} dist - Lattice distribution { offset, probs }
+ * @returns {object} Trimmed lattice distribution
+ */
+function trimTails(dist) {
+  const { probs } = dist;
+  let first = 0;
+  let lowerMass = probs[0];
+  while (first < probs.length - 1 && lowerMass + probs[first + 1] < TAIL_EPSILON) {
+    first++;
+    lowerMass += probs[first];
+  }
+  let last = probs.length - 1;
+  let upperMass = probs[last];
+  while (last > first && upperMass + probs[last - 1] < TAIL_EPSILON) {
+    last--;
+    upperMass += probs[last];
+  }
+
+  if (first === 0 && last === probs.length - 1) {
+    return dist;
+  }
+
+  const trimmed = probs.slice(first, last + 1);
+  trimmed[0] += lowerMass - probs[first];
+  trimmed[trimmed.length - 1] += upperMass - probs[last];
+  return { offset: dist.offset + first, probs: trimmed };
+}
+
+/**
+ * Halve the lattice resolution, splitting odd points between their two coarse
+ * neighbours so the mean is preserved
+ * @param {object} dist - Lattice distribution { offset, probs }
+ * @returns {object} Lattice distribution on a lattice with twice the step
+ */
+function coarsen(dist) {
+  const start = Math.floor(dist.offset / 2);
+  const end = Math.floor((dist.offset + dist.probs.length) / 2);
+  const probs = new Float64Array(end - start + 1);
+  dist.probs.forEach((mass, i) => {
+    const index = dist.offset + i;
+    const coarseIndex = Math.floor(index / 2) - start;
+    if (index % 2 === 0) {
+      probs[coarseIndex] += mass;
+    } else {
+      probs[coarseIndex] += mass / 2;
+      probs[coarseIndex + 1] += mass / 2;
+    }
+  });
+  return trimTails({ offset: start, probs });
+}
+
+/**
+ * Convolve two lattice distributions (distribution of the sum of independent draws)
+ * @param {object} distA - Lattice distribution { offset, probs }
+ * @param {object} distB - Lattice distribution { offset, probs }
+ * @returns {object} Lattice distribution of the sum
+ */
+function convolve(distA, distB) {
+  const length = distA.probs.length + distB.probs.length - 1;
+  let size = 1;
+  while (size < length) size <<= 1;
+
+  const aRe = new Float64Array(size);
+  const aIm = new Float64Array(size);
+  const bRe = new Float64Array(size);
+  const bIm = new Float64Array(size);
+  aRe.set(distA.probs);
+  bRe.set(distB.probs);
+
+  fft(aRe, aIm, false);
+  fft(bRe, bIm, false);
+  for (let i = 0; i < size; i++) {
+    const re = aRe[i] * bRe[i] - aIm[i] * bIm[i];
+    aIm[i] = aRe[i] * bIm[i] + aIm[i] * bRe[i];
+    aRe[i] = re;
+  }
+  fft(aRe, aIm, true);
+
+  const probs = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    // Round-off can leave tiny negative values in empty regions
+    probs[i] = Math.max(0, aRe[i] / size);
+  }
+
+  return trimTails({ offset: distA.offset + distB.offset, probs });
+}
+
+/**
+ * Compute the distribution of the mean outcome over n independent trades.
+ * Outcomes are placed on a fine lattice (splitting each outcome between its two
+ * neighbouring lattice points, which preserves the mean exactly) and the n-trade
+ * sum is built by FFT convolution with binary doubling, so cost grows with log n.
+ * The lattice is coarsened as the sum spreads out, keeping its size bounded.
+ *
+ * @param {Array<number>} values - Outcome values of a single trade
+ * @param {Array<number>} weights - Outcome weights of a single trade (need not sum to 1)
+ * @param {number} numberOfTrades - Number of trades (n >= 1)
+ * @returns {object} Distribution of the mean { min, step, offset, probs } where
+ *   probs[i] is the probability that the mean equals min + (offset + i) × step
+ */
+export function computeMeanDistribution(values, weights, numberOfTrades) {
+  if (values.length === 0 || values.length !== weights.length) {
+    throw new Error('Values and weights must be non-empty arrays of equal length');
+  }
+  const trades = Math.floor(numberOfTrades);
+  if (!(trades >= 1)) {
+    throw new Error('Number of trades must be at least 1');
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  if (max === min) {
+    return { min, step: 0, offset: 0, probs: Float64Array.of(1) };
+  }
+
+  let latticeStep = (max - min) / LATTICE_RESOLUTION;
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const single = new Float64Array(LATTICE_RESOLUTION + 1);
+  values.forEach((value, i) => {
+    const position = (value - min) / latticeStep;
+    const index = Math.min(Math.floor(position), LATTICE_RESOLUTION - 1);
+    const fraction = position - index;
+    const probability = weights[i] / totalWeight;
+    single[index] += probability * (1 - fraction);
+    single[index + 1] += probability * fraction;
+  });
+
+  let power = trimTails({ offset: 0, probs: single });
+  let sum = null;
+  let remaining = trades;
+
+  while (remaining > 0) {
+    if (remaining & 1) {
+      sum = sum ? convolve(sum, power) : power;
+    }
+    remaining = Math.floor(remaining / 2);
+    if (remaining > 0) {
+      power = convolve(power, power);
+    }
+    while (power.probs.length > MAX_LATTICE_POINTS || (sum && sum.probs.length > MAX_LATTICE_POINTS)) {
+      power = coarsen(power);
+      sum = sum && coarsen(sum);
+      latticeStep *= 2;
+    }
+  }
+
+  // Sum of n outcomes = n × min + lattice index × latticeStep, so the mean
+  // lives on a lattice with step latticeStep / n starting at min
+  return { min, step: latticeStep / trades, offset: sum.offset, probs: sum.probs };
+}
+
+/**
+ * Get a lower quantile of a mean distribution, interpolating the CDF linearly
+ * between lattice points
+ * @param {object} dist - Distribution from computeMeanDistribution
+ * @param {number} probability - Target cumulative probability (0-1)
+ * @returns {number} Quantile value
+ */
+export function getDistributionQuantile(dist, probability) {
+  const { min, step, offset, probs } = dist;
+  let cumulative = 0;
+  for (let i = 0; i < probs.length; i++) {
+    const next = cumulative + probs[i];
+    if (next >= probability) {
+      if (i === 0 || probs[i] === 0) {
+        return min + (offset + i) * step;
+      }
+      const fraction = (probability - cumulative) / probs[i];
+      return min + (offset + i - 1 + fraction) * step;
+    }
+    cumulative = next;
+  }
+  return min + (offset + probs.length - 1) * step;
+}
+
+/**
+ * Get the probability that the mean falls below a value; the inverse of getDistributionQuantile,
+ * interpolating the CDF linearly between lattice points in the same way
+ * @param {object} dist - Distribution from computeMeanDistribution
+ * @param {number} value - Mean value
+ * @returns {number} Cumulative probability (0-1)
+ */
+export function getDistributionCdf(dist, value) {
+  const { min, step, offset, probs } = dist;
+  if (step === 0) {
+    return value > min ? 1 : 0;
+  }
+  const position = (value - min) / step - offset;
+  if (position <= 0) return 0;
+  if (position >= probs.length - 1) return 1;
+
+  const index = Math.floor(position) + 1;
+  let cumulative = 0;
+  for (let i = 0; i < index; i++) {
+    cumulative += probs[i];
+  }
+  return Math.min(1, cumulative + (position - (index - 1)) * probs[index]);
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation,
+ * relative error below 1.2e-9 over the whole range)
+ * @param {number} p - Cumulative probability (0 < p < 1)
+ * @returns {number} z such that Φ(z) = p
+ */
+export function inverseNormalCdf(p) {
+  if (!(p > 0 && p < 1)) {
+    throw new Error(`Probability must be between 0 and 1 (exclusive), got ${p}`);
+  }
+
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    return -inverseNormalCdf(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive argument
+ * @returns {number} ln Γ(x)
+ */
+export function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941678, 24.01409824083091, -1.231739572450155, 1.208650973866179e-3, -5.395239384953e-6];
+  let denominator = x;
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) {
+    denominator += 1;
+    series += coefficient / denominator;
+  }
+  const tmp = x + 5.5;
+  return Math.log(2.5066282746310002 * series / x) - (tmp - (x + 0.5) * Math.log(tmp));
+}
+
+/**
+ * Continued fraction for the regularized incomplete beta function (modified Lentz)
+ * @param {number} x
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let numerator = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    numerator = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - 0 <= x <= 1
+ * @param {number} a - a > 0
+ * @param {number} b - b > 0
+ * @returns {number}
+ */
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * CDF of Student's t distribution
+ * @param {number} t - Value
+ * @param {number} degreesOfFreedom - Degrees of freedom (> 0)
+ * @returns {number} P(T <= t)
+ */
+export function studentTCdf(t, degreesOfFreedom) {
+  const tail = 0.5 * regularizedIncompleteBeta(
+    degreesOfFreedom / (degreesOfFreedom + t * t),
+    degreesOfFreedom / 2,
+    0.5
+  );
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Inverse of Student's t CDF (bisection on studentTCdf)
+ * @param {number} p - Cumulative probability (0 < p < 1)
+ * @param {number} degreesOfFreedom - Degrees of freedom (> 0)
+ * @returns {number} t such that P(T <= t) = p
+ */
+export function inverseStudentTCdf(p, degreesOfFreedom) {
+  if (!(p > 0 && p < 1)) {
+    throw new Error(`Probability must be between 0 and 1 (exclusive), got ${p}`);
+  }
+  if (!(degreesOfFreedom > 0)) {
+    throw new Error('Degrees of freedom must be greater than 0');
+  }
+  if (p < 0.5) {
+    return -inverseStudentTCdf(1 - p, degreesOfFreedom);
+  }
+
+  let low = 0;
+  let high = Math.max(1, inverseNormalCdf(p));
+  while (studentTCdf(high, degreesOfFreedom) < p) {
+    low = high;
+    high *= 2;
+  }
+  for (let i = 0; i < 200 && high - low > 1e-12 * high; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, degreesOfFreedom) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ * Series expansion below x = a + 1, continued fraction (modified Lentz) above.
+ * @param {number} a - a > 0
+ * @param {number} x - x >= 0
+ * @returns {number}
+ */
+function regularizedLowerGamma(a, x) {
+  if (x <= 0) return 0;
+  const front = Math.exp(a * Math.log(x) - x - logGamma(a));
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n <= 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return front * sum;
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let result = d;
+  for (let n = 1; n <= 500; n++) {
+    const numerator = -n * (n - a);
+    b += 2;
+    d = numerator * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return 1 - front * result;
+}
+
+/**
+ * CDF of the standard normal distribution
+ * @param {number} z - Value
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z) {
+  const half = 0.5 * regularizedLowerGamma(0.5, z * z / 2);
+  return z >= 0 ? 0.5 + half : 0.5 - half;
+}
+
+/**
+ * Upper tail of the chi-square distribution (p-value of a chi-square statistic)
+ * @param {number} x - Statistic (>= 0)
+ * @param {number} degreesOfFreedom - Degrees of freedom (> 0)
+ * @returns {number} P(X >= x)
+ */
+export function chiSquareSurvival(x, degreesOfFreedom) {
+  if (!(degreesOfFreedom > 0)) {
+    throw new Error('Degrees of freedom must be greater than 0');
+  }
+  return 1 - regularizedLowerGamma(degreesOfFreedom / 2, x / 2);
+}
+
+/**
+ * CDF of the binomial distribution, via the incomplete beta function
+ * @param {number} k - Number of successes
+ * @param {number} n - Number of trials
+ * @param {number} p - Success probability (0-1)
+ * @returns {number} P(X <= k)
+ */
+export function binomialCdf(k, n, p) {
+  if (k < 0) return 0;
+  if (k >= n) return 1;
+  if (p <= 0) return 1;
+  if (p >= 1) return 0;
+  return regularizedIncompleteBeta(1 - p, n - k, k + 1);
+}
+
+/**
+ * Get the value the mean outcome over n trades stays above with the given confidence,
+ * i.e. the (1 - confidence) quantile of the n-trade mean
+ * @param {Array<number>} values - Outcome values of a single trade
+ * @param {Array<number>} weights - Outcome weights of a single trade
+ * @param {number} numberOfTrades - Number of trades
+ * @param {number} confidencePercentile - Confidence level (0-1), e.g. 0.9
+ * @returns {number} Lower bound of the n-trade mean
+ */
+export function computeMeanLowerBound(values, weights, numberOfTrades, confidencePercentile) {
+  const dist = computeMeanDistribution(values, weights, numberOfTrades);
+  return getDistributionQuantile(dist, 1 - confidencePercentile);
+}
@@ -3,6 +3,83 @@
  * Helper functions for simulation operations
  */
 
+/** Largest seed: seeds are unsigned 32-bit integers */
+export const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Check a simulation seed
+ * @param {*} seed
+ * @returns {boolean} True for a whole number between 0 and MAX_SEED
+ */
+export function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+/**
+ * Pick a new seed
+ * @returns {number}
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Derive an independent seed from a seed, for a second random stream of the same run
+ * @param {number} seed
+ * @param {number} stream - Stream number (1, 2, ...)
+ * @returns {number}
+ */
+export function deriveSeed(seed, stream) {
+  return (seed ^ Math.imul(stream, 0x9E3779B9)) >>> 0;
+}
+
+/**
+ * Create a seeded uniform [0, 1) generator (mulberry32): the same seed yields the same sequence,
+ * so a simulation can be replayed exactly
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {Function} Drop-in replacement for Math.random
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * How a run's random draws are derived from its seed. Saved results record their scheme so they replay
+ * exactly after the scheme changes:
+ * 1 - one stream for all draws (results saved without a scheme)
+ * 2 - returns and random input picks on separate streams
+ */
+export const LEGACY_SEED_SCHEME = 1;
+export const SEED_SCHEME_VERSION = 2;
+
+/**
+ * Create the random streams of a simulation run
+ * @param {number} seed
+ * @param {number} seedScheme - LEGACY_SEED_SCHEME or SEED_SCHEME_VERSION
+ * @returns {{ returnRandom: Function, inputRandom: Function }} Generators for the returned and the input scarabs
+ */
+export function createSimulationRandoms(seed, seedScheme = SEED_SCHEME_VERSION) {
+  const returnRandom = createSeededRandom(seed);
+  const inputRandom = seedScheme === LEGACY_SEED_SCHEME ? returnRandom : createSeededRandom(deriveSeed(seed, 1));
+  return { returnRandom, inputRandom };
+}
+
+/**
+ * Check a seed scheme
+ * @param {*} seedScheme
+ * @returns {boolean}
+ */
+export function isValidSeedScheme(seedScheme) {
+  return Number.isInteger(seedScheme) && seedScheme >= LEGACY_SEED_SCHEME && seedScheme <= SEED_SCHEME_VERSION;
+}
+
 /**
  * Identify rare scarabs based on drop weight percentile threshold
  * @param {Array<Scarab>} scarabs - All scarabs to analyze
@@ -31,9 +108,10 @@ export function identifyRareScarabs(scarabs, threshold = 0.1) {
  * Select a scarab using weighted random selection based on drop weights
  * @param {Array<Scarab>} scarabs - Available scarabs with drop weights
  * @param {number} totalWeight - Total weight of all scarabs (pre-calculated for efficiency)
+ * @param {Function} random - Uniform [0, 1) generator (see createSeededRandom)
  * @returns {Scarab} Selected scarab
  */
-export function selectWeightedRandomScarab(scarabs, totalWeight) {
+export function selectWeightedRandomScarab(scarabs, totalWeight, random = Math.random) {
   if (scarabs.length === 0) {
     throw new Error('No scarabs available for selection');
   }
@@ -43,13 +121,13 @@ export function selectWeightedRandomScarab(scarabs, totalWeight) {
   }
   
   // Generate random number between 0 and totalWeight
-  const random = Math.random() * totalWeight;
+  const target = random() * totalWeight;
   
   // Find the scarab that corresponds to this random value
   let cumulativeWeight = 0;
   for (const scarab of scarabs) {
     cumulativeWeight += scarab.dropWeight;
-    if (random <= cumulativeWeight) {
+    if (target <= cumulativeWeight) {
       return scarab;
     }
   }
@@ -72,12 +150,97 @@ export function checkBreakevenAchieved(previousCumulative, currentCumulative, br
   return previousCumulative < breakevenPoint && currentCumulative >= breakevenPoint;
 }
 
+/**
+ * Calculate the largest fall of cumulative profit/loss from a previous peak (the start counts as a peak of 0)
+ * @param {Array<{ cumulativeProfitLoss: number }>} transactions - In trade order
+ * @returns {number} Chaos (>= 0)
+ */
+export function calculateMaxDrawdown(transactions) {
+  return calculateDrawdownStatistics(transactions).maxDrawdown;
+}
+
+/**
+ * Calculate the drawdown statistics of a cumulative profit/loss path (the start counts as a peak of 0)
+ * @param {Array<{ profitLoss: number, cumulativeProfitLoss: number }>} transactions - In trade order
+ * @returns {Object} { maxDrawdown (chaos), longestLosingStreak (consecutive losing trades),
+ *   tradesUnderWater (trades below the previous peak), recoveryTrades (trades from the deepest point back to
+ *   the peak before it; null when the run ended before recovering, 0 without a drawdown) }
+ */
+export function calculateDrawdownStatistics(transactions) {
+  let peak = 0;
+  let maxDrawdown = 0;
+  let troughIndex = -1;
+  let losingStreak = 0;
+  let longestLosingStreak = 0;
+  let tradesUnderWater = 0;
+
+  transactions.forEach((transaction, index) => {
+    const cumulative = transaction.cumulativeProfitLoss;
+    peak = Math.max(peak, cumulative);
+    if (peak - cumulative > maxDrawdown) {
+      maxDrawdown = peak - cumulative;
+      troughIndex = index;
+    }
+    if (cumulative < peak) {
+      tradesUnderWater++;
+    }
+    losingStreak = transaction.profitLoss < 0 ? losingStreak + 1 : 0;
+    longestLosingStreak = Math.max(longestLosingStreak, losingStreak);
+  });
+
+  let recoveryTrades = 0;
+  if (troughIndex >= 0) {
+    const troughPeak = transactions[troughIndex].cumulativeProfitLoss + maxDrawdown;
+    const recoveryIndex = transactions.findIndex((transaction, index) =>
+      index > troughIndex && transaction.cumulativeProfitLoss >= troughPeak);
+    recoveryTrades = recoveryIndex >= 0 ? recoveryIndex - troughIndex : null;
+  }
+
+  return { maxDrawdown, longestLosingStreak, tradesUnderWater, recoveryTrades };
+}
+
+/**
+ * Reduce a cumulative profit/loss path to at most about maxPoints points for charting, keeping the lowest
+ * and highest point of each bucket so spikes and drawdowns stay visible
+ * @param {Array<{ transactionNumber: number, cumulativeProfitLoss: number }>} transactions - In trade order
+ * @param {number} maxPoints
+ * @returns {Array<{ transactionNumber: number, cumulativeProfitLoss: number }>}
+ */
+export function downsampleCumulativeProfit(transactions, maxPoints = 2000) {
+  if (transactions.length <= maxPoints) {
+    return transactions.map(({ transactionNumber, cumulativeProfitLoss }) => ({ transactionNumber, cumulativeProfitLoss }));
+  }
+
+  const bucketSize = Math.ceil(transactions.length / Math.floor(maxPoints / 2));
+  const points = [];
+  for (let start = 0; start < transactions.length; start += bucketSize) {
+    const end = Math.min(start + bucketSize, transactions.length);
+    let low = start;
+    let high = start;
+    for (let i = start + 1; i < end; i++) {
+      if (transactions[i].cumulativeProfitLoss < transactions[low].cumulativeProfitLoss) low = i;
+      if (transactions[i].cumulativeProfitLoss > transactions[high].cumulativeProfitLoss) high = i;
+    }
+    for (const i of low === high ? [low] : [Math.min(low, high), Math.max(low, high)]) {
+      points.push({ transactionNumber: transactions[i].transactionNumber, cumulativeProfitLoss: transactions[i].cumulativeProfitLoss });
+    }
+  }
+
+  // Always end on the final trade
+  const last = transactions[transactions.length - 1];
+  if (points[points.length - 1].transactionNumber !== last.transactionNumber) {
+    points.push({ transactionNumber: last.transactionNumber, cumulativeProfitLoss: last.cumulativeProfitLoss });
+  }
+  return points;
+}
+
 /**
  * Randomly select 3 unique scarabs from an array
  * @param {Array<Scarab>} scarabs - Array of scarabs to choose from
+ * @param {Function} random - Uniform [0, 1) generator (see createSeededRandom)
  * @returns {Array<Scarab>} Array of 3 randomly selected scarabs
  */
-export function selectRandomThree(scarabs) {
+export function selectRandomThree(scarabs, random = Math.random) {
   if (scarabs.length < 3) {
     throw new Error('Need at least 3 scarabs to select from');
   }
@@ -93,7 +256,7 @@ export function selectRandomThree(scarabs) {
   
   // Randomly select 3 unique scarabs
   for (let i = 0; i < 3; i++) {
-    const randomIndex = Math.floor(Math.random() * available.length);
+    const randomIndex = Math.floor(random() * available.length);
     selected.push(available[randomIndex]);
     available.splice(randomIndex, 1);
   }
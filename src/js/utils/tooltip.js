@@ -3,6 +3,9 @@
  * Creates and manages tooltips for displaying scarab details
  */
 
+import { renderTooltipTrend } from '../components/priceSparkline.js';
+import { getPriceQuote } from '../services/priceSpreadService.js';
+
 let tooltipElement = null;
 let currentScarab = null;
 
@@ -124,10 +127,17 @@ function buildCatalystTooltipContent(catalyst) {
     parts.push(`<div class="tooltip-price-item"><span class="tooltip-price-unavailable">Price data unavailable</span></div>`);
   }
   parts.push('</div>');
+  parts.push(renderOverrideNote(catalyst));
+  parts.push(renderBidAskNote(catalyst));
+  parts.push(renderTooltipTrend('catalyst', catalyst.id));
   if (catalyst.dropWeight != null) {
     parts.push('<div class="tooltip-separator"></div>');
     parts.push(`<div class="tooltip-details"><div class="tooltip-detail-item">Drop weight: ${(catalyst.dropWeight * 100).toFixed(2)}%</div></div>`);
   }
+  if (catalyst.profitabilityStatus && catalyst.profitabilityStatus !== 'unknown') {
+    parts.push('<div class="tooltip-separator"></div>');
+    parts.push(`<div class="tooltip-details"><div class="tooltip-detail-item">Vendor EV: ${formatPrice(catalyst.expectedValue)}c</div><div class="tooltip-detail-item">Threshold: ${formatPrice(catalyst.threshold)}c</div></div>`);
+  }
   return parts.join('');
 }
 
@@ -173,6 +183,9 @@ function buildFossilTooltipContent(fossil) {
     parts.push(`<div class="tooltip-price-item"><span class="tooltip-price-unavailable">Price data unavailable</span></div>`);
   }
   parts.push('</div>');
+  parts.push(renderOverrideNote(fossil));
+  parts.push(renderBidAskNote(fossil));
+  parts.push(renderTooltipTrend('fossil', fossil.id));
   if (fossil.dropWeight != null) {
     parts.push('<div class="tooltip-separator"></div>');
     parts.push(`<div class="tooltip-details"><div class="tooltip-detail-item">Drop weight: ${(fossil.dropWeight * 100).toFixed(2)}%</div></div>`);
@@ -232,6 +245,9 @@ function buildOilTooltipContent(oil) {
     parts.push(`<div class="tooltip-price-item"><span class="tooltip-price-unavailable">Price data unavailable</span></div>`);
   }
   parts.push('</div>');
+  parts.push(renderOverrideNote(oil));
+  parts.push(renderBidAskNote(oil));
+  parts.push(renderTooltipTrend('oil', oil.id));
   return parts.join('');
 }
 
@@ -269,6 +285,9 @@ function buildDeliriumOrbTooltipContent(item) {
     parts.push(`<div class="tooltip-price-item"><span class="tooltip-price-unavailable">Price data unavailable</span></div>`);
   }
   parts.push('</div>');
+  parts.push(renderOverrideNote(item));
+  parts.push(renderBidAskNote(item));
+  parts.push(renderTooltipTrend('deliriumOrb', item.id));
   return parts.join('');
 }
 
@@ -306,6 +325,9 @@ function buildEmblemTooltipContent(item) {
     parts.push(`<div class="tooltip-price-item"><span class="tooltip-price-unavailable">Price data unavailable</span></div>`);
   }
   parts.push('</div>');
+  parts.push(renderOverrideNote(item));
+  parts.push(renderBidAskNote(item));
+  parts.push(renderTooltipTrend('emblem', item.id));
   return parts.join('');
 }
 
@@ -330,6 +352,9 @@ function buildEssenceTooltipContent(essence) {
     parts.push(`<div class="tooltip-price-item"><span class="tooltip-price-unavailable">Price data unavailable</span></div>`);
   }
   parts.push('</div>');
+  parts.push(renderOverrideNote(essence));
+  parts.push(renderBidAskNote(essence));
+  parts.push(renderTooltipTrend('essence', essence.id));
   if (essence.dropWeight != null) {
     parts.push('<div class="tooltip-separator"></div>');
     parts.push(`<div class="tooltip-details"><div class="tooltip-detail-item">Drop weight: ${(essence.dropWeight * 100).toFixed(2)}%</div></div>`);
@@ -434,13 +459,17 @@ function buildTooltipContent(scarab) {
   }
   
   parts.push('</div>');
+  parts.push(renderOverrideNote(scarab));
+  parts.push(renderBidAskNote(scarab));
+  parts.push(renderTooltipTrend('scarab', scarab.id));
   
   // Additional details
   const details = [];
   
   if (scarab.dropWeight !== null && scarab.dropWeight !== undefined) {
     const weightPercent = (scarab.dropWeight * 100).toFixed(2);
-    details.push(`Drop Weight: ${weightPercent}%`);
+    const stdErrorPercent = scarab.dropWeightStdError != null ? ` ± ${(scarab.dropWeightStdError * 100).toFixed(2)}%` : '';
+    details.push(`Drop Weight: ${weightPercent}%${stdErrorPercent}`);
   }
   
   if (scarab.dropLevel) {
@@ -450,6 +479,18 @@ function buildTooltipContent(scarab) {
   if (scarab.limit) {
     details.push(`Limit: ${scarab.limit}`);
   }
+
+  if (scarab.excludedFromPool) {
+    details.push('Not in return pool (drop-disabled or above area level)');
+  }
+
+  if (scarab.profitabilityStatus && scarab.profitabilityStatus !== 'unknown') {
+    details.push(`Vendor EV: ${formatPrice(scarab.expectedValue)}c`);
+    details.push(`Threshold: ${formatPrice(scarab.threshold)}c`);
+    if (scarab.thresholdBand) {
+      details.push(`Threshold Range: ${formatPrice(scarab.thresholdBand.lower)}c – ${formatPrice(scarab.thresholdBand.upper)}c`);
+    }
+  }
   
   if (details.length > 0) {
     parts.push('<div class="tooltip-separator"></div>');
@@ -471,6 +512,29 @@ function buildTooltipContent(scarab) {
   return parts.join('');
 }
 
+/**
+ * Build the manual price override note of an item
+ * @param {Object} item - Item with priceOverride (see priceOverrideService)
+ * @returns {string} HTML ('' without an override)
+ */
+function renderOverrideNote(item) {
+  if (!item.priceOverride) return '';
+  const feed = item.priceOverride.feedChaosValue;
+  return `<div class="tooltip-price-override">Manual override${feed != null ? ` (feed: ${formatPrice(feed)}c)` : ''}</div>`;
+}
+
+/**
+ * Render the buy and sell prices of an item when bid/ask pricing is enabled
+ * @param {Object} item
+ * @returns {string} HTML
+ */
+function renderBidAskNote(item) {
+  const quote = getPriceQuote(item);
+  if (quote.source === 'mid' || quote.buy === null || quote.sell === null) return '';
+  const origin = quote.source === 'feed' ? 'feed' : 'spread model';
+  return `<div class="tooltip-bid-ask">Buy ${formatPrice(quote.buy)}c · Sell ${formatPrice(quote.sell)}c (${origin})</div>`;
+}
+
 /**
  * Format price value
  * @param {number} value - Price value
@@ -6,6 +6,8 @@
 import { getProfitabilityColor, getProfitabilityBackgroundColor } from '../utils/colorUtils.js';
 import { loadPreferences, savePreferences } from '../services/dataService.js';
 import { highlightCellForEssence, clearEssenceHighlight } from './essenceGridView.js';
+import { renderPriceSparkline, setupSparklineListeners } from '../components/priceSparkline.js';
+import { renderPriceOverrideButton, setupPriceOverrideListeners } from '../components/priceOverrideEditor.js';
 import {
   toggle as selectionToggle,
   has as selectionHas,
@@ -90,6 +92,8 @@ export function renderEssenceList(container, essences, currency = 'chaos') {
   setupSortListeners(container);
   setupSelectionListeners(container);
   setupListHoverListenersForGrid(container);
+  setupSparklineListeners(container, id => currentEssences.find(essence => essence.id === id), 'essence', currency);
+  setupPriceOverrideListeners(container, 'essences', () => currentEssences);
   
   // Subscribe to selection changes to update visual state
   if (selectionUnsubscribeFn) {
@@ -160,7 +164,7 @@ function renderEssenceItem(essence, currency) {
       <img class="essence-image" src="${imagePath}" alt="${essence.name}" onerror="this.style.display='none'">
       <span class="essence-name">${essence.name}</span>
       <span class="essence-weight">${weightDisplay}</span>
-      <span class="essence-value">${valueDisplay}</span>
+      <span class="essence-value">${valueDisplay}${renderPriceSparkline('essence', essence.id, currency)}${renderPriceOverrideButton(essence)}</span>
     </div>
   `;
 }
@@ -6,6 +6,8 @@
 import { getProfitabilityColor, getProfitabilityBackgroundColor } from '../utils/colorUtils.js';
 import { loadPreferences, savePreferences } from '../services/dataService.js';
 import { highlightCellForFossil, clearFossilHighlight } from './fossilGridView.js';
+import { renderPriceSparkline, setupSparklineListeners } from '../components/priceSparkline.js';
+import { renderPriceOverrideButton, setupPriceOverrideListeners } from '../components/priceOverrideEditor.js';
 import {
   toggle as selectionToggle,
   has as selectionHas,
@@ -89,6 +91,8 @@ export function renderFossilList(container, fossils, currency = 'chaos') {
   setupSortListeners(container);
   setupSelectionListeners(container);
   setupListHoverListenersForGrid(container);
+  setupSparklineListeners(container, id => currentFossils.find(fossil => fossil.id === id), 'fossil', currency);
+  setupPriceOverrideListeners(container, 'fossils', () => currentFossils);
   
   // Subscribe to selection changes to update visual state
   if (selectionUnsubscribeFn) {
@@ -148,6 +152,8 @@ function renderFossilItem(fossil, currency) {
       <span class="fossil-drop-weight">${dropWeightDisplay}</span>
       <span class="fossil-value">
         ${value !== null ? `${value.toFixed(2)} ${currency === 'divine' ? 'Div' : 'c'}` : 'N/A'}
+        ${renderPriceSparkline('fossil', fossil.id, currency)}
+        ${renderPriceOverrideButton(fossil)}
       </span>
     </div>
   `;
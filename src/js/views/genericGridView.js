@@ -12,7 +12,7 @@
  * - options → { supportsYieldCounts?, supportsFilteredIds?, supportsCellBackgrounds?, isSimulationCanvas?(canvas) }
  */
 
-import { loadImage, drawCellHighlight, drawCellBorder, clearCanvas } from '../utils/canvasUtils.js';
+import { loadImage, drawCellHighlight, drawCellBorder, drawCellStrike, clearCanvas } from '../utils/canvasUtils.js';
 import { getProfitabilityColor, getProfitabilityBorderColor } from '../utils/colorUtils.js';
 import { getCellAtPosition, getCellById } from '../utils/cellMapper.js';
 import { hideTooltip, updateTooltipPosition } from '../utils/tooltip.js';
@@ -366,6 +366,12 @@ function drawCellOverlay(ctx, cell, item, adapter) {
     drawCellBorder(ctx, cell.x, cell.y, cell.width, cell.height, borderColor, 2);
   }
 
+  // Items left out of the return pool (e.g. drop-disabled Scarabs) are dimmed and struck through
+  if (adapter.isExcludedFromPool && adapter.isExcludedFromPool(item)) {
+    drawCellHighlight(ctx, cell.x, cell.y, cell.width, cell.height, '#000000', 0.5);
+    drawCellStrike(ctx, cell.x, cell.y, cell.width, cell.height, '#9e9e9e', 2);
+  }
+
   if (highlightedItemId === itemId) {
     drawCellHighlight(ctx, cell.x, cell.y, cell.width, cell.height, '#ffd700', 0.6);
     drawCellBorder(ctx, cell.x, cell.y, cell.width, cell.height, '#ffd700', 3);
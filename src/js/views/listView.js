@@ -8,6 +8,9 @@ import { highlightCellForScarab, clearHighlight } from './gridView.js';
 import { filterScarabs } from '../components/filterPanel.js';
 import { showTooltip, hideTooltip, updateTooltipPosition } from '../utils/tooltip.js';
 import { toggle as selectionToggle, has as selectionHas } from '../services/selectionState.js';
+import { getFlipMargin, getFragility } from '../services/sensitivityService.js';
+import { renderPriceSparkline, setupSparklineListeners } from '../components/priceSparkline.js';
+import { renderPriceOverrideButton, setupPriceOverrideListeners } from '../components/priceOverrideEditor.js';
 
 let currentScarabs = [];
 let currentCurrency = 'chaos';
@@ -76,6 +79,12 @@ export function renderListView(container, scarabs, currency = 'chaos', filters =
       <div class="scarab-header-cell value-cell sortable" data-sort-field="value">
         Value${getSortIndicator('value')}
       </div>
+      <div class="scarab-header-cell threshold-cell sortable" data-sort-field="threshold" title="Highest price at which vendoring three of this Scarab is profitable">
+        Threshold${getSortIndicator('threshold')}
+      </div>
+      <div class="scarab-header-cell fragility-cell sortable" data-sort-field="fragility" title="Price change that would flip the profitability status (smallest first = most fragile)">
+        Flip${getSortIndicator('fragility')}
+      </div>
       ${hasYieldCounts ? `
       <div class="scarab-header-cell yield-cell sortable" data-sort-field="yield">
         Yield Count${getSortIndicator('yield')}
@@ -93,6 +102,8 @@ export function renderListView(container, scarabs, currency = 'chaos', filters =
   setupSortListeners(container);
   setupHoverListeners(container);
   setupSelectionListeners(container);
+  setupSparklineListeners(container, id => currentScarabs.find(scarab => scarab.id === id), 'scarab', currency);
+  setupPriceOverrideListeners(container, 'scarabs', () => currentScarabs);
 }
 
 /**
@@ -223,6 +234,16 @@ function sortScarabs(scarabs, sort, currency) {
         bValue = statusOrder[b.profitabilityStatus] ?? 3;
         break;
       }
+      case 'threshold':
+        // Sort by per-Scarab threshold, move Scarabs without one to the end
+        aValue = a.profitabilityStatus === 'unknown' ? Infinity : a.threshold;
+        bValue = b.profitabilityStatus === 'unknown' ? Infinity : b.threshold;
+        break;
+      case 'fragility':
+        // Sort by the relative price move that flips the status, Scarabs without one at the end
+        aValue = getFragility(a);
+        bValue = getFragility(b);
+        break;
       case 'weight':
         // Sort by dropWeight, move null/undefined to the end
         if (a.dropWeight === null || a.dropWeight === undefined) {
@@ -277,15 +298,37 @@ function renderScarabItem(scarab, currency) {
     ? (scarab.dropWeight * 100).toFixed(2) + '%'
     : '—';
 
+  // Per-Scarab threshold (EV of vendoring this Scarab, excluding itself from the return pool)
+  const thresholdDisplay = status === 'unknown'
+    ? '—'
+    : (currency === 'divine' ? `${(scarab.threshold / 150).toFixed(4)} Div` : `${scarab.threshold.toFixed(2)} c`);
+
+  // Price move that would flip the status (the Scarab's own threshold does not depend on its price)
+  const flipMargin = getFlipMargin(scarab);
+  const flipDisplay = !flipMargin
+    ? '—'
+    : (flipMargin.percentChange !== null
+      ? `${flipMargin.percentChange >= 0 ? '+' : ''}${flipMargin.percentChange.toFixed(1)}%`
+      : `+${flipMargin.priceChange.toFixed(2)} c`);
+  const flipTitle = flipMargin ? `Flips at a buy price of ${flipMargin.flipPrice.toFixed(2)} c` : '';
+
+  const excludedMarker = scarab.excludedFromPool
+    ? '<span class="pool-excluded-marker" title="Not in the return pool (drop-disabled or above the area level)">⊘</span>'
+    : '';
+
   return `
-    <div class="scarab-item compact ${isSelected ? 'item-selected' : ''}" data-scarab-id="${scarab.id}" 
+    <div class="scarab-item compact ${isSelected ? 'item-selected' : ''} ${scarab.excludedFromPool ? 'excluded-from-pool' : ''}" data-scarab-id="${scarab.id}" 
          style="border-left: 4px solid ${color}; background-color: ${bgColor};">
       <img class="scarab-image" src="${imagePath}" alt="${scarab.name}" onerror="this.style.display='none'">
-      <span class="scarab-name">${scarab.name}</span>
+      <span class="scarab-name">${excludedMarker}${scarab.name}</span>
       <span class="scarab-weight">${weightPercent}</span>
       <span class="scarab-value">
         ${value !== null ? `${value.toFixed(2)} ${currency === 'divine' ? 'Div' : 'c'}` : 'N/A'}
+        ${renderPriceSparkline('scarab', scarab.id, currency)}
+        ${renderPriceOverrideButton(scarab)}
       </span>
+      <span class="scarab-threshold">${thresholdDisplay}</span>
+      <span class="scarab-fragility" title="${flipTitle}">${flipDisplay}</span>
       ${hasYieldCounts ? `
       <span class="scarab-yield">
         ${yieldCount !== undefined && yieldCount !== null ? yieldCount.toLocaleString() : '0'}
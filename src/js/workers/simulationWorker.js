@@ -0,0 +1,57 @@
+/**
+ * Simulation Worker
+ * Runs simulationService's engine off the main thread for the simulation worker pool.
+ * Receives { type: 'run', taskId, config, scarabs, threshold, spreadModel, liquidityModel },
+ * { type: 'batch', ...the same, seeds, checkpoints } (Monte Carlo runs) and { type: 'cancel', taskId };
+ * posts { type: 'progress', taskId, ... }, { type: 'result', taskId, result } and { type: 'error', taskId, message }.
+ */
+
+import { runSimulation } from '../services/simulationService.js';
+import { runMonteCarloRuns } from '../services/monteCarloService.js';
+import { loadSpreadModel } from '../services/priceSpreadService.js';
+import { loadLiquidityModel } from '../services/liquidityService.js';
+import { Scarab, SimulationConfiguration } from '../models/scarab.js';
+
+/** @type {Map<number, AbortController>} Running tasks by id */
+const runningTasks = new Map();
+
+/**
+ * Run a simulation or a share of a Monte Carlo batch and post its progress and outcome
+ * @param {Object} message - 'run' or 'batch' message
+ */
+async function runTask(message) {
+  const { taskId } = message;
+  const controller = new AbortController();
+  runningTasks.set(taskId, controller);
+
+  try {
+    // Workers have no LocalStorage: price calculations use the page's models
+    loadSpreadModel(message.spreadModel);
+    loadLiquidityModel(message.liquidityModel);
+
+    const scarabs = message.scarabs.map(data => new Scarab(data));
+    const config = new SimulationConfiguration(message.config);
+    const onProgress = progress => self.postMessage({ ...progress, taskId });
+    const result = message.type === 'batch'
+      ? await runMonteCarloRuns(config, scarabs, message.seeds, message.checkpoints, {
+        threshold: message.threshold,
+        onProgress,
+        signal: controller.signal,
+      })
+      : await runSimulation(config, scarabs, onProgress, message.threshold, { signal: controller.signal });
+    self.postMessage({ type: 'result', taskId, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', taskId, message: error.message });
+  } finally {
+    runningTasks.delete(taskId);
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === 'run' || message.type === 'batch') {
+    runTask(message);
+  } else if (message.type === 'cancel') {
+    runningTasks.get(message.taskId)?.abort();
+  }
+};
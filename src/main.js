@@ -3,22 +3,20 @@
  * PoE Flipup - Path of Exile Flipping Profitability Calculator
  */
 
-import { loadAndMergeScarabData, loadPreferences, savePreferences, loadAllItemTypePrices, loadFullEssenceData, getPrimalLifeforcePrice, loadAndMergeFossilData, getWildLifeforcePrice, loadAndMergeCatalystData, loadFullFossilData, loadFullOilData, loadAndMergeDeliriumOrbData, loadFullDeliriumOrbData, loadFullEmblemData, loadFullTattooData, loadTempleUpgradeData } from './js/services/dataService.js';
-import { calculateThreshold, calculateProfitabilityStatus, calculateCatalystThreshold, calculateCatalystProfitabilityStatus, calculateTattooThreshold, calculateTattooProfitabilityStatus } from './js/services/calculationService.js';
-import { calculateExpectedValueForGroup, calculateThresholdForGroup, calculateProfitabilityStatus as calculateEssenceProfitabilityStatus } from './js/services/essenceCalculationService.js';
-import { calculateExpectedValueForGroup as calculateFossilExpectedValueForGroup, calculateThresholdForGroup as calculateFossilThresholdForGroup, calculateProfitabilityStatus as calculateFossilProfitabilityStatus } from './js/services/fossilCalculationService.js';
-import { calculateExpectedValuesForGroup, calculateThresholdForOrb, calculateProfitabilityStatus as calculateDeliriumOrbProfitabilityStatus } from './js/services/deliriumOrbCalculationService.js';
+import { loadAndMergeScarabData, loadPreferences, savePreferences, loadAllItemTypePrices, loadFullEssenceData, getPrimalLifeforcePrice, loadAndMergeFossilData, getWildLifeforcePrice, loadAndMergeCatalystData, loadFullFossilData, loadFullOilData, loadAndMergeDeliriumOrbData, loadFullDeliriumOrbData, loadFullEmblemData, loadFullTattooData, loadTempleUpgradeData, getWeightsStatus } from './js/services/dataService.js';
+import { calculateThreshold, calculateItemThresholds, calculateCatalystThreshold, calculateCatalystItemThresholds, calculateTattooThreshold, calculateTattooItemThresholds } from './js/services/calculationService.js';
+import { calculateGroupThresholds, getRerollCost } from './js/services/rerollEngine.js';
+import { ESSENCE_RULE, FOSSIL_RULE, DELIRIUM_ORB_RULE, REROLL_RULES } from './js/services/rerollRules.js';
 import { priceUpdateService } from './js/services/priceUpdateService.js';
-import { initLeagueService, getSelectedLeague } from './js/services/leagueService.js';
+import { initLeagueService, getSelectedLeague, ITEM_TYPES } from './js/services/leagueService.js';
 import { Scarab } from './js/models/scarab.js';
 import { Catalyst } from './js/models/catalyst.js';
 import { Tattoo } from './js/models/tattoo.js';
 import { Essence } from './js/models/essence.js';
 import { Fossil } from './js/models/fossil.js';
 import { DeliriumOrb } from './js/models/deliriumOrb.js';
-import { groupEssencesByRerollType, createRerollGroup } from './js/utils/essenceGroupUtils.js';
-import { groupFossilsByRerollType, createRerollGroup as createFossilRerollGroup } from './js/utils/fossilGroupUtils.js';
-import { groupDeliriumOrbsByRerollType } from './js/utils/deliriumOrbGroupUtils.js';
+import { createRerollGroup } from './js/utils/essenceGroupUtils.js';
+import { createRerollGroup as createFossilRerollGroup } from './js/utils/fossilGroupUtils.js';
 import {
   renderEssenceList,
   showLoadingState as showEssenceLoadingState,
@@ -32,20 +30,49 @@ import {
   cleanupSelectionSubscription as cleanupFossilSelectionSubscription
 } from './js/views/fossilListView.js';
 import { renderTempleUpgradeList } from './js/views/templeUpgradeListView.js';
-import { renderThresholdDisplay } from './js/components/thresholdDisplay.js';
+import { renderThresholdDisplay, renderWeightsOrigin, renderWeightBand } from './js/components/thresholdDisplay.js';
+import { renderDropLogPanel } from './js/components/dropLogPanel.js';
+import { renderPriceSparkline, setupSparklineListeners } from './js/components/priceSparkline.js';
+import { renderPriceOverrideButton, setupPriceOverrideListeners, renderPriceOverrideSummary } from './js/components/priceOverrideEditor.js';
+import { renderPriceHistoryPanel } from './js/components/priceHistoryPanel.js';
+import { loadPriceHistory, setHistoryLeague } from './js/services/priceHistoryService.js';
+import { setOverrideLeague, onPriceOverridesChanged } from './js/services/priceOverrideService.js';
+import { getBuyPrice, onSpreadModelChanged } from './js/services/priceSpreadService.js';
+import { renderPriceSpreadPanel } from './js/components/priceSpreadPanel.js';
+import { onLiquidityModelChanged } from './js/services/liquidityService.js';
+import { renderLiquidityPanel } from './js/components/liquidityPanel.js';
+import { loadDropLog, applyWeightSource } from './js/services/dropLogService.js';
+import { calculateThresholdSensitivity, getFlipMargin } from './js/services/sensitivityService.js';
 import { getProfitabilityColor, getProfitabilityBackgroundColor } from './js/utils/colorUtils.js';
 import { renderListView, updateListView, showLoadingState, showErrorState } from './js/views/listView.js';
-import { initGridView, updateGridView, setFilteredScarabs, clearFilteredScarabs, teardownGridView } from './js/views/gridView.js';
-import { initEssenceGridView, teardownEssenceGridView } from './js/views/essenceGridView.js';
-import { initCatalystGridView, teardownCatalystGridView, highlightCellForCatalyst, clearCatalystHighlight } from './js/views/catalystGridView.js';
-import { initFossilGridView, teardownFossilGridView } from './js/views/fossilGridView.js';
-import { initOilGridView, teardownOilGridView, highlightCellForOil, clearOilHighlight } from './js/views/oilGridView.js';
-import { initDeliriumOrbGridView, teardownDeliriumOrbGridView, highlightCellForDeliriumOrb, clearDeliriumOrbHighlight } from './js/views/deliriumOrbGridView.js';
-import { initEmblemGridView, teardownEmblemGridView, highlightCellForEmblem, clearEmblemHighlight } from './js/views/emblemGridView.js';
-import { ESSENCE_GRID_CONFIG, CATALYSTS_GRID_CONFIG, FOSSILS_GRID_CONFIG, OILS_GRID_CONFIG, DELIRIUM_ORBS_GRID_CONFIG, EMBLEMS_GRID_CONFIG } from './js/config/gridConfig.js';
+import { updateGridView, setFilteredScarabs, clearFilteredScarabs } from './js/views/gridView.js';
+import { initGenericGridView, teardownGenericGridView } from './js/views/genericGridView.js';
+import { highlightCellForCatalyst, clearCatalystHighlight } from './js/views/catalystGridView.js';
+import { highlightCellForOil, clearOilHighlight } from './js/views/oilGridView.js';
+import { highlightCellForDeliriumOrb, clearDeliriumOrbHighlight } from './js/views/deliriumOrbGridView.js';
+import { highlightCellForEmblem, clearEmblemHighlight } from './js/views/emblemGridView.js';
+import { getCategory, sortCategoryItems, registerCategoryViews } from './js/config/categoryRegistry.js';
+import {
+  getSettings,
+  updateSettings,
+  getSettingsFromPreferences,
+  getRoute,
+  setRoute,
+  getFilters,
+  setFilters,
+  getListSort,
+  setListSort,
+  getCategoryItems,
+  getCategoryThreshold,
+  setCategoryData,
+  subscribe as subscribeState,
+  selectCurrency,
+  selectItems,
+  selectThreshold,
+  selectListSort
+} from './js/services/appState.js';
 import { 
   renderViewSwitcher, 
-  getViewPreference, 
   saveViewPreference,
   updateViewSwitcher,
   getCurrencyPreference,
@@ -134,6 +161,18 @@ function getListSortIndicator(currentSort, field) {
   return currentSort.direction === 'asc' ? ' ↑' : ' ↓';
 }
 
+/**
+ * Open the price history chart from the sparklines and the override table from the override buttons
+ * in a category list
+ * @param {HTMLElement} container
+ * @param {string} categoryId - Category with a single price type
+ */
+function setupCategoryPriceControls(container, categoryId) {
+  const priceType = getCategory(categoryId).priceTypes[0].id;
+  setupSparklineListeners(container, id => getCategoryItems(categoryId).find(item => item.id === id), priceType, getSettings().currency);
+  setupPriceOverrideListeners(container, categoryId, () => getCategoryItems(categoryId));
+}
+
 /** Clear tattoo card slot and show canvas + threshold button (other categories’ grid views). */
 function restoreCanvasGridSlot() {
   const slot = document.getElementById('tattoo-cards-container');
@@ -149,6 +188,18 @@ function restoreCanvasGridSlot() {
   if (gridView) gridView.classList.remove('tattoo-grid-active');
 }
 
+/**
+ * Initialize the stash tab grid of a category on the canvas, tearing down whichever grid was there
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} categoryId - Category with a grid in the registry
+ * @param {Array<Object>} items
+ */
+async function initCategoryGrid(canvas, categoryId, items) {
+  const { adapter, grid } = getCategory(categoryId);
+  teardownGenericGridView(canvas);
+  await initGenericGridView(canvas, items, adapter, grid.tabImagePath);
+}
+
 /** Tattoos: hide canvas, show left column card panel. */
 function showTattooCardsSlot() {
   const slot = document.getElementById('tattoo-cards-container');
@@ -191,21 +242,24 @@ async function reloadScarabDataWithPrices(updatedPrices) {
       handleMissingPriceData(scarab);
       handleMissingDropWeight(scarab);
     });
+    applyWeightSource(scarabs, loadDropLog('scarabs'), getSettings().weightSource);
 
     // Recalculate threshold
-    const threshold = calculateThreshold(scarabs, currentConfidencePercentile, 10000, currentTradeMode);
+    const threshold = calculateScarabThreshold(scarabs);
     
-    // Recalculate profitability status
-    calculateProfitabilityStatus(scarabs, threshold);
+    // Recalculate per-Scarab thresholds and profitability status
+    calculateItemThresholds(scarabs, threshold);
 
-    // Update global state
-    currentScarabs = scarabs;
-    currentThreshold = threshold;
+    // Update app state
+    setCategoryData('scarabs', { items: scarabs, threshold });
 
     // Update threshold display
     const thresholdContainer = document.getElementById('threshold-display');
     if (thresholdContainer) {
-      renderThresholdDisplay(thresholdContainer, threshold, currentCurrency, currentConfidencePercentile, handleConfidencePercentileChange, currentTradeMode, handleTradeModeChange);
+      renderScarabThresholdDisplay(thresholdContainer, threshold, getSettings().currency);
+    }
+    if (getRoute().categoryId === 'scarabs') {
+      renderDropLog('scarabs', scarabs);
     }
 
     // Update views
@@ -247,7 +301,7 @@ async function reloadScarabDataWithPrices(updatedPrices) {
  */
 async function init() {
   // Parse initial route FIRST to determine what loading state to show
-  // Don't set currentCategory/currentPage here - let the router set them so categoryChanged is true
+  // Don't set the route here - let the router set it so categoryChanged is true
   const initialRoute = parseRoute();
   
   // Initialize league service first (required for all data loading)
@@ -261,8 +315,40 @@ async function init() {
   
   // Load user preferences
   const preferences = loadPreferences();
-  currentConfidencePercentile = preferences.confidencePercentile || 0.9;
-  currentTradeMode = preferences.tradeMode || 'returnable';
+  updateSettings(getSettingsFromPreferences(preferences));
+
+  // Load recorded prices of the selected league for sparklines and historical thresholds
+  setOverrideLeague(getSelectedLeague()?.id);
+  await loadAllPriceHistory();
+
+  // Recalculate the current category when a manual price override changes
+  onPriceOverridesChanged(() => {
+    reloadCurrentCategory().catch(error => {
+      console.error('Error applying price overrides:', error);
+    });
+  });
+
+  // Recalculate the current category when the bid/ask spread model changes
+  onSpreadModelChanged(() => {
+    reloadCurrentCategory().catch(error => {
+      console.error('Error applying bid/ask prices:', error);
+    });
+  });
+
+  // Recalculate the current category when the volume haircut model changes
+  onLiquidityModelChanged(() => {
+    reloadCurrentCategory().catch(error => {
+      console.error('Error applying volume haircuts:', error);
+    });
+  });
+
+  // Re-render the current category when the display currency changes
+  subscribeState(selectCurrency, currency => {
+    renderCurrencyChange(currency).catch(error => {
+      console.error('Error re-rendering prices in new currency:', error);
+    });
+  });
+  subscribeDeliriumOrbViews();
   
   // Set up price update callback to reload data when prices change
   priceUpdateService.setOnPriceUpdate(async (itemType, updatedPrices) => {
@@ -285,58 +371,38 @@ async function init() {
 
   // Set up league selector callback
   setOnLeagueChange(async () => {
+    setOverrideLeague(getSelectedLeague()?.id);
+    await loadAllPriceHistory();
+
     // Reload additional item type prices for new league
     if (window.priceData) {
-      const additionalItemTypes = ['catalyst', 'deliriumOrb', 'emblem', 'essence', 'fossil', 'lifeforce', 'oil', 'tattoo', 'templeUnique', 'vial'];
+      const additionalItemTypes = ITEM_TYPES.filter(t => t.id !== 'scarab').map(t => t.id);
       const updatedAdditionalPrices = await loadAllItemTypePrices(additionalItemTypes);
       window.priceData.additional = updatedAdditionalPrices;
       console.log('✓ Additional item type prices refreshed for new league');
     }
     
-    // Reload data based on current category
-    if (currentCategory === 'essences') {
-      // Reload Essence data for new league
-      try {
-        const { essences, thresholds, rerollCost, allEssences } = await loadAndProcessEssenceData();
-        const preferences = loadPreferences();
-        const currency = preferences.currencyPreference || 'chaos';
-        await renderEssenceUI(essences, thresholds, rerollCost, currency, allEssences);
-      } catch (error) {
-        console.error('Error reloading Essence data after league change:', error);
-        showErrorToast('Failed to reload Essence data for new league');
-      }
-    } else if (currentCategory === 'fossils') {
-      // Reload Fossil data for new league
+    // Reload the current category's data for the new league
+    const category = getCategory(getRoute().categoryId);
+    if (category?.view) {
       try {
-        const { fossils, threshold, rerollCost, wildLifeforce } = await loadAndProcessFossilData();
-        const preferences = loadPreferences();
-        const currency = preferences.currencyPreference || 'chaos';
-        await renderFossilUI(fossils, threshold, rerollCost, currency, wildLifeforce);
+        await reloadCurrentCategory();
       } catch (error) {
-        console.error('Error reloading Fossil data after league change:', error);
-        showErrorToast('Failed to reload Fossil data for new league');
+        console.error(`Error reloading ${category.label} data after league change:`, error);
+        showErrorToast(`Failed to reload ${category.itemName} data for new league`);
       }
-    } else if (currentCategory === 'delirium-orbs') {
-      // Reload Delirium Orb data for new league
-      try {
-        const { deliriumOrbs, rerollCost, primalLifeforce } = await loadAndProcessDeliriumOrbData();
-        const preferences = loadPreferences();
-        const currency = preferences.currencyPreference || 'chaos';
-        await renderDeliriumOrbUI(deliriumOrbs, currency, rerollCost, primalLifeforce);
-      } catch (error) {
-        console.error('Error reloading Delirium Orb data after league change:', error);
-        showErrorToast('Failed to reload Delirium Orb data for new league');
-      }
-    } else if (currentCategory === 'scarabs') {
-      // Reload Scarab data for new league
-      await reloadScarabDataWithPrices(null);
     }
-    // For other categories, data will be loaded when category is selected
   });
 
   // Initialize data status overlay
   initDataStatusOverlay();
 
+  // Recalculate historical thresholds for the current data whenever the threshold settings open
+  document.getElementById('open-threshold-settings')?.addEventListener('click', renderPriceHistory);
+  document.getElementById('open-threshold-settings')?.addEventListener('click', renderPriceOverridePanel);
+  renderPriceSpreadPanel(document.getElementById('price-spread-panel'));
+  renderLiquidityPanel(document.getElementById('liquidity-panel'));
+
   // Start automatic price updates
   priceUpdateService.startAutomaticUpdates();
   
@@ -376,26 +442,9 @@ async function init() {
   
   // Show appropriate loading state based on route
   const listViewContainer = document.getElementById('list-view');
-  if (listViewContainer) {
-    if (initialRoute.category === 'scarabs') {
-      showLoadingState(listViewContainer);
-    } else if (initialRoute.category === 'essences') {
-      showEssenceLoadingState(listViewContainer);
-    } else if (initialRoute.category === 'fossils') {
-      showFossilLoadingState(listViewContainer);
-    } else if (initialRoute.category === 'catalysts') {
-      listViewContainer.innerHTML = '<p class="loading-message">Loading Catalysts...</p>';
-    } else if (initialRoute.category === 'oils') {
-      listViewContainer.innerHTML = '<p class="loading-message">Loading Oils...</p>';
-    } else if (initialRoute.category === 'delirium-orbs') {
-      listViewContainer.innerHTML = '<p class="loading-message">Loading Delirium Orbs...</p>';
-    } else if (initialRoute.category === 'emblems') {
-      listViewContainer.innerHTML = '<p class="loading-message">Loading Emblems...</p>';
-    } else if (initialRoute.category === 'tattoos') {
-      listViewContainer.innerHTML = '<p class="loading-message">Loading Tattoos...</p>';
-    } else if (initialRoute.category === 'temple') {
-      listViewContainer.innerHTML = '<p class="loading-message">Loading Temple upgrades...</p>';
-    }
+  const initialCategory = getCategory(initialRoute.category);
+  if (listViewContainer && initialCategory?.view) {
+    showCategoryLoadingState(listViewContainer, initialCategory);
   }
   
   // Hide header title and Flipping/Simulation controls on category routes (including scarabs)
@@ -411,8 +460,7 @@ async function init() {
     // Load user preferences
     const preferences = loadPreferences();
     const currency = preferences.currencyPreference || 'chaos';
-    currentConfidencePercentile = preferences.confidencePercentile || 0.9;
-    currentTradeMode = preferences.tradeMode || 'returnable';
+    updateSettings(getSettingsFromPreferences(preferences));
 
     // Load and merge Scarab data (will use selected league)
     // Load this even if not on scarabs page, as it might be needed later
@@ -422,7 +470,7 @@ async function init() {
     const rawData = await loadAndMergeScarabData();
     
     // Load additional item type prices in parallel
-    const additionalItemTypes = ['catalyst', 'deliriumOrb', 'emblem', 'essence', 'fossil', 'lifeforce', 'oil', 'tattoo', 'templeUnique', 'vial'];
+    const additionalItemTypes = ITEM_TYPES.filter(t => t.id !== 'scarab').map(t => t.id);
     const additionalPrices = await loadAllItemTypePrices(additionalItemTypes);
     
     // Store prices for later use
@@ -451,14 +499,15 @@ async function init() {
       handleMissingPriceData(scarab);
       handleMissingDropWeight(scarab);
     });
+    applyWeightSource(scarabs, loadDropLog('scarabs'), getSettings().weightSource);
 
     // Calculate threshold
     console.log('Calculating threshold...');
-    const threshold = calculateThreshold(scarabs, currentConfidencePercentile, 10000, currentTradeMode);
-    console.log(`Threshold calculated: ${threshold.value.toFixed(2)} chaos (mode: ${currentTradeMode})`);
+    const threshold = calculateScarabThreshold(scarabs);
+    console.log(`Threshold calculated: ${threshold.value.toFixed(2)} chaos (mode: ${getSettings().tradeMode})`);
 
     // Calculate profitability status for all Scarabs
-    calculateProfitabilityStatus(scarabs, threshold);
+    calculateItemThresholds(scarabs, threshold);
 
     // Count profitability statuses
     const profitableCount = scarabs.filter(s => s.profitabilityStatus === 'profitable').length;
@@ -535,29 +584,6 @@ async function init() {
 }
 
 // Global state
-let currentScarabs = [];
-let currentThreshold = null;
-let currentEssences = [];
-let currentEssenceThresholds = new Map(); // Map of reroll group to threshold
-let currentFossils = [];
-let currentFossilThreshold = null; // Single threshold for all Fossils (single reroll group)
-let currentCatalysts = [];
-let currentOils = [];
-let currentDeliriumOrbs = [];
-let currentEmblems = [];
-let currentTattoos = [];
-let currentCatalystSort = { field: 'name', direction: 'asc' };
-let currentOilSort = { field: 'name', direction: 'asc' };
-let currentDeliriumOrbSort = { field: 'name', direction: 'asc' };
-let currentEmblemSort = { field: 'name', direction: 'asc' };
-let currentTattooSort = { field: 'name', direction: 'asc' };
-let currentCurrency = 'chaos';
-let currentView = 'list';
-let currentFilters = null;
-let currentPage = 'flipping'; // 'flipping' or 'simulation'
-let currentCategory = 'scarabs'; // 'scarabs', 'essences', 'tattoos', 'catalysts', 'temple', 'fossils', 'oils', 'delirium-orbs', 'emblems'
-let currentConfidencePercentile = 0.9; // Default 90% confidence
-let currentTradeMode = 'returnable'; // Default trade mode: 'returnable', 'lowest_value', or 'optimal_combination'
 let selectionSubscriptionActive = false;
 let selectionUnsubscribeFn = null; // Store unsubscribe function for selection subscription
 /** Cache SUS data by category: { susById, groups } for regex builder */
@@ -570,10 +596,9 @@ const susCacheByCategory = new Map();
  * @param {string} currency
  */
 function renderUI(scarabs, threshold, currency) {
-  // Store in global state
-  currentScarabs = scarabs;
-  currentThreshold = threshold;
-  currentCurrency = currency;
+  // Store in app state
+  setCategoryData('scarabs', { items: scarabs, threshold });
+  updateSettings({ currency });
 
   // Clear list view container first to remove any previous category's content
   const listViewContainer = document.getElementById('list-view');
@@ -602,14 +627,12 @@ function renderUI(scarabs, threshold, currency) {
     }
   }
 
-  // Load view preference
-  currentView = getViewPreference();
-
   // Render threshold display
   const thresholdContainer = document.getElementById('threshold-display');
   if (thresholdContainer) {
-    renderThresholdDisplay(thresholdContainer, threshold, currency, currentConfidencePercentile, handleConfidencePercentileChange, currentTradeMode, handleTradeModeChange);
+    renderScarabThresholdDisplay(thresholdContainer, threshold, currency);
   }
+  renderDropLog('scarabs', scarabs);
 
   // Render filter panel
   if (filterPanelContainer) {
@@ -658,17 +681,7 @@ function clearRegexDisplay() {
  * @returns {string|null} - SUS file name (e.g. 'scarabs', 'deliriumOrbs') or null if no sus.json file exists
  */
 function getSusFileName(category) {
-  const categoryToSusFile = {
-    'scarabs': 'scarabs',
-    'essences': 'essences',
-    'fossils': 'fossils',
-    'catalysts': 'catalysts',
-    'oils': 'oils',
-    'delirium-orbs': 'deliriumOrbs',
-    'emblems': 'legionEmblems',
-    'tattoos': 'tattoos'
-  };
-  return categoryToSusFile[category] || null;
+  return getCategory(category)?.susFile ?? null;
 }
 
 /**
@@ -677,17 +690,7 @@ function getSusFileName(category) {
  * @returns {Array} - Array of items for the category
  */
 function getCurrentItemsForCategory(category) {
-  const categoryToItems = {
-    'scarabs': currentScarabs,
-    'essences': currentEssences,
-    'fossils': currentFossils,
-    'catalysts': currentCatalysts,
-    'oils': currentOils,
-    'delirium-orbs': currentDeliriumOrbs,
-    'emblems': currentEmblems,
-    'tattoos': currentTattoos
-  };
-  return categoryToItems[category] || [];
+  return getCategory(category) ? getCategoryItems(category) : [];
 }
 
 /**
@@ -739,32 +742,16 @@ async function setupRegexComponentForCategory(category, items) {
     if (!selectionSubscriptionActive) {
       selectionUnsubscribeFn = subscribeSelection(() => {
         // Only render view if we're still on a category with regex support
-        const currentSusFileName = getSusFileName(currentCategory);
-        const currentItems = getCurrentItemsForCategory(currentCategory);
+        const currentSusFileName = getSusFileName(getRoute().categoryId);
+        const currentItems = getCurrentItemsForCategory(getRoute().categoryId);
         if (currentSusFileName && currentItems.length > 0) {
           // Re-setup regex component when selection changes
-          setupRegexComponentForCategory(currentCategory, currentItems);
+          setupRegexComponentForCategory(getRoute().categoryId, currentItems);
           
           // Also update list view to reflect selection changes
           const listViewContainer = document.getElementById('list-view');
           if (listViewContainer) {
-            if (currentCategory === 'scarabs') {
-              renderCurrentView();
-            } else if (currentCategory === 'essences' && currentEssences.length > 0) {
-              renderEssenceList(listViewContainer, currentEssences, currentCurrency);
-            } else if (currentCategory === 'fossils' && currentFossils.length > 0) {
-              renderFossilList(listViewContainer, currentFossils, currentCurrency);
-            } else if (currentCategory === 'catalysts' && currentCatalysts.length > 0) {
-              renderCatalystList(listViewContainer);
-            } else if (currentCategory === 'oils' && currentOils.length > 0) {
-              renderOilList(listViewContainer);
-            } else if (currentCategory === 'delirium-orbs' && currentDeliriumOrbs.length > 0) {
-              renderDeliriumOrbList(listViewContainer);
-            } else if (currentCategory === 'emblems' && currentEmblems.length > 0) {
-              renderEmblemList(listViewContainer);
-            } else if (currentCategory === 'tattoos' && currentTattoos.length > 0) {
-              renderTattooList(listViewContainer);
-            }
+            getCategory(getRoute().categoryId).view.renderList(listViewContainer);
           }
         }
       });
@@ -785,9 +772,9 @@ async function renderCurrentView() {
   const canvas = document.getElementById('scarab-grid-canvas');
 
   // Apply filters if active
-  let displayScarabs = currentScarabs;
-  if (currentFilters) {
-    displayScarabs = filterScarabs(currentScarabs);
+  let displayScarabs = getCategoryItems('scarabs');
+  if (getFilters()) {
+    displayScarabs = filterScarabs(getCategoryItems('scarabs'));
     
     // Update grid view with filtered scarab IDs for highlighting
     const filteredIds = displayScarabs.map(s => s.id);
@@ -797,13 +784,13 @@ async function renderCurrentView() {
   }
 
   // Regex search: for all categories with sus.json files, set selection category and show regex display (use SUS tokens when available)
-  const currentItems = getCurrentItemsForCategory(currentCategory);
-  await setupRegexComponentForCategory(currentCategory, currentItems);
+  const currentItems = getCurrentItemsForCategory(getRoute().categoryId);
+  await setupRegexComponentForCategory(getRoute().categoryId, currentItems);
 
   // Always show both views
   if (listViewContainer) {
     listViewContainer.style.display = 'block';
-    renderListView(listViewContainer, currentScarabs, currentCurrency, currentFilters);
+    renderListView(listViewContainer, getCategoryItems('scarabs'), getSettings().currency, getFilters());
   }
   
   if (gridViewContainer) {
@@ -812,18 +799,10 @@ async function renderCurrentView() {
   
   if (canvas) {
     try {
-      // Tear down all grid views (including scarab grid) before re-initializing
-      teardownGridView(canvas);
-      teardownEssenceGridView(canvas);
-      teardownCatalystGridView(canvas);
-      teardownFossilGridView(canvas);
-      teardownOilGridView(canvas);
-      teardownDeliriumOrbGridView(canvas);
-      teardownEmblemGridView(canvas);
-      await initGridView(canvas, currentScarabs, '/assets/images/stashTabs/scarab-tab.png');
+      await initCategoryGrid(canvas, 'scarabs', getCategoryItems('scarabs'));
       
       // Apply filter highlights if filters are active
-      if (currentFilters && displayScarabs.length > 0) {
+      if (getFilters() && displayScarabs.length > 0) {
         const filteredIds = displayScarabs.map(s => s.id);
         setFilteredScarabs(filteredIds);
       }
@@ -853,16 +832,190 @@ function handleViewChange(view) {
  * @param {object} filters - Filter criteria
  */
 function handleFilterChange(filters) {
-  currentFilters = filters;
+  setFilters(filters);
   renderCurrentView();
 }
 
+/**
+ * Render the Scarab threshold display with the current threshold settings
+ * @param {HTMLElement} container
+ * @param {ExpectedValueThreshold} threshold
+ * @param {string} currency
+ */
+function renderScarabThresholdDisplay(container, threshold, currency) {
+  const { confidencePercentile, tradeMode } = getSettings();
+  renderThresholdDisplay(container, threshold, currency, confidencePercentile, handleConfidencePercentileChange, tradeMode, handleTradeModeChange, handleCalculationSettingsChange);
+}
+
+/**
+ * Calculate the Scarab threshold with the current settings
+ * When pool comparison is on, the threshold for the other return pool is attached as poolComparison.
+ * Threshold sensitivity to price moves of high-weight Scarabs is attached as sensitivity.
+ * @param {Array<Scarab>} scarabs
+ * @returns {ExpectedValueThreshold}
+ */
+function calculateScarabThreshold(scarabs) {
+  const { confidencePercentile, numberOfTrades, tradeMode, calculationMethod, poolOptions, comparePools } = getSettings();
+  const threshold = calculateThreshold(scarabs, confidencePercentile, numberOfTrades, tradeMode, calculationMethod, poolOptions);
+  if (comparePools) {
+    try {
+      threshold.poolComparison = calculateThreshold(scarabs, confidencePercentile, numberOfTrades, tradeMode, calculationMethod, {
+        ...poolOptions,
+        respectDropEligibility: !poolOptions.respectDropEligibility,
+      });
+    } catch (error) {
+      console.warn('Unable to calculate comparison pool threshold:', error);
+    }
+  }
+  threshold.sensitivity = calculateThresholdSensitivity(scarabs, threshold);
+  threshold.weightsOrigin = getWeightsStatus('scarabs');
+  return threshold;
+}
+
+/**
+ * Load the recorded price history of every price type for the selected league
+ * @returns {Promise<void>}
+ */
+async function loadAllPriceHistory() {
+  setHistoryLeague(getSelectedLeague()?.id);
+  await Promise.all(ITEM_TYPES.map(itemType => loadPriceHistory(itemType.id)));
+}
+
+/**
+ * Get the threshold options the current category's pooled threshold was calculated with
+ * @param {string} categoryId
+ * @returns {Object} Options for calculateRerollThreshold
+ */
+function getHistoricalThresholdOptions(categoryId) {
+  const { confidencePercentile, numberOfTrades, tradeMode, calculationMethod, poolOptions } = getSettings();
+  if (categoryId === 'scarabs') {
+    return { confidencePercentile, numberOfTrades, tradeMode, calculationMethod, poolOptions };
+  }
+  // Catalysts and Tattoos are calculated for the default session in returnable mode
+  return { confidencePercentile, numberOfTrades: 10000, tradeMode: 'returnable' };
+}
+
+/**
+ * Render the price history panel for the current category (categories with a reroll rule only)
+ */
+function renderPriceHistory() {
+  const container = document.getElementById('price-history-panel');
+  if (!container) return;
+  const { categoryId } = getRoute();
+  if (!REROLL_RULES[categoryId]) {
+    container.innerHTML = '';
+    return;
+  }
+  renderPriceHistoryPanel(
+    container,
+    categoryId,
+    getCategoryItems(categoryId),
+    getCategoryThreshold(categoryId),
+    getHistoricalThresholdOptions(categoryId)
+  );
+}
+
+/**
+ * Render the price override summary for the current category (categories with a single price type)
+ */
+function renderPriceOverridePanel() {
+  const container = document.getElementById('price-override-panel');
+  if (!container) return;
+  const { categoryId } = getRoute();
+  if (getCategory(categoryId)?.priceTypes.length !== 1) {
+    container.innerHTML = '';
+    return;
+  }
+  renderPriceOverrideSummary(container, categoryId, getCategoryItems(categoryId));
+}
+
+/**
+ * Reload the current category's data (prices with overrides applied, thresholds) and re-render it
+ * @returns {Promise<void>}
+ */
+async function reloadCurrentCategory() {
+  const view = getCategory(getRoute().categoryId)?.view;
+  if (view) {
+    await (view.reload || view.load)();
+  }
+  renderPriceOverridePanel();
+}
+
+/**
+ * Render the drop log panel for a category whose weights can come from the drop log
+ * @param {string} categoryId - 'scarabs', 'catalysts' or 'tattoos'
+ * @param {Array<Object>} items - Items of the category
+ */
+function renderDropLog(categoryId, items) {
+  const container = document.getElementById('drop-log-panel');
+  if (container) {
+    renderDropLogPanel(container, categoryId, items, getSettings().weightSource, handleDropLogChange);
+  }
+}
+
+/**
+ * Handle drop log or weight source change: re-apply drop weights and recalculate the current category
+ * @param {object} settings - { weightSource }
+ */
+function handleDropLogChange({ weightSource }) {
+  updateSettings({ weightSource });
+
+  // Save preference
+  const preferences = loadPreferences();
+  preferences.weightSource = weightSource;
+  savePreferences(preferences);
+
+  // Catalysts and Tattoos re-apply their weights when re-rendered
+  if (getRoute().categoryId === 'catalysts' && getCategoryItems('catalysts').length > 0) {
+    renderCatalystUI(getCategoryItems('catalysts'), getSettings().currency).catch(error => {
+      console.error('Error recalculating Catalyst threshold:', error);
+    });
+    return;
+  }
+  if (getRoute().categoryId === 'tattoos' && getCategoryItems('tattoos').length > 0) {
+    renderTattooUI(getCategoryItems('tattoos'), getSettings().currency).catch(error => {
+      console.error('Error recalculating Tattoo threshold:', error);
+    });
+    return;
+  }
+
+  if (getCategoryItems('scarabs').length > 0) {
+    console.log(`Recalculating threshold with ${weightSource} drop weights...`);
+    applyWeightSource(getCategoryItems('scarabs'), loadDropLog('scarabs'), weightSource);
+    const newThreshold = calculateScarabThreshold(getCategoryItems('scarabs'));
+    setCategoryData('scarabs', { threshold: newThreshold });
+    console.log(`New threshold: ${newThreshold.value.toFixed(2)} chaos`);
+    
+    // Recalculate per-Scarab thresholds and profitability status
+    calculateItemThresholds(getCategoryItems('scarabs'), newThreshold);
+    initSimulationPanel(getCategoryItems('scarabs'), newThreshold);
+    
+    // Update threshold display and drop log
+    const thresholdContainer = document.getElementById('threshold-display');
+    if (thresholdContainer) {
+      renderScarabThresholdDisplay(thresholdContainer, newThreshold, getSettings().currency);
+    }
+    renderDropLog('scarabs', getCategoryItems('scarabs'));
+    
+    // Update views to reflect new profitability statuses
+    renderCurrentView();
+    
+    // Update simulation panel if on simulation page
+    if (getRoute().page === 'simulation') {
+      const simulationPanelContainer = document.getElementById('simulation-panel');
+      if (simulationPanelContainer) {
+        renderSimulationPanel(simulationPanelContainer);
+      }
+    }
+  }
+}
+
 /**
  * Handle confidence percentile change
  * @param {number} confidencePercentile - New confidence percentile (0-1)
  */
 function handleConfidencePercentileChange(confidencePercentile) {
-  currentConfidencePercentile = confidencePercentile;
+  updateSettings({ confidencePercentile });
   
   // Save preference
   const preferences = loadPreferences();
@@ -870,26 +1023,42 @@ function handleConfidencePercentileChange(confidencePercentile) {
   savePreferences(preferences);
   
   // Recalculate threshold with new confidence percentile
-  if (currentScarabs.length > 0) {
-    console.log(`Recalculating threshold with ${(confidencePercentile * 100).toFixed(0)}% confidence...`);
-    const newThreshold = calculateThreshold(currentScarabs, confidencePercentile, 10000, currentTradeMode);
-    currentThreshold = newThreshold;
+  if (getCategoryItems('scarabs').length > 0) {
+    console.log(`Recalculating threshold with ${confidencePercentile * 100}% confidence...`);
+    const newThreshold = calculateScarabThreshold(getCategoryItems('scarabs'));
+    setCategoryData('scarabs', { threshold: newThreshold });
     console.log(`New threshold: ${newThreshold.value.toFixed(2)} chaos`);
     
-    // Recalculate profitability status
-    calculateProfitabilityStatus(currentScarabs, newThreshold);
-    
+    // Recalculate per-Scarab thresholds and profitability status
+    calculateItemThresholds(getCategoryItems('scarabs'), newThreshold);
+  }
+
+  // Catalysts and Tattoos have their own thresholds; re-render them at the new level
+  if (getRoute().categoryId === 'catalysts' && getCategoryItems('catalysts').length > 0) {
+    renderCatalystUI(getCategoryItems('catalysts'), getSettings().currency).catch(error => {
+      console.error('Error recalculating Catalyst threshold:', error);
+    });
+    return;
+  }
+  if (getRoute().categoryId === 'tattoos' && getCategoryItems('tattoos').length > 0) {
+    renderTattooUI(getCategoryItems('tattoos'), getSettings().currency).catch(error => {
+      console.error('Error recalculating Tattoo threshold:', error);
+    });
+    return;
+  }
+
+  if (getCategoryItems('scarabs').length > 0) {
     // Update threshold display
     const thresholdContainer = document.getElementById('threshold-display');
     if (thresholdContainer) {
-      renderThresholdDisplay(thresholdContainer, newThreshold, currentCurrency, confidencePercentile, handleConfidencePercentileChange, currentTradeMode, handleTradeModeChange);
+      renderScarabThresholdDisplay(thresholdContainer, getCategoryThreshold('scarabs'), getSettings().currency);
     }
     
     // Update views to reflect new profitability statuses
     renderCurrentView();
     
     // Update simulation panel if on simulation page
-    if (currentPage === 'simulation') {
+    if (getRoute().page === 'simulation') {
       const simulationPanelContainer = document.getElementById('simulation-panel');
       if (simulationPanelContainer) {
         renderSimulationPanel(simulationPanelContainer);
@@ -900,10 +1069,10 @@ function handleConfidencePercentileChange(confidencePercentile) {
 
 /**
  * Handle trade mode change
- * @param {string} tradeMode - New trade mode ('returnable', 'lowest_value', or 'optimal_combination')
+ * @param {string} tradeMode - New trade mode ('returnable', 'lowest_value', 'optimal_combination', or 'optimal_mix')
  */
 function handleTradeModeChange(tradeMode) {
-  currentTradeMode = tradeMode;
+  updateSettings({ tradeMode });
   
   // Save preference
   const preferences = loadPreferences();
@@ -911,26 +1080,26 @@ function handleTradeModeChange(tradeMode) {
   savePreferences(preferences);
   
   // Recalculate threshold with new trade mode
-  if (currentScarabs.length > 0) {
+  if (getCategoryItems('scarabs').length > 0) {
     console.log(`Recalculating threshold with trade mode: ${tradeMode}...`);
-    const newThreshold = calculateThreshold(currentScarabs, currentConfidencePercentile, 10000, tradeMode);
-    currentThreshold = newThreshold;
+    const newThreshold = calculateScarabThreshold(getCategoryItems('scarabs'));
+    setCategoryData('scarabs', { threshold: newThreshold });
     console.log(`New threshold: ${newThreshold.value.toFixed(2)} chaos (mode: ${tradeMode})`);
     
-    // Recalculate profitability status
-    calculateProfitabilityStatus(currentScarabs, newThreshold);
+    // Recalculate per-Scarab thresholds and profitability status
+    calculateItemThresholds(getCategoryItems('scarabs'), newThreshold);
     
     // Update threshold display
     const thresholdContainer = document.getElementById('threshold-display');
     if (thresholdContainer) {
-      renderThresholdDisplay(thresholdContainer, newThreshold, currentCurrency, currentConfidencePercentile, handleConfidencePercentileChange, tradeMode, handleTradeModeChange);
+      renderScarabThresholdDisplay(thresholdContainer, newThreshold, getSettings().currency);
     }
     
     // Update views to reflect new profitability statuses
     renderCurrentView();
     
     // Update simulation panel if on simulation page
-    if (currentPage === 'simulation') {
+    if (getRoute().page === 'simulation') {
       const simulationPanelContainer = document.getElementById('simulation-panel');
       if (simulationPanelContainer) {
         renderSimulationPanel(simulationPanelContainer);
@@ -940,101 +1109,136 @@ function handleTradeModeChange(tradeMode) {
 }
 
 /**
- * Handle currency change
- * @param {string} currency - 'chaos' or 'divine'
+ * Handle threshold calculation method, session size or return pool change
+ * @param {object} settings - { calculationMethod, numberOfTrades, respectDropEligibility, areaLevel, comparePools }
  */
-async function handleCurrencyChange(currency) {
-  currentCurrency = currency;
-  saveCurrencyPreference(currency);
+function handleCalculationSettingsChange({ calculationMethod, numberOfTrades, respectDropEligibility = true, areaLevel = null, comparePools = false }) {
+  updateSettings({
+    calculationMethod,
+    numberOfTrades,
+    poolOptions: { respectDropEligibility, areaLevel },
+    comparePools,
+  });
   
-  // Handle Essence category
-  if (currentCategory === 'essences') {
-    // Update Essence threshold display
-    const thresholdContainer = document.getElementById('threshold-display');
-    if (thresholdContainer && currentEssenceThresholds.size > 0) {
-      // Get reroll cost from first threshold (all have same cost)
-      const firstThreshold = Array.from(currentEssenceThresholds.values())[0];
-      const rerollCost = firstThreshold.rerollCost;
-      renderEssenceThresholdDisplay(thresholdContainer, currentEssenceThresholds, rerollCost, currency);
-    }
-    
-    // Update Essence list view
-    const listViewContainer = document.getElementById('list-view');
-    if (listViewContainer && currentEssences.length > 0) {
-      renderEssenceList(listViewContainer, currentEssences, currency);
-    }
-    return;
-  }
+  // Save preference
+  const preferences = loadPreferences();
+  preferences.calculationMethod = calculationMethod;
+  preferences.numberOfTrades = numberOfTrades;
+  preferences.poolOptions = getSettings().poolOptions;
+  preferences.comparePools = comparePools;
+  savePreferences(preferences);
   
-  // Handle Fossil category
-  if (currentCategory === 'fossils') {
-    // Update Fossil threshold display
+  // Recalculate threshold with new method, session size and return pool
+  if (getCategoryItems('scarabs').length > 0) {
+    console.log(`Recalculating threshold with method ${calculationMethod} over ${numberOfTrades} trades...`);
+    const newThreshold = calculateScarabThreshold(getCategoryItems('scarabs'));
+    setCategoryData('scarabs', { threshold: newThreshold });
+    console.log(`New threshold: ${newThreshold.value.toFixed(2)} chaos`);
+    
+    // Recalculate per-Scarab thresholds and profitability status
+    calculateItemThresholds(getCategoryItems('scarabs'), newThreshold);
+    
+    // Update threshold display
     const thresholdContainer = document.getElementById('threshold-display');
-    if (thresholdContainer && currentFossilThreshold) {
-      const rerollCost = currentFossilThreshold.rerollCost;
-      // Use stored wildLifeforce price from threshold data if available
-      const wildLifeforce = currentFossilThreshold.wildLifeforcePrice ? {
-        chaosValue: currentFossilThreshold.wildLifeforcePrice
-      } : null;
-      renderFossilThresholdDisplay(thresholdContainer, currentFossilThreshold, rerollCost, currency, wildLifeforce);
+    if (thresholdContainer) {
+      renderScarabThresholdDisplay(thresholdContainer, newThreshold, getSettings().currency);
     }
     
-    // Update Fossil list view
-    const listViewContainer = document.getElementById('list-view');
-    if (listViewContainer && currentFossils.length > 0) {
-      renderFossilList(listViewContainer, currentFossils, currency);
-    }
-    return;
-  }
-  
-  // Handle Catalyst category (re-render list with new currency)
-  if (currentCategory === 'catalysts') {
-    const listViewContainer = document.getElementById('list-view');
-    if (listViewContainer && currentCatalysts.length > 0) {
-      renderCatalystList(listViewContainer);
+    // Update views to reflect new profitability statuses
+    renderCurrentView();
+    
+    // Update simulation panel if on simulation page
+    if (getRoute().page === 'simulation') {
+      const simulationPanelContainer = document.getElementById('simulation-panel');
+      if (simulationPanelContainer) {
+        renderSimulationPanel(simulationPanelContainer);
+      }
     }
-    return;
   }
+}
 
-  // Handle Oil category (re-render list with new currency)
-  if (currentCategory === 'oils') {
-    const listViewContainer = document.getElementById('list-view');
-    if (listViewContainer && currentOils.length > 0) {
-      renderOilList(listViewContainer);
-    }
-    return;
-  }
+/**
+ * Handle currency change
+ * @param {string} currency - 'chaos' or 'divine'
+ */
+async function handleCurrencyChange(currency) {
+  saveCurrencyPreference(currency);
+  updateSettings({ currency });
+}
 
-  if (currentCategory === 'delirium-orbs' && currentDeliriumOrbs.length > 0) {
-    // Reload Delirium Orb data to recalculate with new currency
-    try {
-      const { deliriumOrbs, rerollCost, primalLifeforce } = await loadAndProcessDeliriumOrbData();
-      await renderDeliriumOrbUI(deliriumOrbs, currency, rerollCost, primalLifeforce);
-    } catch (error) {
-      console.error('Error reloading Delirium Orb data:', error);
-    }
-    return;
+/**
+ * Re-render the current category's prices in a new currency (app state currency subscriber)
+ * @param {string} currency - 'chaos' or 'divine'
+ */
+async function renderCurrencyChange(currency) {
+  const renderCurrency = getCategory(getRoute().categoryId)?.view?.renderCurrency;
+  if (renderCurrency) {
+    await renderCurrency(currency);
   }
+}
 
-  if (currentCategory === 'emblems' && currentEmblems.length > 0) {
-    const listViewContainer = document.getElementById('list-view');
-    if (listViewContainer) {
-      renderEmblemList(listViewContainer);
-    }
-    return;
+/**
+ * Currency hook of a category whose list renderer reads the currency from the settings
+ * @param {Function} renderList - container => void
+ * @returns {Function} () => re-render the list view
+ */
+function renderListInCurrency(renderList) {
+  return () => renderList(document.getElementById('list-view'));
+}
+
+/**
+ * Re-render the Essence threshold display and list in a new currency
+ * @param {string} currency - 'chaos' or 'divine'
+ */
+function renderEssenceCurrencyChange(currency) {
+  // Update Essence threshold display
+  const thresholdContainer = document.getElementById('threshold-display');
+  if (thresholdContainer && getCategoryThreshold('essences')?.size > 0) {
+    // Get reroll cost from first threshold (all have same cost)
+    const firstThreshold = Array.from(getCategoryThreshold('essences').values())[0];
+    const rerollCost = firstThreshold.rerollCost;
+    renderEssenceThresholdDisplay(thresholdContainer, getCategoryThreshold('essences'), rerollCost, currency);
   }
+  
+  // Update Essence list view
+  const listViewContainer = document.getElementById('list-view');
+  if (listViewContainer && getCategoryItems('essences').length > 0) {
+    renderEssenceList(listViewContainer, getCategoryItems('essences'), currency);
+  }
+}
 
-  if (currentCategory === 'tattoos' && currentTattoos.length > 0) {
-    const listViewContainer = document.getElementById('list-view');
-    if (listViewContainer) renderTattooList(listViewContainer);
-    return;
+/**
+ * Re-render the Fossil threshold display and list in a new currency
+ * @param {string} currency - 'chaos' or 'divine'
+ */
+function renderFossilCurrencyChange(currency) {
+  // Update Fossil threshold display
+  const thresholdContainer = document.getElementById('threshold-display');
+  if (thresholdContainer && getCategoryThreshold('fossils')) {
+    const rerollCost = getCategoryThreshold('fossils').rerollCost;
+    // Use stored wildLifeforce price from threshold data if available
+    const wildLifeforce = getCategoryThreshold('fossils').wildLifeforcePrice ? {
+      chaosValue: getCategoryThreshold('fossils').wildLifeforcePrice
+    } : null;
+    renderFossilThresholdDisplay(thresholdContainer, getCategoryThreshold('fossils'), rerollCost, currency, wildLifeforce);
   }
   
-  // Handle Scarab category (existing logic)
+  // Update Fossil list view
+  const listViewContainer = document.getElementById('list-view');
+  if (listViewContainer && getCategoryItems('fossils').length > 0) {
+    renderFossilList(listViewContainer, getCategoryItems('fossils'), currency);
+  }
+}
+
+/**
+ * Re-render the Scarab threshold display, filter panel, views and simulation panel in a new currency
+ * @param {string} currency - 'chaos' or 'divine'
+ */
+function renderScarabCurrencyChange(currency) {
   // Update threshold display (in overlay)
   const thresholdContainer = document.getElementById('threshold-display');
-  if (thresholdContainer && currentThreshold) {
-    renderThresholdDisplay(thresholdContainer, currentThreshold, currency, currentConfidencePercentile, handleConfidencePercentileChange, currentTradeMode, handleTradeModeChange);
+  if (thresholdContainer && getCategoryThreshold('scarabs')) {
+    renderScarabThresholdDisplay(thresholdContainer, getCategoryThreshold('scarabs'), currency);
   }
   
   // Update filter panel currency
@@ -1047,7 +1251,7 @@ async function handleCurrencyChange(currency) {
   renderCurrentView();
   
   // Update simulation panel if on simulation page
-  if (currentPage === 'simulation') {
+  if (getRoute().page === 'simulation') {
     const simulationPanelContainer = document.getElementById('simulation-panel');
     if (simulationPanelContainer) {
       renderSimulationPanel(simulationPanelContainer);
@@ -1073,8 +1277,8 @@ async function loadAndProcessEssenceData() {
       return;
     }
     
-    const rerollCost = 30 * primalLifeforce.chaosValue;
-    console.log(`Reroll cost: ${rerollCost.toFixed(2)} chaos (30 × ${primalLifeforce.chaosValue.toFixed(4)})`);
+    const rerollCost = getRerollCost(ESSENCE_RULE, getBuyPrice(primalLifeforce));
+    console.log(`Reroll cost: ${rerollCost.toFixed(2)} chaos (${ESSENCE_RULE.rerollCost.quantity} × ${getBuyPrice(primalLifeforce).toFixed(4)})`);
     
     // Grid: every item from the details file is displayed. Price never gates display.
     const allEssences = rawEssenceData.map(data => new Essence(data));
@@ -1089,33 +1293,27 @@ async function loadAndProcessEssenceData() {
       return true;
     });
     
-    // Group by reroll type and calculate thresholds (only for valid essences; price drives calculation)
-    const groupsByType = groupEssencesByRerollType(validEssences);
-    console.log(`Grouped into ${groupsByType.size} reroll groups for calculation`);
+    // Calculate thresholds per reroll group (only for valid essences; price drives calculation)
+    const groupThresholds = calculateGroupThresholds(ESSENCE_RULE, validEssences, rerollCost);
+    console.log(`Grouped into ${groupThresholds.size} reroll groups for calculation`);
     
     const thresholds = new Map();
+    const weightsOrigin = getWeightsStatus('essences');
     
-    groupsByType.forEach((groupEssences, groupType) => {
-      const expectedValue = calculateExpectedValueForGroup(groupEssences);
-      const threshold = calculateThresholdForGroup(expectedValue, rerollCost);
-      
+    groupThresholds.forEach(({ value, expectedValue, itemCount, weightBand }, groupType) => {
       thresholds.set(groupType, {
         rerollGroup: groupType,
-        value: threshold,
-        expectedValue: expectedValue,
+        value,
+        expectedValue,
         rerollCost: rerollCost,
         calculationMethod: 'mle_weighted',
-        essenceCount: groupEssences.length,
-        calculatedAt: new Date().toISOString()
-      });
-      
-      groupEssences.forEach(essence => {
-        essence.expectedValue = expectedValue;
-        essence.threshold = threshold;
-        essence.profitabilityStatus = calculateEssenceProfitabilityStatus(essence, threshold);
+        essenceCount: itemCount,
+        calculatedAt: new Date().toISOString(),
+        weightBand,
+        weightsOrigin
       });
       
-      console.log(`${groupType} group: expectedValue=${expectedValue.toFixed(2)}, threshold=${threshold.toFixed(2)}, essences=${groupEssences.length}`);
+      console.log(`${groupType} group: expectedValue=${expectedValue.toFixed(2)}, threshold=${value.toFixed(2)}, essences=${itemCount}`);
     });
     
     // Set profitability status for all essences: calculated for groups, 'unknown' for others (determines cell color only)
@@ -1138,8 +1336,7 @@ async function loadAndProcessEssenceData() {
     console.log(`Essence profitability breakdown: ${profitableCount} profitable, ${notProfitableCount} not profitable, ${unknownCount} unknown`);
     console.log(`List view: ${filteredEssences.length} Essences (grid shows all ${allEssences.length})`);
     
-    currentEssences = filteredEssences;
-    currentEssenceThresholds = thresholds;
+    setCategoryData('essences', { items: filteredEssences, threshold: thresholds });
     
     // Grid always gets every essence from the details file; price only affects cell color
     return { essences: filteredEssences, thresholds, rerollCost, allEssences };
@@ -1159,10 +1356,9 @@ async function loadAndProcessEssenceData() {
  * @param {Array} [allEssences] - All essences for grid (all tiers); if omitted, uses essences
  */
 async function renderEssenceUI(essences, thresholds, rerollCost, currency, allEssences = null) {
-  // Store in global state
-  currentEssences = essences;
-  currentEssenceThresholds = thresholds;
-  currentCurrency = currency;
+  // Store in app state
+  setCategoryData('essences', { items: essences, threshold: thresholds });
+  updateSettings({ currency });
   
   // Setup regex component for essences
   await setupRegexComponentForCategory('essences', essences);
@@ -1185,14 +1381,8 @@ async function renderEssenceUI(essences, thresholds, rerollCost, currency, allEs
   }
   if (gridCanvas) {
     try {
-      teardownGridView(gridCanvas);
-      teardownCatalystGridView(gridCanvas);
-      teardownFossilGridView(gridCanvas);
-      teardownOilGridView(gridCanvas);
-      teardownDeliriumOrbGridView(gridCanvas);
-      teardownEmblemGridView(gridCanvas);
       const gridEssences = allEssences && allEssences.length > 0 ? allEssences : essences;
-      await initEssenceGridView(gridCanvas, gridEssences, ESSENCE_GRID_CONFIG.tabImagePath);
+      await initCategoryGrid(gridCanvas, 'essences', gridEssences);
       const listWrapper = document.querySelector('.list-wrapper');
       if (listWrapper && gridCanvas.offsetHeight > 0) {
         listWrapper.style.height = `${gridCanvas.offsetHeight}px`;
@@ -1267,6 +1457,7 @@ function renderEssenceThresholdDisplay(container, thresholds, rerollCost, curren
               <span class="value">${expectedValue} ${currencySymbol}</span>
             </div>
           </div>
+          ${renderWeightBand(threshold.weightBand, currency)}
           <div class="threshold-note">
             ${isProfitable 
               ? 'Essences below this threshold should be rerolled' 
@@ -1279,6 +1470,7 @@ function renderEssenceThresholdDisplay(container, thresholds, rerollCost, curren
   
   html += `
       </div>
+      ${renderWeightsOrigin(thresholds.values().next().value?.weightsOrigin)}
     </div>
   `;
   
@@ -1303,8 +1495,8 @@ async function loadAndProcessFossilData() {
       return;
     }
     
-    const rerollCost = 30 * wildLifeforce.chaosValue;
-    console.log(`Reroll cost: ${rerollCost.toFixed(2)} chaos (30 × ${wildLifeforce.chaosValue.toFixed(4)})`);
+    const rerollCost = getRerollCost(FOSSIL_RULE, getBuyPrice(wildLifeforce));
+    console.log(`Reroll cost: ${rerollCost.toFixed(2)} chaos (${FOSSIL_RULE.rerollCost.quantity} × ${getBuyPrice(wildLifeforce).toFixed(4)})`);
     
     // Create Fossil instances (classification happens in constructor)
     const fossils = rawFossilData
@@ -1319,23 +1511,15 @@ async function loadAndProcessFossilData() {
     
     console.log(`Loaded ${fossils.length} Fossils`);
     
-    // Group Fossils by reroll type (all belong to 'fossil' group)
-    const groupsByType = groupFossilsByRerollType(fossils);
-    console.log(`Grouped into ${groupsByType.size} reroll groups`);
-    
-    // Calculate threshold for the single Fossil group
-    const fossilGroup = groupsByType.get('fossil');
-    if (!fossilGroup || fossilGroup.length === 0) {
+    // Calculate threshold and profitability status for the single Fossil group (all belong to 'fossil');
+    // weighted by drop probability when MLE weights are available
+    const fossilGroup = calculateGroupThresholds(FOSSIL_RULE, fossils, rerollCost).get('fossil');
+    if (!fossilGroup) {
       console.error('No Fossils found in reroll group');
       showErrorToast('No valid Fossils found');
       return;
     }
-    
-    // Calculate expected value (weighted by drop probability when MLE weights available)
-    const { expectedValue, method } = calculateFossilExpectedValueForGroup(fossilGroup);
-    
-    // Calculate threshold
-    const threshold = calculateFossilThresholdForGroup(expectedValue, rerollCost);
+    const { value: threshold, expectedValue, method } = fossilGroup;
     
     // Store threshold
     const calculationMethod = method === 'weighted' ? 'weighted_average' : 'equal_weighted_average';
@@ -1345,19 +1529,14 @@ async function loadAndProcessFossilData() {
       expectedValue: expectedValue,
       rerollCost: rerollCost,
       calculationMethod,
-      fossilCount: fossilGroup.length,
+      fossilCount: fossilGroup.itemCount,
       calculatedAt: new Date().toISOString(),
-      wildLifeforcePrice: wildLifeforce.chaosValue
+      wildLifeforcePrice: getBuyPrice(wildLifeforce),
+      weightBand: fossilGroup.weightBand,
+      weightsOrigin: getWeightsStatus('fossils')
     };
     
-    // Calculate profitability status for each Fossil
-    fossilGroup.forEach(fossil => {
-      fossil.expectedValue = expectedValue;
-      fossil.threshold = threshold;
-      fossil.profitabilityStatus = calculateFossilProfitabilityStatus(fossil, threshold);
-    });
-    
-    console.log(`Fossil group: expectedValue=${expectedValue.toFixed(2)}, threshold=${threshold.toFixed(2)}, fossils=${fossilGroup.length}`);
+    console.log(`Fossil group: expectedValue=${expectedValue.toFixed(2)}, threshold=${threshold.toFixed(2)}, fossils=${fossilGroup.itemCount}`);
     
     // Handle Fossils without reroll groups
     fossils.forEach(fossil => {
@@ -1380,9 +1559,8 @@ async function loadAndProcessFossilData() {
     console.log(`Fossil profitability breakdown: ${profitableCount} profitable, ${notProfitableCount} not profitable, ${unknownCount} unknown`);
     console.log(`Filtered to ${filteredFossils.length} Fossils (from ${fossils.length} total)`);
     
-    // Store in global state (store filtered Fossils)
-    currentFossils = filteredFossils;
-    currentFossilThreshold = thresholdData;
+    // Store in app state (store filtered Fossils)
+    setCategoryData('fossils', { items: filteredFossils, threshold: thresholdData });
     
     return { fossils: filteredFossils, threshold: thresholdData, rerollCost, wildLifeforce };
   } catch (error) {
@@ -1410,8 +1588,8 @@ async function loadAndProcessDeliriumOrbData() {
       return;
     }
     
-    const rerollCost = 30 * primalLifeforce.chaosValue;
-    console.log(`Reroll cost: ${rerollCost.toFixed(2)} chaos (30 × ${primalLifeforce.chaosValue.toFixed(4)})`);
+    const rerollCost = getRerollCost(DELIRIUM_ORB_RULE, getBuyPrice(primalLifeforce));
+    console.log(`Reroll cost: ${rerollCost.toFixed(2)} chaos (${DELIRIUM_ORB_RULE.rerollCost.quantity} × ${getBuyPrice(primalLifeforce).toFixed(4)})`);
     
     // Create Delirium Orb instances (classification happens in constructor)
     const deliriumOrbs = rawDeliriumOrbData
@@ -1426,33 +1604,22 @@ async function loadAndProcessDeliriumOrbData() {
     
     console.log(`Loaded ${deliriumOrbs.length} Delirium Orbs`);
     
-    // Group Delirium Orbs by reroll type (all belong to 'delirium-orb' group)
-    const groupsByType = groupDeliriumOrbsByRerollType(deliriumOrbs);
-    console.log(`Grouped into ${groupsByType.size} reroll groups`);
-    
-    // Calculate threshold for the single Delirium Orb group
-    const orbGroup = groupsByType.get('delirium-orb');
-    if (!orbGroup || orbGroup.length === 0) {
+    // Calculate each orb's threshold and profitability status (all belong to 'delirium-orb';
+    // each orb is excluded from its own outcomes)
+    const orbGroup = calculateGroupThresholds(DELIRIUM_ORB_RULE, deliriumOrbs, rerollCost).get('delirium-orb');
+    if (!orbGroup) {
       console.error('No Delirium Orbs found in reroll group');
       showErrorToast('No valid Delirium Orbs found');
       return;
     }
+    const expectedValuesByOrbId = new Map(
+      deliriumOrbs
+        .filter(orb => orb.rerollGroup === 'delirium-orb')
+        .map(orb => [orb.id, { expectedValue: orb.expectedValue, method: orbGroup.method }])
+    );
     
-    // Calculate expected values for each orb (excluding the orb itself from its calculation)
-    const expectedValuesByOrbId = calculateExpectedValuesForGroup(orbGroup);
-    
-    // Calculate threshold and profitability status for each orb
-    orbGroup.forEach(orb => {
-      const expectedValueData = expectedValuesByOrbId.get(orb.id);
-      const expectedValue = expectedValueData?.expectedValue ?? 0;
-      const threshold = calculateThresholdForOrb(expectedValue, rerollCost);
-      
-      orb.expectedValue = expectedValue;
-      orb.threshold = threshold;
-      orb.profitabilityStatus = calculateDeliriumOrbProfitabilityStatus(orb, threshold);
-    });
-    
-    console.log(`Delirium Orb group: ${orbGroup.length} orbs processed`);
+    orbGroup.weightsOrigin = getWeightsStatus('delirium-orbs');
+    console.log(`Delirium Orb group: ${orbGroup.itemCount} orbs processed`);
     
     // Handle Delirium Orbs without reroll groups
     deliriumOrbs.forEach(orb => {
@@ -1475,8 +1642,8 @@ async function loadAndProcessDeliriumOrbData() {
     console.log(`Delirium Orb profitability breakdown: ${profitableCount} profitable, ${notProfitableCount} not profitable, ${unknownCount} unknown`);
     console.log(`Filtered to ${filteredOrbs.length} Delirium Orbs (from ${deliriumOrbs.length} total)`);
     
-    // Store in global state (store filtered Orbs)
-    currentDeliriumOrbs = filteredOrbs;
+    // Store in app state (store filtered Orbs)
+    setCategoryData('delirium-orbs', { items: filteredOrbs, threshold: orbGroup });
     
     return { deliriumOrbs: filteredOrbs, rerollCost, primalLifeforce, expectedValuesByOrbId };
   } catch (error) {
@@ -1496,10 +1663,9 @@ async function loadAndProcessDeliriumOrbData() {
  * @param {Array<Object>} [gridFossils] - Full fossil data for grid (details + weights + prices); when provided, grid is shown
  */
 async function renderFossilUI(fossils, threshold, rerollCost, currency, wildLifeforce, gridFossils = null) {
-  // Store in global state
-  currentFossils = fossils;
-  currentFossilThreshold = threshold;
-  currentCurrency = currency;
+  // Store in app state
+  setCategoryData('fossils', { items: fossils, threshold });
+  updateSettings({ currency });
   
   // Setup regex component for fossils
   await setupRegexComponentForCategory('fossils', fossils);
@@ -1526,17 +1692,11 @@ async function renderFossilUI(fossils, threshold, rerollCost, currency, wildLife
         if (!hasPrice || thresholdValue == null || isNaN(thresholdValue)) {
           fossil.profitabilityStatus = 'unknown';
         } else {
-          fossil.profitabilityStatus = fossil.chaosValue < thresholdValue ? 'profitable' : 'not_profitable';
+          fossil.profitabilityStatus = getBuyPrice(fossil) < thresholdValue ? 'profitable' : 'not_profitable';
         }
       });
 
-      teardownGridView(gridCanvas);
-      teardownEssenceGridView(gridCanvas);
-      teardownCatalystGridView(gridCanvas);
-      teardownOilGridView(gridCanvas);
-      teardownDeliriumOrbGridView(gridCanvas);
-      teardownEmblemGridView(gridCanvas);
-      await initFossilGridView(gridCanvas, gridFossils, FOSSILS_GRID_CONFIG.tabImagePath);
+      await initCategoryGrid(gridCanvas, 'fossils', gridFossils);
       const listWrapper = document.querySelector('.list-wrapper');
       if (listWrapper && gridCanvas.offsetHeight > 0) {
         listWrapper.style.height = `${gridCanvas.offsetHeight}px`;
@@ -1669,6 +1829,8 @@ function renderFossilThresholdDisplay(container, threshold, rerollCost, currency
             </div>
           </div>
           ${wildLifeforcePriceDisplay}
+          ${renderWeightBand(threshold.weightBand, currency)}
+          ${renderWeightsOrigin(threshold.weightsOrigin)}
         </div>
         <div class="threshold-note">
           ${isProfitable 
@@ -1682,116 +1844,34 @@ function renderFossilThresholdDisplay(container, threshold, rerollCost, currency
   container.innerHTML = html;
 }
 
-function sortCatalysts(catalysts, sort, currency) {
-  return [...catalysts].sort((a, b) => {
-    let aVal, bVal;
-    if (sort.field === 'name') {
-      aVal = (a.name || '').toLowerCase();
-      bVal = (b.name || '').toLowerCase();
-      return sort.direction === 'asc' ? (aVal < bVal ? -1 : aVal > bVal ? 1 : 0) : (aVal > bVal ? -1 : aVal < bVal ? 1 : 0);
-    }
-    if (sort.field === 'weight') {
-      aVal = a.dropWeight != null ? a.dropWeight : -1;
-      bVal = b.dropWeight != null ? b.dropWeight : -1;
-    } else {
-      aVal = currency === 'divine' ? (a.divineValue ?? -Infinity) : (a.chaosValue ?? -Infinity);
-      bVal = currency === 'divine' ? (b.divineValue ?? -Infinity) : (b.chaosValue ?? -Infinity);
-    }
-    if (aVal < bVal) return sort.direction === 'asc' ? -1 : 1;
-    if (aVal > bVal) return sort.direction === 'asc' ? 1 : -1;
-    return 0;
-  });
-}
-
-function sortOils(oils, sort, currency) {
-  return [...oils].sort((a, b) => {
-    let aVal, bVal;
-    if (sort.field === 'name') {
-      aVal = (a.name || '').toLowerCase();
-      bVal = (b.name || '').toLowerCase();
-      return sort.direction === 'asc' ? (aVal < bVal ? -1 : aVal > bVal ? 1 : 0) : (aVal > bVal ? -1 : aVal < bVal ? 1 : 0);
-    }
-    if (sort.field === 'dropWeight') {
-      aVal = a.dropWeight != null ? a.dropWeight : Infinity;
-      bVal = b.dropWeight != null ? b.dropWeight : Infinity;
-    } else {
-      aVal = currency === 'divine' ? (a.divineValue ?? -Infinity) : (a.chaosValue ?? -Infinity);
-      bVal = currency === 'divine' ? (b.divineValue ?? -Infinity) : (b.chaosValue ?? -Infinity);
-    }
-    if (aVal < bVal) return sort.direction === 'asc' ? -1 : 1;
-    if (aVal > bVal) return sort.direction === 'asc' ? 1 : -1;
-    return 0;
-  });
-}
-
-function sortDeliriumOrbs(items, sort, currency) {
-  return [...items].sort((a, b) => {
-    let aVal, bVal;
-    if (sort.field === 'name') {
-      aVal = (a.name || '').toLowerCase();
-      bVal = (b.name || '').toLowerCase();
-      return sort.direction === 'asc' ? (aVal < bVal ? -1 : aVal > bVal ? 1 : 0) : (aVal > bVal ? -1 : aVal < bVal ? 1 : 0);
-    }
-    if (sort.field === 'dropWeight') {
-      aVal = a.dropWeight != null ? a.dropWeight : Infinity;
-      bVal = b.dropWeight != null ? b.dropWeight : Infinity;
-    } else {
-      aVal = currency === 'divine' ? (a.divineValue ?? -Infinity) : (a.chaosValue ?? -Infinity);
-      bVal = currency === 'divine' ? (b.divineValue ?? -Infinity) : (b.chaosValue ?? -Infinity);
-    }
-    if (aVal < bVal) return sort.direction === 'asc' ? -1 : 1;
-    if (aVal > bVal) return sort.direction === 'asc' ? 1 : -1;
-    return 0;
-  });
-}
-
-function sortEmblems(items, sort, currency) {
-  return [...items].sort((a, b) => {
-    let aVal, bVal;
-    if (sort.field === 'name') {
-      aVal = (a.name || '').toLowerCase();
-      bVal = (b.name || '').toLowerCase();
-      return sort.direction === 'asc' ? (aVal < bVal ? -1 : aVal > bVal ? 1 : 0) : (aVal > bVal ? -1 : aVal < bVal ? 1 : 0);
-    }
-    if (sort.field === 'dropWeight') {
-      aVal = a.dropWeight != null ? a.dropWeight : Infinity;
-      bVal = b.dropWeight != null ? b.dropWeight : Infinity;
-    } else {
-      aVal = currency === 'divine' ? (a.divineValue ?? -Infinity) : (a.chaosValue ?? -Infinity);
-      bVal = currency === 'divine' ? (b.divineValue ?? -Infinity) : (b.chaosValue ?? -Infinity);
-    }
-    if (aVal < bVal) return sort.direction === 'asc' ? -1 : 1;
-    if (aVal > bVal) return sort.direction === 'asc' ? 1 : -1;
-    return 0;
-  });
+/**
+ * Format an item's own (self-excluding) threshold for list display
+ * @param {Catalyst|Tattoo} item
+ * @param {string} currency - 'chaos' or 'divine'
+ * @returns {string}
+ */
+function formatItemThreshold(item, currency) {
+  if (item.profitabilityStatus === 'unknown') return '—';
+  return currency === 'divine' ? (item.threshold / 150).toFixed(4) : item.threshold.toFixed(2);
 }
 
-function sortTattoos(items, sort, currency) {
-  return [...items].sort((a, b) => {
-    let aVal, bVal;
-    if (sort.field === 'name') {
-      aVal = (a.name || '').toLowerCase();
-      bVal = (b.name || '').toLowerCase();
-      return sort.direction === 'asc' ? (aVal < bVal ? -1 : aVal > bVal ? 1 : 0) : (aVal > bVal ? -1 : aVal < bVal ? 1 : 0);
-    }
-    if (sort.field === 'dropWeight') {
-      aVal = a.dropWeight != null ? a.dropWeight : Infinity;
-      bVal = b.dropWeight != null ? b.dropWeight : Infinity;
-    } else {
-      aVal = currency === 'divine' ? (a.divineValue ?? -Infinity) : (a.chaosValue ?? -Infinity);
-      bVal = currency === 'divine' ? (b.divineValue ?? -Infinity) : (b.chaosValue ?? -Infinity);
-    }
-    if (aVal < bVal) return sort.direction === 'asc' ? -1 : 1;
-    if (aVal > bVal) return sort.direction === 'asc' ? 1 : -1;
-    return 0;
-  });
+/**
+ * Format the price move that would flip an item's profitability status for list display
+ * @param {Catalyst|Tattoo} item
+ * @returns {string}
+ */
+function formatItemFragility(item) {
+  const margin = getFlipMargin(item);
+  if (!margin) return '—';
+  if (margin.percentChange === null) return `+${margin.priceChange.toFixed(2)} c`;
+  return `${margin.percentChange >= 0 ? '+' : ''}${margin.percentChange.toFixed(1)}%`;
 }
 
 function renderCatalystList(container) {
-  if (!container || currentCatalysts.length === 0) return;
-  const currency = currentCurrency;
+  if (!container || getCategoryItems('catalysts').length === 0) return;
+  const currency = getSettings().currency;
   const currencySymbol = currency === 'divine' ? 'Div' : 'c';
-  const sorted = sortCatalysts(currentCatalysts, currentCatalystSort, currency);
+  const sorted = sortCategoryItems('catalysts', getCategoryItems('catalysts'), getListSort('catalysts'), currency);
   const rows = sorted.map((c) => {
     const value = currency === 'divine' ? (c.divineValue != null ? c.divineValue.toFixed(4) : '—') : (c.chaosValue != null ? c.chaosValue.toFixed(2) : '—');
     const weightStr = c.dropWeight != null ? (c.dropWeight * 100).toFixed(2) + '%' : '—';
@@ -1805,23 +1885,27 @@ function renderCatalystList(container) {
       <img class="catalyst-image" src="${imagePath}" alt="${c.name}" onerror="this.style.display='none'">
       <span class="catalyst-name">${c.name}</span>
       <span class="catalyst-weight">${weightStr}</span>
-      <span class="catalyst-value">${value} ${currencySymbol}</span>
+      <span class="catalyst-value">${value} ${currencySymbol}${renderPriceSparkline('catalyst', c.id, currency)}${renderPriceOverrideButton(c)}</span>
+      <span class="catalyst-threshold">${formatItemThreshold(c, currency)} ${currencySymbol}</span>
+      <span class="catalyst-fragility">${formatItemFragility(c)}</span>
     </div>`;
   });
-  const s = currentCatalystSort;
+  const s = getListSort('catalysts');
   container.innerHTML = `
     <div class="catalyst-list-header">
       <div class="catalyst-header-cell image-cell"></div>
       <div class="catalyst-header-cell name-cell sortable" data-sort-field="name">Name${getListSortIndicator(s, 'name')}</div>
       <div class="catalyst-header-cell weight-cell sortable" data-sort-field="weight">Drop weight${getListSortIndicator(s, 'weight')}</div>
       <div class="catalyst-header-cell value-cell sortable" data-sort-field="value">Value (${currencySymbol})${getListSortIndicator(s, 'value')}</div>
+      <div class="catalyst-header-cell threshold-cell sortable" data-sort-field="threshold" title="Highest price at which vendoring three of this Catalyst is profitable">Threshold${getListSortIndicator(s, 'threshold')}</div>
+      <div class="catalyst-header-cell fragility-cell sortable" data-sort-field="fragility" title="Price change that would flip the profitability status (smallest first = most fragile)">Flip${getListSortIndicator(s, 'fragility')}</div>
     </div>
     <div class="catalyst-list">${rows.join('')}</div>
   `;
   setupListHoverHighlight(container, '.catalyst-list-row', highlightCellForCatalyst, clearCatalystHighlight);
-  setupListSort(container, '.catalyst-list-header .sortable', currentCatalystSort, (field, direction) => {
-    currentCatalystSort.field = field;
-    currentCatalystSort.direction = direction;
+  setupCategoryPriceControls(container, 'catalysts');
+  setupListSort(container, '.catalyst-list-header .sortable', getListSort('catalysts'), (field, direction) => {
+    setListSort('catalysts', { field, direction });
   }, () => renderCatalystList(container));
   
   // Setup selection listeners
@@ -1844,10 +1928,10 @@ function renderCatalystList(container) {
 }
 
 function renderOilList(container) {
-  if (!container || currentOils.length === 0) return;
-  const currency = currentCurrency;
+  if (!container || getCategoryItems('oils').length === 0) return;
+  const currency = getSettings().currency;
   const currencySymbol = currency === 'divine' ? 'Div' : 'c';
-  const sorted = sortOils(currentOils, currentOilSort, currency);
+  const sorted = sortCategoryItems('oils', getCategoryItems('oils'), getListSort('oils'), currency);
   const rows = sorted.map((o) => {
     const value = currency === 'divine' ? (o.divineValue != null ? o.divineValue.toFixed(4) : '—') : (o.chaosValue != null ? o.chaosValue.toFixed(2) : '—');
     const weightStr = o.dropWeight != null ? (o.dropWeight * 100).toFixed(2) + '%' : '—';
@@ -1858,10 +1942,10 @@ function renderOilList(container) {
       <img class="oil-image" src="${imagePath}" alt="${o.name}" onerror="this.style.display='none'">
       <span class="oil-name">${o.name}</span>
       <span class="oil-weight">${weightStr}</span>
-      <span class="oil-value">${value} ${currencySymbol}</span>
+      <span class="oil-value">${value} ${currencySymbol}${renderPriceSparkline('oil', o.id, currency)}${renderPriceOverrideButton(o)}</span>
     </div>`;
   });
-  const s = currentOilSort;
+  const s = getListSort('oils');
   container.innerHTML = `
     <div class="oil-list-header">
       <div class="oil-header-cell image-cell"></div>
@@ -1872,9 +1956,9 @@ function renderOilList(container) {
     <div class="oil-list">${rows.join('')}</div>
   `;
   setupListHoverHighlight(container, '.oil-list-row', highlightCellForOil, clearOilHighlight);
-  setupListSort(container, '.oil-list-header .sortable', currentOilSort, (field, direction) => {
-    currentOilSort.field = field;
-    currentOilSort.direction = direction;
+  setupCategoryPriceControls(container, 'oils');
+  setupListSort(container, '.oil-list-header .sortable', getListSort('oils'), (field, direction) => {
+    setListSort('oils', { field, direction });
   }, () => renderOilList(container));
   
   // Setup selection listeners
@@ -1897,10 +1981,10 @@ function renderOilList(container) {
 }
 
 function renderDeliriumOrbList(container) {
-  if (!container || currentDeliriumOrbs.length === 0) return;
-  const currency = currentCurrency;
+  if (!container || getCategoryItems('delirium-orbs').length === 0) return;
+  const currency = getSettings().currency;
   const currencySymbol = currency === 'divine' ? 'Div' : 'c';
-  const sorted = sortDeliriumOrbs(currentDeliriumOrbs, currentDeliriumOrbSort, currency);
+  const sorted = sortCategoryItems('delirium-orbs', getCategoryItems('delirium-orbs'), getListSort('delirium-orbs'), currency);
   const rows = sorted.map((o) => {
     const value = currency === 'divine' ? (o.divineValue != null ? o.divineValue.toFixed(4) : '—') : (o.chaosValue != null ? o.chaosValue.toFixed(2) : '—');
     const weightStr = o.dropWeight != null ? (o.dropWeight * 100).toFixed(2) + '%' : '—';
@@ -1914,10 +1998,10 @@ function renderDeliriumOrbList(container) {
       <img class="delirium-orb-image" src="${imagePath}" alt="${o.name}" onerror="this.style.display='none'">
       <span class="delirium-orb-name">${o.name}</span>
       <span class="delirium-orb-weight">${weightStr}</span>
-      <span class="delirium-orb-value">${value} ${currencySymbol}</span>
+      <span class="delirium-orb-value">${value} ${currencySymbol}${renderPriceSparkline('deliriumOrb', o.id, currency)}${renderPriceOverrideButton(o)}</span>
     </div>`;
   });
-  const s = currentDeliriumOrbSort;
+  const s = getListSort('delirium-orbs');
   container.innerHTML = `
     <div class="delirium-orb-list-header">
       <div class="delirium-orb-header-cell image-cell"></div>
@@ -1928,10 +2012,10 @@ function renderDeliriumOrbList(container) {
     <div class="delirium-orb-list">${rows.join('')}</div>
   `;
   setupListHoverHighlight(container, '.delirium-orb-list-row', highlightCellForDeliriumOrb, clearDeliriumOrbHighlight);
-  setupListSort(container, '.delirium-orb-list-header .sortable', currentDeliriumOrbSort, (field, direction) => {
-    currentDeliriumOrbSort.field = field;
-    currentDeliriumOrbSort.direction = direction;
-  }, () => renderDeliriumOrbList(container));
+  setupCategoryPriceControls(container, 'delirium-orbs');
+  setupListSort(container, '.delirium-orb-list-header .sortable', getListSort('delirium-orbs'), (field, direction) => {
+    setListSort('delirium-orbs', { field, direction });
+  }, () => {});
   
   // Setup selection listeners
   const orbItems = container.querySelectorAll('.delirium-orb-list-row[data-id]');
@@ -1953,10 +2037,10 @@ function renderDeliriumOrbList(container) {
 }
 
 function renderEmblemList(container) {
-  if (!container || currentEmblems.length === 0) return;
-  const currency = currentCurrency;
+  if (!container || getCategoryItems('emblems').length === 0) return;
+  const currency = getSettings().currency;
   const currencySymbol = currency === 'divine' ? 'Div' : 'c';
-  const sorted = sortEmblems(currentEmblems, currentEmblemSort, currency);
+  const sorted = sortCategoryItems('emblems', getCategoryItems('emblems'), getListSort('emblems'), currency);
   const rows = sorted.map((o) => {
     const value = currency === 'divine' ? (o.divineValue != null ? o.divineValue.toFixed(4) : '—') : (o.chaosValue != null ? o.chaosValue.toFixed(2) : '—');
     const weightStr = o.dropWeight != null ? (o.dropWeight * 100).toFixed(2) + '%' : '—';
@@ -1967,10 +2051,10 @@ function renderEmblemList(container) {
       <img class="emblem-image" src="${imagePath}" alt="${o.name}" onerror="this.style.display='none'">
       <span class="emblem-name">${o.name}</span>
       <span class="emblem-weight">${weightStr}</span>
-      <span class="emblem-value">${value} ${currencySymbol}</span>
+      <span class="emblem-value">${value} ${currencySymbol}${renderPriceSparkline('emblem', o.id, currency)}${renderPriceOverrideButton(o)}</span>
     </div>`;
   });
-  const s = currentEmblemSort;
+  const s = getListSort('emblems');
   container.innerHTML = `
     <div class="emblem-list-header">
       <div class="emblem-header-cell image-cell"></div>
@@ -1981,9 +2065,9 @@ function renderEmblemList(container) {
     <div class="emblem-list">${rows.join('')}</div>
   `;
   setupListHoverHighlight(container, '.emblem-list-row', highlightCellForEmblem, clearEmblemHighlight);
-  setupListSort(container, '.emblem-list-header .sortable', currentEmblemSort, (field, direction) => {
-    currentEmblemSort.field = field;
-    currentEmblemSort.direction = direction;
+  setupCategoryPriceControls(container, 'emblems');
+  setupListSort(container, '.emblem-list-header .sortable', getListSort('emblems'), (field, direction) => {
+    setListSort('emblems', { field, direction });
   }, () => renderEmblemList(container));
   
   // Setup selection listeners
@@ -2032,11 +2116,11 @@ function syncTattooListAndGridHeights() {
 
 /** Sortable table only (#list-view, right column). */
 function renderTattooListTable(container) {
-  if (!container || currentTattoos.length === 0) return;
-  const currency = currentCurrency;
+  if (!container || getCategoryItems('tattoos').length === 0) return;
+  const currency = getSettings().currency;
   const currencySymbol = currency === 'divine' ? 'Div' : 'c';
-  const sorted = sortTattoos(currentTattoos, currentTattooSort, currency);
-  const s = currentTattooSort;
+  const sorted = sortCategoryItems('tattoos', getCategoryItems('tattoos'), getListSort('tattoos'), currency);
+  const s = getListSort('tattoos');
 
   const tableRows = sorted.map((t) => {
     const weightStr = t.dropWeight != null ? (t.dropWeight * 100).toFixed(2) + '%' : '—';
@@ -2051,7 +2135,9 @@ function renderTattooListTable(container) {
       <img class="tattoo-image" src="${imagePath}" alt="${t.name}" onerror="this.style.display='none'">
       <span class="tattoo-name">${t.name}</span>
       <span class="tattoo-weight">${weightStr}</span>
-      <span class="tattoo-value">${value} ${currencySymbol}</span>
+      <span class="tattoo-value">${value} ${currencySymbol}${renderPriceSparkline('tattoo', t.id, currency)}${renderPriceOverrideButton(t)}</span>
+      <span class="tattoo-threshold">${formatItemThreshold(t, currency)} ${currencySymbol}</span>
+      <span class="tattoo-fragility">${formatItemFragility(t)}</span>
     </div>`;
   }).join('');
 
@@ -2062,6 +2148,8 @@ function renderTattooListTable(container) {
         <div class="tattoo-header-cell name-cell sortable" data-sort-field="name">Name${getListSortIndicator(s, 'name')}</div>
         <div class="tattoo-header-cell weight-cell sortable" data-sort-field="dropWeight">Drop Weight${getListSortIndicator(s, 'dropWeight')}</div>
         <div class="tattoo-header-cell value-cell sortable" data-sort-field="value">Value (${currencySymbol})${getListSortIndicator(s, 'value')}</div>
+        <div class="tattoo-header-cell threshold-cell sortable" data-sort-field="threshold" title="Highest price at which vendoring three of this Tattoo is profitable">Threshold${getListSortIndicator(s, 'threshold')}</div>
+        <div class="tattoo-header-cell fragility-cell sortable" data-sort-field="fragility" title="Price change that would flip the profitability status (smallest first = most fragile)">Flip${getListSortIndicator(s, 'fragility')}</div>
       </div>
       <div class="tattoo-list">${tableRows}</div>
     </div>
@@ -2069,9 +2157,9 @@ function renderTattooListTable(container) {
 
   container.innerHTML = tableSection;
 
-  setupListSort(container, '.tattoo-list-header .sortable', currentTattooSort, (field, direction) => {
-    currentTattooSort.field = field;
-    currentTattooSort.direction = direction;
+  setupCategoryPriceControls(container, 'tattoos');
+  setupListSort(container, '.tattoo-list-header .sortable', getListSort('tattoos'), (field, direction) => {
+    setListSort('tattoos', { field, direction });
   }, () => renderTattooList(document.getElementById('list-view')));
 
   const tattooListRows = container.querySelectorAll('.tattoo-list-row[data-id]');
@@ -2093,10 +2181,10 @@ function renderTattooListTable(container) {
 
 /** Grouped cards only (#tattoo-cards-container, left column — grid view slot). */
 function renderTattooCardsPanel(container) {
-  if (!container || currentTattoos.length === 0) return;
-  const currency = currentCurrency;
+  if (!container || getCategoryItems('tattoos').length === 0) return;
+  const currency = getSettings().currency;
   const currencySymbol = currency === 'divine' ? 'Div' : 'c';
-  const sorted = sortTattoos(currentTattoos, currentTattooSort, currency);
+  const sorted = sortCategoryItems('tattoos', getCategoryItems('tattoos'), getListSort('tattoos'), currency);
 
   const grouped = {
     'Strength': [],
@@ -2168,7 +2256,7 @@ function renderTattooCardsPanel(container) {
 }
 
 function renderTattooList(listViewContainer) {
-  if (!listViewContainer || currentTattoos.length === 0) return;
+  if (!listViewContainer || getCategoryItems('tattoos').length === 0) return;
   const cardsContainer = document.getElementById('tattoo-cards-container');
   renderTattooListTable(listViewContainer);
   if (cardsContainer) renderTattooCardsPanel(cardsContainer);
@@ -2191,15 +2279,18 @@ async function renderCatalystUI(catalysts, currency) {
       }
       return true;
     });
+  applyWeightSource(catalystInstances, loadDropLog('catalysts'), getSettings().weightSource);
 
   // Calculate threshold (excludes Tainted Catalysts from return pool)
   let threshold = null;
   try {
-    threshold = calculateCatalystThreshold(catalystInstances, 0.9, 10000, 'returnable');
+    threshold = calculateCatalystThreshold(catalystInstances, getSettings().confidencePercentile, 10000, 'returnable');
+    threshold.sensitivity = calculateThresholdSensitivity(catalystInstances, threshold);
+    threshold.weightsOrigin = getWeightsStatus('catalysts');
     console.log(`Catalyst threshold calculated: ${threshold.value.toFixed(2)} chaos`);
     
     // Calculate profitability status for all Catalysts
-    calculateCatalystProfitabilityStatus(catalystInstances, threshold);
+    calculateCatalystItemThresholds(catalystInstances, threshold);
   } catch (error) {
     console.error('Error calculating Catalyst threshold:', error);
     // Set all to unknown if calculation fails
@@ -2208,8 +2299,8 @@ async function renderCatalystUI(catalysts, currency) {
     });
   }
 
-  currentCatalysts = catalystInstances;
-  currentCurrency = currency;
+  setCategoryData('catalysts', { items: catalystInstances });
+  updateSettings({ currency });
 
   // Setup regex component for catalysts
   await setupRegexComponentForCategory('catalysts', catalystInstances);
@@ -2227,13 +2318,7 @@ async function renderCatalystUI(catalysts, currency) {
   }
   if (gridCanvas) {
     try {
-      teardownGridView(gridCanvas);
-      teardownEssenceGridView(gridCanvas);
-      teardownFossilGridView(gridCanvas);
-      teardownOilGridView(gridCanvas);
-      teardownDeliriumOrbGridView(gridCanvas);
-      teardownEmblemGridView(gridCanvas);
-      await initCatalystGridView(gridCanvas, catalystInstances, CATALYSTS_GRID_CONFIG.tabImagePath);
+      await initCategoryGrid(gridCanvas, 'catalysts', catalystInstances);
       const listWrapper = document.querySelector('.list-wrapper');
       if (listWrapper && gridCanvas.offsetHeight > 0) {
         listWrapper.style.height = `${gridCanvas.offsetHeight}px`;
@@ -2251,11 +2336,12 @@ async function renderCatalystUI(catalysts, currency) {
   const thresholdContainer = document.getElementById('threshold-display');
   if (thresholdContainer) {
     if (threshold) {
-      renderThresholdDisplay(thresholdContainer, threshold, currency, 0.9, null, 'returnable', null);
+      renderThresholdDisplay(thresholdContainer, threshold, currency, getSettings().confidencePercentile, handleConfidencePercentileChange, 'returnable', null);
     } else {
       thresholdContainer.innerHTML = '<div class="catalyst-threshold-note">Catalysts: drop weights from <a href="https://poedata.dev/data/catalysts/calculations/mle.json" target="_blank" rel="noopener">poedata.dev MLE</a>. Unable to calculate threshold.</div>';
     }
   }
+  renderDropLog('catalysts', catalystInstances);
 }
 
 /**
@@ -2264,8 +2350,8 @@ async function renderCatalystUI(catalysts, currency) {
  * @param {string} currency - 'chaos' or 'divine'
  */
 async function renderOilUI(oils, currency) {
-  currentOils = oils;
-  currentCurrency = currency;
+  setCategoryData('oils', { items: oils });
+  updateSettings({ currency });
 
   // Setup regex component for oils
   await setupRegexComponentForCategory('oils', oils);
@@ -2283,13 +2369,7 @@ async function renderOilUI(oils, currency) {
   }
   if (gridCanvas) {
     try {
-      teardownGridView(gridCanvas);
-      teardownEssenceGridView(gridCanvas);
-      teardownCatalystGridView(gridCanvas);
-      teardownFossilGridView(gridCanvas);
-      teardownDeliriumOrbGridView(gridCanvas);
-      teardownEmblemGridView(gridCanvas);
-      await initOilGridView(gridCanvas, oils, OILS_GRID_CONFIG.tabImagePath);
+      await initCategoryGrid(gridCanvas, 'oils', oils);
       const listWrapper = document.querySelector('.list-wrapper');
       if (listWrapper && gridCanvas.offsetHeight > 0) {
         listWrapper.style.height = `${gridCanvas.offsetHeight}px`;
@@ -2311,37 +2391,16 @@ async function renderOilUI(oils, currency) {
 }
 
 /**
- * Render Delirium Orb UI (list + grid view)
- * @param {Array} items - Delirium Orb instances
- * @param {string} currency - Currency preference
- * @param {number} rerollCost - Reroll cost
- * @param {Object} primalLifeforce - Primal Lifeforce price object
+ * Render the Delirium Orb grid view from app state
  */
-async function renderDeliriumOrbUI(items, currency, rerollCost = null, primalLifeforce = null) {
-  currentDeliriumOrbs = items;
-  currentCurrency = currency;
-
-  // Setup regex component for delirium-orbs
-  await setupRegexComponentForCategory('delirium-orbs', items);
-
-  const listViewContainer = document.getElementById('list-view');
-  if (listViewContainer) {
-    renderDeliriumOrbList(listViewContainer);
-  }
-
+async function renderDeliriumOrbGrid() {
   const gridViewContainer = document.getElementById('grid-view');
   const gridCanvas = document.getElementById('scarab-grid-canvas');
   restoreCanvasGridSlot();
   if (gridViewContainer) gridViewContainer.style.display = 'block';
   if (gridCanvas) {
     try {
-      teardownGridView(gridCanvas);
-      teardownEssenceGridView(gridCanvas);
-      teardownCatalystGridView(gridCanvas);
-      teardownFossilGridView(gridCanvas);
-      teardownOilGridView(gridCanvas);
-      teardownEmblemGridView(gridCanvas);
-      await initDeliriumOrbGridView(gridCanvas, items, DELIRIUM_ORBS_GRID_CONFIG.tabImagePath);
+      await initCategoryGrid(gridCanvas, 'delirium-orbs', getCategoryItems('delirium-orbs'));
       const listWrapper = document.querySelector('.list-wrapper');
       if (listWrapper && gridCanvas.offsetHeight > 0) listWrapper.style.height = `${gridCanvas.offsetHeight}px`;
     } catch (err) {
@@ -2351,31 +2410,72 @@ async function renderDeliriumOrbUI(items, currency, rerollCost = null, primalLif
 
   const filterPanelContainer = document.getElementById('filter-panel');
   if (filterPanelContainer) filterPanelContainer.style.display = 'none';
-  const thresholdContainer = document.getElementById('threshold-display');
-  if (thresholdContainer) {
-    if (rerollCost != null && primalLifeforce != null) {
-      const currencySymbol = currency === 'divine' ? 'Div' : 'c';
-      const costDisplay = currency === 'divine' 
-        ? (rerollCost / (window.divinePrice || 153)).toFixed(4) 
-        : rerollCost.toFixed(2);
-      thresholdContainer.innerHTML = `
-        <div class="oil-threshold-note">
-          <strong>Delirium Orbs</strong><br>
-          <strong>Reroll Cost:</strong> 30 Primal Lifeforce = ${costDisplay} ${currencySymbol}
-        </div>
-      `;
-    } else {
-      thresholdContainer.innerHTML = '<div class="oil-threshold-note">Delirium Orbs</div>';
-    }
+}
+
+/**
+ * Render the Delirium Orb threshold display from app state
+ * @param {HTMLElement} container
+ */
+function renderDeliriumOrbThresholdDisplay(container) {
+  if (!container) return;
+  const threshold = getCategoryThreshold('delirium-orbs');
+  if (threshold?.rerollCost == null) {
+    container.innerHTML = '<div class="oil-threshold-note">Delirium Orbs</div>';
+    return;
   }
+
+  const currency = getSettings().currency;
+  const currencySymbol = currency === 'divine' ? 'Div' : 'c';
+  const costDisplay = currency === 'divine' 
+    ? (threshold.rerollCost / (window.divinePrice || 153)).toFixed(4) 
+    : threshold.rerollCost.toFixed(2);
+  container.innerHTML = `
+    <div class="oil-threshold-note">
+      <strong>Delirium Orbs</strong><br>
+      <strong>Reroll Cost:</strong> 30 Primal Lifeforce = ${costDisplay} ${currencySymbol}
+      ${renderWeightBand(threshold.weightBand, currency)}
+      ${renderWeightsOrigin(threshold.weightsOrigin)}
+    </div>
+  `;
+}
+
+/**
+ * Re-render the Delirium Orb views from app state while the category is shown:
+ * list, grid and regex search when the items change, list on sort or currency changes,
+ * threshold display on threshold or currency changes
+ */
+function subscribeDeliriumOrbViews() {
+  const isShown = () => getRoute().categoryId === 'delirium-orbs';
+  const renderList = () => renderDeliriumOrbList(document.getElementById('list-view'));
+  const renderThreshold = () => renderDeliriumOrbThresholdDisplay(document.getElementById('threshold-display'));
+
+  subscribeState(selectItems('delirium-orbs'), items => {
+    if (!isShown()) return;
+    renderList();
+    renderDeliriumOrbGrid();
+    setupRegexComponentForCategory('delirium-orbs', items).catch(error => {
+      console.error('Error setting up Delirium Orb regex search:', error);
+    });
+  });
+  subscribeState(selectThreshold('delirium-orbs'), () => {
+    if (isShown()) renderThreshold();
+  });
+  subscribeState(selectListSort('delirium-orbs'), () => {
+    if (isShown()) renderList();
+  });
+  subscribeState(selectCurrency, () => {
+    if (!isShown()) return;
+    renderList();
+    renderThreshold();
+  });
 }
 
 /**
  * Render Emblem UI (list + grid view)
  */
 async function renderEmblemUI(items, currency) {
-  currentEmblems = items;
-  currentCurrency = currency;
+  setCategoryData('emblems', { items: items });
+  updateSettings({ currency });
 
   // Setup regex component for emblems
   await setupRegexComponentForCategory('emblems', items);
@@ -2391,13 +2491,7 @@ async function renderEmblemUI(items, currency) {
   if (gridViewContainer) gridViewContainer.style.display = 'block';
   if (gridCanvas) {
     try {
-      teardownGridView(gridCanvas);
-      teardownEssenceGridView(gridCanvas);
-      teardownCatalystGridView(gridCanvas);
-      teardownFossilGridView(gridCanvas);
-      teardownOilGridView(gridCanvas);
-      teardownDeliriumOrbGridView(gridCanvas);
-      await initEmblemGridView(gridCanvas, items, EMBLEMS_GRID_CONFIG.tabImagePath);
+      await initCategoryGrid(gridCanvas, 'emblems', items);
       const listWrapper = document.querySelector('.list-wrapper');
       if (listWrapper && gridCanvas.offsetHeight > 0) listWrapper.style.height = `${gridCanvas.offsetHeight}px`;
     } catch (err) {
@@ -2427,15 +2521,18 @@ async function renderTattooUI(items, currency) {
       }
       return true;
     });
+  applyWeightSource(tattooInstances, loadDropLog('tattoos'), getSettings().weightSource);
 
   // Calculate threshold (excludes Journey Tattoos from return pool)
   let threshold = null;
   try {
-    threshold = calculateTattooThreshold(tattooInstances, 0.9, 10000, 'returnable');
+    threshold = calculateTattooThreshold(tattooInstances, getSettings().confidencePercentile, 10000, 'returnable');
+    threshold.sensitivity = calculateThresholdSensitivity(tattooInstances, threshold);
+    threshold.weightsOrigin = getWeightsStatus('tattoos');
     console.log(`Tattoo threshold calculated: ${threshold.value.toFixed(2)} chaos`);
     
     // Calculate profitability status for all Tattoos
-    calculateTattooProfitabilityStatus(tattooInstances, threshold);
+    calculateTattooItemThresholds(tattooInstances, threshold);
   } catch (error) {
     console.error('Error calculating Tattoo threshold:', error);
     // Set all to unknown if calculation fails
@@ -2444,8 +2541,8 @@ async function renderTattooUI(items, currency) {
     });
   }
 
-  currentTattoos = tattooInstances;
-  currentCurrency = currency;
+  setCategoryData('tattoos', { items: tattooInstances });
+  updateSettings({ currency });
 
   // Setup regex component for tattoos
   await setupRegexComponentForCategory('tattoos', tattooInstances);
@@ -2463,11 +2560,12 @@ async function renderTattooUI(items, currency) {
   const thresholdContainer = document.getElementById('threshold-display');
   if (thresholdContainer) {
     if (threshold) {
-      renderThresholdDisplay(thresholdContainer, threshold, currency, 0.9, null, 'returnable', null);
+      renderThresholdDisplay(thresholdContainer, threshold, currency, getSettings().confidencePercentile, handleConfidencePercentileChange, 'returnable', null);
     } else {
       thresholdContainer.innerHTML = '<div class="oil-threshold-note">Tattoos: Unable to calculate threshold.</div>';
     }
   }
+  renderDropLog('tattoos', tattooInstances);
 }
 
 /**
@@ -2476,6 +2574,8 @@ async function renderTattooUI(items, currency) {
  * @param {string} currency - Currency preference ('chaos' | 'divine')
  */
 async function renderTempleUpgradeUI(combinations, currency) {
+  setCategoryData('temple', { items: combinations });
+
   // Clear regex display (only for scarabs)
   clearRegexDisplay();
   
@@ -2510,9 +2610,8 @@ async function renderTempleUpgradeUI(combinations, currency) {
 async function handleRouteChange(category, page) {
   // Handle root route (welcome page)
   if (category === null || page === null) {
-    // Set currentCategory to null to mark we're on root
-    currentCategory = null;
-    currentPage = null;
+    // Clear the route category to mark we're on root
+    setRoute(null, null);
     
     // Show welcome page
     const welcomePage = document.getElementById('welcome-page');
@@ -2549,16 +2648,17 @@ async function handleRouteChange(category, page) {
   }
   
   // Check if we're coming from root before updating state
-  const comingFromRoot = currentCategory === null;
+  const { categoryId: previousCategory, page: previousPage } = getRoute();
+  const comingFromRoot = previousCategory === null;
   
   // Update current state
-  // If coming from root (currentCategory is null), always treat as category change
-  const categoryChanged = comingFromRoot || currentCategory !== category;
-  const pageChanged = comingFromRoot || currentPage === null || currentPage !== page;
+  // If coming from root (previous category is null), always treat as category change
+  const categoryChanged = comingFromRoot || previousCategory !== category;
+  const pageChanged = comingFromRoot || previousPage === null || previousPage !== page;
   
   // Unsubscribe from selection changes if switching away from a category with regex support
   if (categoryChanged && selectionUnsubscribeFn) {
-    const previousSusFileName = getSusFileName(currentCategory);
+    const previousSusFileName = getSusFileName(previousCategory);
     if (previousSusFileName) {
       selectionUnsubscribeFn();
       selectionUnsubscribeFn = null;
@@ -2568,15 +2668,22 @@ async function handleRouteChange(category, page) {
   
   // Clean up list view subscriptions when switching categories
   if (categoryChanged) {
-    if (currentCategory === 'essences') {
+    if (previousCategory === 'essences') {
       cleanupEssenceSelectionSubscription();
-    } else if (currentCategory === 'fossils') {
+    } else if (previousCategory === 'fossils') {
       cleanupFossilSelectionSubscription();
     }
   }
   
-  currentCategory = category;
-  currentPage = page;
+  setRoute(category, page);
+
+  // Only Scarabs, Catalysts and Tattoos use drop-log weights; their renderers fill the panel again
+  if (categoryChanged) {
+    const dropLogContainer = document.getElementById('drop-log-panel');
+    if (dropLogContainer) {
+      dropLogContainer.innerHTML = '';
+    }
+  }
   
   // Hide welcome page if it's visible
   const welcomePage = document.getElementById('welcome-page');
@@ -2636,221 +2743,188 @@ async function handleRouteChange(category, page) {
 }
 
 /**
- * Handle category change logic (separated for reuse)
- * @param {string} category - 'scarabs', 'essences', 'tattoos', 'catalysts', 'temple', 'fossils', 'oils', 'delirium-orbs', 'emblems'
+ * Get the saved currency preference
+ * @returns {string} 'chaos' or 'divine'
  */
-async function handleCategoryChangeLogic(category) {
-  // Handle category-specific logic
-  if (category === 'essences') {
-    try {
-      // Show loading state
-      const listViewContainer = document.getElementById('list-view');
-      if (listViewContainer) {
-        showEssenceLoadingState(listViewContainer);
-      }
-      
-      // Load and process Essence data
-      const { essences, thresholds, rerollCost, allEssences } = await loadAndProcessEssenceData();
-      
-      // Get currency preference
-      const preferences = loadPreferences();
-      const currency = preferences.currencyPreference || 'chaos';
-      
-      // Render Essence UI (grid uses allEssences so every slot is filled correctly)
-      await renderEssenceUI(essences, thresholds, rerollCost, currency, allEssences);
-    } catch (error) {
-      console.error('Error handling Essence category:', error);
-      showErrorToast('Failed to load Essence data');
-    }
-  } else if (category === 'fossils') {
-    try {
-      // Show loading state
-      const listViewContainer = document.getElementById('list-view');
-      if (listViewContainer) {
-        showFossilLoadingState(listViewContainer);
-      }
-      
-      // Load and process Fossil data (threshold + list)
-      const { fossils, threshold, rerollCost, wildLifeforce } = await loadAndProcessFossilData();
-      
-      // Load full fossil data (details + MLE weights + prices) for grid view
-      const gridFossils = await loadFullFossilData().catch(() => []);
-      
-      // Get currency preference
-      const preferences = loadPreferences();
-      const currency = preferences.currencyPreference || 'chaos';
-      
-      // Render Fossil UI (list + threshold + grid when gridFossils available)
-      await renderFossilUI(fossils, threshold, rerollCost, currency, wildLifeforce, gridFossils);
-    } catch (error) {
-      console.error('Error handling Fossil category:', error);
-      showErrorToast('Failed to load Fossil data');
-    }
-  } else if (category === 'scarabs') {
-    // Load Scarab data if not already loaded
-    if (currentScarabs.length === 0 || !currentThreshold) {
-      try {
-        // Show loading state
-        const listViewContainer = document.getElementById('list-view');
-        if (listViewContainer) {
-          showLoadingState(listViewContainer);
-        }
-        
-        console.log('Loading Scarab data...');
-        const rawData = await loadAndMergeScarabData();
-        
-        // Load additional item type prices in parallel if not already loaded
-        if (!window.priceData || !window.priceData.additional) {
-          const additionalItemTypes = ['catalyst', 'deliriumOrb', 'emblem', 'essence', 'fossil', 'lifeforce', 'oil', 'tattoo', 'templeUnique', 'vial'];
-          const additionalPrices = await loadAllItemTypePrices(additionalItemTypes);
-          window.priceData = {
-            scarabs: rawData,
-            additional: additionalPrices
-          };
-        } else {
-          window.priceData.scarabs = rawData;
-        }
-        
-        // Sanitize and create Scarab instances
-        const scarabs = rawData
-          .map(data => sanitizeScarabData(data))
-          .map(data => new Scarab(data))
-          .filter(scarab => {
-            if (!scarab.validate()) {
-              console.warn(`Invalid Scarab data: ${scarab.id}`);
-              return false;
-            }
-            return true;
-          });
-
-        console.log(`Loaded ${scarabs.length} Scarabs`);
-
-        // Handle missing data
-        scarabs.forEach(scarab => {
-          handleMissingPriceData(scarab);
-          handleMissingDropWeight(scarab);
-        });
-
-        // Calculate threshold
-        const preferences = loadPreferences();
-        const threshold = calculateThreshold(scarabs, currentConfidencePercentile, 10000, currentTradeMode);
-        console.log(`Threshold calculated: ${threshold.value.toFixed(2)} chaos`);
-
-        // Calculate profitability status for all Scarabs
-        calculateProfitabilityStatus(scarabs, threshold);
-
-        // Update global state
-        currentScarabs = scarabs;
-        currentThreshold = threshold;
-        
-        // Initialize simulation panel
-        initSimulationPanel(scarabs, threshold);
-        
-        // Render UI
-        const currency = preferences.currencyPreference || 'chaos';
-        renderUI(scarabs, threshold, currency);
-      } catch (error) {
-        console.error('Error loading Scarab data:', error);
-        showErrorToast('Failed to load Scarab data');
-        const listViewContainer = document.getElementById('list-view');
-        if (listViewContainer) {
-          showErrorState(listViewContainer, 'Failed to load Scarab data. Please refresh the page.');
-        }
-      }
+function getPreferredCurrency() {
+  return getSettings().currency;
+}
+
+/**
+ * Load Scarab data (once) and render the Scarab UI
+ */
+async function loadScarabCategory() {
+  // Reload Scarab UI if we already have Scarab data
+  if (getCategoryItems('scarabs').length > 0 && getCategoryThreshold('scarabs')) {
+    renderUI(getCategoryItems('scarabs'), getCategoryThreshold('scarabs'), getPreferredCurrency());
+    return;
+  }
+
+  try {
+    console.log('Loading Scarab data...');
+    const rawData = await loadAndMergeScarabData();
+    
+    // Load additional item type prices in parallel if not already loaded
+    if (!window.priceData || !window.priceData.additional) {
+      const additionalItemTypes = ITEM_TYPES.filter(t => t.id !== 'scarab').map(t => t.id);
+      const additionalPrices = await loadAllItemTypePrices(additionalItemTypes);
+      window.priceData = {
+        scarabs: rawData,
+        additional: additionalPrices
+      };
     } else {
-      // Reload Scarab UI if we already have Scarab data
-      const preferences = loadPreferences();
-      const currency = preferences.currencyPreference || 'chaos';
-      renderUI(currentScarabs, currentThreshold, currency);
-    }
-  } else if (category === 'catalysts') {
-    try {
-      const listViewContainer = document.getElementById('list-view');
-      if (listViewContainer) {
-        listViewContainer.innerHTML = '<p class="loading-message">Loading Catalysts...</p>';
-      }
-      const catalysts = await loadAndMergeCatalystData();
-      const preferences = loadPreferences();
-      const currency = preferences.currencyPreference || 'chaos';
-      await renderCatalystUI(catalysts, currency);
-    } catch (error) {
-      console.error('Error handling Catalysts category:', error);
-      showErrorToast('Failed to load Catalyst data');
-    }
-  } else if (category === 'oils') {
-    try {
-      const listViewContainer = document.getElementById('list-view');
-      if (listViewContainer) {
-        listViewContainer.innerHTML = '<p class="loading-message">Loading Oils...</p>';
-      }
-      const oils = await loadFullOilData();
-      const preferences = loadPreferences();
-      const currency = preferences.currencyPreference || 'chaos';
-      await renderOilUI(oils, currency);
-    } catch (error) {
-      console.error('Error handling Oils category:', error);
-      showErrorToast('Failed to load Oil data');
+      window.priceData.scarabs = rawData;
     }
-  } else if (category === 'delirium-orbs') {
-    try {
-      const listViewContainer = document.getElementById('list-view');
-      if (listViewContainer) {
-        listViewContainer.innerHTML = '<p class="loading-message">Loading Delirium Orbs...</p>';
-      }
-      const { deliriumOrbs, rerollCost, primalLifeforce } = await loadAndProcessDeliriumOrbData();
-      const preferences = loadPreferences();
-      const currency = preferences.currencyPreference || 'chaos';
-      await renderDeliriumOrbUI(deliriumOrbs, currency, rerollCost, primalLifeforce);
-    } catch (error) {
-      console.error('Error handling Delirium Orbs category:', error);
-      showErrorToast('Failed to load Delirium Orb data');
-    }
-  } else if (category === 'emblems') {
-    try {
-      const listViewContainer = document.getElementById('list-view');
-      if (listViewContainer) {
-        listViewContainer.innerHTML = '<p class="loading-message">Loading Emblems...</p>';
-      }
-      const items = await loadFullEmblemData();
-      const preferences = loadPreferences();
-      const currency = preferences.currencyPreference || 'chaos';
-      await renderEmblemUI(items, currency);
-    } catch (error) {
-      console.error('Error handling Emblems category:', error);
-      showErrorToast('Failed to load Emblem data');
-    }
-  } else if (category === 'tattoos') {
-    try {
-      const listViewContainer = document.getElementById('list-view');
-      if (listViewContainer) {
-        listViewContainer.innerHTML = '<p class="loading-message">Loading Tattoos...</p>';
-      }
-      const items = await loadFullTattooData();
-      const preferences = loadPreferences();
-      const currency = preferences.currencyPreference || 'chaos';
-      await renderTattooUI(items, currency);
-    } catch (error) {
-      console.error('Error handling Tattoos category:', error);
-      showErrorToast('Failed to load Tattoo data');
+    
+    // Sanitize and create Scarab instances
+    const scarabs = rawData
+      .map(data => sanitizeScarabData(data))
+      .map(data => new Scarab(data))
+      .filter(scarab => {
+        if (!scarab.validate()) {
+          console.warn(`Invalid Scarab data: ${scarab.id}`);
+          return false;
+        }
+        return true;
+      });
+
+    console.log(`Loaded ${scarabs.length} Scarabs`);
+
+    // Handle missing data
+    scarabs.forEach(scarab => {
+      handleMissingPriceData(scarab);
+      handleMissingDropWeight(scarab);
+    });
+    applyWeightSource(scarabs, loadDropLog('scarabs'), getSettings().weightSource);
+
+    // Calculate threshold
+    const threshold = calculateScarabThreshold(scarabs);
+    console.log(`Threshold calculated: ${threshold.value.toFixed(2)} chaos`);
+
+    // Calculate profitability status for all Scarabs
+    calculateItemThresholds(scarabs, threshold);
+
+    // Update app state
+    setCategoryData('scarabs', { items: scarabs, threshold });
+    
+    // Initialize simulation panel
+    initSimulationPanel(scarabs, threshold);
+    
+    // Render UI
+    renderUI(scarabs, threshold, getPreferredCurrency());
+  } catch (error) {
+    console.error('Error loading Scarab data:', error);
+    showErrorToast('Failed to load Scarab data');
+    const listViewContainer = document.getElementById('list-view');
+    if (listViewContainer) {
+      showErrorState(listViewContainer, 'Failed to load Scarab data. Please refresh the page.');
     }
-  } else if (category === 'temple') {
-    try {
-      const listViewContainer = document.getElementById('list-view');
-      if (listViewContainer) {
-        listViewContainer.innerHTML = '<p class="loading-message">Loading Temple upgrades...</p>';
-      }
+  }
+}
+
+// Loader and render hooks of each category (see CategoryView in categoryRegistry.js)
+registerCategoryViews({
+  'scarabs': {
+    load: loadScarabCategory,
+    reload: () => reloadScarabDataWithPrices(null),
+    renderList: () => renderCurrentView(),
+    renderCurrency: renderScarabCurrencyChange,
+    showLoading: showLoadingState,
+  },
+  'essences': {
+    load: async () => {
+      const { essences, thresholds, rerollCost, allEssences } = await loadAndProcessEssenceData();
+      // Grid uses allEssences so every slot is filled correctly
+      await renderEssenceUI(essences, thresholds, rerollCost, getPreferredCurrency(), allEssences);
+    },
+    renderList: container => renderEssenceList(container, getCategoryItems('essences'), getSettings().currency),
+    renderCurrency: renderEssenceCurrencyChange,
+    showLoading: showEssenceLoadingState,
+  },
+  'fossils': {
+    load: async () => {
+      // Threshold + list, then full fossil data (details + MLE weights + prices) for grid view
+      const { fossils, threshold, rerollCost, wildLifeforce } = await loadAndProcessFossilData();
+      const gridFossils = await loadFullFossilData().catch(() => []);
+      await renderFossilUI(fossils, threshold, rerollCost, getPreferredCurrency(), wildLifeforce, gridFossils);
+    },
+    renderList: container => renderFossilList(container, getCategoryItems('fossils'), getSettings().currency),
+    renderCurrency: renderFossilCurrencyChange,
+    showLoading: showFossilLoadingState,
+  },
+  'catalysts': {
+    load: async () => renderCatalystUI(await loadAndMergeCatalystData(), getPreferredCurrency()),
+    renderList: renderCatalystList,
+    renderCurrency: renderListInCurrency(renderCatalystList),
+  },
+  'oils': {
+    load: async () => renderOilUI(await loadFullOilData(), getPreferredCurrency()),
+    renderList: renderOilList,
+    renderCurrency: renderListInCurrency(renderOilList),
+  },
+  'delirium-orbs': {
+    // List, grid and threshold display render from app state (see subscribeDeliriumOrbViews)
+    load: loadAndProcessDeliriumOrbData,
+    renderList: renderDeliriumOrbList,
+    renderCurrency: null,
+  },
+  'emblems': {
+    load: async () => renderEmblemUI(await loadFullEmblemData(), getPreferredCurrency()),
+    renderList: renderEmblemList,
+    renderCurrency: renderListInCurrency(renderEmblemList),
+  },
+  'tattoos': {
+    load: async () => renderTattooUI(await loadFullTattooData(), getPreferredCurrency()),
+    renderList: renderTattooList,
+    renderCurrency: renderListInCurrency(renderTattooList),
+  },
+  'temple': {
+    load: async () => {
       const { combinations } = await loadTempleUpgradeData();
-      const preferences = loadPreferences();
-      const currency = preferences.currencyPreference || 'chaos';
-      await renderTempleUpgradeUI(combinations, currency);
-    } catch (error) {
-      console.error('Error handling Temple category:', error);
-      showErrorToast('Failed to load Temple upgrade data');
-    }
+      await renderTempleUpgradeUI(combinations, getPreferredCurrency());
+    },
+    renderList: () => {},
+    renderCurrency: currency => renderTempleUpgradeList(document.getElementById('list-view'), getCategoryItems('temple'), currency),
+  },
+});
+
+/**
+ * Show a category's list loading state
+ * @param {HTMLElement} container - List view container
+ * @param {CategoryDescriptor} descriptor - Category with registered view hooks
+ */
+function showCategoryLoadingState(container, descriptor) {
+  if (descriptor.view.showLoading) {
+    descriptor.view.showLoading(container);
   } else {
+    container.innerHTML = `<p class="loading-message">Loading ${descriptor.itemNamePlural}...</p>`;
+  }
+}
+
+/**
+ * Handle category change logic (separated for reuse)
+ * @param {string} category - Category id from the registry
+ */
+async function handleCategoryChangeLogic(category) {
+  const descriptor = getCategory(category);
+  const view = descriptor?.view;
+  if (!view) {
     // For other categories, show placeholder
     console.log(`Category changed to: ${category}`);
     showWarningToast(`${category.charAt(0).toUpperCase() + category.slice(1)} category is coming soon!`);
+    return;
+  }
+
+  try {
+    // Show loading state
+    const listViewContainer = document.getElementById('list-view');
+    if (listViewContainer) {
+      showCategoryLoadingState(listViewContainer, descriptor);
+    }
+    await view.load();
+  } catch (error) {
+    console.error(`Error handling ${descriptor.label} category:`, error);
+    showErrorToast(`Failed to load ${descriptor.itemName} data`);
   }
 }
 
@@ -2868,14 +2942,14 @@ function setupHeaderPageButtons() {
       const page = btn.dataset.page;
       if (page) {
         // Update URL when page button is clicked
-        navigateTo(currentCategory, page);
+        navigateTo(getRoute().categoryId, page);
         // handleRouteChange will be called by the router
       }
     });
   });
 
   // Set initial active state
-  updateHeaderPageButtons(currentPage);
+  updateHeaderPageButtons(getRoute().page);
 }
 
 /**
@@ -2902,7 +2976,7 @@ function updateHeaderPageButtons(activePage) {
  */
 function handlePageChange(page) {
   // Update URL when page changes
-  navigateTo(currentCategory, page);
+  navigateTo(getRoute().categoryId, page);
   // handleRouteChange will be called by the router
 }
 
@@ -1,5 +1,13 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { loadAndMergeScarabData, loadAndMergeFossilData, getWildLifeforcePrice } from '../../src/js/services/dataService.js';
+import {
+  loadAndMergeScarabData,
+  loadAndMergeFossilData,
+  getWildLifeforcePrice,
+  getWeightsStatus,
+  getWeightsSnapshotPath,
+  createWeightsSnapshot,
+  WEIGHTS_SNAPSHOT_VERSION,
+} from '../../src/js/services/dataService.js';
 
 function jsonOk(data) {
   return Promise.resolve({
@@ -228,3 +236,56 @@ describe('Fossil Data Service Integration', () => {
     expect(result).toBeNull();
   });
 });
+
+describe('MLE Weights Caching', () => {
+  const mockDetails = [{ id: 'abyss-scarab', name: 'Abyss Scarab', dropLevel: 68 }];
+  const mleData = { items: [{ id: 'abyss-scarab', weight: 0.25 }] };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    globalThis.fetch = vi.fn();
+  });
+
+  function mockWeights(remote, snapshot) {
+    globalThis.fetch.mockImplementation((url) => {
+      const u = String(url);
+      if (u.includes('/data/items/scarabs.json')) return jsonOk(mockDetails);
+      if (u.includes('poedata.dev')) return remote ? jsonOk(remote) : Promise.reject(new Error('Network error'));
+      if (u === getWeightsSnapshotPath('scarabs')) return snapshot ? jsonOk(snapshot) : Promise.resolve({ ok: false, status: 404 });
+      return Promise.reject(new Error(`Unmocked fetch: ${u}`));
+    });
+  }
+
+  it('should cache fetched weights and reuse them', async () => {
+    mockWeights(mleData, null);
+    await loadAndMergeScarabData([]);
+    expect(getWeightsStatus('scarabs').source).toBe('remote');
+
+    const result = await loadAndMergeScarabData([]);
+    const poedataCalls = globalThis.fetch.mock.calls.filter(([url]) => String(url).includes('poedata.dev'));
+    expect(poedataCalls).toHaveLength(1);
+    expect(result[0].dropWeight).toBe(0.25);
+    expect(getWeightsStatus('scarabs').source).toBe('cache');
+  });
+
+  it('should fall back to the bundled snapshot when offline', async () => {
+    const snapshot = createWeightsSnapshot('scarabs', mleData, new Date('2026-01-02T00:00:00Z'));
+    mockWeights(null, snapshot);
+
+    const result = await loadAndMergeScarabData([]);
+
+    expect(snapshot.snapshot.version).toBe(WEIGHTS_SNAPSHOT_VERSION);
+    expect(result[0].dropWeight).toBe(0.25);
+    expect(getWeightsStatus('scarabs')).toEqual({ source: 'local', timestamp: Date.parse('2026-01-02T00:00:00Z') });
+  });
+
+  it('should ignore snapshots of another version', async () => {
+    const snapshot = createWeightsSnapshot('scarabs', mleData);
+    snapshot.snapshot.version = WEIGHTS_SNAPSHOT_VERSION + 1;
+    mockWeights(null, snapshot);
+
+    await expect(loadAndMergeScarabData([])).rejects.toThrow(/snapshot version/);
+    expect(getWeightsStatus('scarabs').source).toBe('unavailable');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for the Category Registry
+ * Tests that descriptors drive routing, price files and list sorting
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CATEGORIES, getCategory, isCategory, getPriceTypes, sortCategoryItems, registerCategoryViews } from '../../../src/js/config/categoryRegistry.js';
+import { ITEM_TYPES } from '../../../src/js/services/leagueService.js';
+import { REROLL_RULES } from '../../../src/js/services/rerollRules.js';
+
+describe('CategoryRegistry', () => {
+  it('should register every category once', () => {
+    const ids = CATEGORIES.map(category => category.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(isCategory('delirium-orbs')).toBe(true);
+    expect(isCategory('breach')).toBe(false);
+    expect(getCategory('breach')).toBeNull();
+  });
+
+  it('should give every grid category an adapter and every reroll rule a category', () => {
+    CATEGORIES.filter(category => category.grid).forEach(category => {
+      expect(category.adapter).toBeTruthy();
+      expect(category.grid.tabImagePath).toMatch(/\.png$/);
+    });
+    Object.keys(REROLL_RULES).forEach(id => expect(getCategory(id).rule).toBe(REROLL_RULES[id]));
+  });
+
+  it('should attach view hooks to the descriptors', () => {
+    const view = { load: async () => {}, renderList: () => {}, renderCurrency: null };
+    registerCategoryViews({ oils: view });
+    expect(getCategory('oils').view).toBe(view);
+    expect(() => registerCategoryViews({ breach: view })).toThrow('Unknown category: breach');
+    registerCategoryViews({ oils: null });
+  });
+
+  it('should derive the price file types from the descriptors', () => {
+    const ids = getPriceTypes().map(priceType => priceType.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toEqual(expect.arrayContaining(['scarab', 'essence', 'lifeforce', 'templeUnique', 'vial']));
+
+    const scarab = ITEM_TYPES.find(itemType => itemType.id === 'scarab');
+    expect(scarab.fileNamePattern).toBe('scarabPrices_{league}.json');
+  });
+
+  describe('sortCategoryItems', () => {
+    const items = [
+      { id: 'a', name: 'Beta', chaosValue: 5, divineValue: 0.1, dropWeight: null },
+      { id: 'b', name: 'alpha', chaosValue: null, divineValue: null, dropWeight: 0.2 },
+      { id: 'c', name: 'Gamma', chaosValue: 2, divineValue: 0.3, dropWeight: 0.1 },
+    ];
+
+    it('should sort by name case-insensitively and by value in the selected currency', () => {
+      const byName = sortCategoryItems('oils', items, { field: 'name', direction: 'asc' }, 'chaos');
+      expect(byName.map(item => item.id)).toEqual(['b', 'a', 'c']);
+
+      const byDivine = sortCategoryItems('oils', items, { field: 'value', direction: 'desc' }, 'divine');
+      expect(byDivine.map(item => item.id)).toEqual(['c', 'a', 'b']);
+    });
+
+    it('should keep each category\'s handling of missing drop weights', () => {
+      const oils = sortCategoryItems('oils', items, { field: 'dropWeight', direction: 'asc' }, 'chaos');
+      expect(oils.map(item => item.id)).toEqual(['c', 'b', 'a']);
+
+      const catalysts = sortCategoryItems('catalysts', items, { field: 'weight', direction: 'asc' }, 'chaos');
+      expect(catalysts.map(item => item.id)).toEqual(['a', 'c', 'b']);
+    });
+
+    it('should reject categories without list sort fields', () => {
+      expect(() => sortCategoryItems('scarabs', items, { field: 'name', direction: 'asc' }, 'chaos')).toThrow();
+    });
+  });
+});
@@ -77,6 +77,16 @@ describe('Scarab Model', () => {
     const scarab = new Scarab(invalidData);
     expect(scarab.validate()).toBe(false);
   });
+
+  it('should check drop eligibility against dropEnabled and area level', () => {
+    const legacy = new Scarab({ id: 'legacy', name: 'Legacy Scarab', dropLevel: 68, dropEnabledd: false });
+    const scarab = new Scarab({ id: 'live', name: 'Live Scarab', dropLevel: 78, dropEnabledd: true });
+
+    expect(legacy.isDropEligible()).toBe(false);
+    expect(scarab.isDropEligible()).toBe(true);
+    expect(scarab.isDropEligible(78)).toBe(true);
+    expect(scarab.isDropEligible(73)).toBe(false);
+  });
 });
 
 describe('ExpectedValueThreshold Model', () => {
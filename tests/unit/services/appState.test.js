@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the App State Store
+ * Tests selector-scoped subscriptions, setters and the selection facade
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getState,
+  subscribe,
+  updateSettings,
+  getSettings,
+  getSettingsFromPreferences,
+  setCategoryData,
+  getCategoryItems,
+  getCategoryThreshold,
+  getListSort,
+  setListSort,
+  setRoute,
+  selectCurrency,
+  selectItems,
+  selectProfitableIds,
+  resetState,
+  DEFAULT_SETTINGS,
+} from '../../../src/js/services/appState.js';
+import * as selection from '../../../src/js/services/selectionState.js';
+
+describe('AppState', () => {
+  beforeEach(() => {
+    resetState();
+  });
+
+  it('should notify selector subscribers only when the selected value changes', () => {
+    const onCurrency = vi.fn();
+    const onScarabs = vi.fn();
+    subscribe(selectCurrency, onCurrency);
+    subscribe(selectItems('scarabs'), onScarabs);
+
+    setCategoryData('essences', { items: [{ id: 'a' }] });
+    expect(onCurrency).not.toHaveBeenCalled();
+    expect(onScarabs).not.toHaveBeenCalled();
+
+    updateSettings({ currency: 'divine' });
+    expect(onCurrency).toHaveBeenCalledWith('divine', 'chaos');
+    expect(onScarabs).not.toHaveBeenCalled();
+  });
+
+  it('should skip updates that change nothing', () => {
+    const listener = vi.fn();
+    subscribe(listener);
+    const before = getState();
+
+    updateSettings({ currency: DEFAULT_SETTINGS.currency, tradeMode: DEFAULT_SETTINGS.tradeMode });
+    setRoute('scarabs', 'flipping');
+
+    expect(getState()).toBe(before);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should stop notifying after unsubscribe', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribe(selectCurrency, listener);
+    unsubscribe();
+    updateSettings({ currency: 'divine' });
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should merge category data and keep other categories untouched', () => {
+    const items = [{ id: 'a' }];
+    setCategoryData('fossils', { items });
+    setCategoryData('fossils', { threshold: { value: 5 } });
+
+    expect(getCategoryItems('fossils')).toBe(items);
+    expect(getCategoryThreshold('fossils')).toEqual({ value: 5 });
+    expect(getCategoryItems('oils')).toEqual([]);
+    expect(getCategoryThreshold('oils')).toBeNull();
+  });
+
+  it('should read settings from preferences with defaults', () => {
+    updateSettings(getSettingsFromPreferences({ currencyPreference: 'divine', poolOptions: { areaLevel: 68 } }));
+
+    expect(getSettings().currency).toBe('divine');
+    expect(getSettings().confidencePercentile).toBe(DEFAULT_SETTINGS.confidencePercentile);
+    expect(getSettings().poolOptions).toEqual({ respectDropEligibility: true, areaLevel: 68 });
+  });
+
+  it('should fall back to the registry default list sort', () => {
+    expect(getListSort('catalysts')).toEqual({ field: 'name', direction: 'asc' });
+    setListSort('catalysts', { field: 'value', direction: 'desc' });
+    expect(getListSort('catalysts')).toEqual({ field: 'value', direction: 'desc' });
+    expect(selectItems('catalysts')).toBe(selectItems('catalysts'));
+  });
+
+  it('should derive profitable item ids', () => {
+    setCategoryData('tattoos', {
+      items: [
+        { id: 'a', profitabilityStatus: 'profitable' },
+        { id: 'b', profitabilityStatus: 'not_profitable' },
+        { detailsId: 'c', profitabilityStatus: 'profitable' },
+      ],
+    });
+    expect(selectProfitableIds(getState(), 'tattoos')).toEqual(['a', 'c']);
+  });
+
+  it('should back the selection state with the selection slice', () => {
+    const listener = vi.fn();
+    selection.subscribe(listener);
+
+    selection.setCategory('scarabs');
+    const before = selection.getSelectedIds();
+    selection.toggle('a');
+    selection.add('b');
+
+    expect(before.size).toBe(0);
+    expect([...selection.getSelectedIds()]).toEqual(['a', 'b']);
+    expect(getState().selection.idsByCategory.scarabs).toBe(selection.getSelectedIds());
+    expect(listener).toHaveBeenCalledTimes(3);
+
+    selection.setCategory('essences', false);
+    selection.setCategory('scarabs', false);
+    expect(selection.has('a')).toBe(true);
+    selection.setCategory('essences');
+    expect(selection.getSelectedIds().size).toBe(0);
+  });
+});
@@ -1,12 +1,20 @@
 import { describe, it, expect } from 'vitest';
 import { Scarab, ExpectedValueThreshold } from '../../../src/js/models/scarab.js';
+import { Catalyst } from '../../../src/js/models/catalyst.js';
+import { inverseNormalCdf } from '../../../src/js/utils/distributionUtils.js';
 import {
   calculateThreshold,
+  calculateCatalystThreshold,
+  findOptimalInputMix,
   calculateProfitabilityStatus,
+  calculateItemThresholds,
+  calculateCatalystItemThresholds,
+  filterReturnPool,
   calculateOptimizedStrategy,
   calculateUserChosenStrategy,
   calculateRandomStrategy,
   computeVariance,
+  CALCULATION_METHODS,
 } from '../../../src/js/services/calculationService.js';
 
 describe('Calculation Service', () => {
@@ -136,6 +144,167 @@ describe('Calculation Service', () => {
       const simpleThreshold = threshold.expectedValue / 3;
       expect(threshold.value).toBeLessThanOrEqual(simpleThreshold);
     });
+
+    it('should record the calculation method on the threshold', () => {
+      const scarabs = [
+        createTestScarab('scar1', 100, 1.0),
+        createTestScarab('scar2', 200, 2.0),
+      ];
+
+      expect(calculateThreshold(scarabs).calculationMethod).toBe(CALCULATION_METHODS.CONVOLUTION);
+      expect(calculateThreshold(scarabs, 0.9, 100, 'returnable', CALCULATION_METHODS.NORMAL).calculationMethod)
+        .toBe(CALCULATION_METHODS.NORMAL);
+    });
+
+    it('should use the exact n-trade quantile for a skewed pool', () => {
+      // 1 in 100 trades returns a 100c scarab, otherwise 1c
+      const scarabs = [
+        createTestScarab('cheap', 99, 1.0),
+        createTestScarab('jackpot', 1, 100.0),
+      ];
+
+      // Over 10 trades the jackpot is missed with probability 0.99^10 ≈ 0.904,
+      // so at 90% certainty the average return is only the 1c floor.
+      const exact = calculateThreshold(scarabs, 0.9, 10, 'returnable', CALCULATION_METHODS.CONVOLUTION);
+      expect(exact.value).toBeCloseTo(1 / 3, 3);
+
+      // The normal approximation goes far below the floor for the same session
+      const normal = calculateThreshold(scarabs, 0.9, 10, 'returnable', CALCULATION_METHODS.NORMAL);
+      expect(normal.value).toBe(0);
+    });
+
+    it('should honor arbitrary confidence levels with the normal approximation', () => {
+      const scarabs = [
+        createTestScarab('scar1', 100, 1.0),
+        createTestScarab('scar2', 200, 2.0),
+        createTestScarab('scar3', 300, 3.0),
+      ];
+
+      const at = (percentile) => calculateThreshold(scarabs, percentile, 10000, 'returnable', CALCULATION_METHODS.NORMAL);
+      const t975 = at(0.975);
+      expect(t975.value).toBeCloseTo((t975.expectedValue - 1.959964 * t975.standardError) / 3, 6);
+
+      const t70 = at(0.7);
+      expect(t70.value).toBeCloseTo((t70.expectedValue - 0.524401 * t70.standardError) / 3, 6);
+
+      // Levels above 99% are no longer clamped
+      expect(at(0.999).value).toBeLessThan(at(0.99).value);
+    });
+
+    it('should use a wider Student-t interval for very short sessions', () => {
+      const scarabs = [
+        createTestScarab('scar1', 100, 1.0),
+        createTestScarab('scar2', 200, 2.0),
+        createTestScarab('scar3', 300, 3.0),
+      ];
+
+      // t quantile for 9 degrees of freedom at 90% is 1.383
+      const threshold = calculateThreshold(scarabs, 0.9, 10, 'returnable', CALCULATION_METHODS.NORMAL);
+      expect(threshold.value).toBeCloseTo((threshold.expectedValue - 1.383029 * threshold.standardError) / 3, 5);
+    });
+
+    it('should reject confidence levels outside (0, 1)', () => {
+      const scarabs = [createTestScarab('scar1', 100, 1.0), createTestScarab('scar2', 200, 2.0)];
+      expect(() => calculateThreshold(scarabs, 1)).toThrow();
+      expect(() => calculateThreshold(scarabs, 0)).toThrow();
+    });
+
+    it('should converge to the normal approximation for many trades', () => {
+      const scarabs = [
+        createTestScarab('scar1', 100, 1.0),
+        createTestScarab('scar2', 200, 2.0),
+        createTestScarab('scar3', 300, 3.0),
+      ];
+
+      const exact = calculateThreshold(scarabs, 0.9, 10000, 'returnable', CALCULATION_METHODS.CONVOLUTION);
+      const normal = calculateThreshold(scarabs, 0.9, 10000, 'returnable', CALCULATION_METHODS.NORMAL);
+      expect(exact.value).toBeCloseTo(normal.value, 2);
+    });
+  });
+
+  describe('findOptimalInputMix', () => {
+    it('should find the profit-maximizing mix of distinct inputs', () => {
+      const scarabs = [
+        createTestScarab('cheap1', 1000, 1.0),
+        createTestScarab('cheap2', 1000, 1.0),
+        createTestScarab('valuable', 100, 30.0),
+      ];
+
+      // Feeding both cheap scarabs (one twice) leaves only the valuable one in the pool
+      const mix = findOptimalInputMix(scarabs);
+      expect(mix.inputs.map(input => [input.scarab.id, input.count])).toEqual([['cheap1', 2], ['cheap2', 1]]);
+      expect(mix.inputScarabs.map(s => s.id)).toEqual(['cheap1', 'cheap1', 'cheap2']);
+      expect(mix.inputCost).toBeCloseTo(3, 9);
+      expect(mix.expectedValue).toBeCloseTo(30, 9);
+      expect(mix.expectedProfit).toBeCloseTo(27, 9);
+      expect(mix.returnableCount).toBe(1);
+    });
+
+    it('should match a brute-force search over all input multisets', () => {
+      const scarabs = [
+        createTestScarab('a', 500, 0.4),
+        createTestScarab('b', 300, 0.9),
+        createTestScarab('c', 250, 1.5),
+        createTestScarab('d', 80, 6.0),
+        createTestScarab('e', 10, 45.0),
+      ];
+
+      let bestProfit = -Infinity;
+      for (let i = 0; i < scarabs.length; i++) {
+        for (let j = i; j < scarabs.length; j++) {
+          for (let k = j; k < scarabs.length; k++) {
+            const inputs = [scarabs[i], scarabs[j], scarabs[k]];
+            const pool = scarabs.filter(s => !inputs.includes(s));
+            if (pool.length === 0) continue;
+            const weight = pool.reduce((sum, s) => sum + s.dropWeight, 0);
+            const ev = pool.reduce((sum, s) => sum + s.dropWeight * s.chaosValue, 0) / weight;
+            bestProfit = Math.max(bestProfit, ev - inputs.reduce((sum, s) => sum + s.chaosValue, 0));
+          }
+        }
+      }
+
+      expect(findOptimalInputMix(scarabs).expectedProfit).toBeCloseTo(bestProfit, 9);
+    });
+
+    it('should only use the given candidate inputs', () => {
+      const scarabs = [
+        createTestScarab('cheap', 1000, 0.1),
+        createTestScarab('mid', 500, 2.0),
+        createTestScarab('high', 100, 10.0),
+      ];
+
+      const mix = findOptimalInputMix(scarabs, [scarabs[1]]);
+      expect(mix.inputs).toHaveLength(1);
+      expect(mix.inputs[0].scarab.id).toBe('mid');
+      expect(mix.inputs[0].count).toBe(3);
+    });
+
+    it('should back the optimal_mix trade mode', () => {
+      const scarabs = [
+        createTestScarab('cheap1', 1000, 1.0),
+        createTestScarab('cheap2', 1000, 1.0),
+        createTestScarab('valuable', 100, 30.0),
+      ];
+
+      const threshold = calculateThreshold(scarabs, 0.9, 1000, 'optimal_mix');
+      expect(threshold.tradeMode).toBe('optimal_mix');
+      expect(threshold.inputMix.inputCost).toBeCloseTo(3, 9);
+      expect(threshold.scarabCount).toBe(1);
+      expect(threshold.expectedValue).toBeCloseTo(30, 9);
+    });
+  });
+
+  describe('calculateCatalystThreshold', () => {
+    it('should honor the chosen confidence level', () => {
+      const catalysts = [
+        new Catalyst({ id: 'cat1', name: 'Test cat1', dropWeight: 100, chaosValue: 1.0 }),
+        new Catalyst({ id: 'cat2', name: 'Test cat2', dropWeight: 200, chaosValue: 4.0 }),
+      ];
+
+      const threshold = calculateCatalystThreshold(catalysts, 0.975, 10000);
+      expect(threshold.confidencePercentile).toBe(0.975);
+      expect(threshold.value).toBeCloseTo((threshold.expectedValue - 1.959964 * threshold.standardError) / 3, 6);
+    });
   });
 
   describe('computeVariance', () => {
@@ -197,6 +366,171 @@ describe('Calculation Service', () => {
     });
   });
 
+  describe('calculateItemThresholds', () => {
+    it('should exclude each Scarab from its own return pool', () => {
+      const scarabs = [
+        createTestScarab('scar1', 100, 1.0),
+        createTestScarab('scar2', 200, 3.0),
+        createTestScarab('scar3', 100, 10.0),
+      ];
+      const threshold = calculateThreshold(scarabs, 0.9, 100, 'returnable', CALCULATION_METHODS.NORMAL);
+
+      calculateItemThresholds(scarabs, threshold);
+
+      // scar1 can only return scar2 or scar3: EV = (200×3 + 100×10) / 300
+      expect(scarabs[0].expectedValue).toBeCloseTo(1600 / 300, 10);
+      const secondMoment = (200 * 9 + 100 * 100) / 300;
+      const stdDev = Math.sqrt(secondMoment - (1600 / 300) ** 2);
+      const expectedThreshold = (1600 / 300 - inverseNormalCdf(0.9) * stdDev / Math.sqrt(100)) / 3;
+      expect(scarabs[0].threshold).toBeCloseTo(expectedThreshold, 10);
+      expect(scarabs[0].profitabilityStatus).toBe('profitable');
+
+      expect(scarabs[2].expectedValue).toBeCloseTo(700 / 300, 10);
+      expect(scarabs[2].profitabilityStatus).toBe('not_profitable');
+    });
+
+    it('should use the whole pool for Scarabs that cannot be returned', () => {
+      const scarabs = [
+        createTestScarab('scar1', 100, 1.0),
+        createTestScarab('scar2', 300, 3.0),
+        createTestScarab('unweighted', null, 2.0),
+      ];
+      const threshold = calculateThreshold(scarabs, 0.9, 10000, 'returnable', CALCULATION_METHODS.NORMAL);
+
+      calculateItemThresholds(scarabs, threshold);
+      expect(scarabs[2].expectedValue).toBeCloseTo(threshold.expectedValue, 10);
+    });
+
+    it('should mark Scarabs as unknown when nothing else can be returned', () => {
+      const scarabs = [createTestScarab('scar1', 100, 1.0)];
+      const threshold = calculateThreshold(scarabs, 0.9, 100, 'returnable', CALCULATION_METHODS.NORMAL);
+
+      calculateItemThresholds(scarabs, threshold);
+      expect(scarabs[0].profitabilityStatus).toBe('unknown');
+    });
+
+    it('should keep the pooled convolution margin when no Scarab dominates the pool', () => {
+      const scarabs = [
+        createTestScarab('scar1', 1000, 1.0),
+        createTestScarab('scar2', 1000, 1.5),
+        createTestScarab('scar3', 1000, 2.0),
+        createTestScarab('scar4', 1000, 2.5),
+      ];
+      const threshold = calculateThreshold(scarabs, 0.9, 1000);
+
+      calculateItemThresholds(scarabs, threshold);
+      // Removing one of four similar Scarabs barely changes the spread, so thresholds stay near the pooled one
+      scarabs.forEach(scarab => {
+        expect(Math.abs(scarab.threshold - scarab.expectedValue / 3)).toBeLessThan(0.05);
+      });
+    });
+  });
+
+  describe('return pool drop eligibility', () => {
+    const createPoolScarabs = () => [
+      createTestScarab('scar1', 100, 1.0),
+      createTestScarab('scar2', 100, 2.0),
+      new Scarab({ id: 'legacy', name: 'Legacy', dropWeight: 100, dropLevel: 68, dropEnabledd: false, chaosValue: 30.0 }),
+      new Scarab({ id: 'deep', name: 'Deep', dropWeight: 100, dropLevel: 81, dropEnabledd: true, chaosValue: 9.0 }),
+    ];
+
+    it('should filter by dropEnabled and area level', () => {
+      const scarabs = createPoolScarabs();
+      expect(filterReturnPool(scarabs).map(s => s.id)).toEqual(['scar1', 'scar2', 'deep']);
+      expect(filterReturnPool(scarabs, { areaLevel: 78 }).map(s => s.id)).toEqual(['scar1', 'scar2']);
+      expect(filterReturnPool(scarabs, { respectDropEligibility: false })).toHaveLength(4);
+    });
+
+    it('should exclude ineligible Scarabs from the threshold return pool', () => {
+      const scarabs = createPoolScarabs();
+      const threshold = calculateThreshold(scarabs, 0.9, 10000, 'returnable', CALCULATION_METHODS.NORMAL);
+      expect(threshold.scarabCount).toBe(3);
+      expect(threshold.excludedScarabCount).toBe(1);
+      expect(threshold.expectedValue).toBeCloseTo(4.0, 10);
+
+      const unfiltered = calculateThreshold(scarabs, 0.9, 10000, 'returnable', CALCULATION_METHODS.NORMAL, { respectDropEligibility: false });
+      expect(unfiltered.scarabCount).toBe(4);
+      expect(unfiltered.expectedValue).toBeCloseTo(10.5, 10);
+
+      const lowLevel = calculateThreshold(scarabs, 0.9, 10000, 'returnable', CALCULATION_METHODS.NORMAL, { areaLevel: 78 });
+      expect(lowLevel.expectedValue).toBeCloseTo(1.5, 10);
+    });
+
+    it('should flag excluded Scarabs but still price them as inputs', () => {
+      const scarabs = createPoolScarabs();
+      const threshold = calculateThreshold(scarabs, 0.9, 10000, 'returnable', CALCULATION_METHODS.NORMAL);
+      calculateItemThresholds(scarabs, threshold);
+
+      expect(scarabs[2].excludedFromPool).toBe(true);
+      expect(scarabs[0].excludedFromPool).toBe(false);
+      // The legacy Scarab is not in the pool, so vendoring it sees the whole eligible pool
+      expect(scarabs[2].expectedValue).toBeCloseTo(4.0, 10);
+    });
+  });
+
+  describe('calculateCatalystItemThresholds', () => {
+    it('should exclude each Catalyst from its own pool but not Tainted Catalysts', () => {
+      const catalysts = [
+        new Catalyst({ id: 'cat1', name: 'Test cat1', dropWeight: 100, chaosValue: 1.0 }),
+        new Catalyst({ id: 'cat2', name: 'Test cat2', dropWeight: 300, chaosValue: 5.0 }),
+        new Catalyst({ id: 'tainted-catalyst', name: 'Tainted Catalyst', dropWeight: 100, chaosValue: 2.0 }),
+      ];
+      const threshold = calculateCatalystThreshold(catalysts, 0.9, 10000);
+
+      calculateCatalystItemThresholds(catalysts, threshold);
+      expect(catalysts[0].expectedValue).toBeCloseTo(5.0, 10);
+      expect(catalysts[1].expectedValue).toBeCloseTo(1.0, 10);
+      // Tainted Catalysts are never returned, so they see the full non-tainted pool
+      expect(catalysts[2].expectedValue).toBeCloseTo(threshold.expectedValue, 10);
+      expect(catalysts[0].profitabilityStatus).toBe('profitable');
+      expect(catalysts[1].profitabilityStatus).toBe('not_profitable');
+    });
+  });
+
+  describe('drop-weight uncertainty', () => {
+    const createScarabsWithErrors = (stdError) => [
+      new Scarab({ id: 'a', name: 'A', dropWeight: 0.5, dropWeightStdError: stdError, chaosValue: 1.0 }),
+      new Scarab({ id: 'b', name: 'B', dropWeight: 0.3, dropWeightStdError: stdError, chaosValue: 4.0 }),
+      new Scarab({ id: 'c', name: 'C', dropWeight: 0.2, dropWeightStdError: stdError, chaosValue: 10.0 }),
+    ];
+
+    it('should leave bands unset when weights carry no standard error', () => {
+      const scarabs = createScarabsWithErrors(null);
+      const threshold = calculateThreshold(scarabs, 0.9, 1000);
+      calculateItemThresholds(scarabs, threshold);
+
+      expect(threshold.weightBand).toBeNull();
+      scarabs.forEach(scarab => expect(scarab.thresholdBand).toBeNull());
+    });
+
+    it('should bracket the pooled and per-Scarab thresholds with a weight band', () => {
+      const scarabs = createScarabsWithErrors(0.05);
+      const threshold = calculateThreshold(scarabs, 0.9, 1000);
+      calculateItemThresholds(scarabs, threshold);
+
+      expect(threshold.weightBand.level).toBe(0.9);
+      expect(threshold.weightBand.lower).toBeLessThan(threshold.value);
+      expect(threshold.weightBand.upper).toBeGreaterThan(threshold.value);
+      scarabs.forEach(scarab => {
+        expect(scarab.thresholdBand.lower).toBeLessThanOrEqual(scarab.thresholdBand.upper);
+        expect(scarab.thresholdBand.lower).toBeLessThan(scarab.threshold + 1e-9);
+        expect(scarab.thresholdBand.upper).toBeGreaterThan(scarab.threshold - 1e-9);
+      });
+    });
+
+    it('should give the same bands when recalculated with unchanged inputs', () => {
+      const first = createScarabsWithErrors(0.05);
+      const second = createScarabsWithErrors(0.05);
+      const firstThreshold = calculateThreshold(first, 0.9, 1000);
+      const secondThreshold = calculateThreshold(second, 0.9, 1000);
+      calculateItemThresholds(first, firstThreshold);
+      calculateItemThresholds(second, secondThreshold);
+
+      expect(secondThreshold.weightBand).toEqual(firstThreshold.weightBand);
+      expect(second.map(scarab => scarab.thresholdBand)).toEqual(first.map(scarab => scarab.thresholdBand));
+    });
+  });
+
   describe('calculateOptimizedStrategy', () => {
     it('should calculate optimized strategy results', () => {
       const threshold = new ExpectedValueThreshold(2.0, 1000, 10);
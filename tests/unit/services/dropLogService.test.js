@@ -0,0 +1,107 @@
+/**
+ * Unit tests for Drop Log Service
+ * Tests drop log parsing, persistence and Bayesian weight sources
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  WEIGHT_SOURCES,
+  parseDropLog,
+  loadDropLog,
+  recordDrop,
+  importDropLog,
+  clearDropLog,
+  computeSourceWeights,
+  applyWeightSource,
+} from '../../../src/js/services/dropLogService.js';
+import { calculateThreshold } from '../../../src/js/services/calculationService.js';
+import { Scarab } from '../../../src/js/models/scarab.js';
+
+describe('DropLogService', () => {
+  let scarabs;
+
+  beforeEach(() => {
+    localStorage.clear();
+    scarabs = [
+      new Scarab({ id: 'a', name: 'A', dropWeight: 0.5, dropWeightStdError: 0.005, chaosValue: 1.0 }),
+      new Scarab({ id: 'b', name: 'B', dropWeight: 0.3, dropWeightStdError: 0.0046, chaosValue: 4.0 }),
+      new Scarab({ id: 'c', name: 'C', dropWeight: 0.2, dropWeightStdError: 0.004, chaosValue: 10.0 }),
+    ];
+  });
+
+  describe('parseDropLog', () => {
+    it('should parse JSON id lists, count objects and id maps', () => {
+      expect(parseDropLog('["a", "b", "a"]')).toEqual(new Map([['a', 2], ['b', 1]]));
+      expect(parseDropLog('[{"id": "a", "count": 3}, {"itemId": "c"}]')).toEqual(new Map([['a', 3], ['c', 1]]));
+      expect(parseDropLog('{"b": 4}')).toEqual(new Map([['b', 4]]));
+    });
+
+    it('should parse CSV with or without a header', () => {
+      expect(parseDropLog('count,id\r\n2,a\r\n5,"b"')).toEqual(new Map([['a', 2], ['b', 5]]));
+      expect(parseDropLog('a,2\nc\n')).toEqual(new Map([['a', 2], ['c', 1]]));
+    });
+
+    it('should reject logs without valid entries', () => {
+      expect(() => parseDropLog('')).toThrow('no valid entries');
+      expect(() => parseDropLog('[{"id": "a", "count": -1}]')).toThrow('no valid entries');
+      expect(() => parseDropLog('{"a": ')).toThrow('not valid JSON');
+    });
+  });
+
+  describe('drop log persistence', () => {
+    it('should accumulate manual entries and imports per category', () => {
+      recordDrop('scarabs', 'a');
+      recordDrop('scarabs', 'a', 2);
+      const result = importDropLog('scarabs', 'id,count\nb,3\nunknown,4', new Set(['a', 'b', 'c']));
+
+      expect(result).toEqual({ imported: 3, skipped: 4 });
+      expect(loadDropLog('scarabs')).toEqual(new Map([['a', 3], ['b', 3]]));
+      expect(loadDropLog('catalysts').size).toBe(0);
+
+      clearDropLog('scarabs');
+      expect(loadDropLog('scarabs').size).toBe(0);
+    });
+
+    it('should reject non-positive counts', () => {
+      expect(() => recordDrop('scarabs', 'a', 0)).toThrow('positive integer');
+    });
+  });
+
+  describe('weight sources', () => {
+    it('should compute Dirichlet posterior means with a weak prior for personal weights', () => {
+      const counts = new Map([['a', 10], ['c', 7]]);
+      const weights = computeSourceWeights(scarabs, counts, WEIGHT_SOURCES.PERSONAL);
+
+      // Prior strength 3 (one pseudo-count per item), 17 drops logged
+      expect(weights.get('a').weight).toBeCloseTo((3 * 0.5 + 10) / 20, 10);
+      expect(weights.get('b').weight).toBeCloseTo((3 * 0.3) / 20, 10);
+      expect(weights.get('c').weight).toBeCloseTo((3 * 0.2 + 7) / 20, 10);
+      const a = weights.get('a').weight;
+      expect(weights.get('a').stdError).toBeCloseTo(Math.sqrt(a * (1 - a) / 21), 10);
+    });
+
+    it('should weigh the MLE prior by its own sample size for blended weights', () => {
+      // Standard errors above correspond to roughly 10,000 MLE samples
+      const counts = new Map([['c', 100]]);
+      const blended = computeSourceWeights(scarabs, counts, WEIGHT_SOURCES.BLENDED);
+
+      expect(blended.get('c').weight).toBeGreaterThan(0.2);
+      expect(blended.get('c').weight).toBeLessThan(0.22);
+    });
+
+    it('should switch weights on items and back to MLE, recording the source on the threshold', () => {
+      applyWeightSource(scarabs, new Map([['c', 50]]), WEIGHT_SOURCES.PERSONAL);
+      expect(scarabs[2].dropWeight).toBeGreaterThan(0.8);
+      expect(scarabs[2].mleDropWeight).toBe(0.2);
+      const personalThreshold = calculateThreshold(scarabs, 0.9, 1000);
+      expect(personalThreshold.weightSource).toBe(WEIGHT_SOURCES.PERSONAL);
+
+      applyWeightSource(scarabs, new Map([['c', 50]]), WEIGHT_SOURCES.MLE);
+      expect(scarabs[2].dropWeight).toBe(0.2);
+      expect(scarabs[2].dropWeightStdError).toBe(0.004);
+      const mleThreshold = calculateThreshold(scarabs, 0.9, 1000);
+      expect(mleThreshold.weightSource).toBe(WEIGHT_SOURCES.MLE);
+      expect(personalThreshold.value).toBeGreaterThan(mleThreshold.value);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for the Historical Threshold Service
+ * Tests recalculating thresholds with the prices of a recorded snapshot
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  applySnapshotPrices,
+  calculateThresholdAtSnapshot,
+  getRerollCurrencyId,
+  getStatusChanges,
+} from '../../../src/js/services/historicalThresholdService.js';
+import { recordPriceSnapshot, resetPriceHistoryCache } from '../../../src/js/services/priceHistoryService.js';
+import { calculateGroupThresholds, getRerollCost } from '../../../src/js/services/rerollEngine.js';
+import { ESSENCE_RULE, FOSSIL_RULE, CATALYST_RULE } from '../../../src/js/services/rerollRules.js';
+import { Catalyst } from '../../../src/js/models/catalyst.js';
+import { Fossil } from '../../../src/js/models/fossil.js';
+
+const START = Date.UTC(2025, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('HistoricalThresholdService', () => {
+  beforeEach(() => {
+    resetPriceHistoryCache();
+  });
+
+  it('should derive the price id of the reroll currency', () => {
+    expect(getRerollCurrencyId(ESSENCE_RULE)).toBe('primal-crystallised-lifeforce');
+    expect(getRerollCurrencyId(FOSSIL_RULE)).toBe('wild-crystallised-lifeforce');
+    expect(getRerollCurrencyId(CATALYST_RULE)).toBeNull();
+  });
+
+  it('should copy items with snapshot prices without touching the originals', () => {
+    const items = [
+      new Catalyst({ id: 'a', name: 'Abrasive Catalyst', dropWeight: 500, chaosValue: 1, buyChaosValue: 1.1, sellChaosValue: 0.9, listingCount: 40 }),
+      new Catalyst({ id: 'b', name: 'Fertile Catalyst', dropWeight: 300, chaosValue: 4 }),
+    ];
+    const copies = applySnapshotPrices(items, { prices: { a: [3, 0.02] } });
+
+    expect(copies[0]).toBeInstanceOf(Catalyst);
+    expect(copies[0].chaosValue).toBe(3);
+    // Today's quotes do not belong to the snapshot price
+    expect(copies[0]).toMatchObject({ buyChaosValue: null, sellChaosValue: null, listingCount: null });
+    expect(items[0].buyChaosValue).toBe(1.1);
+    expect(copies[1].hasPriceData()).toBe(false);
+    expect(items[0].chaosValue).toBe(1);
+  });
+
+  it('should list status changes between two item lists', () => {
+    const now = [{ id: 'a', name: 'A', profitabilityStatus: 'profitable' }, { id: 'b', name: 'B', profitabilityStatus: 'not_profitable' }];
+    const then = [{ id: 'a', profitabilityStatus: 'not_profitable' }, { id: 'b', profitabilityStatus: 'not_profitable' }];
+    expect(getStatusChanges(now, then)).toEqual([{ id: 'a', name: 'A', then: 'not_profitable', now: 'profitable' }]);
+  });
+
+  it('should recalculate a pooled threshold at a past snapshot', async () => {
+    const items = [
+      new Catalyst({ id: 'a', name: 'Abrasive Catalyst', dropWeight: 500, chaosValue: 1 }),
+      new Catalyst({ id: 'b', name: 'Fertile Catalyst', dropWeight: 300, chaosValue: 4 }),
+      new Catalyst({ id: 'c', name: 'Prismatic Catalyst', dropWeight: 200, chaosValue: 10 }),
+    ];
+    const toPrices = values => items.map((item, i) => ({ detailsId: item.id, chaosValue: values[i] }));
+    await recordPriceSnapshot('catalyst', toPrices([1, 4, 10]), { timestamp: START });
+    await recordPriceSnapshot('catalyst', toPrices([2, 8, 20]), { timestamp: START + DAY });
+
+    const options = { thresholdOptions: { numberOfTrades: 10000 } };
+    const early = calculateThresholdAtSnapshot('catalysts', items, START + DAY - 1, options);
+    const late = calculateThresholdAtSnapshot('catalysts', items, START + DAY, options);
+
+    expect(early.timestamp).toBe(START);
+    expect(late.timestamp).toBe(START + DAY);
+    // Doubling every price doubles the threshold
+    expect(late.threshold.value).toBeCloseTo(2 * early.threshold.value, 6);
+    expect(early.items.every(item => item.profitabilityStatus)).toBe(true);
+  });
+
+  it('should use the reroll currency price recorded at the snapshot for grouped markets', async () => {
+    const fossils = [
+      new Fossil({ id: 'a', name: 'A', chaosValue: 10, dropWeight: 1, rerollGroup: 'fossil' }),
+      new Fossil({ id: 'b', name: 'B', chaosValue: 2, dropWeight: 1, rerollGroup: 'fossil' }),
+    ];
+    await recordPriceSnapshot('fossil', [{ detailsId: 'a', chaosValue: 10 }, { detailsId: 'b', chaosValue: 2 }], { timestamp: START });
+    await recordPriceSnapshot('lifeforce', [{ detailsId: 'wild-crystallised-lifeforce', chaosValue: 0.1 }], { timestamp: START - DAY });
+
+    const result = calculateThresholdAtSnapshot('fossils', fossils, START);
+    const expected = calculateGroupThresholds(FOSSIL_RULE, fossils.map(f => f), getRerollCost(FOSSIL_RULE, 0.1));
+    expect(result.thresholds.get('fossil').value).toBeCloseTo(expected.get('fossil').value, 10);
+  });
+
+  it('should throw when no snapshot was recorded before the time', () => {
+    expect(() => calculateThresholdAtSnapshot('catalysts', [], START)).toThrow('No Catalysts price snapshot');
+    expect(() => calculateThresholdAtSnapshot('oils', [], START)).toThrow('no reroll rule');
+  });
+});
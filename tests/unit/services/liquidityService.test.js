@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_LIQUIDITY_MODEL,
+  getLiquidityModel,
+  setLiquidityModel,
+  resetLiquidityModel,
+  getMarketDepth,
+  getHaircut,
+  getRealizableValue,
+  calculateRealizableExpectedValue,
+  calculateRealizableValue,
+} from '../../../src/js/services/liquidityService.js';
+import { calculateThreshold } from '../../../src/js/services/calculationService.js';
+import { createConfiguration, runSimulation } from '../../../src/js/services/simulationService.js';
+import { normalizePriceEntries } from '../../../src/js/services/priceProviders.js';
+import { Scarab } from '../../../src/js/models/scarab.js';
+
+describe('Liquidity Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetLiquidityModel();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    resetLiquidityModel();
+    vi.restoreAllMocks();
+  });
+
+  it('interpolates the haircut curve by quantity relative to market depth', () => {
+    const model = getLiquidityModel();
+
+    expect(getMarketDepth({ volume: 30, listingCount: 200 })).toBe(30);
+    expect(getMarketDepth({ listingCount: 200 })).toBe(200);
+    expect(getMarketDepth({})).toBe(50);
+    expect(getHaircut(0, 100, model)).toBe(0);
+    expect(getHaircut(25, 100, model)).toBeCloseTo(0.05);
+    expect(getHaircut(62.5, 100, model)).toBeCloseTo(0.125);
+    expect(getHaircut(1000, 100, model)).toBeCloseTo(0.5);
+  });
+
+  it('keeps full sell values while disabled', () => {
+    expect(getLiquidityModel()).toEqual(DEFAULT_LIQUIDITY_MODEL);
+    expect(getRealizableValue({ chaosValue: 10, listingCount: 1 }, 20)).toBe(200);
+  });
+
+  it('validates and persists the model', () => {
+    setLiquidityModel({ enabled: true, curve: [{ ratio: 1, haircut: 0.4 }, { ratio: 0, haircut: 0 }] });
+
+    expect(getLiquidityModel().curve.map(point => point.ratio)).toEqual([0, 1]);
+    expect(JSON.parse(localStorage.getItem('scarabHub_liquidity')).enabled).toBe(true);
+    expect(() => setLiquidityModel({ curve: [{ ratio: 0, haircut: 1.5 }] })).toThrow('between 0% and 100%');
+    expect(() => setLiquidityModel({ curve: [] })).toThrow('at least one point');
+    expect(() => setLiquidityModel({ unknownDepth: 0 })).toThrow('greater than 0');
+  });
+
+  it('discounts the outputs a planned session produces', () => {
+    setLiquidityModel({ enabled: true, curve: [{ ratio: 0, haircut: 0 }, { ratio: 1, haircut: 0.5 }] });
+    const pool = [
+      { id: 'a', dropWeight: 90, chaosValue: 1, listingCount: 1000 },
+      { id: 'b', dropWeight: 10, chaosValue: 50, listingCount: 5 },
+    ];
+
+    // 100 trades: 90 × a (ratio 0.09, 4.5% off), 10 × b (ratio 2, 50% off)
+    const session = calculateRealizableExpectedValue(pool, 100);
+    expect(session.expectedValue).toBeCloseTo(5.9);
+    expect(session.realizableExpectedValue).toBeCloseTo((90 * 0.955 + 10 * 50 * 0.5) / 100);
+
+    const held = calculateRealizableValue(new Map([['b', 2], ['missing', 3]]), pool);
+    expect(held.fullValue).toBe(100);
+    expect(held.liquidityLoss).toBeCloseTo(100 * 0.2);
+  });
+
+  it('reports realizable values in thresholds and simulation results', async () => {
+    const scarabs = [
+      new Scarab({ id: 'a', name: 'A', dropWeight: 900, chaosValue: 1, listingCount: 1000 }),
+      new Scarab({ id: 'b', name: 'B', dropWeight: 90, chaosValue: 2, listingCount: 1000 }),
+      new Scarab({ id: 'c', name: 'C', dropWeight: 10, chaosValue: 200, listingCount: 2 }),
+    ];
+    expect(calculateThreshold(scarabs, 0.9, 1000).liquidity).toBeNull();
+
+    setLiquidityModel({ enabled: true });
+    const threshold = calculateThreshold(scarabs, 0.9, 1000, 'returnable', 'weighted_average_with_confidence_interval');
+    expect(threshold.liquidity.liquidityLoss).toBeGreaterThan(0);
+    expect(threshold.liquidity.realizableExpectedValue).toBeCloseTo(threshold.expectedValue - threshold.liquidity.liquidityLoss);
+    expect(threshold.liquidity.realizableValue).toBeLessThan(threshold.value);
+
+    const config = createConfiguration({ selectedScarabIds: ['a'], transactionCount: 200, inputScarabStrategy: 'lowest_value' });
+    const result = await runSimulation(config, scarabs);
+    expect(result.realizableOutputValue).toBeCloseTo(result.totalOutputValue - result.liquidityLoss);
+    expect(result.realizableNetProfitLoss).toBeCloseTo(result.netProfitLoss - result.liquidityLoss);
+  });
+
+  it('reads listing counts and volume from price entries', () => {
+    const [entry] = normalizePriceEntries([{ name: 'Bound Fossil', chaosValue: 3, listingCount: '42', volume: 120 }]);
+    expect(entry).toMatchObject({ listingCount: 42, volume: 120 });
+  });
+});
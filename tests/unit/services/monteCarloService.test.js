@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateBatch,
+  getRunSeeds,
+  getCheckpoints,
+  getPercentile,
+  summarizeBatch,
+  getBreakevenProbability,
+} from '../../../src/js/services/monteCarloService.js';
+import { SimulationWorkerPool } from '../../../src/js/services/simulationWorkerPool.js';
+import { createConfiguration, SIMULATION_CANCELLED_MESSAGE } from '../../../src/js/services/simulationService.js';
+import { Scarab, MonteCarloResult } from '../../../src/js/models/scarab.js';
+
+const scarabs = [
+  new Scarab({ id: 'a', name: 'A', dropWeight: 900, chaosValue: 1 }),
+  new Scarab({ id: 'b', name: 'B', dropWeight: 90, chaosValue: 2 }),
+  new Scarab({ id: 'c', name: 'C', dropWeight: 10, chaosValue: 60 }),
+];
+
+describe('Monte Carlo Service', () => {
+  it('validates batch sizes', () => {
+    const config = createConfiguration({ selectedScarabIds: ['a'], transactionCount: 100000 });
+
+    expect(validateBatch(config, 100).valid).toBe(true);
+    expect(validateBatch(config, 5).error).toContain('between 10');
+    expect(validateBatch(config, 1000).error).toContain('must not exceed');
+  });
+
+  it('derives run seeds and checkpoints deterministically', () => {
+    expect(getRunSeeds(123, 5)).toEqual(getRunSeeds(123, 5));
+    expect(new Set(getRunSeeds(123, 50)).size).toBe(50);
+    expect(getCheckpoints(10)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+    const checkpoints = getCheckpoints(1000);
+    expect(checkpoints).toHaveLength(100);
+    expect(checkpoints[0]).toBe(10);
+    expect(checkpoints[99]).toBe(1000);
+  });
+
+  it('summarizes the distribution of final profit and breakeven', () => {
+    const runs = [-20, -10, 0, 10, 20].map((finalProfitLoss, i) => ({
+      seed: i,
+      finalProfitLoss,
+      breakevenTrade: finalProfitLoss >= 0 ? 10 * (i + 1) : null,
+      checkpointValues: [finalProfitLoss / 2, finalProfitLoss],
+    }));
+
+    const batch = summarizeBatch(runs, [25, 50], { configuration: createConfiguration({ transactionCount: 50 }), seed: 7 });
+
+    expect(batch).toBeInstanceOf(MonteCarloResult);
+    expect(batch.meanProfitLoss).toBe(0);
+    expect(batch.probabilityOfLoss).toBeCloseTo(0.4);
+    expect(batch.percentiles.find(p => p.percentile === 0.5).value).toBe(0);
+    expect(batch.percentiles.find(p => p.percentile === 0.25).value).toBe(-10);
+    expect(batch.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(5);
+    expect(batch.fan[1].values[2]).toBe(0);
+    // Profitable runs broke even at trades 30, 40 and 50
+    expect(batch.fan[0].breakevenProbability).toBe(0);
+    expect(batch.fan[1].breakevenProbability).toBeCloseTo(0.6);
+    expect(getBreakevenProbability(batch, 40)).toBeCloseTo(0.4);
+    expect(getPercentile([1, 2, 3, 4], 0.5)).toBe(2.5);
+  });
+
+  it('runs a reproducible batch of the configured simulation', async () => {
+    const pool = new SimulationWorkerPool();
+    const config = createConfiguration({ selectedScarabIds: ['a'], transactionCount: 50, inputScarabStrategy: 'lowest_value', seed: 99 });
+    const progress = [];
+
+    const first = await pool.runBatch(config, scarabs, 20, null, { onProgress: message => progress.push(message.current) }).promise;
+    const again = await pool.runBatch(config, scarabs, 20).promise;
+
+    expect(first.runCount).toBe(20);
+    expect(first.seed).toBe(99);
+    expect(first.fan).toHaveLength(50);
+    expect(first.runs.map(run => run.finalProfitLoss)).toEqual(again.runs.map(run => run.finalProfitLoss));
+    expect(first.runs[0].seed).toBe(getRunSeeds(99, 1)[0]);
+    expect(progress[progress.length - 1]).toBe(20);
+    expect(() => pool.runBatch(config, scarabs, 1)).toThrow('Batch runs');
+
+    const cancelled = pool.runBatch(config, scarabs, 1000);
+    cancelled.cancel();
+    await expect(cancelled.promise).rejects.toThrow(SIMULATION_CANCELLED_MESSAGE);
+  });
+});
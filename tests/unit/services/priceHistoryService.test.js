@@ -0,0 +1,99 @@
+/**
+ * Unit tests for the Price History Service
+ * Tests snapshot recording, per-item series and lookups (in-memory store; jsdom has no IndexedDB)
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  recordPriceSnapshot,
+  loadPriceHistory,
+  getPriceSnapshots,
+  getItemPriceHistory,
+  getPriceSnapshotAt,
+  getPriceChange,
+  pricesToSnapshot,
+  snapshotToPrices,
+  resetPriceHistoryCache,
+  MIN_SNAPSHOT_INTERVAL_MS,
+  HISTORY_RETENTION_MS,
+} from '../../../src/js/services/priceHistoryService.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2025, 0, 1);
+
+describe('PriceHistoryService', () => {
+  beforeEach(() => {
+    resetPriceHistoryCache();
+  });
+
+  it('should convert price entries to snapshot prices and back', () => {
+    const prices = [
+      { detailsId: 'a', name: 'A', chaosValue: 2, divineValue: 0.01 },
+      { id: 'b', chaosValue: 5 },
+      { name: 'No id', chaosValue: 1 },
+    ];
+    const snapshotPrices = pricesToSnapshot(prices);
+    expect(snapshotPrices).toEqual({ a: [2, 0.01], b: [5, null] });
+    expect(snapshotToPrices({ prices: snapshotPrices })).toEqual([
+      { detailsId: 'a', chaosValue: 2, divineValue: 0.01 },
+      { detailsId: 'b', chaosValue: 5, divineValue: null },
+    ]);
+  });
+
+  it('should record snapshots per league and price type in time order', async () => {
+    await recordPriceSnapshot('scarab', [{ detailsId: 'a', chaosValue: 3 }], { league: 'l1', timestamp: START + HOUR });
+    await recordPriceSnapshot('scarab', [{ detailsId: 'a', chaosValue: 2 }], { league: 'l1', timestamp: START });
+    await recordPriceSnapshot('scarab', [{ detailsId: 'a', chaosValue: 9 }], { league: 'l2', timestamp: START });
+    await recordPriceSnapshot('scarab', [], { league: 'l1', timestamp: START + 2 * HOUR });
+
+    expect(getPriceSnapshots('scarab', 'l1').map(s => s.timestamp)).toEqual([START, START + HOUR]);
+    expect(getItemPriceHistory('scarab', 'a', 'l1')).toEqual([
+      { timestamp: START, chaosValue: 2, divineValue: null },
+      { timestamp: START + HOUR, chaosValue: 3, divineValue: null },
+    ]);
+    expect(getItemPriceHistory('scarab', 'a', 'l2')).toHaveLength(1);
+    expect(getPriceSnapshots('catalyst', 'l1')).toEqual([]);
+  });
+
+  it('should replace the latest snapshot when refreshed within the minimum interval', async () => {
+    await recordPriceSnapshot('oil', [{ detailsId: 'a', chaosValue: 1 }], { league: 'l', timestamp: START });
+    await recordPriceSnapshot('oil', [{ detailsId: 'a', chaosValue: 2 }], { league: 'l', timestamp: START + MIN_SNAPSHOT_INTERVAL_MS - 1 });
+
+    const snapshots = getPriceSnapshots('oil', 'l');
+    expect(snapshots).toHaveLength(1);
+    expect(snapshots[0].prices.a).toEqual([2, null]);
+  });
+
+  it('should drop snapshots older than the retention period', async () => {
+    await recordPriceSnapshot('oil', [{ detailsId: 'a', chaosValue: 1 }], { league: 'l', timestamp: START });
+    await recordPriceSnapshot('oil', [{ detailsId: 'a', chaosValue: 2 }], { league: 'l', timestamp: START + HISTORY_RETENTION_MS + HOUR });
+
+    expect(getPriceSnapshots('oil', 'l').map(s => s.timestamp)).toEqual([START + HISTORY_RETENTION_MS + HOUR]);
+  });
+
+  it('should find the latest snapshot at or before a time', async () => {
+    await recordPriceSnapshot('fossil', [{ detailsId: 'a', chaosValue: 1 }], { league: 'l', timestamp: START });
+    await recordPriceSnapshot('fossil', [{ detailsId: 'a', chaosValue: 2 }], { league: 'l', timestamp: START + HOUR });
+
+    expect(getPriceSnapshotAt('fossil', START - 1, 'l')).toBeNull();
+    expect(getPriceSnapshotAt('fossil', START + HOUR - 1, 'l').timestamp).toBe(START);
+    expect(getPriceSnapshotAt('fossil', START + 5 * HOUR, 'l').timestamp).toBe(START + HOUR);
+  });
+
+  it('should keep in-memory history when IndexedDB is unavailable', async () => {
+    await recordPriceSnapshot('emblem', [{ detailsId: 'a', chaosValue: 1 }], { league: 'l', timestamp: START });
+    const loaded = await loadPriceHistory('emblem', 'l');
+    expect(loaded).toHaveLength(1);
+  });
+
+  it('should summarize the change over a series', () => {
+    const series = [
+      { timestamp: 1, chaosValue: 4 },
+      { timestamp: 2, chaosValue: null },
+      { timestamp: 3, chaosValue: 2 },
+      { timestamp: 4, chaosValue: 5 },
+    ];
+    expect(getPriceChange(series)).toEqual({ first: 4, last: 5, min: 2, max: 5, change: 1, changePercent: 0.25 });
+    expect(getPriceChange(series.slice(0, 2))).toBeNull();
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  setOverrideLeague,
+  setPriceOverride,
+  getPriceOverride,
+  getPriceOverrides,
+  clearPriceOverride,
+  clearPriceOverrides,
+  countPriceOverrides,
+  applyPriceOverrides,
+  getDivineRate,
+  exportPriceOverrides,
+  importPriceOverrides,
+  onPriceOverridesChanged,
+} from '../../../src/js/services/priceOverrideService.js';
+import { loadAndMergeFossilData, getWildLifeforcePrice } from '../../../src/js/services/dataService.js';
+
+const feed = [
+  { name: 'Bound Fossil', detailsId: 'bound-fossil', chaosValue: 4, divineValue: 0.02 },
+  { name: 'Dense Fossil', detailsId: 'dense-fossil', chaosValue: 2, divineValue: 0.01 },
+];
+
+describe('Price Override Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    setOverrideLeague('keepers');
+  });
+
+  it('stores overrides per league and item type', () => {
+    setPriceOverride('fossil', 'bound-fossil', 6);
+    setPriceOverride('fossil', 'bound-fossil', 9, { league: 'mirage' });
+
+    expect(getPriceOverride('fossil', 'bound-fossil').chaosValue).toBe(6);
+    expect(getPriceOverride('fossil', 'bound-fossil', 'mirage').chaosValue).toBe(9);
+    expect(getPriceOverride('scarab', 'bound-fossil')).toBeNull();
+
+    setOverrideLeague('mirage');
+    expect(getPriceOverrides('fossil')['bound-fossil'].chaosValue).toBe(9);
+    expect(() => setPriceOverride('fossil', 'dense-fossil', -1)).toThrow('non-negative');
+    expect(() => setPriceOverride('fossil', 'dense-fossil', NaN)).toThrow('non-negative');
+  });
+
+  it('applies overrides keeping the feed prices and deriving divine values', () => {
+    setPriceOverride('fossil', 'bound-fossil', 10);
+    setPriceOverride('fossil', 'missing-fossil', 1, { name: 'Missing Fossil' });
+
+    const prices = applyPriceOverrides('fossil', feed);
+
+    expect(prices[0]).toMatchObject({
+      detailsId: 'bound-fossil',
+      chaosValue: 10,
+      divineValue: 0.05,
+      priceOverride: { chaosValue: 10, feedChaosValue: 4, feedDivineValue: 0.02 },
+    });
+    expect(prices[1]).toBe(feed[1]);
+    expect(prices[2]).toMatchObject({ name: 'Missing Fossil', detailsId: 'missing-fossil', chaosValue: 1 });
+    expect(feed[0].chaosValue).toBe(4);
+
+    // Re-applying keeps the original feed prices
+    expect(applyPriceOverrides('fossil', prices)[0].priceOverride.feedChaosValue).toBe(4);
+    expect(applyPriceOverrides('scarab', feed)).toBe(feed);
+    expect(getDivineRate(feed)).toBe(200);
+  });
+
+  it('clears overrides and notifies listeners', () => {
+    const listener = vi.fn();
+    const unsubscribe = onPriceOverridesChanged(listener);
+
+    setPriceOverride('fossil', 'bound-fossil', 10);
+    setPriceOverride('lifeforce', 'wild-crystallised-lifeforce', 0.1);
+    expect(countPriceOverrides()).toBe(2);
+
+    clearPriceOverride('fossil', 'bound-fossil');
+    expect(getPriceOverride('fossil', 'bound-fossil')).toBeNull();
+    clearPriceOverrides(['lifeforce']);
+    expect(countPriceOverrides()).toBe(0);
+    expect(listener).toHaveBeenCalledTimes(4);
+
+    unsubscribe();
+    setPriceOverride('fossil', 'bound-fossil', 10);
+    expect(listener).toHaveBeenCalledTimes(4);
+  });
+
+  it('round-trips exports and skips invalid entries on import', () => {
+    setPriceOverride('fossil', 'bound-fossil', 10);
+    const exported = exportPriceOverrides();
+    localStorage.clear();
+
+    expect(importPriceOverrides(exported)).toBe(1);
+    expect(getPriceOverride('fossil', 'bound-fossil').chaosValue).toBe(10);
+
+    const imported = importPriceOverrides({
+      version: 1,
+      overrides: { keepers: { scarab: { 'a-scarab': { chaosValue: 2 }, 'b-scarab': { chaosValue: 'x' } } } },
+    }, { replace: true });
+    expect(imported).toBe(1);
+    expect(getPriceOverride('fossil', 'bound-fossil')).toBeNull();
+    expect(getPriceOverride('scarab', 'a-scarab').chaosValue).toBe(2);
+    expect(() => importPriceOverrides({ overrides: {} })).toThrow('Not a price overrides export');
+  });
+
+  it('flows into merged category data and the lifeforce reroll price', async () => {
+    globalThis.fetch = vi.fn(async (url) => {
+      const u = String(url);
+      const json = u.includes('/data/items/fossils.json')
+        ? [{ id: 'bound-fossil', name: 'Bound Fossil' }, { id: 'dense-fossil', name: 'Dense Fossil' }]
+        : u.includes('fossilPrices')
+          ? feed
+          : u.includes('lifeforcePrices')
+            ? [{ name: 'Wild Crystallised Lifeforce', detailsId: 'wild-crystallised-lifeforce', chaosValue: 0.05, divineValue: 0.00025 }]
+            : { items: [] };
+      return { ok: true, status: 200, json: async () => json };
+    });
+    setPriceOverride('fossil', 'dense-fossil', 3);
+    setPriceOverride('lifeforce', 'wild-crystallised-lifeforce', 0.08);
+
+    const fossils = await loadAndMergeFossilData();
+    const wild = await getWildLifeforcePrice();
+
+    expect(fossils.find(f => f.id === 'dense-fossil')).toMatchObject({ chaosValue: 3, priceOverride: { feedChaosValue: 2 } });
+    expect(fossils.find(f => f.id === 'bound-fossil')).toMatchObject({ chaosValue: 4, priceOverride: null });
+    expect(wild.chaosValue).toBe(0.08);
+  });
+});
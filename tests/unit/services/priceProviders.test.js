@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  PRICE_PROVIDER_IDS,
+  normalizePriceEntries,
+  normalizePoeNinjaOverview,
+  normalizePriceData,
+  expandUrlTemplate,
+  getPriceProvider,
+  getPriceProviderSelection,
+  setPriceProviderSelection,
+  getPriceProviderCacheSuffix,
+  saveUploadedPrices,
+  getUploadedPrices,
+} from '../../../src/js/services/priceProviders.js';
+import { getPriceFileName, getPriceFileLocalPath } from '../../../src/js/services/leagueService.js';
+import { loadItemTypePrices } from '../../../src/js/services/dataService.js';
+
+const league = { id: 'mirage', name: 'Mirage League', slug: 'Mirage' };
+
+describe('Price Providers', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  it('normalizes price entries and derives missing detailsIds', () => {
+    const prices = normalizePriceEntries([
+      { name: "Cartographer's Delirium Orb", chaosValue: '6.5', divineValue: 0.04, extra: true },
+      { detailsId: 'bound-fossil', chaosValue: 3 },
+      { chaosValue: 1 },
+    ]);
+
+    expect(prices).toEqual([
+      { name: "Cartographer's Delirium Orb", chaosValue: 6.5, divineValue: 0.04, detailsId: 'cartographers-delirium-orb' },
+      { name: 'bound-fossil', chaosValue: 3, divineValue: null, detailsId: 'bound-fossil' },
+    ]);
+    expect(() => normalizePriceEntries({ lines: [] })).toThrow('array of price entries');
+  });
+
+  it('normalizes poe.ninja currency and item overviews', () => {
+    const currency = normalizePoeNinjaOverview({
+      lines: [
+        { currencyTypeName: 'Divine Orb', chaosEquivalent: 200, detailsId: 'divine-orb' },
+        { currencyTypeName: 'Primal Crystallised Lifeforce', chaosEquivalent: 0.02 },
+      ],
+    });
+    expect(currency[1]).toEqual({
+      name: 'Primal Crystallised Lifeforce',
+      chaosValue: 0.02,
+      divineValue: 0.0001,
+      detailsId: 'primal-crystallised-lifeforce',
+    });
+
+    const items = normalizePriceData({ lines: [{ name: 'Azure Oil', chaosValue: 0.9, divineValue: 0.006, detailsId: 'azure-oil' }] });
+    expect(items).toEqual([{ name: 'Azure Oil', chaosValue: 0.9, divineValue: 0.006, detailsId: 'azure-oil' }]);
+    expect(() => normalizePoeNinjaOverview([])).toThrow('lines array');
+  });
+
+  it('expands URL templates with the league and item type', () => {
+    expect(expandUrlTemplate('http://localhost:8080/{itemType}Prices_{leagueSlug}.json', 'oil', league))
+      .toBe('http://localhost:8080/oilPrices_Mirage.json');
+    expect(expandUrlTemplate('https://proxy.example/overview?league={league}&type={itemType}', 'scarab', league))
+      .toBe('https://proxy.example/overview?league=Mirage%20League&type=scarab');
+    expect(expandUrlTemplate('/mock/{leagueId}/{itemType}.json', 'fossil', null)).toBe('/mock/keepers/fossil.json');
+  });
+
+  it('stores selections per item type and validates them', () => {
+    expect(getPriceProviderSelection('scarab')).toEqual({ providerId: PRICE_PROVIDER_IDS.POEATLAS, url: null });
+
+    setPriceProviderSelection('scarab', { providerId: PRICE_PROVIDER_IDS.CUSTOM_URL, url: ' http://localhost:8080/{itemType}.json ' });
+    expect(getPriceProviderSelection('scarab')).toEqual({
+      providerId: PRICE_PROVIDER_IDS.CUSTOM_URL,
+      url: 'http://localhost:8080/{itemType}.json',
+    });
+    expect(getPriceProviderSelection('oil').providerId).toBe(PRICE_PROVIDER_IDS.POEATLAS);
+
+    expect(() => setPriceProviderSelection('oil', { providerId: PRICE_PROVIDER_IDS.POE_NINJA, url: '' })).toThrow('needs a URL');
+    expect(() => setPriceProviderSelection('oil', { providerId: PRICE_PROVIDER_IDS.LOCAL_FILE })).toThrow('Upload a price file first');
+    expect(() => setPriceProviderSelection('oil', { providerId: 'nope' })).toThrow('Unknown price provider');
+
+    setPriceProviderSelection('scarab', { providerId: PRICE_PROVIDER_IDS.POEATLAS });
+    expect(getPriceProviderSelection('scarab').providerId).toBe(PRICE_PROVIDER_IDS.POEATLAS);
+  });
+
+  it('keys the price cache by provider and URL but keeps the bundled fallback file', () => {
+    expect(getPriceFileName('scarab')).toBe('scarabPrices_Keepers.json');
+
+    setPriceProviderSelection('scarab', { providerId: PRICE_PROVIDER_IDS.POE_NINJA, url: 'http://localhost/{itemType}' });
+    const suffix = getPriceProviderCacheSuffix('scarab');
+    expect(suffix).toMatch(/^\.poe_ninja-[0-9a-z]+$/);
+    expect(getPriceFileName('scarab')).toBe(`scarabPrices_Keepers${suffix}.json`);
+    expect(getPriceFileLocalPath('scarab')).toBe('/data/prices/scarabPrices.json');
+
+    setPriceProviderSelection('scarab', { providerId: PRICE_PROVIDER_IDS.POE_NINJA, url: 'http://localhost:8080/{itemType}' });
+    expect(getPriceProviderCacheSuffix('scarab')).not.toBe(suffix);
+    setPriceProviderSelection('scarab', { providerId: PRICE_PROVIDER_IDS.POE_NINJA, url: 'http://localhost/{itemType}' });
+    expect(getPriceProviderCacheSuffix('scarab')).toBe(suffix);
+  });
+
+  it('loads prices from the selected provider URL, normalized', async () => {
+    setPriceProviderSelection('oil', { providerId: PRICE_PROVIDER_IDS.POE_NINJA, url: 'http://localhost:8080/{itemType}/{leagueSlug}' });
+    globalThis.fetch = vi.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ lines: [{ name: 'Azure Oil', chaosValue: 0.9, divineValue: 0.006, detailsId: 'azure-oil' }] }),
+    }));
+
+    const prices = await loadItemTypePrices('oil');
+
+    expect(globalThis.fetch.mock.calls[0][0]).toBe('http://localhost:8080/oil/Keepers');
+    expect(prices).toEqual([{ name: 'Azure Oil', chaosValue: 0.9, divineValue: 0.006, detailsId: 'azure-oil' }]);
+  });
+
+  it('serves uploaded files without fetching', async () => {
+    const prices = saveUploadedPrices('fossil', [{ name: 'Bound Fossil', chaosValue: 3.75, divineValue: 0.024 }], 'fossils.json');
+    expect(prices[0].detailsId).toBe('bound-fossil');
+    expect(() => saveUploadedPrices('fossil', [])).toThrow('no price entries');
+
+    setPriceProviderSelection('fossil', { providerId: PRICE_PROVIDER_IDS.LOCAL_FILE });
+    globalThis.fetch = vi.fn();
+
+    expect(await loadItemTypePrices('fossil')).toEqual(getUploadedPrices('fossil'));
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(getPriceProvider(PRICE_PROVIDER_IDS.LOCAL_FILE).getUrl('fossil', league)).toBeNull();
+  });
+});
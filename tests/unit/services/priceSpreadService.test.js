@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_SPREAD_MODEL,
+  getSpreadModel,
+  setSpreadModel,
+  resetSpreadModel,
+  onSpreadModelChanged,
+  getSpreadForListings,
+  getPriceQuote,
+  getBuyPrice,
+  getSellPrice,
+} from '../../../src/js/services/priceSpreadService.js';
+import { calculateThreshold } from '../../../src/js/services/calculationService.js';
+import { calculateGroupThresholds, getRerollCost } from '../../../src/js/services/rerollEngine.js';
+import { FOSSIL_RULE } from '../../../src/js/services/rerollRules.js';
+import { createConfiguration, runSimulation } from '../../../src/js/services/simulationService.js';
+import { normalizePoeNinjaOverview, normalizePriceEntries } from '../../../src/js/services/priceProviders.js';
+import { Scarab } from '../../../src/js/models/scarab.js';
+import { Fossil } from '../../../src/js/models/fossil.js';
+
+const flatSpread = spread => ({ enabled: true, tiers: [{ minListings: 0, spread }], unknownListingsSpread: spread });
+
+describe('Price Spread Service', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetSpreadModel();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    resetSpreadModel();
+    vi.restoreAllMocks();
+  });
+
+  it('uses the single chaosValue while disabled', () => {
+    const item = { chaosValue: 10, buyChaosValue: 12, sellChaosValue: 8 };
+
+    expect(getSpreadModel()).toEqual(DEFAULT_SPREAD_MODEL);
+    expect(getPriceQuote(item)).toEqual({ buy: 10, sell: 10, source: 'mid' });
+    expect(getBuyPrice(item)).toBe(10);
+    expect(getSellPrice(item)).toBe(10);
+  });
+
+  it('prefers quoted prices and derives missing sides from the listing count tier', () => {
+    setSpreadModel({ enabled: true });
+
+    expect(getSpreadForListings(500)).toBe(0.02);
+    expect(getSpreadForListings(20)).toBe(0.06);
+    expect(getSpreadForListings(3)).toBe(0.15);
+    expect(getSpreadForListings(null)).toBe(0.05);
+
+    expect(getPriceQuote({ chaosValue: 10, buyChaosValue: 12, sellChaosValue: 8 })).toEqual({ buy: 12, sell: 8, source: 'feed' });
+    const quote = getPriceQuote({ chaosValue: 10, listingCount: 5 });
+    expect(quote.buy).toBeCloseTo(10.75);
+    expect(quote.sell).toBeCloseTo(9.25);
+    expect(quote.source).toBe('spread');
+    expect(getSellPrice({ chaosValue: 10, buyChaosValue: 11 })).toBeCloseTo(9.75);
+  });
+
+  it('validates and persists the model and notifies listeners', () => {
+    const listener = vi.fn();
+    const unsubscribe = onSpreadModelChanged(listener);
+
+    setSpreadModel({ tiers: [{ minListings: 0, spread: 0.1 }, { minListings: 50, spread: 0.01 }] });
+    expect(getSpreadModel().tiers.map(tier => tier.minListings)).toEqual([50, 0]);
+    expect(JSON.parse(localStorage.getItem('scarabHub_priceSpread')).tiers).toHaveLength(2);
+    expect(() => setSpreadModel({ unknownListingsSpread: 2 })).toThrow('between 0% and 200%');
+    expect(() => setSpreadModel({ tiers: [] })).toThrow('at least one tier');
+    expect(() => setSpreadModel({ tiers: [{ minListings: -1, spread: 0.1 }] })).toThrow('non-negative');
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    resetSpreadModel();
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(getSpreadModel()).toEqual(DEFAULT_SPREAD_MODEL);
+  });
+
+  it('normalizes quotes and listing counts from the price source', () => {
+    const [line] = normalizePoeNinjaOverview({
+      lines: [{ currencyTypeName: 'Wild Crystallised Lifeforce', chaosEquivalent: 0.05, receive: { value: 0.06, listing_count: 40 }, pay: { value: 25 } }],
+    });
+    expect(line).toMatchObject({ chaosValue: 0.05, buyChaosValue: 0.06, sellChaosValue: 0.04, listingCount: 40 });
+
+    const [entry] = normalizePriceEntries([{ name: 'Dense Fossil', buyChaosValue: 3, sellChaosValue: 2 }]);
+    expect(entry).toMatchObject({ chaosValue: 2.5, buyChaosValue: 3, sellChaosValue: 2 });
+  });
+
+  it('values threshold returns at sell prices and inputs at buy prices', () => {
+    const scarabs = [
+      new Scarab({ id: 'a', name: 'A', dropWeight: 100, chaosValue: 1 }),
+      new Scarab({ id: 'b', name: 'B', dropWeight: 100, chaosValue: 3 }),
+      new Scarab({ id: 'c', name: 'C', dropWeight: 100, chaosValue: 5, sellChaosValue: 4, buyChaosValue: 6 }),
+    ];
+    const mid = calculateThreshold(scarabs, 0.9, 10000, 'lowest_value', 'weighted_average_with_confidence_interval');
+
+    setSpreadModel(flatSpread(0.2));
+    const bidAsk = calculateThreshold(scarabs, 0.9, 10000, 'lowest_value', 'weighted_average_with_confidence_interval');
+
+    expect(mid.expectedValue).toBeCloseTo(4);
+    expect(mid.inputCost).toBeCloseTo(3);
+    expect(bidAsk.bidAsk).toBe(true);
+    expect(bidAsk.expectedValue).toBeCloseTo((2.7 + 4) / 2);
+    expect(bidAsk.inputCost).toBeCloseTo(3.3);
+    expect(bidAsk.value).toBeLessThan(mid.value);
+  });
+
+  it('prices lifeforce rerolls with buy prices and outcomes with sell prices', () => {
+    const fossils = [
+      new Fossil({ id: 'bound-fossil', name: 'Bound Fossil', chaosValue: 4, dropWeight: 1 }),
+      new Fossil({ id: 'dense-fossil', name: 'Dense Fossil', chaosValue: 2, dropWeight: 1 }),
+    ];
+    setSpreadModel(flatSpread(0.5));
+    const lifeforce = { chaosValue: 0.1, buyChaosValue: 0.12, sellChaosValue: 0.08 };
+
+    const rerollCost = getRerollCost(FOSSIL_RULE, getBuyPrice(lifeforce));
+    const group = calculateGroupThresholds(FOSSIL_RULE, fossils, rerollCost).get('fossil');
+
+    expect(rerollCost).toBeCloseTo(30 * 0.12);
+    expect(group.expectedValue).toBeCloseTo(3 * 0.75);
+    // Rerolling returns 2.25 at the bid for 3.6 of lifeforce at the ask
+    expect(fossils[1].threshold).toBeCloseTo(2.25 - 3.6);
+    expect(fossils[1].profitabilityStatus).toBe('not_profitable');
+  });
+
+  it('runs simulations buying inputs at the ask and selling returns at the bid', async () => {
+    setSpreadModel(flatSpread(0.2));
+    const scarabs = [
+      new Scarab({ id: 'a', name: 'A', dropWeight: 100, chaosValue: 1 }),
+      new Scarab({ id: 'b', name: 'B', dropWeight: 100, chaosValue: 10 }),
+    ];
+    const config = createConfiguration({ selectedScarabIds: ['a'], transactionCount: 5, inputScarabStrategy: 'lowest_value' });
+
+    const result = await runSimulation(config, scarabs);
+
+    result.transactions.forEach(transaction => {
+      expect(transaction.inputValue).toBeCloseTo(3.3);
+      expect(transaction.returnedValue).toBeCloseTo(9);
+    });
+    expect(config.breakevenPoint).toBeCloseTo(3.3 * 5);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for the Reroll Engine
+ * Tests rule-driven thresholds shared by every reroll market
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateRerollThreshold,
+  calculateGroupThresholds,
+  calculatePoolExpectedValue,
+  getRerollCost,
+  THRESHOLD_BASES,
+  MISSING_WEIGHT_POLICIES,
+} from '../../../src/js/services/rerollEngine.js';
+import { CATALYST_RULE, ESSENCE_RULE, FOSSIL_RULE, DELIRIUM_ORB_RULE, REROLL_RULES } from '../../../src/js/services/rerollRules.js';
+import { calculateCatalystThreshold } from '../../../src/js/services/calculationService.js';
+import { Catalyst } from '../../../src/js/models/catalyst.js';
+import { Essence } from '../../../src/js/models/essence.js';
+import { Fossil } from '../../../src/js/models/fossil.js';
+import { DeliriumOrb } from '../../../src/js/models/deliriumOrb.js';
+
+describe('RerollEngine', () => {
+  describe('getRerollCost', () => {
+    it('should multiply the rule quantity by the unit price', () => {
+      expect(getRerollCost(ESSENCE_RULE, 0.5)).toBe(15);
+      expect(getRerollCost(ESSENCE_RULE, null)).toBeNull();
+      expect(getRerollCost(CATALYST_RULE, null)).toBe(0);
+    });
+  });
+
+  describe('calculatePoolExpectedValue', () => {
+    const items = [
+      new Fossil({ id: 'a', name: 'A', chaosValue: 10, dropWeight: 3 }),
+      new Fossil({ id: 'b', name: 'B', chaosValue: 2, dropWeight: null }),
+    ];
+
+    it('should count missing weights once under the unit policy', () => {
+      const result = calculatePoolExpectedValue({ missingWeights: MISSING_WEIGHT_POLICIES.UNIT }, items);
+      expect(result.method).toBe('weighted');
+      expect(result.expectedValue).toBeCloseTo((3 * 10 + 2) / 4, 10);
+    });
+
+    it('should fall back to equal weighting under the equal policy', () => {
+      const result = calculatePoolExpectedValue(FOSSIL_RULE, items);
+      expect(result.method).toBe('equal_weighted');
+      expect(result.expectedValue).toBe(6);
+    });
+
+    it('should leave unweighted items out under the require policy', () => {
+      const result = calculatePoolExpectedValue({ missingWeights: MISSING_WEIGHT_POLICIES.REQUIRE }, items);
+      expect(result.expectedValue).toBe(10);
+    });
+  });
+
+  describe('calculateGroupThresholds', () => {
+    it('should partition by reroll group and subtract the reroll cost', () => {
+      const essences = [
+        new Essence({ id: 'd1', name: 'Deafening Essence of Greed', rerollGroup: 'deafening', chaosValue: 2, dropWeight: 1 }),
+        new Essence({ id: 'd2', name: 'Deafening Essence of Rage', rerollGroup: 'deafening', chaosValue: 8, dropWeight: 3 }),
+        new Essence({ id: 's1', name: 'Shrieking Essence of Greed', rerollGroup: 'shrieking', chaosValue: 1, dropWeight: 1 }),
+        new Essence({ id: 'x', name: 'Unknown', rerollGroup: '', chaosValue: 1 }),
+      ];
+
+      const thresholds = calculateGroupThresholds(ESSENCE_RULE, essences, 3);
+
+      expect(thresholds.size).toBe(2);
+      const deafening = thresholds.get('deafening');
+      expect(deafening.expectedValue).toBeCloseTo(6.5, 10);
+      expect(deafening.value).toBeCloseTo(3.5, 10);
+      expect(deafening.itemCount).toBe(2);
+      expect(essences[0].profitabilityStatus).toBe('profitable');
+      expect(essences[1].profitabilityStatus).toBe('not_profitable');
+      expect(essences[3].profitabilityStatus).toBe('unknown');
+    });
+
+    it('should leave each item out of its own outcomes with self-exclusion', () => {
+      const orbs = [
+        new DeliriumOrb({ id: 'a', name: 'A Delirium Orb', rerollGroup: 'delirium-orb', chaosValue: 1 }),
+        new DeliriumOrb({ id: 'b', name: 'B Delirium Orb', rerollGroup: 'delirium-orb', chaosValue: 5 }),
+        new DeliriumOrb({ id: 'c', name: 'C Delirium Orb', rerollGroup: 'delirium-orb', chaosValue: 9 }),
+      ];
+
+      calculateGroupThresholds(DELIRIUM_ORB_RULE, orbs, 2);
+
+      expect(orbs[0].expectedValue).toBe(7);
+      expect(orbs[0].threshold).toBe(5);
+      expect(orbs[2].expectedValue).toBe(3);
+      expect(orbs[2].profitabilityStatus).toBe('not_profitable');
+    });
+
+    it('should leave bands empty when no weight has a standard error', () => {
+      const fossils = [
+        new Fossil({ id: 'a', name: 'A Fossil', rerollGroup: 'fossil', chaosValue: 2, dropWeight: 1 }),
+        new Fossil({ id: 'b', name: 'B Fossil', rerollGroup: 'fossil', chaosValue: 8, dropWeight: 3 }),
+      ];
+
+      const group = calculateGroupThresholds(FOSSIL_RULE, fossils, 1).get('fossil');
+
+      expect(group.weightBand).toBeNull();
+      fossils.forEach(fossil => expect(fossil.thresholdBand).toBeNull());
+    });
+
+    it('should bracket group and item thresholds with seeded bootstrap bands', () => {
+      const createOrbs = () => [
+        new DeliriumOrb({ id: 'a', name: 'A Delirium Orb', rerollGroup: 'delirium-orb', chaosValue: 1, dropWeight: 4, dropWeightStdError: 1 }),
+        new DeliriumOrb({ id: 'b', name: 'B Delirium Orb', rerollGroup: 'delirium-orb', chaosValue: 5, dropWeight: 2, dropWeightStdError: 0.5 }),
+        new DeliriumOrb({ id: 'c', name: 'C Delirium Orb', rerollGroup: 'delirium-orb', chaosValue: 9, dropWeight: 1, dropWeightStdError: 0.5 }),
+      ];
+
+      const orbs = createOrbs();
+      const group = calculateGroupThresholds(DELIRIUM_ORB_RULE, orbs, 2).get('delirium-orb');
+
+      expect(group.weightBand.level).toBe(0.9);
+      expect(group.weightBand.lower).toBeLessThan(group.value);
+      expect(group.weightBand.upper).toBeGreaterThan(group.value);
+      orbs.forEach(orb => {
+        expect(orb.thresholdBand.lower).toBeLessThan(orb.threshold);
+        expect(orb.thresholdBand.upper).toBeGreaterThan(orb.threshold);
+      });
+
+      const again = createOrbs();
+      expect(calculateGroupThresholds(DELIRIUM_ORB_RULE, again, 2).get('delirium-orb').weightBand).toEqual(group.weightBand);
+      expect(again.map(orb => orb.thresholdBand)).toEqual(orbs.map(orb => orb.thresholdBand));
+    });
+
+    it('should reject lower-bound rules', () => {
+      expect(() => calculateGroupThresholds(CATALYST_RULE, [], 0)).toThrow();
+    });
+  });
+
+  describe('calculateRerollThreshold', () => {
+    const createCatalysts = () => [
+      new Catalyst({ id: 'a', name: 'Abrasive Catalyst', dropWeight: 500, chaosValue: 1 }),
+      new Catalyst({ id: 'b', name: 'Fertile Catalyst', dropWeight: 300, chaosValue: 4 }),
+      new Catalyst({ id: 'c', name: 'Prismatic Catalyst', dropWeight: 200, chaosValue: 10 }),
+    ];
+
+    it('should match the catalyst wrapper', () => {
+      const expected = calculateCatalystThreshold(createCatalysts(), 0.9, 100, 'lowest_value');
+      const actual = calculateRerollThreshold(CATALYST_RULE, createCatalysts(), {
+        confidencePercentile: 0.9,
+        numberOfTrades: 100,
+        tradeMode: 'lowest_value',
+      });
+
+      expect(actual.value).toBeCloseTo(expected.value, 10);
+      expect(actual.returnPoolIds).toEqual(expected.returnPoolIds);
+    });
+
+    it('should reject trade modes the rule does not support', () => {
+      expect(() => calculateRerollThreshold(CATALYST_RULE, createCatalysts(), { tradeMode: 'optimal_mix' })).toThrow();
+    });
+
+    it('should support a new market defined only as a rule', () => {
+      const rule = {
+        ...CATALYST_RULE,
+        id: 'test-market',
+        label: 'Test Items',
+        inputCount: 1,
+        rerollCost: { itemName: 'Test Currency', quantity: 2 },
+        returnPoolFilter: items => items,
+        tradeModes: ['returnable'],
+      };
+      const catalysts = createCatalysts();
+      const threshold = calculateRerollThreshold(rule, catalysts, {
+        numberOfTrades: 100,
+        rerollCost: getRerollCost(rule, 1.5),
+      });
+
+      expect(rule.thresholdBasis).toBe(THRESHOLD_BASES.LOWER_BOUND);
+      expect(threshold.rerollCost).toBe(3);
+      expect(threshold.value).toBeCloseTo(threshold.lowerBoundExpectedValue - 3, 10);
+    });
+  });
+
+  it('should register every rule under its id', () => {
+    Object.entries(REROLL_RULES).forEach(([id, rule]) => expect(rule.id).toBe(id));
+  });
+});
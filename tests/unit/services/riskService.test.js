@@ -0,0 +1,98 @@
+/**
+ * Unit tests for Risk Service
+ * Tests bankroll requirements and risk of ruin for vendor sessions
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { getTradeOutcomes, calculateRiskOfRuin } from '../../../src/js/services/riskService.js';
+import { calculateThreshold, CALCULATION_METHODS } from '../../../src/js/services/calculationService.js';
+import { normalCdf } from '../../../src/js/utils/distributionUtils.js';
+import { setSpreadModel, resetSpreadModel } from '../../../src/js/services/priceSpreadService.js';
+import { Scarab } from '../../../src/js/models/scarab.js';
+
+describe('RiskService', () => {
+  const createScarabs = () => [
+    new Scarab({ id: 'a', name: 'A', dropWeight: 500, chaosValue: 1.0 }),
+    new Scarab({ id: 'b', name: 'B', dropWeight: 300, chaosValue: 4.0 }),
+    new Scarab({ id: 'c', name: 'C', dropWeight: 150, chaosValue: 10.0 }),
+    new Scarab({ id: 'd', name: 'D', dropWeight: 50, chaosValue: 40.0 }),
+  ];
+
+  afterEach(() => {
+    localStorage.clear();
+    resetSpreadModel();
+  });
+
+  describe('getTradeOutcomes', () => {
+    it('should default the input cost to the trade mode inputs or three inputs at the threshold', () => {
+      const scarabs = createScarabs();
+      const returnable = calculateThreshold(scarabs, 0.9, 1000, 'returnable', CALCULATION_METHODS.NORMAL);
+      const lowest = calculateThreshold(scarabs, 0.9, 1000, 'lowest_value', CALCULATION_METHODS.NORMAL);
+
+      expect(getTradeOutcomes(scarabs, returnable).inputCost).toBeCloseTo(3 * returnable.value, 10);
+      expect(getTradeOutcomes(scarabs, returnable, 2).inputCost).toBe(2);
+
+      const outcomes = getTradeOutcomes(scarabs, lowest);
+      expect(outcomes.inputCost).toBe(3);
+      expect(outcomes.values).toEqual([4, 10, 40]);
+      expect(outcomes.weights).toEqual([300, 150, 50]);
+    });
+
+    it('should value outcomes at sell prices with bid/ask pricing', () => {
+      setSpreadModel({ enabled: true, tiers: [{ minListings: 0, spread: 0.2 }], unknownListingsSpread: 0.2 });
+      const scarabs = createScarabs();
+      const lowest = calculateThreshold(scarabs, 0.9, 1000, 'lowest_value', CALCULATION_METHODS.NORMAL);
+      const outcomes = getTradeOutcomes(scarabs, lowest);
+
+      expect(outcomes.values.map(value => Number(value.toFixed(10)))).toEqual([3.6, 9, 36]);
+      expect(outcomes.inputCost).toBeCloseTo(3 * 1.1, 10);
+    });
+  });
+
+  describe('calculateRiskOfRuin', () => {
+    it('should be exact for a single trade', () => {
+      const outcomes = { values: [0, 10], weights: [1, 1], inputCost: 5 };
+
+      const broke = calculateRiskOfRuin(outcomes, { budget: 0, tradeCount: 1 });
+      expect(broke.ruinProbability).toBeCloseTo(0.5, 9);
+      expect(broke.requiredBudget).toBeCloseTo(5, 9);
+      expect(broke.expectedProfit).toBeCloseTo(0, 9);
+
+      const covered = calculateRiskOfRuin(outcomes, { budget: 5, tradeCount: 1 });
+      expect(covered.ruinProbability).toBe(0);
+    });
+
+    it('should track drawdowns along each path', () => {
+      // Every trade loses 1c
+      const risk = calculateRiskOfRuin({ values: [2], weights: [1], inputCost: 3 }, { budget: 5, tradeCount: 10 });
+
+      expect(risk.ruinProbability).toBe(1);
+      expect(risk.pathRuinProbability).toBe(1);
+      expect(risk.expectedMaxDrawdown).toBeCloseTo(10, 9);
+      expect(risk.requiredBudget).toBeCloseTo(10, 9);
+      expect(risk.expectedProfit).toBeCloseTo(-10, 9);
+    });
+
+    it('should agree with the normal approximation for long sessions', () => {
+      const values = [1, 4, 10, 40];
+      const weights = [500, 300, 150, 50];
+      const mean = 5.2;
+      const standardDeviation = Math.sqrt(weights.reduce((sum, w, i) => sum + (w / 1000) * (values[i] - mean) ** 2, 0));
+      const tradeCount = 2000;
+      const budget = 500;
+      const inputCost = 5.2;
+
+      const risk = calculateRiskOfRuin({ values, weights, inputCost }, { budget, tradeCount, random: () => 0.5 });
+      const normal = normalCdf((inputCost - budget / tradeCount - mean) / (standardDeviation / Math.sqrt(tradeCount)));
+      expect(risk.ruinProbability).toBeCloseTo(normal, 2);
+      expect(risk.requiredBudget).toBeGreaterThan(budget);
+    });
+
+    it('should reject invalid settings', () => {
+      const outcomes = { values: [1, 2], weights: [1, 1], inputCost: 1 };
+      expect(() => calculateRiskOfRuin(outcomes, { budget: -1, tradeCount: 10 })).toThrow('Budget');
+      expect(() => calculateRiskOfRuin(outcomes, { budget: 10, tradeCount: 0 })).toThrow('Trade count');
+      expect(() => calculateRiskOfRuin(outcomes, { budget: 10, tradeCount: 10, targetRuinProbability: 1 })).toThrow('Target');
+    });
+  });
+});
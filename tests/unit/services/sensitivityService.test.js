@@ -0,0 +1,113 @@
+/**
+ * Unit tests for Sensitivity Service
+ * Tests flip margins and threshold sensitivity to output price moves
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  getFlipMargin,
+  getFragility,
+  calculateThresholdSensitivity,
+} from '../../../src/js/services/sensitivityService.js';
+import { calculateThreshold, CALCULATION_METHODS } from '../../../src/js/services/calculationService.js';
+import { setSpreadModel, resetSpreadModel, getBuyPrice } from '../../../src/js/services/priceSpreadService.js';
+import { Scarab } from '../../../src/js/models/scarab.js';
+
+describe('SensitivityService', () => {
+  const createScarabs = () => [
+    new Scarab({ id: 'a', name: 'A', dropWeight: 500, chaosValue: 1.0 }),
+    new Scarab({ id: 'b', name: 'B', dropWeight: 300, chaosValue: 4.0 }),
+    new Scarab({ id: 'c', name: 'C', dropWeight: 150, chaosValue: 10.0 }),
+    new Scarab({ id: 'd', name: 'D', dropWeight: 50, chaosValue: 40.0 }),
+  ];
+
+  describe('getFlipMargin', () => {
+    it('should return the price rise that makes a profitable item unprofitable', () => {
+      const margin = getFlipMargin({ chaosValue: 2, threshold: 3, profitabilityStatus: 'profitable' });
+      expect(margin).toEqual({ flipPrice: 3, priceChange: 1, percentChange: 50 });
+      expect(getFragility({ chaosValue: 2, threshold: 3, profitabilityStatus: 'profitable' })).toBe(50);
+    });
+
+    it('should return the price drop that makes a not profitable item profitable', () => {
+      const margin = getFlipMargin({ chaosValue: 10, threshold: 4, profitabilityStatus: 'not_profitable' });
+      expect(margin.priceChange).toBe(-6);
+      expect(margin.percentChange).toBeCloseTo(-60, 10);
+      expect(getFragility({ chaosValue: 10, threshold: 4, profitabilityStatus: 'not_profitable' })).toBeCloseTo(60, 10);
+    });
+
+    it('should return null for items without price data', () => {
+      expect(getFlipMargin({ chaosValue: null, threshold: 3, profitabilityStatus: 'unknown' })).toBeNull();
+      expect(getFragility({ chaosValue: null, threshold: 3, profitabilityStatus: 'unknown' })).toBe(Infinity);
+    });
+  });
+
+  describe('calculateThresholdSensitivity', () => {
+    it('should match a full recalculation with the changed price for the normal approximation', () => {
+      const scarabs = createScarabs();
+      const threshold = calculateThreshold(scarabs, 0.9, 1000, 'returnable', CALCULATION_METHODS.NORMAL);
+      const sensitivity = calculateThresholdSensitivity(scarabs, threshold, { priceChange: 0.2 });
+
+      const entry = sensitivity.find(e => e.item.id === 'b');
+      const raised = createScarabs();
+      raised[1].chaosValue = 4.0 * 1.2;
+      const raisedThreshold = calculateThreshold(raised, 0.9, 1000, 'returnable', CALCULATION_METHODS.NORMAL);
+
+      expect(entry.upThreshold).toBeCloseTo(raisedThreshold.value, 8);
+      expect(entry.upDelta).toBeCloseTo(raisedThreshold.value - threshold.value, 8);
+      expect(entry.weightShare).toBeCloseTo(0.3, 10);
+    });
+
+    it('should leave the threshold unchanged without a price move', () => {
+      const scarabs = createScarabs();
+      const threshold = calculateThreshold(scarabs, 0.9, 1000, 'returnable', CALCULATION_METHODS.NORMAL);
+      const sensitivity = calculateThresholdSensitivity(scarabs, threshold, { priceChange: 0 });
+
+      sensitivity.forEach(entry => {
+        expect(entry.downThreshold).toBeCloseTo(threshold.value, 10);
+        expect(entry.upDelta).toBeCloseTo(0, 10);
+      });
+    });
+
+    it('should limit to the highest-weight items and sort by swing', () => {
+      const scarabs = createScarabs();
+      const threshold = calculateThreshold(scarabs, 0.9, 1000);
+      const sensitivity = calculateThresholdSensitivity(scarabs, threshold, { maxItems: 3 });
+
+      expect(sensitivity.map(e => e.item.id).sort()).toEqual(['a', 'b', 'c']);
+      const swings = sensitivity.map(e => Math.abs(e.upDelta - e.downDelta));
+      expect(swings).toEqual([...swings].sort((x, y) => y - x));
+    });
+
+    it('should return an empty list without a return pool', () => {
+      expect(calculateThresholdSensitivity(createScarabs(), null)).toEqual([]);
+    });
+  });
+
+  describe('with bid/ask pricing', () => {
+    afterEach(() => {
+      localStorage.clear();
+      resetSpreadModel();
+    });
+
+    it('should measure flips at buy prices and threshold moves at sell prices', () => {
+      setSpreadModel({ enabled: true, tiers: [{ minListings: 0, spread: 0.3 }], unknownListingsSpread: 0.3 });
+      const scarabs = createScarabs();
+      const threshold = calculateThreshold(scarabs, 0.9, 1000, 'returnable', CALCULATION_METHODS.NORMAL);
+
+      calculateThresholdSensitivity(scarabs, threshold, { priceChange: 0 }).forEach(entry => {
+        expect(entry.downDelta).toBeCloseTo(0, 10);
+        expect(entry.upDelta).toBeCloseTo(0, 10);
+      });
+
+      const entry = calculateThresholdSensitivity(scarabs, threshold, { priceChange: 0.2 }).find(e => e.item.id === 'b');
+      const raised = createScarabs();
+      raised[1].chaosValue = 4.0 * 1.2;
+      expect(entry.upThreshold).toBeCloseTo(calculateThreshold(raised, 0.9, 1000, 'returnable', CALCULATION_METHODS.NORMAL).value, 8);
+
+      // A 3c item is bought at 3.45c: it flips when that buy price reaches the threshold
+      const item = { chaosValue: 3, threshold: 2, profitabilityStatus: 'not_profitable' };
+      expect(getBuyPrice(item)).toBeCloseTo(3.45, 10);
+      expect(getFlipMargin(item).percentChange).toBeCloseTo(((2 - 3.45) / 3.45) * 100, 8);
+    });
+  });
+});
@@ -6,6 +6,14 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { createConfiguration, validateConfiguration, runSimulation } from '../../../src/js/services/simulationService.js';
 import { Scarab } from '../../../src/js/models/scarab.js';
+import {
+  createSeededRandom,
+  selectRandomThree,
+  calculateDrawdownStatistics,
+  downsampleCumulativeProfit,
+  LEGACY_SEED_SCHEME,
+  SEED_SCHEME_VERSION,
+} from '../../../src/js/utils/simulationUtils.js';
 
 describe('SimulationService', () => {
   let mockScarabs;
@@ -81,6 +89,134 @@ describe('SimulationService', () => {
       expect(result.transactions).toHaveLength(100);
       expect(result.yieldCounts.size).toBeGreaterThan(0);
     });
+
+    it('should trade the optimal input mix with the optimal_mix strategy', async () => {
+      const config = createConfiguration({
+        selectedScarabIds: ['scarab-1', 'scarab-2', 'scarab-3'],
+        transactionCount: 50,
+        inputScarabStrategy: 'optimal_mix',
+      });
+
+      const result = await runSimulation(config, mockScarabs);
+
+      // Three Scarab 1 (cost 3c) leave a pool worth 29/9 ≈ 3.22c: the only profitable mix
+      result.transactions.forEach(transaction => {
+        expect(transaction.inputScarabIds).toEqual(['scarab-1', 'scarab-1', 'scarab-1']);
+        expect(transaction.returnedScarabId).not.toBe('scarab-1');
+      });
+      expect(config.breakevenPoint).toBeCloseTo(3 * 50, 9);
+    });
+
+    it('should never return drop-disabled scarabs', async () => {
+      mockScarabs.push(new Scarab({ id: 'legacy', name: 'Legacy', dropWeight: 10000, dropEnabledd: false, chaosValue: 50.0 }));
+      const config = createConfiguration({
+        selectedScarabIds: ['scarab-1', 'scarab-2', 'scarab-3'],
+        transactionCount: 200,
+        inputScarabStrategy: 'lowest_value',
+      });
+
+      const result = await runSimulation(config, mockScarabs);
+      result.transactions.forEach(transaction => {
+        expect(transaction.returnedScarabId).not.toBe('legacy');
+      });
+    });
+
+    it('should reproduce a run from its seed', async () => {
+      const configData = {
+        selectedScarabIds: ['scarab-1', 'scarab-2', 'scarab-3', 'scarab-4'],
+        transactionCount: 500,
+      };
+
+      const first = await runSimulation(createConfiguration(configData), mockScarabs);
+      const replay = await runSimulation(createConfiguration({ ...configData, seed: first.seed }), mockScarabs);
+      const other = await runSimulation(createConfiguration({ ...configData, seed: (first.seed + 1) % 2 ** 32 }), mockScarabs);
+
+      expect(Number.isInteger(first.seed)).toBe(true);
+      expect(first.configuration.seed).toBeNull();
+      expect(replay.seed).toBe(first.seed);
+      expect(replay.transactions).toEqual(first.transactions);
+      expect(replay.netProfitLoss).toBe(first.netProfitLoss);
+      expect(other.transactions).not.toEqual(first.transactions);
+    });
+
+    it('should replay runs saved under the single-stream seed scheme', async () => {
+      const configData = {
+        selectedScarabIds: ['scarab-1', 'scarab-2', 'scarab-3', 'scarab-4'],
+        transactionCount: 200,
+        seed: 77,
+      };
+
+      const current = await runSimulation(createConfiguration(configData), mockScarabs);
+      const legacy = await runSimulation(createConfiguration({ ...configData, seedScheme: LEGACY_SEED_SCHEME }), mockScarabs);
+
+      expect(current.seedScheme).toBe(SEED_SCHEME_VERSION);
+      expect(legacy.seedScheme).toBe(LEGACY_SEED_SCHEME);
+      // One stream: the first draws pick the first trade's inputs
+      expect(legacy.transactions[0].inputScarabIds).toEqual(
+        selectRandomThree(mockScarabs, createSeededRandom(77)).map(scarab => scarab.id)
+      );
+      expect(legacy.transactions).not.toEqual(current.transactions);
+      expect(validateConfiguration(createConfiguration({ ...configData, seedScheme: 9 })).error).toContain('seed scheme');
+    });
+
+    it('should reject invalid seeds', () => {
+      const config = createConfiguration({ selectedScarabIds: ['scarab-1'], seed: -1 });
+      expect(validateConfiguration(config).error).toContain('Seed must be a whole number');
+      expect(config.validate().valid).toBe(false);
+    });
+  });
+
+  describe('seeded random', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const a = createSeededRandom(42);
+      const b = createSeededRandom(42);
+      const values = Array.from({ length: 5 }, () => a());
+
+      expect(Array.from({ length: 5 }, () => b())).toEqual(values);
+      values.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+      expect(selectRandomThree(mockScarabs, createSeededRandom(7))).toEqual(selectRandomThree(mockScarabs, createSeededRandom(7)));
+    });
+  });
+
+  describe('drawdown statistics', () => {
+    const toPath = cumulative => cumulative.map((cumulativeProfitLoss, i) => ({
+      transactionNumber: i + 1,
+      profitLoss: cumulativeProfitLoss - (cumulative[i - 1] ?? 0),
+      cumulativeProfitLoss,
+    }));
+
+    it('should measure drawdown, losing streaks and recovery', () => {
+      // Peak 6 at trade 2, trough 1 at trade 5, back to 6 at trade 7
+      expect(calculateDrawdownStatistics(toPath([4, 6, 5, 3, 1, 2, 6, 7]))).toEqual({
+        maxDrawdown: 5,
+        longestLosingStreak: 3,
+        tradesUnderWater: 4,
+        recoveryTrades: 2,
+      });
+      expect(calculateDrawdownStatistics(toPath([-2, -3, -1])).recoveryTrades).toBeNull();
+      expect(calculateDrawdownStatistics(toPath([1, 2, 3]))).toEqual({ maxDrawdown: 0, longestLosingStreak: 0, tradesUnderWater: 0, recoveryTrades: 0 });
+    });
+
+    it('should add the statistics to simulation results', async () => {
+      const config = createConfiguration({ selectedScarabIds: ['scarab-1', 'scarab-2', 'scarab-3', 'scarab-4'], transactionCount: 300, seed: 11 });
+      const result = await runSimulation(config, mockScarabs);
+
+      expect(result).toMatchObject(calculateDrawdownStatistics(result.transactions));
+      expect(result.longestLosingStreak).toBeGreaterThan(0);
+    });
+
+    it('should downsample long paths keeping the extremes and the last trade', () => {
+      const path = toPath(Array.from({ length: 10000 }, (_, i) => (i === 4321 ? -500 : Math.sin(i / 50))));
+      const points = downsampleCumulativeProfit(path, 200);
+
+      expect(points.length).toBeLessThanOrEqual(201);
+      expect(points.some(point => point.transactionNumber === 4322 && point.cumulativeProfitLoss === -500)).toBe(true);
+      expect(points[points.length - 1].transactionNumber).toBe(10000);
+      expect(downsampleCumulativeProfit(path.slice(0, 50), 200)).toHaveLength(50);
+    });
   });
 });
 
@@ -0,0 +1,122 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { SimulationWorkerPool } from '../../../src/js/services/simulationWorkerPool.js';
+import { createConfiguration, SIMULATION_CANCELLED_MESSAGE } from '../../../src/js/services/simulationService.js';
+import { Scarab, SimulationResult, SimulationConfiguration } from '../../../src/js/models/scarab.js';
+
+const scarabs = [
+  new Scarab({ id: 'a', name: 'A', dropWeight: 100, chaosValue: 1 }),
+  new Scarab({ id: 'b', name: 'B', dropWeight: 100, chaosValue: 2 }),
+  new Scarab({ id: 'c', name: 'C', dropWeight: 100, chaosValue: 3 }),
+];
+
+/** Stand-in for Worker that records the messages the pool posts */
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(message) {
+    this.onmessage({ data: message });
+  }
+}
+FakeWorker.instances = [];
+
+describe('Simulation Worker Pool', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    FakeWorker.instances = [];
+  });
+
+  it('runs on the main thread without Worker support and reports structured progress', async () => {
+    const pool = new SimulationWorkerPool(2);
+    const progress = [];
+    const config = createConfiguration({ selectedScarabIds: ['a'], transactionCount: 20000, inputScarabStrategy: 'lowest_value' });
+
+    const job = pool.run(config, scarabs, null, { onProgress: message => progress.push(message) });
+    const result = await job.promise;
+
+    expect(pool.isSupported()).toBe(false);
+    expect(result.totalTransactions).toBe(20000);
+    expect(progress.map(message => message.current)).toEqual([10000, 20000]);
+    expect(progress[0]).toMatchObject({ type: 'progress', phase: 'initial', progress: 50, total: 20000, taskId: job.taskId });
+    expect(progress[0].yieldCounts).toBeInstanceOf(Map);
+  });
+
+  it('cancels running and queued simulations', async () => {
+    const pool = new SimulationWorkerPool();
+    const config = createConfiguration({ selectedScarabIds: ['a'], transactionCount: 100000, inputScarabStrategy: 'lowest_value' });
+    const progress = vi.fn();
+
+    const job = pool.run(config, scarabs, null, { onProgress: progress });
+    job.cancel();
+
+    await expect(job.promise).rejects.toThrow(SIMULATION_CANCELLED_MESSAGE);
+    // Only the first batch ran: it runs before run() returns on the main thread
+    expect(progress).toHaveBeenCalledTimes(1);
+
+    const many = pool.runMany([{ config }, { config }], scarabs);
+    many.cancel();
+    await expect(many.promise).rejects.toThrow(SIMULATION_CANCELLED_MESSAGE);
+  });
+
+  it('queues runs beyond the pool size and rebuilds worker results', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const pool = new SimulationWorkerPool(1);
+    const config = createConfiguration({ selectedScarabIds: ['a'], transactionCount: 10 });
+    const progress = [];
+
+    const { promise } = pool.runMany([{ config }, { config, threshold: { value: 2 } }], scarabs, {
+      onProgress: message => progress.push(message),
+    });
+
+    expect(FakeWorker.instances).toHaveLength(1);
+    const [worker] = FakeWorker.instances;
+    const [first] = worker.messages;
+    expect(first).toMatchObject({ type: 'run', threshold: null, spreadModel: { enabled: false }, liquidityModel: { enabled: false } });
+
+    worker.reply({ type: 'progress', taskId: first.taskId, phase: 'initial', current: 10 });
+    worker.reply({ type: 'result', taskId: first.taskId, result: { totalTransactions: 10, configuration: { ...config, breakevenPoint: 30 } } });
+
+    const second = worker.messages[1];
+    expect(second).toMatchObject({ type: 'run', threshold: { value: 2 } });
+    worker.reply({ type: 'error', taskId: second.taskId, message: 'No valid scarabs' });
+
+    await expect(promise).rejects.toThrow('No valid scarabs');
+    expect(progress).toEqual([expect.objectContaining({ runIndex: 0, current: 10 })]);
+
+    const job = pool.run(config, scarabs);
+    worker.reply({ type: 'result', taskId: worker.messages[2].taskId, result: { totalTransactions: 10, configuration: config } });
+    const result = await job.promise;
+    expect(result).toBeInstanceOf(SimulationResult);
+    expect(result.configuration).toBeInstanceOf(SimulationConfiguration);
+  });
+
+  it('asks the worker to stop a cancelled run', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const pool = new SimulationWorkerPool(1);
+    const config = createConfiguration({ selectedScarabIds: ['a'], transactionCount: 10 });
+
+    const job = pool.run(config, scarabs);
+    job.cancel();
+    await expect(job.promise).rejects.toThrow(SIMULATION_CANCELLED_MESSAGE);
+
+    const [worker] = FakeWorker.instances;
+    expect(worker.messages[1]).toEqual({ type: 'cancel', taskId: job.taskId });
+
+    // The worker takes the next run once the engine has stopped
+    const next = pool.run(config, scarabs);
+    expect(worker.messages).toHaveLength(2);
+    worker.reply({ type: 'error', taskId: job.taskId, message: SIMULATION_CANCELLED_MESSAGE });
+    expect(worker.messages[2]).toMatchObject({ type: 'run', taskId: next.taskId });
+  });
+});
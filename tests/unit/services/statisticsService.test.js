@@ -0,0 +1,73 @@
+/**
+ * Unit tests for Statistics Service
+ * Tests goodness-of-fit of observed yields and the session profit interval
+ */
+
+import { describe, it, expect } from 'vitest';
+import { testGoodnessOfFit, evaluateSessionProfit } from '../../../src/js/services/statisticsService.js';
+import { Scarab } from '../../../src/js/models/scarab.js';
+
+describe('StatisticsService', () => {
+  const scarabs = [
+    new Scarab({ id: 'a', name: 'A', dropWeight: 500, chaosValue: 1.0 }),
+    new Scarab({ id: 'b', name: 'B', dropWeight: 300, chaosValue: 2.0 }),
+    new Scarab({ id: 'c', name: 'C', dropWeight: 199, chaosValue: 5.0 }),
+    new Scarab({ id: 'd', name: 'D', dropWeight: 1, chaosValue: 100.0 }),
+  ];
+
+  describe('testGoodnessOfFit', () => {
+    it('should accept counts that match the weights', () => {
+      const counts = new Map([['a', 502], ['b', 297], ['c', 200], ['d', 1]]);
+      const fit = testGoodnessOfFit(counts, scarabs);
+
+      expect(fit.totalObserved).toBe(1000);
+      expect(fit.consistent).toBe(true);
+      expect(fit.chiSquare.pValue).toBeGreaterThan(0.5);
+      expect(fit.gTest.pValue).toBeGreaterThan(0.5);
+      expect(fit.flagged).toHaveLength(0);
+    });
+
+    it('should pool sparse cells and compute Pearson and G statistics', () => {
+      // d expects 1 return, so it goes into the sparse cell: 4 cells, 3 degrees of freedom
+      const counts = new Map([['a', 450], ['b', 350], ['c', 199], ['d', 1]]);
+      const fit = testGoodnessOfFit(counts, scarabs);
+
+      expect(fit.pooledItemCount).toBe(1);
+      expect(fit.chiSquare.degreesOfFreedom).toBe(3);
+      const expectedChiSquare = 50 ** 2 / 500 + 50 ** 2 / 300 + 0;
+      expect(fit.chiSquare.statistic).toBeCloseTo(expectedChiSquare, 6);
+      const expectedG = 2 * (450 * Math.log(450 / 500) + 350 * Math.log(350 / 300));
+      expect(fit.gTest.statistic).toBeCloseTo(expectedG, 6);
+      expect(fit.consistent).toBe(false);
+    });
+
+    it('should flag implausible frequencies and results outside the pool', () => {
+      const counts = new Map([['a', 500], ['b', 300], ['c', 180], ['d', 20], ['legacy', 3]]);
+      const fit = testGoodnessOfFit(counts, scarabs);
+
+      expect(fit.flagged.map(row => row.item.id)).toEqual(['d']);
+      expect(fit.flagged[0].direction).toBe('high');
+      expect(fit.unexpected).toEqual([{ id: 'legacy', observed: 3 }]);
+    });
+
+    it('should reject empty observations', () => {
+      expect(() => testGoodnessOfFit(new Map(), scarabs)).toThrow('No observed results');
+    });
+  });
+
+  describe('evaluateSessionProfit', () => {
+    it('should compare session profit with the normal interval of n trades', () => {
+      const model = { expectedValue: 3, standardDeviation: 2 };
+      // 100 trades: expected return 300 ± 1.96 × 20
+      const within = evaluateSessionProfit({ tradeCount: 100, returnValue: 320, inputCost: 250 }, model);
+      expect(within.expectedProfit).toBeCloseTo(50, 10);
+      expect(within.upper - within.expectedProfit).toBeCloseTo(1.959964 * 20, 4);
+      expect(within.zScore).toBeCloseTo(1, 10);
+      expect(within.percentile).toBeCloseTo(0.841345, 5);
+      expect(within.withinInterval).toBe(true);
+
+      const outside = evaluateSessionProfit({ tradeCount: 100, returnValue: 250, inputCost: 250 }, model);
+      expect(outside.withinInterval).toBe(false);
+    });
+  });
+});
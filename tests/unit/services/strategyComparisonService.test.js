@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createComparisonConfigurations,
+  summarizeComparison,
+} from '../../../src/js/services/strategyComparisonService.js';
+import { createConfiguration, runSimulation } from '../../../src/js/services/simulationService.js';
+import { calculateMaxDrawdown } from '../../../src/js/utils/simulationUtils.js';
+import { Scarab } from '../../../src/js/models/scarab.js';
+
+// Inputs can't drop, so every variant returns from the same pool
+const scarabs = [
+  new Scarab({ id: 'x1', name: 'X1', dropWeight: 1, dropEnabled: false, chaosValue: 1 }),
+  new Scarab({ id: 'x2', name: 'X2', dropWeight: 1, dropEnabled: false, chaosValue: 2 }),
+  new Scarab({ id: 'x3', name: 'X3', dropWeight: 1, dropEnabled: false, chaosValue: 3 }),
+  new Scarab({ id: 'x4', name: 'X4', dropWeight: 1, dropEnabled: false, chaosValue: 4 }),
+  new Scarab({ id: 'r1', name: 'R1', dropWeight: 500, chaosValue: 1 }),
+  new Scarab({ id: 'r2', name: 'R2', dropWeight: 300, chaosValue: 5 }),
+  new Scarab({ id: 'r3', name: 'R3', dropWeight: 200, chaosValue: 20 }),
+];
+const selection = ['x1', 'x2', 'x3', 'x4'];
+
+describe('Strategy Comparison Service', () => {
+  it('creates one configuration per variant on a shared seed', () => {
+    const base = createConfiguration({ selectedScarabIds: ['x1'], transactionCount: 300, continueMode: true });
+    const configs = createComparisonConfigurations(base, [
+      { inputScarabStrategy: 'user_selected', selectedScarabIds: selection },
+      { inputScarabStrategy: 'lowest_value', selectedScarabIds: ['x2', 'x3'] },
+    ], scarabs);
+
+    expect(configs).toHaveLength(2);
+    expect(configs[0].seed).toBe(configs[1].seed);
+    expect(configs[1]).toMatchObject({ inputScarabStrategy: 'lowest_value', selectedScarabIds: ['x2', 'x3'], transactionCount: 300, continueMode: true });
+    expect(() => createComparisonConfigurations(base, [configs[0]], scarabs)).toThrow('at least two');
+    expect(() => createComparisonConfigurations(base, [
+      { inputScarabStrategy: 'lowest_value', selectedScarabIds: ['x1'] },
+      { inputScarabStrategy: 'lowest_value', selectedScarabIds: ['missing'] },
+    ], scarabs)).toThrow('Variant 2: Invalid scarab IDs');
+  });
+
+  it('draws the same returns for every strategy on one seed', async () => {
+    const base = createConfiguration({ selectedScarabIds: selection, transactionCount: 200, seed: 2024 });
+    const configs = createComparisonConfigurations(base, [
+      { inputScarabStrategy: 'user_selected', selectedScarabIds: selection },
+      { inputScarabStrategy: 'lowest_value', selectedScarabIds: selection },
+    ], scarabs);
+
+    const results = await Promise.all(configs.map(config => runSimulation(config, scarabs)));
+    const returned = results.map(result => result.transactions.map(transaction => transaction.returnedScarabId));
+
+    expect(returned[0]).toEqual(returned[1]);
+    expect(results[0].netProfitLoss).not.toBe(results[1].netProfitLoss);
+
+    const [randomPicks, lowest] = summarizeComparison(results);
+    expect(lowest.netProfitLoss).toBeCloseTo(results[1].netProfitLoss);
+    expect(lowest.averageProfitLossPerTransaction).toBeCloseTo(results[1].netProfitLoss / 200);
+    expect(lowest.curve[lowest.curve.length - 1]).toEqual({ tradeNumber: 200, cumulativeProfitLoss: results[1].finalCumulativeProfitLoss });
+    expect(randomPicks.topYields[0].id).toBe('r1');
+    expect(randomPicks.maxDrawdown).toBe(calculateMaxDrawdown(results[0].transactions));
+  });
+
+  it('measures drawdown from the running peak', () => {
+    const path = [5, 2, 8, 1, 4].map(cumulativeProfitLoss => ({ cumulativeProfitLoss }));
+    expect(calculateMaxDrawdown(path)).toBe(7);
+    expect(calculateMaxDrawdown([{ cumulativeProfitLoss: -3 }])).toBe(3);
+    expect(calculateMaxDrawdown([])).toBe(0);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for the Data Fetcher
+ * Tests per-file TTLs, conditional revalidation and stale-while-revalidate
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  fetchDataWithSource,
+  forceRefreshData,
+  revalidateData,
+  onDataRevalidated,
+  setCacheTtl,
+  getCacheTtl,
+  getCacheInfo,
+  DATA_SOURCES,
+} from '../../../src/js/utils/dataFetcher.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function response(data, { status = 200, headers = {} } = {}) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => data,
+  });
+}
+
+/** Age a file's cache entry */
+function ageCache(fileName, age) {
+  const key = `scarabHub_dataCache_${fileName}`;
+  const entry = JSON.parse(localStorage.getItem(key));
+  entry.timestamp = Date.now() - age;
+  localStorage.setItem(key, JSON.stringify(entry));
+}
+
+describe('DataFetcher', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    globalThis.fetch = vi.fn();
+  });
+
+  it('should use per-file TTLs with a one-hour default', () => {
+    setCacheTtl(/^ttlTest_/, 5 * HOUR);
+    setCacheTtl('ttlExact.json', 0);
+    expect(getCacheTtl('ttlTest_a.json')).toBe(5 * HOUR);
+    expect(getCacheTtl('ttlExact.json')).toBe(0);
+    expect(getCacheTtl('other.json')).toBe(HOUR);
+    expect(() => setCacheTtl('bad.json', -1)).toThrow('Cache TTL');
+  });
+
+  it('should send validators and keep cached data on 304 Not Modified', async () => {
+    globalThis.fetch.mockReturnValueOnce(response([1], { headers: { ETag: '"v1"', 'Last-Modified': 'Wed, 01 Jan 2025 00:00:00 GMT' } }));
+    await fetchDataWithSource('conditional.json', '/local.json');
+    ageCache('conditional.json', 2 * HOUR);
+
+    globalThis.fetch.mockReturnValueOnce(response(null, { status: 304 }));
+    const result = await forceRefreshData('conditional.json', '/local.json');
+
+    const [, init] = globalThis.fetch.mock.calls[1];
+    expect(init.headers).toEqual({ 'If-None-Match': '"v1"', 'If-Modified-Since': 'Wed, 01 Jan 2025 00:00:00 GMT' });
+    expect(result).toEqual([1]);
+    expect(getCacheInfo('conditional.json').isExpired).toBe(false);
+  });
+
+  it('should stop sending validators to a host that refused their preflight', async () => {
+    const url = 'https://no-preflight.example/prices.json';
+    globalThis.fetch.mockReturnValueOnce(response([1], { headers: { ETag: '"v1"' } }));
+    await fetchDataWithSource('preflight.json', '/local.json', { url });
+    ageCache('preflight.json', 2 * HOUR);
+
+    // The conditional request fails its preflight; the plain retry succeeds
+    globalThis.fetch
+      .mockReturnValueOnce(Promise.reject(new TypeError('Failed to fetch')))
+      .mockReturnValueOnce(response([2], { headers: { ETag: '"v2"' } }));
+    const retried = await forceRefreshData('preflight.json', '/local.json', { url });
+
+    expect(retried).toEqual([2]);
+    expect(globalThis.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+    expect(globalThis.fetch.mock.calls[2][1].headers).toBeUndefined();
+
+    // Later revalidations of that host go out as one plain request
+    ageCache('preflight.json', 2 * HOUR);
+    globalThis.fetch.mockReturnValueOnce(response([3]));
+    const next = await forceRefreshData('preflight.json', '/local.json', { url });
+
+    expect(next).toEqual([3]);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(4);
+    expect(globalThis.fetch.mock.calls[3][1].headers).toBeUndefined();
+  });
+
+  it('should serve expired data immediately and notify listeners when revalidation changed it', async () => {
+    globalThis.fetch.mockReturnValueOnce(response(['old']));
+    await fetchDataWithSource('swr.json', '/local.json');
+    ageCache('swr.json', 2 * HOUR);
+
+    const listener = vi.fn();
+    const unsubscribe = onDataRevalidated(listener);
+    let resolveRemote;
+    globalThis.fetch.mockReturnValueOnce(new Promise(resolve => { resolveRemote = resolve; }));
+
+    const stale = await fetchDataWithSource('swr.json', '/local.json');
+    expect(stale).toMatchObject({ data: ['old'], source: DATA_SOURCES.REVALIDATING });
+    expect(getCacheInfo('swr.json').isRevalidating).toBe(true);
+
+    // A concurrent revalidation shares the request in flight
+    const revalidation = revalidateData('swr.json');
+    resolveRemote(await response(['new']));
+    const result = await revalidation;
+    unsubscribe();
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(result.changed).toBe(true);
+    expect(listener).toHaveBeenCalledWith('swr.json', ['new']);
+    expect((await fetchDataWithSource('swr.json', '/local.json')).source).toBe(DATA_SOURCES.CACHE);
+  });
+
+  it('should not notify listeners when revalidated data is unchanged', async () => {
+    globalThis.fetch.mockReturnValueOnce(response({ a: 1 }));
+    await fetchDataWithSource('same.json', '/local.json');
+
+    const listener = vi.fn();
+    const unsubscribe = onDataRevalidated(listener);
+    globalThis.fetch.mockReturnValueOnce(response({ a: 1 }));
+    const result = await revalidateData('same.json');
+    unsubscribe();
+
+    expect(result.changed).toBe(false);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should wait for the remote when staleWhileRevalidate is off', async () => {
+    globalThis.fetch.mockReturnValueOnce(response(['old']));
+    await fetchDataWithSource('blocking.json', '/local.json');
+    ageCache('blocking.json', 2 * HOUR);
+
+    globalThis.fetch.mockReturnValueOnce(response(['new']));
+    const result = await fetchDataWithSource('blocking.json', '/local.json', { staleWhileRevalidate: false });
+    expect(result).toMatchObject({ data: ['new'], source: DATA_SOURCES.REMOTE });
+  });
+});
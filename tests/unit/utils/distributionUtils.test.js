@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeMeanDistribution,
+  getDistributionQuantile,
+  getDistributionCdf,
+  computeMeanLowerBound,
+  inverseNormalCdf,
+  inverseStudentTCdf,
+  studentTCdf,
+  normalCdf,
+  chiSquareSurvival,
+  binomialCdf,
+} from '../../../src/js/utils/distributionUtils.js';
+
+describe('Distribution Utils', () => {
+  describe('computeMeanDistribution', () => {
+    it('should produce a normalized distribution with the single-trade mean', () => {
+      const values = [0.5, 2, 40];
+      const weights = [700, 290, 10];
+      const dist = computeMeanDistribution(values, weights, 37);
+
+      const totalMass = dist.probs.reduce((sum, p) => sum + p, 0);
+      const mean = dist.probs.reduce((sum, p, i) => sum + p * (dist.min + (dist.offset + i) * dist.step), 0);
+
+      expect(totalMass).toBeCloseTo(1, 9);
+      expect(mean).toBeCloseTo((0.5 * 700 + 2 * 290 + 40 * 10) / 1000, 6);
+    });
+
+    it('should match the binomial distribution for two outcomes', () => {
+      // Mean of 4 fair coin flips worth 0 or 1: P(mean = k/4) = C(4,k) / 16
+      const dist = computeMeanDistribution([0, 1], [1, 1], 4);
+      const massAt = (value) => dist.probs.reduce(
+        (sum, p, i) => Math.abs(dist.min + (dist.offset + i) * dist.step - value) < 1e-9 ? sum + p : sum,
+        0
+      );
+
+      expect(massAt(0)).toBeCloseTo(1 / 16, 9);
+      expect(massAt(0.5)).toBeCloseTo(6 / 16, 9);
+      expect(massAt(1)).toBeCloseTo(1 / 16, 9);
+    });
+
+    it('should handle a single outcome value', () => {
+      const dist = computeMeanDistribution([3, 3], [1, 2], 100);
+      expect(getDistributionQuantile(dist, 0.1)).toBe(3);
+    });
+
+    it('should invert the quantile with the CDF', () => {
+      const dist = computeMeanDistribution([0.5, 2, 40], [700, 290, 10], 37);
+      [0.05, 0.5, 0.9].forEach(probability => {
+        expect(getDistributionCdf(dist, getDistributionQuantile(dist, probability))).toBeCloseTo(probability, 9);
+      });
+      expect(getDistributionCdf(dist, 0)).toBe(0);
+      expect(getDistributionCdf(dist, 100)).toBe(1);
+    });
+
+    it('should reject invalid input', () => {
+      expect(() => computeMeanDistribution([], [], 10)).toThrow();
+      expect(() => computeMeanDistribution([1, 2], [1], 10)).toThrow();
+      expect(() => computeMeanDistribution([1, 2], [1, 1], 0)).toThrow();
+    });
+  });
+
+  describe('inverseNormalCdf', () => {
+    it('should match standard normal quantiles', () => {
+      expect(inverseNormalCdf(0.5)).toBeCloseTo(0, 9);
+      expect(inverseNormalCdf(0.9)).toBeCloseTo(1.281552, 6);
+      expect(inverseNormalCdf(0.975)).toBeCloseTo(1.959964, 6);
+      expect(inverseNormalCdf(0.999)).toBeCloseTo(3.090232, 6);
+      expect(inverseNormalCdf(0.01)).toBeCloseTo(-2.326348, 6);
+    });
+
+    it('should reject probabilities outside (0, 1)', () => {
+      expect(() => inverseNormalCdf(0)).toThrow();
+      expect(() => inverseNormalCdf(1)).toThrow();
+    });
+  });
+
+  describe('inverseStudentTCdf', () => {
+    it('should match Student-t table values', () => {
+      expect(inverseStudentTCdf(0.975, 1)).toBeCloseTo(12.7062, 4);
+      expect(inverseStudentTCdf(0.95, 9)).toBeCloseTo(1.8331, 4);
+      expect(inverseStudentTCdf(0.1, 4)).toBeCloseTo(-1.5332, 4);
+    });
+
+    it('should invert studentTCdf', () => {
+      expect(studentTCdf(inverseStudentTCdf(0.9, 5), 5)).toBeCloseTo(0.9, 9);
+    });
+  });
+
+  describe('normalCdf, chiSquareSurvival and binomialCdf', () => {
+    it('should match table values', () => {
+      expect(normalCdf(0)).toBeCloseTo(0.5, 12);
+      expect(normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+      expect(normalCdf(-2.326348)).toBeCloseTo(0.01, 6);
+      expect(chiSquareSurvival(3.841459, 1)).toBeCloseTo(0.05, 6);
+      expect(chiSquareSurvival(18.307038, 10)).toBeCloseTo(0.05, 6);
+      expect(chiSquareSurvival(124.342113, 100)).toBeCloseTo(0.05, 6);
+    });
+
+    it('should match the binomial sum', () => {
+      // P(X <= 2) for n = 10, p = 0.3
+      const exact = [0, 1, 2].reduce((sum, k) => {
+        const choose = [1, 10, 45][k];
+        return sum + choose * 0.3 ** k * 0.7 ** (10 - k);
+      }, 0);
+      expect(binomialCdf(2, 10, 0.3)).toBeCloseTo(exact, 10);
+      expect(binomialCdf(-1, 10, 0.3)).toBe(0);
+      expect(binomialCdf(10, 10, 0.3)).toBe(1);
+    });
+  });
+
+  describe('computeMeanLowerBound', () => {
+    it('should return the exact quantile for a single trade', () => {
+      // 80% of trades return 1c, so the 10th percentile is 1c
+      expect(computeMeanLowerBound([1, 10], [80, 20], 1, 0.9)).toBeCloseTo(1, 9);
+    });
+
+    it('should decrease as confidence increases', () => {
+      const values = [0.5, 1, 3, 120];
+      const weights = [500, 300, 150, 2];
+      const lower90 = computeMeanLowerBound(values, weights, 500, 0.9);
+      const lower99 = computeMeanLowerBound(values, weights, 500, 0.99);
+      expect(lower99).toBeLessThan(lower90);
+    });
+  });
+});